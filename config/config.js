@@ -1,4 +1,5 @@
 require('dotenv').config();
+const os = require('os');
 
 const config = {
   server: {
@@ -27,10 +28,89 @@ const config = {
   database: {
     url: process.env.MONGODB_URL || 'mongodb://localhost:27017/smtp-server',
   },
+  redis: {
+    // Relays IMAP mailbox change notifications between server instances; unset keeps them in-process
+    url: process.env.REDIS_URL || null,
+  },
   email: {
     maxSize: process.env.MAX_EMAIL_SIZE || 10 * 1024 * 1024, // 10MB
     allowedDomains: process.env.ALLOWED_DOMAINS ? 
       process.env.ALLOWED_DOMAINS.split(',') : [],
+    // Domains we accept mail for; RCPT TO for other domains is relay-denied unless authenticated
+    localDomains: (process.env.LOCAL_DOMAINS || process.env.ALLOWED_DOMAINS || '')
+      .split(',').map(d => d.trim().toLowerCase()).filter(Boolean),
+    // local-part:target pairs, e.g. postmaster:admin,abuse:admin (targets without @ stay in the recipient's domain)
+    aliases: Object.fromEntries((process.env.LOCAL_ALIASES || '')
+      .split(',').map(pair => pair.split(':').map(p => p.trim().toLowerCase()))
+      .filter(([alias, target]) => alias && target)),
+    maxAliasDepth: parseInt(process.env.ALIAS_MAX_DEPTH) || 8, // nested aliases/lists followed before giving up
+    // user+detail@domain is delivered to user@domain; each character is a delimiter, empty disables
+    recipientDelimiter: process.env.RECIPIENT_DELIMITER !== undefined ? process.env.RECIPIENT_DELIMITER : '+',
+    subaddressFolders: process.env.SUBADDRESS_FOLDERS === 'true', // file user+detail@domain into the folder "detail"
+  },
+  outbound: {
+    heloName: process.env.OUTBOUND_HELO_NAME || os.hostname(),
+    port: parseInt(process.env.OUTBOUND_SMTP_PORT) || 25,
+    timeout: parseInt(process.env.OUTBOUND_TIMEOUT) || 30000, // 30 seconds
+    startTLS: process.env.OUTBOUND_STARTTLS !== 'false',
+    tlsRejectUnauthorized: process.env.OUTBOUND_TLS_REJECT_UNAUTHORIZED === 'true',
+    // Deferred recipients are retried until the email has been queued this long, then bounced
+    queueLifetime: parseInt(process.env.OUTBOUND_QUEUE_LIFETIME) || 5 * 24 * 60 * 60 * 1000, // 5 days
+    pool: {
+      enabled: process.env.OUTBOUND_POOL_ENABLED !== 'false',
+      maxConnections: parseInt(process.env.OUTBOUND_POOL_MAX_CONNECTIONS) || 3, // per MX host and source IP
+      maxMessagesPerConnection: parseInt(process.env.OUTBOUND_POOL_MAX_MESSAGES) || 100,
+      idleTimeout: parseInt(process.env.OUTBOUND_POOL_IDLE_TIMEOUT) || 30000, // 30 seconds
+    },
+  },
+  dsn: {
+    enabled: process.env.DSN_ENABLED !== 'false',
+    reportingMta: process.env.DSN_REPORTING_MTA || process.env.OUTBOUND_HELO_NAME || os.hostname(),
+    from: process.env.DSN_FROM || null, // defaults to MAILER-DAEMON@<reporting MTA>
+    delayWarningAfter: process.env.DSN_DELAY_WARNING_AFTER !== undefined ?
+      parseInt(process.env.DSN_DELAY_WARNING_AFTER) : 4 * 60 * 60 * 1000, // 4 hours, 0 disables
+    returnContent: process.env.DSN_RETURN_CONTENT === 'full' ? 'full' : 'headers',
+  },
+  dkim: {
+    enabled: process.env.DKIM_ENABLED !== 'false',
+    keySize: parseInt(process.env.DKIM_KEY_SIZE) || 2048, // RSA modulus length for generated keys
+    headers: process.env.DKIM_SIGNED_HEADERS ?
+      process.env.DKIM_SIGNED_HEADERS.split(',').map(h => h.trim().toLowerCase()) :
+      ['from', 'sender', 'reply-to', 'subject', 'date', 'message-id', 'to', 'cc',
+        'mime-version', 'content-type', 'content-transfer-encoding',
+        'in-reply-to', 'references', 'list-id', 'list-unsubscribe'],
+  },
+  bounce: {
+    enabled: process.env.BOUNCE_PROCESSING_ENABLED !== 'false',
+    // Tag the envelope sender with the email ID, signed with the secret (falls back to SRS_SECRET)
+    verp: process.env.BOUNCE_VERP_ENABLED === 'true' && !!(process.env.BOUNCE_VERP_SECRET || process.env.SRS_SECRET),
+    verpSecret: process.env.BOUNCE_VERP_SECRET || process.env.SRS_SECRET,
+  },
+  srs: {
+    enabled: !!process.env.SRS_SECRET && process.env.SRS_ENABLED !== 'false', // rewriting needs a secret
+    secret: process.env.SRS_SECRET,
+    domain: process.env.SRS_DOMAIN || null, // defaults to the domain of the forwarding address
+    maxAge: parseInt(process.env.SRS_MAX_AGE) || 21, // days a rewritten address accepts bounces
+  },
+  mailAuth: {
+    enabled: process.env.MAIL_AUTH_ENABLED !== 'false',
+    authservId: process.env.MAIL_AUTH_SERVID || process.env.OUTBOUND_HELO_NAME || os.hostname(),
+    // What to do when DMARC fails for a domain publishing p=reject / p=quarantine
+    dmarcRejectAction: ['reject', 'quarantine', 'none'].includes(process.env.DMARC_REJECT_ACTION) ?
+      process.env.DMARC_REJECT_ACTION : 'reject',
+    dmarcQuarantineAction: ['quarantine', 'none'].includes(process.env.DMARC_QUARANTINE_ACTION) ?
+      process.env.DMARC_QUARANTINE_ACTION : 'quarantine',
+    quarantineFolder: process.env.MAIL_AUTH_QUARANTINE_FOLDER || 'Junk',
+  },
+  sieve: {
+    enabled: process.env.SIEVE_ENABLED !== 'false', // run each user's active script at delivery
+    maxScriptSize: parseInt(process.env.SIEVE_MAX_SCRIPT_SIZE) || 64 * 1024,
+    maxScripts: parseInt(process.env.SIEVE_MAX_SCRIPTS) || 10, // stored scripts per user
+    maxRedirects: parseInt(process.env.SIEVE_MAX_REDIRECTS) || 4, // redirect actions per message
+  },
+  vacation: {
+    enabled: process.env.VACATION_ENABLED !== 'false', // send out-of-office replies for mailboxes that set one up
+    defaultInterval: parseInt(process.env.VACATION_DEFAULT_INTERVAL) || 7, // days between replies to the same sender
   },
   webhook: {
     enabled: process.env.WEBHOOK_ENABLED === 'true',
@@ -49,6 +129,16 @@ const config = {
   imap: {
     port: process.env.IMAP_PORT || 143,
     sslPort: process.env.IMAP_SSL_PORT || 993,
+    // Largest literal a client may send, e.g. an APPENDed message
+    maxLiteralSize: parseInt(process.env.IMAP_MAX_LITERAL_SIZE) || parseInt(process.env.MAX_EMAIL_SIZE) || 10 * 1024 * 1024,
+    requireTLS: process.env.IMAP_REQUIRE_TLS === 'true', // LOGINDISABLED on port 143 until STARTTLS
+    // Mailboxes allowed to SETQUOTA and to read anyone's quota
+    quotaAdmins: (process.env.IMAP_QUOTA_ADMINS || '')
+      .split(',').map(address => address.trim().toLowerCase()).filter(Boolean),
+    // METADATA (RFC 5464): largest value, entries per folder and user, and the server's /shared/admin
+    metadataMaxSize: parseInt(process.env.IMAP_METADATA_MAX_SIZE) || 64 * 1024,
+    metadataMaxEntries: parseInt(process.env.IMAP_METADATA_MAX_ENTRIES) || 100,
+    metadataAdmin: process.env.IMAP_METADATA_ADMIN || null, // e.g. mailto:postmaster@example.com
     ssl: {
       enabled: process.env.IMAP_SSL_ENABLED === 'true',
       key: process.env.IMAP_SSL_KEY,
@@ -66,6 +156,16 @@ const config = {
       ca: process.env.LMTP_SSL_CA,
     },
   },
+  managesieve: {
+    enabled: process.env.MANAGESIEVE_ENABLED !== 'false',
+    port: parseInt(process.env.MANAGESIEVE_PORT) || 4190,
+    requireTLS: process.env.MANAGESIEVE_REQUIRE_TLS !== 'false', // no AUTHENTICATE before STARTTLS when TLS is configured
+    ssl: {
+      key: process.env.MANAGESIEVE_SSL_KEY,
+      cert: process.env.MANAGESIEVE_SSL_CERT,
+      ca: process.env.MANAGESIEVE_SSL_CA,
+    },
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     enableConsole: process.env.ENABLE_CONSOLE_LOG !== 'false',
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Email = require('./models/Email');
+const logger = require('./utils/logger');
+
+// Usage: node migrate-mailbox-addresses.js <domain>
+// Renames bare-username mailboxes (and the emails they own) to <username>@<domain>
+async function migrate() {
+  const domain = (process.argv[2] || config.email.localDomains[0] || '').toLowerCase();
+
+  if (!domain) {
+    logger.error('❌ Usage: node migrate-mailbox-addresses.js <domain>');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(config.database.url);
+    logger.info('✅ Connected to MongoDB for migration');
+
+    await Domain.updateOne({ name: domain }, { $setOnInsert: { name: domain } }, { upsert: true });
+
+    // Find all mailboxes still keyed by a bare username
+    const legacyMailboxes = await Mailbox.find({ username: { $not: /@/ } });
+
+    logger.info(`📊 Found ${legacyMailboxes.length} mailboxes without a domain`);
+
+    let updated = 0;
+    let skipped = 0;
+
+    for (const mailbox of legacyMailboxes) {
+      const oldUsername = mailbox.username;
+      const address = `${oldUsername.toLowerCase()}@${domain}`;
+
+      if (await Mailbox.findOne({ username: address })) {
+        skipped++;
+        logger.warn(`⚠️  Skipped mailbox "${oldUsername}": ${address} already exists`);
+        continue;
+      }
+
+      // Update directly so the stored password hash is left alone
+      await Mailbox.updateOne({ _id: mailbox._id }, { $set: { username: address, domain } });
+      const emails = await Email.updateMany(
+        { authenticatedUsername: oldUsername },
+        { $set: { authenticatedUsername: address } }
+      );
+
+      updated++;
+      logger.info(`✅ Renamed mailbox "${oldUsername}" to "${address}" (${emails.modifiedCount} emails)`);
+    }
+
+    logger.info(`\n✅ Migration complete!`);
+    logger.info(`   Updated: ${updated}`);
+    logger.info(`   Skipped: ${skipped}`);
+    logger.info(`   Total: ${legacyMailboxes.length}`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
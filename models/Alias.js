@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Address that delivers to other addresses instead of a mailbox of its own.
+// One target is an alias, several make a distribution list; targets may be
+// local mailboxes, other aliases or external addresses.
+const aliasSchema = new mongoose.Schema({
+  address: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  domain: { type: String, lowercase: true, trim: true, index: true },
+  targets: [{ type: String, lowercase: true, trim: true }],
+  description: { type: String, default: '' },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+aliasSchema.pre('validate', function(next) {
+  if (this.address && this.address.includes('@')) {
+    this.domain = this.address.split('@').pop();
+  }
+  next();
+});
+
+aliasSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+aliasSchema.virtual('type').get(function() {
+  return this.targets.length > 1 ? 'list' : 'alias';
+});
+
+aliasSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Alias', aliasSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// DKIM signing key for one sending domain and selector
+const dkimKeySchema = new mongoose.Schema({
+  domain: { type: String, required: true, lowercase: true, trim: true, index: true },
+  selector: { type: String, required: true, trim: true },
+  algorithm: {
+    type: String,
+    enum: ['rsa-sha256', 'ed25519-sha256'],
+    default: 'rsa-sha256'
+  },
+  privateKey: { type: String, required: true }, // PEM (PKCS#8)
+  publicKey: { type: String, required: true }, // PEM (SPKI)
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+dkimKeySchema.index({ domain: 1, selector: 1 }, { unique: true });
+
+module.exports = mongoose.model('DKIMKey', dkimKeySchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A domain we host mailboxes for, with its per-domain settings
+const domainSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  active: { type: Boolean, default: true },
+  catchAll: { type: String, lowercase: true, trim: true, default: null }, // address receiving mail for unknown users
+  dkimSelector: { type: String, trim: true, default: null }, // sign only with this selector when set
+  quota: {
+    storage: { type: Number, default: 0 }, // bytes for the whole domain, 0 = unlimited
+    messages: { type: Number, default: 0 }, // messages for the whole domain, 0 = unlimited
+    mailboxStorage: { type: Number, default: 0 }, // default bytes per mailbox, 0 = unlimited
+    mailboxMessages: { type: Number, default: 0 } // default messages per mailbox, 0 = unlimited
+  },
+  limits: {
+    maxMailboxes: { type: Number, default: 0 }, // 0 = unlimited
+    maxRecipients: { type: Number, default: 0 } // per outgoing message, 0 = unlimited
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+domainSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Domain', domainSchema);
@@ -6,6 +6,37 @@ const attachmentSchema = new mongoose.Schema({
   content: Buffer,
 });
 
+const deliveryAttemptSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now },
+  success: Boolean,
+  mxServer: String,
+  sourceIP: String,
+  responseCode: Number,
+  enhancedCode: String,
+  response: String,
+  error: String
+}, { _id: false });
+
+// Delivery state of a single envelope recipient (outgoing emails)
+const recipientDeliverySchema = new mongoose.Schema({
+  recipient: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'deferred', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attemptCount: { type: Number, default: 0 },
+  attempts: [deliveryAttemptSchema],
+  lastAttempt: { type: Date },
+  lastResponse: String,
+  lastResponseCode: Number,
+  nextRetryAt: { type: Date },
+  deliveredAt: { type: Date },
+  failedAt: { type: Date },
+  delayNotifiedAt: { type: Date }, // Delayed-delivery DSN sent to the sender
+  failureNotifiedAt: { type: Date } // Failure DSN sent to the sender
+}, { _id: false });
+
 const emailSchema = new mongoose.Schema({
   sender: String,
   recipients: [String],
@@ -16,13 +47,14 @@ const emailSchema = new mongoose.Schema({
   html: String,
   attachments: [attachmentSchema],
   raw: String,
+  size: { type: Number }, // Bytes of raw, counted against the owner's quota
   authenticatedUsername: { type: String, required: true, index: true }, // Owner of this email (REQUIRED)
 
   // IMAP-specific fields
-  mailbox: { type: String, default: 'INBOX' },
+  mailbox: { type: String, default: 'INBOX' }, // null for outgoing emails in the queue
   internalDate: { type: Date, default: Date.now }, // IMAP INTERNALDATE
-  uid: { type: Number }, // Unique ID within mailbox
-  modseq: { type: Number, default: 1 }, // Modification sequence for CONDSTORE
+  uid: { type: Number }, // Unique ID within the owner's folder, allocated from Folder.uidNext
+  modseq: { type: Number, default: 1 }, // Last change, from the folder's Folder.highestModseq (CONDSTORE)
 
   // IMAP flags
   flags: {
@@ -38,11 +70,13 @@ const emailSchema = new mongoose.Schema({
   // Queue management fields (for outgoing emails)
   status: {
     type: String,
-    enum: ['pending', 'sent', 'failed', 'failed_permanent'],
+    enum: ['pending', 'sent', 'failed', 'failed_permanent', 'delivered'], // delivered = stored in a local mailbox, never queued
     default: 'pending'
   },
   retryCount: { type: Number, default: 0 },
   lastAttempt: { type: Date },
+  nextRetryAt: { type: Date }, // Earliest retry among deferred recipients
+  deliveries: [recipientDeliverySchema],
   sentAt: { type: Date },
   sendAttempts: [{
     timestamp: { type: Date, default: Date.now },
@@ -51,6 +85,12 @@ const emailSchema = new mongoose.Schema({
     error: String
   }],
   finalError: String,
+  dkimSignatures: [{ // Applied once at queue time
+    domain: String,
+    selector: String,
+    algorithm: String,
+    _id: false
+  }],
 
   // Email threading fields (RFC 5256)
   messageId: String,
@@ -66,24 +106,38 @@ const emailSchema = new mongoose.Schema({
 
 // Index for IMAP operations
 emailSchema.index({ mailbox: 1, uid: 1 });
+emailSchema.index(
+  { authenticatedUsername: 1, mailbox: 1, uid: 1 },
+  { unique: true, partialFilterExpression: { uid: { $type: 'number' } } } // UIDs are never reused within a folder
+);
 emailSchema.index({ mailbox: 1, modseq: 1 });
 emailSchema.index({ mailbox: 1, internalDate: 1 });
 emailSchema.index({ messageId: 1 });
 emailSchema.index({ 'flags.deleted': 1 });
+emailSchema.index({ status: 1, nextRetryAt: 1 });
 
-// Pre-save hook to auto-assign UID
+// Pre-save hook to auto-assign UID and modseq
 emailSchema.pre('save', async function(next) {
-  // Only assign UID if it doesn't exist
-  if (!this.uid && this.mailbox) {
+  // Messages without an owner, and queued outgoing mail (mailbox null), are not in any IMAP folder
+  if (this.mailbox && this.authenticatedUsername) {
     try {
-      const Email = mongoose.model('Email');
-      const maxUidEmail = await Email.findOne({ mailbox: this.mailbox })
-        .sort({ uid: -1 })
-        .select('uid');
+      // Required lazily: FolderService depends on this model
+      const FolderService = require('../services/FolderService');
 
-      this.uid = (maxUidEmail?.uid || 0) + 1;
+      // Only assign UID if it doesn't exist
+      if (!this.uid) {
+        this.uid = await FolderService.allocateUid(this.authenticatedUsername, this.mailbox);
+      }
+      if (this.isNew) {
+        this.size = Buffer.byteLength(this.raw || '');
+        this.$locals.countUsage = true;
+      }
+      // New messages, moves (also into another user's shared folder) and flag changes are changes for CONDSTORE
+      if (this.isNew || this.isModified('mailbox') || this.isModified('authenticatedUsername') || this.isModified('flags')) {
+        this.modseq = await FolderService.allocateModseq(this.authenticatedUsername, this.mailbox);
+      }
     } catch (error) {
-      console.error('Error auto-assigning UID:', error);
+      return next(error);
     }
   }
 
@@ -107,4 +161,13 @@ emailSchema.pre('save', async function(next) {
   next();
 });
 
+// Stored messages count against the owner's quota once they are saved
+emailSchema.post('save', async function() {
+  if (this.$locals.countUsage) {
+    this.$locals.countUsage = false;
+    const QuotaService = require('../services/QuotaService');
+    await QuotaService.addUsage(this.authenticatedUsername, this.size, 1);
+  }
+});
+
 module.exports = mongoose.model('Email', emailSchema); 
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Rights another user, or "anyone", holds on a folder (RFC 4314), e.g. { identifier: 'bob@example.com', rights: 'lrs' }
+const aclEntrySchema = new mongoose.Schema({
+  identifier: { type: String, required: true, lowercase: true, trim: true },
+  rights: { type: String, required: true }
+}, { _id: false });
+
+// IMAP folder owned by one user; messages refer to it by name through Email.mailbox
+const folderSchema = new mongoose.Schema({
+  username: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, required: true }, // full path, e.g. Lists/dev
+  delimiter: { type: String, default: '/' },
+  specialUse: { type: String, default: null }, // RFC 6154 attribute, e.g. \Sent
+  subscribed: { type: Boolean, default: true },
+  uidValidity: { type: Number, required: true }, // new value whenever a folder of this name is recreated
+  uidNext: { type: Number, default: 1 },
+  highestModseq: { type: Number, default: 1 },
+  acl: [aclEntrySchema], // the owner holds every right without an entry
+  createdAt: { type: Date, default: Date.now }
+});
+
+folderSchema.index({ username: 1, name: 1 }, { unique: true });
+folderSchema.index({ 'acl.identifier': 1 });
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -2,19 +2,43 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 
 const MailboxSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true }, // hashed
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true }, // full address, e.g. alice@example.com
+  domain: { type: String, lowercase: true, trim: true, index: true },
+  password: { type: String, required: function() { return !this.shared; } }, // hashed
+  shared: { type: Boolean, default: false }, // team mailbox such as support@, opened by other users through folder ACLs
+  forwarding: {
+    enabled: { type: Boolean, default: false },
+    addresses: [{ type: String, lowercase: true, trim: true }],
+    keepCopy: { type: Boolean, default: true } // also deliver to this mailbox
+  },
+  quota: {
+    storage: { type: Number, default: null }, // bytes, null = the domain's mailboxStorage, 0 = unlimited
+    messages: { type: Number, default: null } // null = the domain's mailboxMessages, 0 = unlimited
+  },
+  usage: {
+    storage: { type: Number, default: 0 }, // bytes of stored messages, kept by QuotaService
+    messages: { type: Number, default: 0 }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+MailboxSchema.pre('validate', function(next) {
+  if (this.username && this.username.includes('@')) {
+    this.domain = this.username.split('@').pop();
+  }
+  next();
+});
+
 MailboxSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
   next();
 });
 
-MailboxSchema.methods.comparePassword = function(candidate) {
+MailboxSchema.methods.comparePassword = async function(candidate) {
+  // Shared mailboxes without a password of their own cannot log in
+  if (!this.password) return false;
   return bcrypt.compare(candidate, this.password);
 };
 
-module.exports = mongoose.model('Mailbox', MailboxSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Mailbox', MailboxSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// RFC 5464 annotation on a folder, or on the server when username and mailbox are empty.
+// /private entries are kept per user; /shared entries (user '') are seen by everyone with access
+const metadataSchema = new mongoose.Schema({
+  username: { type: String, default: '', lowercase: true }, // folder owner
+  mailbox: { type: String, default: '' },
+  entry: { type: String, required: true, lowercase: true }, // e.g. /private/color
+  user: { type: String, default: '', lowercase: true },
+  value: { type: String, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+metadataSchema.index({ username: 1, mailbox: 1, user: 1, entry: 1 }, { unique: true });
+
+module.exports = mongoose.model('Metadata', metadataSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One run of a user's active Sieve script at delivery time
+const sieveLogSchema = new mongoose.Schema({
+  username: { type: String, required: true, index: true },
+  scriptName: String,
+  recipient: String, // Envelope recipient the message arrived for
+  sender: String,
+  messageId: String,
+  subject: String,
+  actions: [{
+    _id: false,
+    type: { type: String },
+    folder: String,
+    address: String,
+    reason: String,
+    flags: [String]
+  }],
+  error: String, // Runtime error; the message was kept in the default folder
+  createdAt: { type: Date, default: Date.now }
+});
+
+sieveLogSchema.index({ username: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SieveLog', sieveLogSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Sieve filtering script owned by one mailbox; at most one per user is active
+const sieveScriptSchema = new mongoose.Schema({
+  username: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  content: { type: String, required: true },
+  active: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+sieveScriptSchema.index({ username: 1, name: 1 }, { unique: true });
+sieveScriptSchema.index({ username: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+sieveScriptSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('SieveScript', sieveScriptSchema);
@@ -1 +1,33 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  contentType: String,
+  content: Buffer,
+});
+
+const successfulEmailSchema = new mongoose.Schema({
+  originalEmailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' }, // Reference to original email
+  sender: String,
+  recipients: [String],
+  subject: String,
+  text: String,
+  html: String,
+  attachments: [attachmentSchema],
+  raw: String,
+  authenticatedUsername: String, // Track which mailbox user sent this email
+
+  // Delivery specific fields
+  deliveredAt: { type: Date, default: Date.now },
+  deliveryConfirmation: String,
+  messageId: String,
+  smtpResponse: String,
+
+  // Original email info
+  originalSentAt: { type: Date },
+  originalStatus: String,
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('SuccessfulEmail', successfulEmailSchema);
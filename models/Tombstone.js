@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// UID expunged from an IMAP folder, kept so QRESYNC clients can be told with VANISHED (EARLIER)
+const tombstoneSchema = new mongoose.Schema({
+  username: { type: String, required: true, lowercase: true },
+  mailbox: { type: String, required: true },
+  uid: { type: Number, required: true },
+  modseq: { type: Number, required: true }, // folder modseq of the expunge
+  expungedAt: { type: Date, default: Date.now }
+});
+
+tombstoneSchema.index({ username: 1, mailbox: 1, modseq: 1 });
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Out-of-office auto-reply settings for one mailbox
+const vacationSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  enabled: { type: Boolean, default: false },
+  subject: { type: String, default: '' }, // empty: "Auto: <original subject>"
+  body: { type: String, default: '' },
+  startDate: { type: Date, default: null },
+  endDate: { type: Date, default: null },
+  addresses: [{ type: String, lowercase: true, trim: true }], // other addresses the owner receives mail at
+  interval: { type: Number, default: 7 }, // days before the same sender is answered again
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+vacationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Vacation', vacationSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Sender a mailbox's auto-reply already answered; removed once the reply interval is over
+const vacationReplySchema = new mongoose.Schema({
+  username: { type: String, required: true, lowercase: true },
+  sender: { type: String, required: true, lowercase: true },
+  repliedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+vacationReplySchema.index({ username: 1, sender: 1 }, { unique: true });
+vacationReplySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VacationReply', vacationReplySchema);
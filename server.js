@@ -3,10 +3,14 @@ const database = require('./config/database');
 const MultiPortSMTPServer = require('./services/MultiPortSMTPServer');
 const IMAPServer = require('./services/IMAPServer');
 const LMTPServer = require('./services/LMTPServer');
+const ManageSieveServer = require('./services/ManageSieveServer');
 const QueueAPI = require('./services/QueueAPI');
 const DatabaseWatcher = require('./services/DatabaseWatcher');
 const MailboxAPI = require('./services/MailboxAPI');
 const RspamdService = require('./services/RspamdService');
+const SMTPConnectionPool = require('./services/SMTPConnectionPool');
+const DomainService = require('./services/DomainService');
+const MailboxEvents = require('./services/MailboxEvents');
 const logger = require('./utils/logger');
 
 class Application {
@@ -14,6 +18,7 @@ class Application {
     this.multiPortSMTPServer = null;
     this.imapServer = null;
     this.lmtpServer = null;
+    this.manageSieveServer = null;
     this.queueAPI = null;
     this.mailboxAPI = null;
     this.isShuttingDown = false;
@@ -24,6 +29,9 @@ class Application {
       // Connect to database
       await database.connect();
 
+      // Make sure the domains from LOCAL_DOMAINS exist
+      await DomainService.seedFromConfig();
+
       // Check rspamd health if enabled
       if (RspamdService.enabled) {
         logger.info('Rspamd is enabled, performing health check...');
@@ -42,6 +50,9 @@ class Application {
       DatabaseWatcher.startWatching();
       await DatabaseWatcher.processExistingPendingEmails();
 
+      // Share mailbox change notifications with other instances
+      MailboxEvents.start();
+
       // Start Multi-Port SMTP server
       this.multiPortSMTPServer = new MultiPortSMTPServer();
       this.multiPortSMTPServer.start();
@@ -57,6 +68,16 @@ class Application {
       } catch (error) {
         logger.warn('⚠️ LMTP server failed to start, continuing without it', error.message);
       }
+
+      // Start ManageSieve server
+      if (config.managesieve.enabled) {
+        try {
+          this.manageSieveServer = new ManageSieveServer();
+          this.manageSieveServer.start();
+        } catch (error) {
+          logger.warn('⚠️ ManageSieve server failed to start, continuing without it', error.message);
+        }
+      }
       
       // Start Queue API server
       this.queueAPI = new QueueAPI(config.server.apiPort || 3000);
@@ -99,6 +120,11 @@ class Application {
         this.lmtpServer.stop();
       }
 
+      // Stop ManageSieve server
+      if (this.manageSieveServer) {
+        this.manageSieveServer.stop();
+      }
+
       // Stop Mailbox API server
       if (this.mailboxAPI) {
         this.mailboxAPI.stop();
@@ -107,6 +133,12 @@ class Application {
       // Stop Database Watcher
       DatabaseWatcher.stop();
 
+      // Stop relaying mailbox change notifications
+      await MailboxEvents.stop();
+
+      // Close pooled outbound SMTP sessions
+      SMTPConnectionPool.closeAll();
+
       // Cleanup rspamd connection pool
       if (RspamdService.enabled) {
         logger.info('Cleaning up rspamd resources...');
@@ -0,0 +1,331 @@
+const Folder = require('../models/Folder');
+const Mailbox = require('../models/Mailbox');
+const FolderService = require('./FolderService');
+const logger = require('../utils/logger');
+
+// RFC 4314 rights, in the order they are listed: lookup, read, seen, write, insert, post,
+// create folders, delete folder, delete messages, expunge, administer
+const RIGHTS = 'lrswipkxtea';
+
+// RFC 2086 rights older clients still send, each standing for the rights it was split into
+const OBSOLETE_RIGHTS = { c: 'kx', d: 'te' };
+
+const ANYONE = 'anyone';
+
+// Namespaces other users' folders are named in, e.g. "Other Users/alice@example.com/INBOX";
+// folders of shared mailboxes (Mailbox.shared) are under Shared instead
+const OTHER_USERS = 'Other Users';
+const SHARED = 'Shared';
+
+/**
+ * Folder access control lists (RFC 4314). The owner of a folder holds every
+ * right; other users hold what its ACL grants their address or "anyone".
+ * Resolves the mailbox names IMAP clients use, in the personal, Other Users
+ * and Shared namespaces, to the owner and folder behind them.
+ */
+class AclService {
+  get rights() {
+    return RIGHTS;
+  }
+
+  get namespaces() {
+    return { otherUsers: OTHER_USERS, shared: SHARED };
+  }
+
+  /**
+   * Owner and folder path of a mailbox name as a user sees it. Names outside
+   * the Other Users and Shared namespaces are the user's own folders.
+   * @returns {Object} - { owner, name, namespace }; name is '' for a namespace or owner level
+   */
+  parseName(username, mailbox) {
+    const value = String(mailbox || '');
+    const delimiter = FolderService.delimiter;
+
+    for (const namespace of [OTHER_USERS, SHARED]) {
+      if (value.startsWith(namespace + delimiter)) {
+        const rest = value.slice(namespace.length + 1);
+        const end = rest.indexOf(delimiter);
+        return {
+          owner: (end === -1 ? rest : rest.slice(0, end)).toLowerCase(),
+          name: end === -1 ? '' : FolderService.normalizeName(rest.slice(end + 1)),
+          namespace
+        };
+      }
+    }
+    return { owner: String(username || '').toLowerCase(), name: FolderService.normalizeName(value), namespace: null };
+  }
+
+  // The name other users see a folder under
+  formatName(folder, shared) {
+    const delimiter = FolderService.delimiter;
+    return `${shared ? SHARED : OTHER_USERS}${delimiter}${folder.username}${delimiter}${folder.name}`;
+  }
+
+  /**
+   * A user's rights on a folder, as a string of RFC 4314 rights
+   */
+  getRights(folder, username) {
+    const user = String(username || '').toLowerCase();
+    if (folder.username === user) {
+      return RIGHTS;
+    }
+    const granted = (folder.acl || [])
+      .filter(entry => entry.identifier === user || entry.identifier === ANYONE)
+      .map(entry => entry.rights)
+      .join('');
+    return AclService.sortRights(granted);
+  }
+
+  /**
+   * The folder a mailbox name refers to and the user's rights on it; null when
+   * it does not exist or the user holds no rights on it, so that it stays hidden
+   * @returns {Promise<Object|null>} - { folder, owner, name, mailbox, rights }; mailbox is the name to show the user
+   */
+  async resolve(username, mailbox) {
+    const { owner, name, namespace } = this.parseName(username, mailbox);
+    if (!owner || !name) {
+      return null;
+    }
+
+    const folder = await FolderService.getFolder(owner, name);
+    if (!folder) {
+      return null;
+    }
+    if (owner === String(username).toLowerCase()) {
+      return { folder, owner, name: folder.name, mailbox: folder.name, rights: RIGHTS };
+    }
+
+    const rights = this.getRights(folder, username);
+    // Each owner is in one namespace, depending on whether theirs is a shared mailbox
+    if (!rights || (namespace === SHARED) !== await this.isShared(owner)) {
+      return null;
+    }
+    return { folder, owner, name: folder.name, mailbox: this.formatName(folder, namespace === SHARED), rights };
+  }
+
+  /**
+   * Like resolve, but failing with NONEXISTENT or NOPERM unless the user holds the right
+   */
+  async authorize(username, mailbox, right) {
+    const target = await this.resolve(username, mailbox);
+    if (!target) {
+      throw AclService.error('Mailbox does not exist', 404, 'NONEXISTENT');
+    }
+    if (!target.rights.includes(right)) {
+      throw AclService.error('Permission denied', 403, 'NOPERM');
+    }
+    return target;
+  }
+
+  async isShared(username) {
+    const mailbox = await Mailbox.findOne({ username }, { shared: 1 });
+    return Boolean(mailbox?.shared);
+  }
+
+  /**
+   * Other users' folders a user may look up (l), with the names they are listed under
+   * @returns {Promise<Array>} - [{ folder, mailbox, rights }], sorted by name
+   */
+  async listShared(username) {
+    const user = username.toLowerCase();
+    const folders = await Folder.find({ username: { $ne: user }, 'acl.identifier': { $in: [user, ANYONE] } })
+      .sort({ username: 1, name: 1 });
+    if (folders.length === 0) {
+      return [];
+    }
+
+    const owners = [...new Set(folders.map(folder => folder.username))];
+    const shared = await Mailbox.find({ username: { $in: owners }, shared: true }, { username: 1 });
+    const sharedOwners = new Set(shared.map(mailbox => mailbox.username));
+
+    return folders
+      .map(folder => ({
+        folder,
+        mailbox: this.formatName(folder, sharedOwners.has(folder.username)),
+        rights: this.getRights(folder, user)
+      }))
+      .filter(entry => entry.rights.includes('l'))
+      .sort((a, b) => a.mailbox.localeCompare(b.mailbox));
+  }
+
+  /**
+   * IMAP CREATE in any namespace. In another user's folders it takes the k right on the
+   * parent, and the new folder starts with the parent's ACL (RFC 4314 5.1.1).
+   * @param {Array} uses - CREATE-SPECIAL-USE attributes, passed on to FolderService.createFolder
+   */
+  async createFolder(username, mailbox, uses = null) {
+    const { owner, name, namespace } = this.parseName(username, mailbox);
+    if (owner === username.toLowerCase()) {
+      return FolderService.createFolder(owner, name, uses);
+    }
+
+    const parentName = name.split(FolderService.delimiter).slice(0, -1).join(FolderService.delimiter);
+    const parent = parentName ? await this.resolve(username, this.join(namespace, owner, parentName)) : null;
+    if (!parent || !parent.rights.includes('k')) {
+      throw AclService.error('Permission denied', 403, 'NOPERM');
+    }
+
+    const folder = await FolderService.createFolder(owner, name, uses);
+    folder.acl = (parent.folder.acl || []).map(entry => ({ identifier: entry.identifier, rights: entry.rights }));
+    await folder.save();
+    return folder;
+  }
+
+  /**
+   * IMAP DELETE in any namespace; another user's folder takes the x right
+   * @returns {Promise<Object>} - { owner, name } of the deleted folder
+   */
+  async deleteFolder(username, mailbox) {
+    const { owner, name } = this.parseName(username, mailbox);
+    if (owner !== username.toLowerCase()) {
+      await this.authorize(username, mailbox, 'x');
+    }
+    await FolderService.deleteFolder(owner, name);
+    return { owner, name };
+  }
+
+  /**
+   * IMAP RENAME within one owner's folders; another user's folder takes the x right,
+   * and k on the new parent
+   */
+  async renameFolder(username, from, to) {
+    const source = this.parseName(username, from);
+    const target = this.parseName(username, to);
+    if (source.owner !== target.owner) {
+      throw AclService.error('Folders cannot be moved to another user', 400, 'CANNOT');
+    }
+
+    if (source.owner !== username.toLowerCase()) {
+      await this.authorize(username, from, 'x');
+      const parentName = target.name.split(FolderService.delimiter).slice(0, -1).join(FolderService.delimiter);
+      const parent = parentName ? await this.resolve(username, this.join(target.namespace, target.owner, parentName)) : null;
+      if (!parent || !parent.rights.includes('k')) {
+        throw AclService.error('Permission denied', 403, 'NOPERM');
+      }
+    }
+    await FolderService.renameFolder(source.owner, source.name, target.name);
+  }
+
+  /**
+   * IMAP SUBSCRIBE/UNSUBSCRIBE. Subscriptions are kept on the owner's folders, so
+   * other users' folders are not changed; LSUB lists every one the user can see.
+   */
+  async setSubscribed(username, mailbox, subscribed) {
+    const { owner, name } = this.parseName(username, mailbox);
+    if (owner === username.toLowerCase()) {
+      return FolderService.setSubscribed(owner, name, subscribed);
+    }
+    const target = await this.resolve(username, mailbox);
+    if (!target) {
+      throw AclService.error('Folder does not exist', 404, 'NONEXISTENT');
+    }
+    return target.folder;
+  }
+
+  /**
+   * A folder's ACL, its owner first
+   * @returns {Array} - [{ identifier, rights }]
+   */
+  getAcl(folder) {
+    return [
+      { identifier: folder.username, rights: RIGHTS },
+      ...(folder.acl || []).map(entry => ({ identifier: entry.identifier, rights: entry.rights }))
+    ];
+  }
+
+  /**
+   * Rights that can be granted to an identifier (RFC 4314 3.7): the owner's are all
+   * fixed, anyone else may be given each right on its own
+   * @returns {Object} - { required, optional: [...] }
+   */
+  listRights(folder, identifier) {
+    if (String(identifier).toLowerCase() === folder.username) {
+      return { required: RIGHTS, optional: [] };
+    }
+    return { required: '', optional: RIGHTS.split('') };
+  }
+
+  /**
+   * SETACL: replace an identifier's rights, or add ("+lr") or remove ("-w") some.
+   * Left without rights, the identifier is taken off the ACL.
+   * @returns {Promise<string>} - The identifier's rights now
+   */
+  async setRights(folder, identifier, value) {
+    const id = this.validateIdentifier(folder, identifier);
+    const { mode, rights } = this.parseRights(value);
+
+    const current = (folder.acl || []).find(entry => entry.identifier === id)?.rights || '';
+    let updated = rights;
+    if (mode === 'add') {
+      updated = AclService.sortRights(current + rights);
+    } else if (mode === 'remove') {
+      updated = current.split('').filter(right => !rights.includes(right)).join('');
+    }
+
+    folder.acl = [
+      ...(folder.acl || []).filter(entry => entry.identifier !== id),
+      ...(updated ? [{ identifier: id, rights: updated }] : [])
+    ];
+    await folder.save();
+
+    logger.info('🔐 Folder ACL changed', { username: folder.username, folder: folder.name, identifier: id, rights: updated });
+    return updated;
+  }
+
+  async deleteRights(folder, identifier) {
+    const id = this.validateIdentifier(folder, identifier);
+    folder.acl = (folder.acl || []).filter(entry => entry.identifier !== id);
+    await folder.save();
+    logger.info('🔐 Folder ACL entry removed', { username: folder.username, folder: folder.name, identifier: id });
+  }
+
+  // Identifiers are mailbox addresses or "anyone"; the owner's rights cannot be changed
+  validateIdentifier(folder, identifier) {
+    const id = String(identifier || '').trim().toLowerCase();
+    if (id !== ANYONE && !/^[^\s@]+@[^\s@]+$/.test(id)) {
+      throw AclService.error('Identifier must be an email address or "anyone"', 400, 'CANNOT');
+    }
+    if (id === folder.username) {
+      throw AclService.error('The owner\'s rights cannot be changed', 400, 'CANNOT');
+    }
+    return id;
+  }
+
+  join(namespace, owner, name) {
+    return [namespace, owner, name].join(FolderService.delimiter);
+  }
+
+  /**
+   * SETACL rights, with obsolete RFC 2086 rights expanded; unknown rights are an error
+   * @returns {Object} - { mode: 'set' | 'add' | 'remove', rights }
+   */
+  parseRights(value) {
+    const text = String(value ?? '');
+    const mode = text[0] === '+' ? 'add' : text[0] === '-' ? 'remove' : 'set';
+
+    let rights = '';
+    for (const right of mode === 'set' ? text : text.slice(1)) {
+      if (OBSOLETE_RIGHTS[right]) {
+        rights += OBSOLETE_RIGHTS[right];
+      } else if (RIGHTS.includes(right)) {
+        rights += right;
+      } else {
+        throw AclService.error(`Unknown right: ${right}`, 400);
+      }
+    }
+    return { mode, rights: AclService.sortRights(rights) };
+  }
+
+  static sortRights(rights) {
+    return RIGHTS.split('').filter(right => rights.includes(right)).join('');
+  }
+
+  static error(message, status, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new AclService();
@@ -0,0 +1,119 @@
+const Alias = require('../models/Alias');
+const Mailbox = require('../models/Mailbox');
+const DomainService = require('./DomainService');
+const logger = require('../utils/logger');
+
+/**
+ * Management of aliases and distribution lists for the Mailbox API.
+ * Expansion at delivery time lives in RecipientResolver.
+ */
+class AliasService {
+  async listAliases(domain = null) {
+    const query = domain ? { domain: domain.toLowerCase() } : {};
+    return Alias.find(query).sort({ address: 1 });
+  }
+
+  async getAlias(address) {
+    return Alias.findOne({ address: (address || '').toLowerCase() });
+  }
+
+  async createAlias(data) {
+    const address = DomainService.normalizeAddress(data.address);
+    if (!address) {
+      throw AliasService.error('A valid alias address is required', 400);
+    }
+
+    const domain = await DomainService.getDomain(address.split('@').pop());
+    if (!domain) {
+      throw AliasService.error(`Domain ${address.split('@').pop()} is not hosted here`, 400);
+    }
+
+    if (await Alias.findOne({ address })) {
+      throw AliasService.error('Alias already exists', 409);
+    }
+
+    if (await Mailbox.findOne({ username: address })) {
+      throw AliasService.error('A mailbox with this address already exists', 409);
+    }
+
+    const alias = new Alias({
+      address,
+      targets: this.validateTargets(data.targets),
+      description: data.description || '',
+      active: data.active !== undefined ? !!data.active : true
+    });
+
+    await alias.save();
+    logger.info('📇 Alias created', { address, targets: alias.targets.length });
+    return alias;
+  }
+
+  /**
+   * @param {Object} updates - { targets, addTargets, removeTargets, description, active }
+   */
+  async updateAlias(address, updates) {
+    const alias = await this.getAlias(address);
+    if (!alias) {
+      throw AliasService.error('Alias not found', 404);
+    }
+
+    let targets = updates.targets !== undefined ? this.validateTargets(updates.targets) : [...alias.targets];
+
+    if (updates.addTargets) {
+      for (const target of this.validateTargets(updates.addTargets)) {
+        if (!targets.includes(target)) targets.push(target);
+      }
+    }
+
+    if (updates.removeTargets) {
+      const removed = new Set([].concat(updates.removeTargets).map(t => String(t).toLowerCase()));
+      targets = targets.filter(target => !removed.has(target));
+      if (targets.length === 0) {
+        throw AliasService.error('An alias needs at least one target', 400);
+      }
+    }
+
+    alias.targets = targets;
+    if (updates.description !== undefined) alias.description = updates.description;
+    if (updates.active !== undefined) alias.active = !!updates.active;
+
+    await alias.save();
+    logger.info('📇 Alias updated', { address: alias.address, targets: alias.targets.length });
+    return alias;
+  }
+
+  async deleteAlias(address) {
+    const alias = await Alias.findOneAndDelete({ address: (address || '').toLowerCase() });
+    if (!alias) {
+      throw AliasService.error('Alias not found', 404);
+    }
+
+    logger.info('📇 Alias deleted', { address: alias.address });
+    return alias;
+  }
+
+  validateTargets(targets) {
+    const list = [].concat(targets || []);
+    if (list.length === 0) {
+      throw AliasService.error('An alias needs at least one target', 400);
+    }
+
+    const normalized = [];
+    for (const target of list) {
+      const address = DomainService.normalizeAddress(target);
+      if (!address) {
+        throw AliasService.error(`Invalid target address: ${target}`, 400);
+      }
+      if (!normalized.includes(address)) normalized.push(address);
+    }
+    return normalized;
+  }
+
+  static error(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new AliasService();
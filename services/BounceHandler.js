@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Email = require('../models/Email');
+const BouncedEmail = require('../models/BouncedEmail');
+const WebhookService = require('./WebhookService');
+const BounceParser = require('../utils/BounceParser');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Inbound bounce handling
+ * Bounces for mail we sent arrive asynchronously, often long after the
+ * remote MX answered 250. This matches them back to the outgoing Email
+ * document, marks the affected recipients failed and reports it the same
+ * way as a synchronous rejection.
+ */
+class BounceHandler {
+  constructor() {
+    this.config = config.bounce;
+  }
+
+  /**
+   * Inspect an incoming message and apply it if it is a bounce
+   * @returns {Promise<Object|null>} - Summary, or null when not a bounce
+   */
+  async handleIncoming(sender, recipients, rawData) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const bounce = BounceParser.parse(rawData, { sender, recipients }, this.config.verpSecret, config.email.recipientDelimiter);
+    if (!bounce.isBounce) {
+      return null;
+    }
+
+    const email = await this.findOriginalEmail(bounce);
+    if (!email) {
+      logger.info('📭 Bounce received for unknown message', {
+        format: bounce.format,
+        originalMessageId: bounce.originalMessageId,
+        recipients: bounce.recipients.map(r => r.recipient)
+      });
+      return { matched: false, bounce };
+    }
+
+    const failed = this.applyBounce(email, bounce);
+
+    if (failed.length === 0) {
+      logger.info('Bounce matched but no recipient was marked failed', {
+        emailId: email._id,
+        recipients: bounce.recipients.map(r => `${r.recipient} (${r.action})`)
+      });
+      return { matched: true, emailId: email._id, failed: [], bounce };
+    }
+
+    await this.recordBounce(email, failed, bounce);
+    await email.save();
+
+    logger.warn('📬 Asynchronous bounce applied to outgoing email', {
+      emailId: email._id,
+      format: bounce.format,
+      failed: failed.map(f => f.recipient)
+    });
+
+    await WebhookService.sendWebhookWithRetry('failure', email, {
+      success: false,
+      results: failed.map(f => ({
+        success: false,
+        recipient: f.recipient,
+        mxServer: f.remoteMta,
+        responseCode: f.responseCode,
+        enhancedCode: f.status,
+        response: f.diagnosticCode,
+        error: f.diagnosticCode || `Bounced with status ${f.status}`,
+        permanent: true
+      })),
+      bounce: {
+        format: bounce.format,
+        reportingMta: bounce.reportingMta,
+        originalMessageId: bounce.originalMessageId
+      }
+    });
+
+    return { matched: true, emailId: email._id, failed: failed.map(f => f.recipient), bounce };
+  }
+
+  /**
+   * The signed VERP email ID, or the returned Message-ID when VERP is off. With VERP
+   * on, every genuine bounce comes back to a signed address, so nothing else is trusted.
+   */
+  async findOriginalEmail(bounce) {
+    if (bounce.originalEmailId && mongoose.Types.ObjectId.isValid(bounce.originalEmailId)) {
+      const email = await Email.findById(bounce.originalEmailId);
+      if (email) return email;
+    }
+
+    if (bounce.originalMessageId && !this.config.verp) {
+      return Email.findOne({
+        messageId: bounce.originalMessageId,
+        'deliveries.0': { $exists: true }
+      }).sort({ createdAt: -1 });
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark bounced recipients failed on the Email document
+   * @returns {Array} - Bounce entries that changed a recipient
+   */
+  applyBounce(email, bounce) {
+    const now = new Date();
+    const applied = [];
+
+    for (const entry of bounce.recipients) {
+      const permanent = entry.action === 'failed' || (entry.status || '').startsWith('5');
+      if (!permanent) continue;
+
+      const delivery = (email.deliveries || [])
+        .find(d => d.recipient.toLowerCase() === entry.recipient);
+      if (!delivery || delivery.status === 'failed') continue;
+
+      delivery.status = 'failed';
+      delivery.failedAt = now;
+      delivery.nextRetryAt = null;
+      delivery.lastResponse = entry.diagnosticCode || `Bounced with status ${entry.status}`;
+      delivery.lastResponseCode = entry.responseCode || null;
+      // The sender already has the remote bounce - no DSN of our own
+      delivery.failureNotifiedAt = now;
+      delivery.attempts.push({
+        timestamp: now,
+        success: false,
+        mxServer: entry.remoteMta,
+        responseCode: entry.responseCode,
+        enhancedCode: entry.status,
+        response: entry.diagnosticCode,
+        error: 'Asynchronous bounce'
+      });
+
+      applied.push(entry);
+    }
+
+    if (applied.length > 0) {
+      const pending = email.deliveries.filter(d => d.status === 'pending' || d.status === 'deferred');
+      if (pending.length === 0) {
+        email.status = 'failed_permanent';
+        email.nextRetryAt = null;
+      }
+
+      email.finalError = email.deliveries
+        .filter(d => d.status === 'failed')
+        .map(d => `${d.recipient}: ${d.lastResponse || 'Sending failed'}`)
+        .join('; ');
+    }
+
+    return applied;
+  }
+
+  /**
+   * Create the BouncedEmail record, or add to the one from an earlier bounce
+   */
+  async recordBounce(email, failed, bounce) {
+    const recipients = failed.map(f => f.recipient);
+    const first = failed[0];
+
+    const existing = email.bouncedEmailId ? await BouncedEmail.findById(email.bouncedEmailId) : null;
+
+    if (existing) {
+      existing.recipients = [...new Set([...existing.recipients, ...recipients])];
+      existing.bounceMessage = email.finalError;
+      existing.bouncedAt = new Date();
+      await existing.save();
+      return existing;
+    }
+
+    const bouncedEmail = new BouncedEmail({
+      originalEmailId: email._id,
+      sender: email.sender,
+      recipients,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+      attachments: email.attachments,
+      raw: email.raw,
+      authenticatedUsername: email.authenticatedUsername,
+      bounceType: (first.status || '5').startsWith('5') ? 'hard' : 'soft',
+      bounceReason: `Asynchronous bounce (${bounce.format})`,
+      bounceCode: first.status || (first.responseCode ? String(first.responseCode) : 'PERMANENT_FAILURE'),
+      bounceMessage: email.finalError,
+      bouncedAt: new Date(),
+      originalSentAt: email.sentAt,
+      originalStatus: email.status
+    });
+
+    await bouncedEmail.save();
+    email.bouncedEmailId = bouncedEmail._id;
+    return bouncedEmail;
+  }
+}
+
+module.exports = new BounceHandler();
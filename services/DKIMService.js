@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const DKIMKey = require('../models/DKIMKey');
+const DKIM = require('../utils/DKIM');
+const DomainService = require('./DomainService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * DKIM signing for outbound mail (RFC 6376, RFC 8463)
+ * Messages are signed once when they enter the queue with every enabled key
+ * of the From domain, so retries send exactly the same signed bytes.
+ */
+class DKIMService {
+  constructor() {
+    this.config = config.dkim;
+    this.keyCache = new Map();
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Sign a raw message
+   * @param {string} raw - Raw message
+   * @param {string} domain - Signing domain, defaults to the From header domain
+   * @returns {Promise<Object>} - { raw, signatures: [{ domain, selector, algorithm }] }
+   */
+  async signMessage(raw, domain = null) {
+    if (!this.config.enabled || !raw) {
+      return { raw, signatures: [] };
+    }
+
+    const signingDomain = (domain || DKIM.getFromDomain(raw) || '').toLowerCase();
+    if (!signingDomain) {
+      return { raw, signatures: [] };
+    }
+
+    const { domain: keyDomain, keys } = await this.findKeys(signingDomain);
+    if (keys.length === 0) {
+      logger.debug('No DKIM key for domain, sending unsigned', { domain: signingDomain });
+      return { raw, signatures: [] };
+    }
+
+    const normalized = String(raw).replace(/\r?\n/g, '\r\n');
+    const headers = [];
+    const signatures = [];
+
+    for (const key of keys) {
+      try {
+        headers.push(this.sign(normalized, key, keyDomain));
+        signatures.push({ domain: keyDomain, selector: key.selector, algorithm: key.algorithm });
+      } catch (error) {
+        logger.error('DKIM signing failed', { domain: keyDomain, selector: key.selector, error: error.message });
+      }
+    }
+
+    if (headers.length === 0) {
+      return { raw, signatures: [] };
+    }
+
+    return {
+      raw: headers.join('\r\n') + '\r\n' + normalized,
+      signatures
+    };
+  }
+
+  /**
+   * Build one DKIM-Signature header for a CRLF-normalized message
+   */
+  sign(normalized, key, domain, timestamp = Math.floor(Date.now() / 1000)) {
+    const { headerLines, body } = DKIM.splitMessage(normalized);
+    const present = new Set(headerLines.map(h => h.key));
+    const names = this.config.headers.filter(name => present.has(name));
+
+    if (!present.has('from')) {
+      throw new Error('Message has no From header');
+    }
+
+    const tags = [
+      'v=1',
+      `a=${key.algorithm}`,
+      'c=relaxed/relaxed',
+      `d=${domain}`,
+      `s=${key.selector}`,
+      `t=${timestamp}`,
+      `h=${names.join(':')}`,
+      `bh=${DKIM.bodyHash(body, 'relaxed')}`,
+      'b='
+    ];
+
+    const unsigned = DKIM.foldHeader('DKIM-Signature', tags);
+    const data = DKIM.signedData(headerLines, names, unsigned, 'relaxed');
+    const signature = DKIM.signData(data, key.privateKey, key.algorithm);
+
+    return DKIM.foldHeader('DKIM-Signature', [...tags.slice(0, -1), `b=${signature}`]);
+  }
+
+  /**
+   * Enabled keys for a domain, falling back to parent domains so mail from
+   * a subdomain is signed with the organizational domain's key
+   */
+  async findKeys(domain) {
+    const labels = domain.split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join('.');
+      let keys = await this.getKeys(candidate);
+
+      // A hosted domain can pin the selector it signs with
+      const hosted = keys.length > 0 ? await DomainService.getDomain(candidate) : null;
+      if (hosted && hosted.dkimSelector) {
+        keys = keys.filter(key => key.selector === hosted.dkimSelector);
+      }
+
+      if (keys.length > 0) {
+        return { domain: candidate, keys };
+      }
+    }
+
+    return { domain, keys: [] };
+  }
+
+  async getKeys(domain) {
+    const cached = this.keyCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.keys;
+    }
+
+    const keys = await DKIMKey.find({ domain, enabled: true }).sort({ createdAt: 1 });
+    this.keyCache.set(domain, { keys, expiresAt: Date.now() + this.cacheTimeout });
+    return keys;
+  }
+
+  clearCache() {
+    this.keyCache.clear();
+  }
+
+  /**
+   * Create and store a new key pair for a domain
+   * @returns {Promise<Object>} - { key, dnsRecord }
+   */
+  async generateKey(domain, selector, algorithm = 'rsa-sha256', keySize = this.config.keySize) {
+    if (!domain || !selector) {
+      throw new Error('domain and selector are required');
+    }
+
+    if (!['rsa-sha256', 'ed25519-sha256'].includes(algorithm)) {
+      throw new Error(`Unsupported DKIM algorithm: ${algorithm}`);
+    }
+
+    const encoding = {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+
+    const { publicKey, privateKey } = algorithm === 'ed25519-sha256' ?
+      crypto.generateKeyPairSync('ed25519', encoding) :
+      crypto.generateKeyPairSync('rsa', { modulusLength: parseInt(keySize) || 2048, ...encoding });
+
+    const key = new DKIMKey({
+      domain: domain.toLowerCase(),
+      selector,
+      algorithm,
+      privateKey,
+      publicKey
+    });
+
+    await key.save();
+    this.keyCache.delete(key.domain);
+
+    logger.info('🔑 DKIM key generated', { domain: key.domain, selector, algorithm });
+
+    return { key, dnsRecord: this.getDNSRecord(key) };
+  }
+
+  /**
+   * TXT record to publish for a key. Values longer than 255 characters must
+   * be split into several strings within the one record.
+   */
+  getDNSRecord(key) {
+    const keyType = key.algorithm === 'ed25519-sha256' ? 'ed25519' : 'rsa';
+    const value = `v=DKIM1; k=${keyType}; p=${DKIM.publicKeyForDNS(key.publicKey, key.algorithm)}`;
+
+    const chunks = [];
+    for (let i = 0; i < value.length; i += 255) {
+      chunks.push(value.slice(i, i + 255));
+    }
+
+    return {
+      name: `${key.selector}._domainkey.${key.domain}`,
+      type: 'TXT',
+      value,
+      chunks,
+      zoneFile: `${key.selector}._domainkey.${key.domain}. IN TXT ${chunks.map(c => `"${c}"`).join(' ')}`
+    };
+  }
+
+  async listKeys(domain = null) {
+    const query = domain ? { domain: domain.toLowerCase() } : {};
+    const keys = await DKIMKey.find(query).select('-privateKey').sort({ domain: 1, createdAt: 1 });
+
+    return keys.map(key => ({
+      ...key.toObject(),
+      dnsRecord: this.getDNSRecord(key)
+    }));
+  }
+
+  async deleteKey(id) {
+    const key = await DKIMKey.findByIdAndDelete(id);
+    if (key) {
+      this.keyCache.delete(key.domain);
+    }
+    return key;
+  }
+
+  async setKeyEnabled(id, enabled) {
+    const key = await DKIMKey.findByIdAndUpdate(id, { enabled: !!enabled }, { new: true }).select('-privateKey');
+    if (key) {
+      this.keyCache.delete(key.domain);
+    }
+    return key;
+  }
+}
+
+module.exports = new DKIMService();
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const Email = require('../models/Email');
+const Mailbox = require('../models/Mailbox');
+const MailboxEvents = require('./MailboxEvents');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Delivery Status Notifications (RFC 3464)
+ * Builds multipart/report bounce and delay messages for outgoing emails and
+ * hands them to the sender: straight into the INBOX when the sender has a
+ * mailbox here, otherwise back through the outbound queue with a null
+ * reverse-path.
+ */
+class DSNService {
+  constructor() {
+    this.config = config.dsn;
+  }
+
+  get reportingMta() {
+    return this.config.reportingMta;
+  }
+
+  get fromAddress() {
+    return this.config.from || `MAILER-DAEMON@${this.reportingMta}`;
+  }
+
+  /**
+   * Send a failure DSN covering every recipient that failed permanently and
+   * has not been reported yet. Marks the reported recipients on emailDoc;
+   * the caller is responsible for saving it.
+   */
+  async sendFailureNotification(emailDoc) {
+    const deliveries = (emailDoc.deliveries || [])
+      .filter(d => d.status === 'failed' && !d.failureNotifiedAt);
+
+    return this.notify(emailDoc, deliveries, 'failed', 'failureNotifiedAt');
+  }
+
+  /**
+   * Send a delayed-delivery warning for deferred recipients once the message
+   * has been in the queue longer than the configured threshold. Each
+   * recipient is warned at most once.
+   */
+  async sendDelayNotification(emailDoc) {
+    if (!this.config.delayWarningAfter) {
+      return null;
+    }
+
+    const queuedFor = Date.now() - new Date(emailDoc.createdAt).getTime();
+    if (queuedFor < this.config.delayWarningAfter) {
+      return null;
+    }
+
+    const deliveries = (emailDoc.deliveries || [])
+      .filter(d => d.status === 'deferred' && !d.delayNotifiedAt);
+
+    return this.notify(emailDoc, deliveries, 'delayed', 'delayNotifiedAt');
+  }
+
+  async notify(emailDoc, deliveries, action, markField) {
+    if (!this.config.enabled || deliveries.length === 0) {
+      return null;
+    }
+
+    if (!this.shouldNotify(emailDoc)) {
+      logger.debug('Not generating DSN for message', { emailId: emailDoc._id, sender: emailDoc.sender });
+      return null;
+    }
+
+    const report = this.buildReport(emailDoc, deliveries, action);
+    const result = await this.deliverReport(emailDoc, report);
+
+    const now = new Date();
+    for (const delivery of deliveries) {
+      delivery[markField] = now;
+    }
+
+    logger.info(`📨 ${action === 'failed' ? 'Failure' : 'Delay'} DSN sent to sender`, {
+      emailId: emailDoc._id,
+      sender: emailDoc.sender,
+      recipients: deliveries.map(d => d.recipient),
+      deliveredTo: result.local ? 'INBOX' : 'queue',
+      dsnEmailId: result.emailId
+    });
+
+    return result;
+  }
+
+  /**
+   * Never answer the null reverse-path or another DSN (RFC 3464 section 2,
+   * RFC 5321 section 4.5.5) - that is how bounce loops start
+   */
+  shouldNotify(emailDoc) {
+    const sender = (emailDoc.sender || '').trim().replace(/^<|>$/g, '');
+    if (!sender || !sender.includes('@')) {
+      return false;
+    }
+
+    if (/^mailer-daemon@/i.test(sender) || sender.toLowerCase() === this.fromAddress.toLowerCase()) {
+      return false;
+    }
+
+    const headers = DSNService.splitMessage(emailDoc.raw).headers;
+    if (/^content-type:\s*multipart\/report[^]*?report-type="?delivery-status/im.test(headers)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the multipart/report message
+   * @param {Object} emailDoc - Original outgoing email
+   * @param {Array} deliveries - Recipient delivery records to report on
+   * @param {string} action - 'failed' or 'delayed'
+   * @returns {Object} - { raw, subject, text, messageId }
+   */
+  buildReport(emailDoc, deliveries, action) {
+    const boundary = `----=_DSN_${crypto.randomBytes(12).toString('hex')}`;
+    const messageId = `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${this.reportingMta}>`;
+    const original = DSNService.splitMessage(emailDoc.raw);
+    const originalMessageId = DSNService.getHeader(original.headers, 'message-id');
+    const failed = action === 'failed';
+
+    const subject = failed ?
+      'Undelivered Mail Returned to Sender' :
+      'Delayed Mail (still being retried)';
+
+    const text = this.buildHumanReadable(emailDoc, deliveries, action);
+
+    const perMessage = [
+      `Reporting-MTA: dns; ${this.reportingMta}`,
+      `X-Original-Email-ID: ${emailDoc._id}`,
+      `Arrival-Date: ${new Date(emailDoc.createdAt || Date.now()).toUTCString()}`
+    ];
+
+    const perRecipient = deliveries.map(d => this.buildRecipientFields(d, action).join('\r\n'));
+
+    const headers = [
+      `From: Mail Delivery System <${this.fromAddress}>`,
+      `To: <${emailDoc.sender}>`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      originalMessageId ? `In-Reply-To: ${originalMessageId}` : null,
+      originalMessageId ? `References: ${originalMessageId}` : null,
+      'Auto-Submitted: auto-replied',
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/report; report-type=delivery-status; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    const returnFull = this.config.returnContent === 'full';
+
+    const raw = [
+      headers.join('\r\n'),
+      '',
+      'This is a MIME-encapsulated message.',
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Description: Notification',
+      '',
+      text,
+      '',
+      `--${boundary}`,
+      'Content-Type: message/delivery-status',
+      'Content-Description: Delivery report',
+      '',
+      perMessage.join('\r\n'),
+      '',
+      perRecipient.join('\r\n\r\n'),
+      '',
+      `--${boundary}`,
+      returnFull ? 'Content-Type: message/rfc822' : 'Content-Type: text/rfc822-headers',
+      returnFull ? 'Content-Description: Undelivered Message' : 'Content-Description: Undelivered Message Headers',
+      '',
+      returnFull ? original.full : original.headers,
+      '',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    return { raw, subject, text, messageId, originalMessageId };
+  }
+
+  buildRecipientFields(delivery, action) {
+    const lastAttempt = delivery.attempts?.[delivery.attempts.length - 1];
+    const fallbackStatus = action === 'failed' ? '5.0.0' : '4.0.0';
+
+    const fields = [
+      `Final-Recipient: rfc822; ${delivery.recipient}`,
+      `Action: ${action}`,
+      `Status: ${lastAttempt?.enhancedCode || DSNService.statusFromCode(delivery.lastResponseCode) || fallbackStatus}`
+    ];
+
+    if (lastAttempt?.mxServer) {
+      fields.push(`Remote-MTA: dns; ${lastAttempt.mxServer}`);
+    }
+
+    if (delivery.lastResponseCode && delivery.lastResponse) {
+      fields.push(`Diagnostic-Code: smtp; ${DSNService.oneLine(delivery.lastResponse)}`);
+    } else if (delivery.lastResponse) {
+      fields.push(`X-Diagnostic: ${DSNService.oneLine(delivery.lastResponse)}`);
+    }
+
+    if (delivery.lastAttempt) {
+      fields.push(`Last-Attempt-Date: ${new Date(delivery.lastAttempt).toUTCString()}`);
+    }
+
+    if (action === 'delayed' && delivery.nextRetryAt) {
+      fields.push(`X-Next-Retry-Date: ${new Date(delivery.nextRetryAt).toUTCString()}`);
+    }
+
+    return fields;
+  }
+
+  buildHumanReadable(emailDoc, deliveries, action) {
+    const lines = [];
+
+    if (action === 'failed') {
+      lines.push(
+        `This is the mail system at host ${this.reportingMta}.`,
+        '',
+        'Your message could not be delivered to one or more recipients.',
+        'It has been returned below. This is a permanent error; the',
+        'following addresses failed:'
+      );
+    } else {
+      lines.push(
+        `This is the mail system at host ${this.reportingMta}.`,
+        '',
+        'Your message has not been delivered to one or more recipients yet.',
+        'The mail system will keep trying; you do not need to resend the',
+        'message. Delivery to the following addresses is delayed:'
+      );
+    }
+
+    lines.push('');
+    for (const delivery of deliveries) {
+      lines.push(`<${delivery.recipient}>: ${DSNService.oneLine(delivery.lastResponse || 'no response from remote server')}`);
+    }
+
+    if (emailDoc.subject) {
+      lines.push('', `Original subject: ${emailDoc.subject}`);
+    }
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Hand the report to the original sender
+   */
+  async deliverReport(emailDoc, report) {
+    const owner = await this.getLocalOwner(emailDoc);
+
+    if (owner) {
+      const dsnDoc = new Email({
+        sender: this.fromAddress,
+        recipients: [emailDoc.sender],
+        subject: report.subject,
+        text: report.text,
+        raw: report.raw,
+        mailbox: 'INBOX',
+        authenticatedUsername: owner,
+        status: 'delivered',
+        messageId: report.messageId,
+        inReplyTo: report.originalMessageId || undefined,
+        references: report.originalMessageId ? [report.originalMessageId] : [],
+        internalDate: new Date()
+      });
+
+      await dsnDoc.save();
+      MailboxEvents.publish({ username: owner, mailbox: 'INBOX', type: 'exists', uids: [dsnDoc.uid] });
+      return { local: true, emailId: dsnDoc._id };
+    }
+
+    // Required lazily - EmailQueue depends on this service
+    const EmailQueue = require('./EmailQueue');
+    const emailId = await EmailQueue.addToQueue({
+      sender: '', // null reverse-path, a DSN must never bounce
+      recipients: [emailDoc.sender],
+      subject: report.subject,
+      text: report.text,
+      raw: report.raw,
+      messageId: report.messageId,
+      authenticatedUsername: emailDoc.authenticatedUsername
+    });
+
+    return { local: false, emailId };
+  }
+
+  /**
+   * The mailbox owner when the envelope sender is the authenticated user's
+   * own address, otherwise null (mail relayed for an external sender)
+   */
+  async getLocalOwner(emailDoc) {
+    const username = emailDoc.authenticatedUsername;
+    const sender = (emailDoc.sender || '').toLowerCase();
+
+    if (!username || !sender) {
+      return null;
+    }
+
+    const ownsAddress = username.includes('@') ?
+      username.toLowerCase() === sender :
+      username.toLowerCase() === sender.split('@')[0];
+
+    if (!ownsAddress) {
+      return null;
+    }
+
+    const mailbox = await Mailbox.findOne({ username });
+    return mailbox ? mailbox.username : null;
+  }
+
+  /**
+   * Split a raw message into its header block and the whole message
+   */
+  static splitMessage(raw) {
+    const full = String(raw || '').replace(/\r?\n/g, '\r\n');
+    const end = full.indexOf('\r\n\r\n');
+
+    return {
+      headers: end === -1 ? full : full.slice(0, end),
+      full
+    };
+  }
+
+  static getHeader(headers, name) {
+    const unfolded = headers.replace(/\r\n[ \t]+/g, ' ');
+    const match = unfolded.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Turn an SMTP reply code into a generic enhanced status code
+   */
+  static statusFromCode(code) {
+    if (!code) return null;
+    if (code >= 500) return '5.0.0';
+    if (code >= 400) return '4.0.0';
+    return '2.0.0';
+  }
+
+  static oneLine(text) {
+    return String(text).replace(/\s*\r?\n\s*/g, ' ').trim();
+  }
+}
+
+module.exports = new DSNService();
@@ -0,0 +1,214 @@
+const Domain = require('../models/Domain');
+const Mailbox = require('../models/Mailbox');
+const Alias = require('../models/Alias');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const UPDATABLE_FIELDS = ['active', 'catchAll', 'dkimSelector', 'quota', 'limits'];
+
+/**
+ * Hosted (virtual) domains. Delivery, authentication and sender validation
+ * all ask this service whether a domain is ours and active.
+ */
+class DomainService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+    this.addressDomains = null;
+    this.addressDomainsExpiresAt = 0;
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  /**
+   * All domains keyed by name, cached briefly since every RCPT asks
+   */
+  async getDomains() {
+    if (this.cache && this.cacheExpiresAt > Date.now()) {
+      return this.cache;
+    }
+
+    const domains = await Domain.find({}).lean();
+    this.cache = new Map(domains.map(domain => [domain.name, domain]));
+    this.cacheExpiresAt = Date.now() + this.cacheTimeout;
+    return this.cache;
+  }
+
+  /**
+   * Domains that have mailboxes or aliases, cached like getDomains
+   */
+  async getAddressDomains() {
+    if (this.addressDomains && this.addressDomainsExpiresAt > Date.now()) {
+      return this.addressDomains;
+    }
+
+    const [mailboxDomains, aliasDomains] = await Promise.all([Mailbox.distinct('domain'), Alias.distinct('domain')]);
+    this.addressDomains = new Set([...mailboxDomains, ...aliasDomains].filter(Boolean));
+    this.addressDomainsExpiresAt = Date.now() + this.cacheTimeout;
+    return this.addressDomains;
+  }
+
+  clearCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+    this.addressDomains = null;
+    this.addressDomainsExpiresAt = 0;
+  }
+
+  async getDomain(name) {
+    if (!name) return null;
+    const domains = await this.getDomains();
+    return domains.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * A domain is local when it exists and is active. Until any domain has
+   * been configured, the domains of existing mailboxes and aliases are local.
+   */
+  async isLocalDomain(name) {
+    const domains = await this.getDomains();
+    if (domains.size === 0) {
+      return (await this.getAddressDomains()).has((name || '').toLowerCase());
+    }
+
+    const domain = domains.get((name || '').toLowerCase());
+    return !!domain && domain.active;
+  }
+
+  async listDomains() {
+    const domains = await Domain.find({}).sort({ name: 1 }).lean();
+    const counts = await Mailbox.aggregate([{ $group: { _id: '$domain', count: { $sum: 1 } } }]);
+    const countByDomain = new Map(counts.map(c => [c._id, c.count]));
+
+    return domains.map(domain => ({ ...domain, mailboxCount: countByDomain.get(domain.name) || 0 }));
+  }
+
+  async createDomain(data) {
+    const name = this.normalizeDomainName(data.name);
+    if (!name) {
+      throw DomainService.error('A valid domain name is required', 400);
+    }
+
+    if (await Domain.findOne({ name })) {
+      throw DomainService.error('Domain already exists', 409);
+    }
+
+    const domain = new Domain({ name, ...DomainService.pickUpdates(data) });
+    await domain.save();
+    this.clearCache();
+
+    logger.info('🌐 Domain created', { domain: name });
+    return domain;
+  }
+
+  async updateDomain(name, updates) {
+    const domain = await Domain.findOne({ name: (name || '').toLowerCase() });
+    if (!domain) {
+      throw DomainService.error('Domain not found', 404);
+    }
+
+    const changes = DomainService.pickUpdates(updates);
+    for (const [field, value] of Object.entries(changes)) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        // Merge nested settings so a partial update keeps the other values
+        domain.set(field, { ...domain.toObject()[field], ...value });
+      } else {
+        domain.set(field, value);
+      }
+    }
+
+    await domain.save();
+    this.clearCache();
+
+    logger.info('🌐 Domain updated', { domain: domain.name, fields: Object.keys(changes) });
+    return domain;
+  }
+
+  /**
+   * Delete a domain. Refused while it still has mailboxes unless forced,
+   * in which case the mailboxes are deleted too.
+   */
+  async deleteDomain(name, force = false) {
+    const domainName = (name || '').toLowerCase();
+    const domain = await Domain.findOne({ name: domainName });
+    if (!domain) {
+      throw DomainService.error('Domain not found', 404);
+    }
+
+    const mailboxCount = await Mailbox.countDocuments({ domain: domainName });
+    if (mailboxCount > 0 && !force) {
+      throw DomainService.error(`Domain still has ${mailboxCount} mailbox(es)`, 409);
+    }
+
+    if (mailboxCount > 0) {
+      await Mailbox.deleteMany({ domain: domainName });
+    }
+
+    await Domain.deleteOne({ _id: domain._id });
+    this.clearCache();
+
+    logger.info('🌐 Domain deleted', { domain: domainName, mailboxesDeleted: mailboxCount });
+    return { domain: domainName, mailboxesDeleted: mailboxCount };
+  }
+
+  /**
+   * Check that a new mailbox may be created for an address
+   */
+  async assertCanCreateMailbox(address) {
+    const domainName = address.split('@').pop();
+    const domain = await Domain.findOne({ name: domainName });
+
+    if (!domain || !domain.active) {
+      throw DomainService.error(`Domain ${domainName} is not hosted here`, 400);
+    }
+
+    if (domain.limits?.maxMailboxes > 0) {
+      const count = await Mailbox.countDocuments({ domain: domainName });
+      if (count >= domain.limits.maxMailboxes) {
+        throw DomainService.error(`Domain ${domainName} has reached its mailbox limit`, 403);
+      }
+    }
+
+    return domain;
+  }
+
+  /**
+   * Create Domain documents for LOCAL_DOMAINS that do not exist yet
+   */
+  async seedFromConfig() {
+    for (const name of config.email.localDomains) {
+      const result = await Domain.updateOne({ name }, { $setOnInsert: { name } }, { upsert: true });
+      if (result.upsertedCount > 0) {
+        logger.info('🌐 Domain added from configuration', { domain: name });
+      }
+    }
+    this.clearCache();
+  }
+
+  normalizeDomainName(name) {
+    const normalized = String(name || '').trim().toLowerCase().replace(/\.$/, '');
+    return /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(normalized) ? normalized : null;
+  }
+
+  normalizeAddress(address) {
+    const normalized = String(address || '').trim().replace(/^<|>$/g, '').toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+  }
+
+  static pickUpdates(data) {
+    const updates = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+    return updates;
+  }
+
+  static error(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new DomainService();
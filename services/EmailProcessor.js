@@ -31,6 +31,7 @@ class EmailProcessor {
           contentType: att.contentType,
           content: att.content,
         })),
+        messageId: parsed.messageId, // Used to match asynchronous bounces
         authenticatedUsername // Store the authenticated username
       };
 
@@ -3,22 +3,36 @@ const SuccessfulEmail = require('../models/SuccessfulEmail');
 const BouncedEmail = require('../models/BouncedEmail');
 const MailSender = require('./MailSender');
 const WebhookService = require('./WebhookService');
+const DSNService = require('./DSNService');
+const DKIMService = require('./DKIMService');
+const BounceParser = require('../utils/BounceParser');
+const SRS = require('../utils/SRS');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class EmailQueue {
   constructor() {
     this.isProcessing = false;
-    this.retryDelays = [5 * 60 * 1000, 15 * 60 * 1000, 30 * 60 * 1000, 60 * 60 * 1000]; // 5min, 15min, 30min, 1hour
-    this.maxRetries = 3;
+    // 5min, 15min, 30min, 1hour, 2hours, then every 4 hours until the queue lifetime runs out
+    this.retryDelays = [5 * 60 * 1000, 15 * 60 * 1000, 30 * 60 * 1000, 60 * 60 * 1000, 2 * 60 * 60 * 1000, 4 * 60 * 60 * 1000];
+    this.legacyMaxRetries = 3; // attempt limit of emails queued before per-recipient tracking
   }
 
   async addToQueue(emailData) {
     try {
+      // Sign once here so every retry sends the same signed message
+      const signed = await this.signMessage(emailData);
+
       const emailDoc = new Email({
         ...emailData,
+        mailbox: null, // Outgoing, in none of the owner's folders: no UID and no quota usage
+        raw: signed.raw,
+        dkimSignatures: signed.signatures,
         status: 'pending',
         retryCount: 0,
         lastAttempt: null,
+        nextRetryAt: null,
+        deliveries: this.buildDeliveries(emailData.recipients),
         sendAttempts: []
       });
 
@@ -35,6 +49,15 @@ class EmailQueue {
     }
   }
 
+  async signMessage(emailData) {
+    try {
+      return await DKIMService.signMessage(emailData.raw);
+    } catch (error) {
+      logger.error('DKIM signing failed, queuing unsigned', { sender: emailData.sender, error: error.message });
+      return { raw: emailData.raw, signatures: [] };
+    }
+  }
+
   async processQueue() {
     if (this.isProcessing) {
       return;
@@ -80,20 +103,25 @@ class EmailQueue {
   }
 
   async getRetryEmails() {
-    const retryEmails = [];
-    
-    for (let retryCount = 1; retryCount <= this.maxRetries; retryCount++) {
-      const delay = this.getRetryDelay(retryCount - 1);
-      const emails = await Email.find({
-        status: 'failed',
-        retryCount: retryCount - 1,
-        lastAttempt: { $lt: new Date(Date.now() - delay) }
-      }).limit(5);
-
-      retryEmails.push(...emails);
+    const now = Date.now();
+
+    // Emails that failed before per-recipient tracking have no nextRetryAt
+    // and keep the old schedule: one delay per retryCount
+    const unscheduled = [];
+    for (let retryCount = 0; retryCount < this.legacyMaxRetries; retryCount++) {
+      unscheduled.push({
+        nextRetryAt: null,
+        retryCount,
+        lastAttempt: { $lt: new Date(now - this.getRetryDelay(retryCount)) }
+      });
     }
 
-    return retryEmails;
+    // Deferred recipients carry their own schedule; the email is due once
+    // the earliest of them is
+    return Email.find({
+      status: 'failed',
+      $or: [{ nextRetryAt: { $lte: new Date(now) } }, ...unscheduled]
+    }).limit(10);
   }
 
   async processRetryEmails(emails) {
@@ -114,75 +142,63 @@ class EmailQueue {
     await Promise.allSettled(promises);
   }
 
+  buildDeliveries(recipients = []) {
+    const unique = [...new Set(recipients.filter(Boolean))];
+    return unique.map(recipient => ({
+      recipient,
+      status: 'pending',
+      attemptCount: 0,
+      attempts: []
+    }));
+  }
+
+  /**
+   * Emails queued before per-recipient tracking have no deliveries yet;
+   * their recipients have used up the attempts the email already made
+   */
+  ensureDeliveries(emailDoc) {
+    if (!emailDoc.deliveries || emailDoc.deliveries.length === 0) {
+      emailDoc.deliveries = this.buildDeliveries(emailDoc.recipients)
+        .map(delivery => ({ ...delivery, attemptCount: emailDoc.retryCount || 0 }));
+    }
+  }
+
+  getPendingDeliveries(emailDoc) {
+    return emailDoc.deliveries.filter(d => d.status === 'pending' || d.status === 'deferred');
+  }
+
   async processEmail(emailDoc) {
     try {
+      this.ensureDeliveries(emailDoc);
+      const pending = this.getPendingDeliveries(emailDoc);
+
       logger.info('Processing email', { 
         emailId: emailDoc._id, 
         sender: emailDoc.sender, 
-        retryCount: emailDoc.retryCount 
+        retryCount: emailDoc.retryCount,
+        pendingRecipients: pending.length
       });
 
       // Update last attempt
       emailDoc.lastAttempt = new Date();
       await emailDoc.save();
 
-      // Attempt to send email
+      if (pending.length === 0) {
+        await this.finalizeEmail(emailDoc, { success: true, results: [] });
+        return;
+      }
+
+      // Attempt to send email - only to recipients that are still pending
       const result = await MailSender.sendEmail({
-        sender: emailDoc.sender,
-        recipients: emailDoc.recipients,
+        _id: emailDoc._id,
+        sender: this.getEnvelopeSender(emailDoc),
+        recipients: pending.map(d => d.recipient),
+        subject: emailDoc.subject,
         raw: emailDoc.raw
       });
 
-      // Record attempt
-      const attempt = {
-        timestamp: new Date(),
-        success: result.success,
-        response: result.results,
-        error: result.success ? null : 'Sending failed'
-      };
-
-      emailDoc.sendAttempts.push(attempt);
-
-      if (result.success) {
-        // Email sent successfully
-        emailDoc.status = 'sent';
-        emailDoc.sentAt = new Date();
-        
-        // Create successful email record
-        const successfulEmail = new SuccessfulEmail({
-          originalEmailId: emailDoc._id,
-          sender: emailDoc.sender,
-          recipients: emailDoc.recipients,
-          subject: emailDoc.subject,
-          text: emailDoc.text,
-          html: emailDoc.html,
-          attachments: emailDoc.attachments,
-          raw: emailDoc.raw,
-          authenticatedUsername: emailDoc.authenticatedUsername,
-          deliveredAt: new Date(),
-          deliveryConfirmation: 'SMTP delivery confirmed',
-          messageId: emailDoc.sendAttempts[emailDoc.sendAttempts.length - 1]?.response?.messageId,
-          smtpResponse: JSON.stringify(result.results),
-          originalSentAt: emailDoc.sentAt,
-          originalStatus: emailDoc.status
-        });
-        
-        await successfulEmail.save();
-        emailDoc.successfulEmailId = successfulEmail._id;
-        await emailDoc.save();
-        
-        logger.info('Email sent successfully', { 
-          emailId: emailDoc._id, 
-          successfulEmailId: successfulEmail._id,
-          recipients: emailDoc.recipients 
-        });
-
-        // Send success webhook
-        await WebhookService.sendWebhookWithRetry('success', emailDoc, result);
-      } else {
-        // Email failed
-        await this.handleFailedEmail(emailDoc, result);
-      }
+      this.applyResults(emailDoc, result.results);
+      await this.finalizeEmail(emailDoc, result);
 
     } catch (error) {
       logger.error('Error processing email', { 
@@ -190,81 +206,268 @@ class EmailQueue {
         error: error.message 
       });
       
-      await this.handleFailedEmail(emailDoc, { 
-        success: false, 
-        results: [{ 
-          success: false, 
-          error: error.message 
-        }] 
+      await this.handleFailedEmail(emailDoc, error);
+    }
+  }
+
+  /**
+   * With VERP enabled, bounces come back to an address carrying the email ID.
+   * SRS senders of forwarded mail already lead back to the original sender.
+   */
+  getEnvelopeSender(emailDoc) {
+    if (config.bounce.verp && emailDoc.sender && !SRS.isSRS(emailDoc.sender)) {
+      return BounceParser.encodeVERP(emailDoc.sender, emailDoc._id.toString(), config.bounce.verpSecret,
+        config.email.recipientDelimiter);
+    }
+    return emailDoc.sender;
+  }
+
+  /**
+   * Record one attempt per recipient and move each one to its next state
+   */
+  applyResults(emailDoc, results) {
+    const now = new Date();
+
+    for (const result of results) {
+      const delivery = emailDoc.deliveries.find(d => d.recipient === result.recipient);
+      if (!delivery) continue;
+
+      delivery.attemptCount += 1;
+      delivery.lastAttempt = now;
+      delivery.lastResponseCode = result.responseCode || null;
+      delivery.lastResponse = result.response || result.error || null;
+      delivery.attempts.push({
+        timestamp: now,
+        success: result.success,
+        mxServer: result.mxServer,
+        sourceIP: result.sourceIP,
+        responseCode: result.responseCode,
+        enhancedCode: result.enhancedCode,
+        response: result.response,
+        error: result.error
       });
+
+      if (result.success) {
+        delivery.status = 'sent';
+        delivery.deliveredAt = now;
+        delivery.nextRetryAt = null;
+      } else if (result.permanent || this.isExpired(emailDoc, now)) {
+        delivery.status = 'failed';
+        delivery.failedAt = now;
+        delivery.nextRetryAt = null;
+      } else {
+        delivery.status = 'deferred';
+        delivery.nextRetryAt = new Date(now.getTime() + this.getRetryDelay(delivery.attemptCount - 1));
+      }
     }
   }
 
-  async handleFailedEmail(emailDoc, result) {
-    emailDoc.retryCount += 1;
-    
-    // Record attempt
-    const attempt = {
-      timestamp: new Date(),
-      success: false,
-      response: result.results,
-      error: 'Sending failed'
-    };
-    emailDoc.sendAttempts.push(attempt);
+  /**
+   * Derive the overall email status from its recipients, then write the
+   * success/bounce records and fire webhooks
+   */
+  async finalizeEmail(emailDoc, result) {
+    const attemptResults = result.results || [];
+
+    if (attemptResults.length > 0) {
+      emailDoc.sendAttempts.push({
+        timestamp: new Date(),
+        success: attemptResults.every(r => r.success),
+        response: attemptResults,
+        error: attemptResults.every(r => r.success) ? null : this.getFinalError(attemptResults)
+      });
+    }
+
+    const pending = this.getPendingDeliveries(emailDoc);
+    const sent = emailDoc.deliveries.filter(d => d.status === 'sent');
+    const failed = emailDoc.deliveries.filter(d => d.status === 'failed');
 
-    if (emailDoc.retryCount >= this.maxRetries) {
-      // Max retries reached
-      emailDoc.status = 'failed_permanent';
-      emailDoc.finalError = this.getFinalError(result.results);
+    await this.notifySender(emailDoc);
+
+    if (pending.length > 0) {
+      // Schedule for retry
+      emailDoc.status = 'failed';
+      emailDoc.retryCount += 1;
+      emailDoc.nextRetryAt = new Date(Math.min(...pending.map(d => (d.nextRetryAt || new Date()).getTime())));
+      await emailDoc.save();
+
+      logger.warn('Email partially deferred, scheduled for retry', { 
+        emailId: emailDoc._id, 
+        retryCount: emailDoc.retryCount,
+        pending: pending.length,
+        sent: sent.length,
+        failed: failed.length,
+        nextRetryAt: emailDoc.nextRetryAt
+      });
+
+      // Send failure webhook for temporary failure
+      await WebhookService.sendWebhookWithRetry('failure', emailDoc, result);
+      return;
+    }
+
+    emailDoc.nextRetryAt = null;
+
+    if (sent.length > 0 && !emailDoc.successfulEmailId) {
+      emailDoc.sentAt = new Date();
       
-      // Create bounced email record
-      const bouncedEmail = new BouncedEmail({
+      // Create successful email record
+      const successfulEmail = new SuccessfulEmail({
         originalEmailId: emailDoc._id,
         sender: emailDoc.sender,
-        recipients: emailDoc.recipients,
+        recipients: sent.map(d => d.recipient),
         subject: emailDoc.subject,
         text: emailDoc.text,
         html: emailDoc.html,
         attachments: emailDoc.attachments,
         raw: emailDoc.raw,
         authenticatedUsername: emailDoc.authenticatedUsername,
-        bounceType: 'permanent',
-        bounceReason: 'Max retries exceeded',
-        bounceCode: 'PERMANENT_FAILURE',
-        bounceMessage: emailDoc.finalError,
-        bouncedAt: new Date(),
+        deliveredAt: new Date(),
+        deliveryConfirmation: 'SMTP delivery confirmed',
+        messageId: emailDoc.messageId,
+        smtpResponse: JSON.stringify(sent.map(d => ({ recipient: d.recipient, response: d.lastResponse }))),
         originalSentAt: emailDoc.sentAt,
-        originalStatus: emailDoc.status
+        originalStatus: failed.length > 0 ? 'failed_permanent' : 'sent'
       });
       
-      await bouncedEmail.save();
-      emailDoc.bouncedEmailId = bouncedEmail._id;
+      await successfulEmail.save();
+      emailDoc.successfulEmailId = successfulEmail._id;
+    }
+
+    if (failed.length === 0) {
+      // Email sent successfully to every recipient
+      emailDoc.status = 'sent';
       await emailDoc.save();
-      
-      logger.error('Email permanently failed after max retries', { 
+        
+      logger.info('Email sent successfully', { 
         emailId: emailDoc._id, 
-        bouncedEmailId: bouncedEmail._id,
-        retryCount: emailDoc.retryCount,
-        finalError: emailDoc.finalError
+        successfulEmailId: emailDoc.successfulEmailId,
+        recipients: emailDoc.recipients 
       });
 
-      // Send failure webhook for permanent failure
-      await WebhookService.sendWebhookWithRetry('failure', emailDoc, result);
-    } else {
-      // Schedule for retry
-      emailDoc.status = 'failed';
-      await emailDoc.save();
+      // Send success webhook
+      await WebhookService.sendWebhookWithRetry('success', emailDoc, result);
+      return;
+    }
+
+    // At least one recipient failed permanently
+    emailDoc.status = 'failed_permanent';
+    emailDoc.finalError = failed
+      .map(d => `${d.recipient}: ${d.lastResponse || 'Sending failed'}`)
+      .join('; ');
       
-      logger.warn('Email failed, scheduled for retry', { 
-        emailId: emailDoc._id, 
-        retryCount: emailDoc.retryCount 
+    // Create bounced email record
+    const bouncedEmail = new BouncedEmail({
+      originalEmailId: emailDoc._id,
+      sender: emailDoc.sender,
+      recipients: failed.map(d => d.recipient),
+      subject: emailDoc.subject,
+      text: emailDoc.text,
+      html: emailDoc.html,
+      attachments: emailDoc.attachments,
+      raw: emailDoc.raw,
+      authenticatedUsername: emailDoc.authenticatedUsername,
+      bounceType: failed.some(d => d.lastResponseCode >= 500) ? 'permanent' : 'transient',
+      bounceReason: failed.some(d => d.lastResponseCode >= 500) ? 'Rejected by remote server' : 'Queue lifetime exceeded',
+      bounceCode: failed.find(d => d.lastResponseCode)?.lastResponseCode?.toString() || 'PERMANENT_FAILURE',
+      bounceMessage: emailDoc.finalError,
+      bouncedAt: new Date(),
+      originalSentAt: emailDoc.sentAt,
+      originalStatus: emailDoc.status
+    });
+      
+    await bouncedEmail.save();
+    emailDoc.bouncedEmailId = bouncedEmail._id;
+    await emailDoc.save();
+      
+    logger.error('Email permanently failed for some recipients', { 
+      emailId: emailDoc._id, 
+      bouncedEmailId: bouncedEmail._id,
+      sent: sent.length,
+      failed: failed.length,
+      finalError: emailDoc.finalError
+    });
+
+    // Send failure webhook for permanent failure
+    await WebhookService.sendWebhookWithRetry('failure', emailDoc, result);
+  }
+
+  /**
+   * Bounce failed recipients and warn about long-deferred ones. A DSN that
+   * cannot be generated must not hold up the queue.
+   */
+  async notifySender(emailDoc) {
+    try {
+      await DSNService.sendFailureNotification(emailDoc);
+      await DSNService.sendDelayNotification(emailDoc);
+    } catch (error) {
+      logger.error('Failed to send delivery status notification', {
+        emailId: emailDoc._id,
+        error: error.message
       });
+    }
+  }
 
-      // Send failure webhook for temporary failure
-      await WebhookService.sendWebhookWithRetry('failure', emailDoc, result);
+  /**
+   * The attempt failed before any recipient got an answer (IP selection,
+   * database or unexpected errors) - defer every pending recipient
+   */
+  async handleFailedEmail(emailDoc, error) {
+    try {
+      this.ensureDeliveries(emailDoc);
+      const results = this.getPendingDeliveries(emailDoc).map(d => ({
+        success: false,
+        recipient: d.recipient,
+        error: error.message,
+        timestamp: new Date()
+      }));
+
+      this.applyResults(emailDoc, results);
+      await this.finalizeEmail(emailDoc, { success: false, results });
+    } catch (saveError) {
+      logger.error('Failed to record email failure', {
+        emailId: emailDoc._id,
+        error: saveError.message
+      });
     }
   }
 
+  /**
+   * Per-recipient breakdown for the API
+   */
+  getDeliverySummary(emailDoc) {
+    const deliveries = emailDoc.deliveries || [];
+    const count = (status) => deliveries.filter(d => d.status === status).length;
+
+    return {
+      total: deliveries.length,
+      pending: count('pending'),
+      deferred: count('deferred'),
+      sent: count('sent'),
+      failed: count('failed'),
+      recipients: deliveries.map(d => ({
+        recipient: d.recipient,
+        status: d.status,
+        attemptCount: d.attemptCount,
+        lastAttempt: d.lastAttempt,
+        lastResponseCode: d.lastResponseCode,
+        lastResponse: d.lastResponse,
+        nextRetryAt: d.nextRetryAt,
+        deliveredAt: d.deliveredAt,
+        failedAt: d.failedAt,
+        attempts: d.attempts
+      }))
+    };
+  }
+
+  /**
+   * Deferred recipients give up once the email has been queued longer than
+   * the configured lifetime
+   */
+  isExpired(emailDoc, now = new Date()) {
+    const queuedAt = new Date(emailDoc.createdAt || now).getTime();
+    return now.getTime() - queuedAt >= config.outbound.queueLifetime;
+  }
+
   getRetryDelay(retryCount) {
     return this.retryDelays[retryCount] || this.retryDelays[this.retryDelays.length - 1];
   }
@@ -317,10 +520,21 @@ class EmailQueue {
         throw new Error('Email already sent successfully');
       }
 
-      // Reset retry count and status
+      // Reset retry count and status - recipients that were already
+      // delivered are left alone
+      this.ensureDeliveries(email);
+      for (const delivery of email.deliveries) {
+        if (delivery.status !== 'sent') {
+          delivery.status = 'pending';
+          delivery.attemptCount = 0;
+          delivery.nextRetryAt = null;
+          delivery.failedAt = null;
+        }
+      }
       email.status = 'pending';
       email.retryCount = 0;
       email.lastAttempt = null;
+      email.nextRetryAt = null;
       await email.save();
 
       logger.info('Email reset for retry', { emailId: email._id });
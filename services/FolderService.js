@@ -0,0 +1,382 @@
+const Folder = require('../models/Folder');
+const Email = require('../models/Email');
+const Tombstone = require('../models/Tombstone');
+const Metadata = require('../models/Metadata');
+const QuotaService = require('./QuotaService');
+const logger = require('../utils/logger');
+
+const DELIMITER = '/';
+
+// Created for every user on first use
+const DEFAULT_FOLDERS = ['INBOX', 'Sent', 'Drafts', 'Trash', 'Spam'];
+
+// RFC 6154 attributes given to folders created under these names
+const SPECIAL_USE_NAMES = {
+  Sent: '\\Sent',
+  Drafts: '\\Drafts',
+  Trash: '\\Trash',
+  Spam: '\\Junk',
+  Junk: '\\Junk'
+};
+
+// RFC 6154 attributes a folder can be given with CREATE (USE (...)) or /private/specialuse.
+// \All and \Flagged name virtual folders gathered from other folders, which UIDs kept
+// per folder cannot serve, so they are refused.
+const SPECIAL_USES = ['\\Archive', '\\Drafts', '\\Junk', '\\Sent', '\\Trash'];
+const VIRTUAL_SPECIAL_USES = ['\\All', '\\Flagged'];
+
+/**
+ * Per-user IMAP folders: hierarchy, subscriptions and the UID and modseq
+ * bookkeeping for each folder. Messages refer to a folder by name through Email.mailbox,
+ * so renaming or deleting a folder updates or removes that user's messages.
+ */
+class FolderService {
+  constructor() {
+    this.lastUidValidity = 0;
+    this.initialized = new Set(); // usernames whose default folders exist
+  }
+
+  get delimiter() {
+    return DELIMITER;
+  }
+
+  get specialUses() {
+    return SPECIAL_USES;
+  }
+
+  /**
+   * INBOX is case-insensitive (RFC 3501 5.1), including as a parent
+   */
+  normalizeName(name) {
+    const value = String(name || '').trim();
+    if (/^inbox$/i.test(value)) {
+      return 'INBOX';
+    }
+    if (value.toUpperCase().startsWith(`INBOX${DELIMITER}`)) {
+      return `INBOX${value.slice(5)}`;
+    }
+    return value;
+  }
+
+  /**
+   * Reject names IMAP clients cannot round-trip
+   */
+  static validateName(name) {
+    if (!name || name.length > 255) {
+      throw FolderService.error('Folder name must be 1 to 255 characters', 400, 'CANNOT');
+    }
+    if (/[\x00-\x1f\x7f*%"\\]/.test(name)) {
+      throw FolderService.error('Folder name contains invalid characters', 400, 'CANNOT');
+    }
+    if (name.startsWith(DELIMITER) || name.endsWith(DELIMITER) || name.includes(DELIMITER + DELIMITER)) {
+      throw FolderService.error('Folder name has an empty hierarchy level', 400, 'CANNOT');
+    }
+  }
+
+  /**
+   * Seconds since the epoch, strictly increasing so a folder deleted and
+   * created again within a second still gets a new UIDVALIDITY
+   */
+  nextUidValidity() {
+    const now = Math.floor(Date.now() / 1000);
+    this.lastUidValidity = Math.max(now, this.lastUidValidity + 1);
+    return this.lastUidValidity;
+  }
+
+  async getFolder(username, name) {
+    return Folder.findOne({ username: username.toLowerCase(), name: this.normalizeName(name) });
+  }
+
+  /**
+   * All of a user's folders, sorted by name. Creates the default folders,
+   * and records folders that so far only existed as Email.mailbox values.
+   */
+  async listFolders(username) {
+    const owner = username.toLowerCase();
+    if (!this.initialized.has(owner)) {
+      const names = await Email.distinct('mailbox', { authenticatedUsername: owner });
+      for (const name of [...DEFAULT_FOLDERS, ...names.filter(Boolean)]) {
+        await this.ensureFolder(owner, name);
+      }
+      this.initialized.add(owner);
+    }
+    return Folder.find({ username: owner }).sort({ name: 1 });
+  }
+
+  /**
+   * Get a folder, creating it and any missing parents. Used where mail is
+   * filed into a folder that may not exist yet (delivery, Sieve fileinto).
+   */
+  async ensureFolder(username, name) {
+    const owner = username.toLowerCase();
+    const path = this.normalizeName(name);
+    let folder = null;
+
+    const levels = path.split(DELIMITER);
+    for (let i = 1; i <= levels.length; i++) {
+      const level = levels.slice(0, i).join(DELIMITER);
+      folder = await Folder.findOne({ username: owner, name: level });
+      if (!folder) {
+        folder = await this.insertFolder(owner, level);
+      }
+    }
+    return folder;
+  }
+
+  async insertFolder(username, name) {
+    // Messages stored before the folder was recorded keep their UIDs
+    const last = await Email.findOne({ authenticatedUsername: username, mailbox: name }).sort({ uid: -1 }).select('uid');
+
+    try {
+      const folder = await new Folder({
+        username,
+        name,
+        delimiter: DELIMITER,
+        specialUse: SPECIAL_USE_NAMES[name] || null,
+        uidValidity: this.nextUidValidity(),
+        uidNext: (last?.uid || 0) + 1
+      }).save();
+      logger.debug('📁 Folder created', { username, name });
+      return folder;
+    } catch (error) {
+      // Created concurrently by another delivery or session
+      if (error.code === 11000) {
+        return Folder.findOne({ username, name });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve the next UID of a folder, creating the folder if needed. The
+   * counter only moves forward, so a UID is never handed out twice, even
+   * when messages are delivered to the folder concurrently.
+   */
+  async allocateUid(username, name) {
+    const folder = await this.increment(username, name, 'uidNext');
+    return folder.uidNext;
+  }
+
+  /**
+   * Next modification sequence of a folder (RFC 7162). Every change to a
+   * message in the folder, and every expunge, takes a new one, so
+   * HIGHESTMODSEQ tells clients whether anything changed since they looked.
+   */
+  async allocateModseq(username, name) {
+    const folder = await this.increment(username, name, 'highestModseq');
+    return folder.highestModseq + 1;
+  }
+
+  // Add one to a folder counter, creating the folder if needed; returns the folder as it was before
+  async increment(username, name, field) {
+    const owner = username.toLowerCase();
+    const path = this.normalizeName(name);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const folder = await Folder.findOneAndUpdate(
+        { username: owner, name: path },
+        { $inc: { [field]: 1 } },
+        { new: false, projection: { [field]: 1 } }
+      );
+      if (folder) {
+        return folder;
+      }
+      await this.ensureFolder(owner, path);
+    }
+    throw FolderService.error('Folder could not be created', 500);
+  }
+
+  /**
+   * Remember UIDs expunged from a folder, for QRESYNC
+   * @returns {number} - The expunge's modseq
+   */
+  async recordExpunged(username, name, uids) {
+    if (uids.length === 0) {
+      return null;
+    }
+    const owner = username.toLowerCase();
+    const path = this.normalizeName(name);
+    const modseq = await this.allocateModseq(owner, path);
+    await Tombstone.insertMany(uids.map(uid => ({ username: owner, mailbox: path, uid, modseq })));
+    return modseq;
+  }
+
+  /**
+   * UIDs expunged from a folder after a modseq, ascending
+   * @param {Array} uids - Only report these, when given
+   */
+  async getExpungedSince(username, name, modseq, uids = null) {
+    const query = { username: username.toLowerCase(), mailbox: this.normalizeName(name), modseq: { $gt: modseq } };
+    if (uids) {
+      query.uid = { $in: uids };
+    }
+    const tombstones = await Tombstone.find(query, { uid: 1 });
+    return [...new Set(tombstones.map(tombstone => tombstone.uid))].sort((a, b) => a - b);
+  }
+
+  /**
+   * IMAP CREATE: parents are created as needed (RFC 3501 6.3.3)
+   * @param {Array} uses - CREATE-SPECIAL-USE attributes (RFC 6154), e.g. ['\\Archive'];
+   *   when given they replace the attribute the folder would get from its name
+   */
+  async createFolder(username, name, uses = null) {
+    const owner = username.toLowerCase();
+    const path = this.normalizeName(name).replace(new RegExp(`${DELIMITER}$`), '');
+    FolderService.validateName(path);
+    const specialUse = uses ? FolderService.validateSpecialUse(uses) : null;
+
+    await this.listFolders(owner);
+    if (await Folder.findOne({ username: owner, name: path })) {
+      throw FolderService.error('Folder already exists', 409, 'ALREADYEXISTS');
+    }
+
+    const folder = await this.ensureFolder(owner, path);
+    if (uses && folder.specialUse !== specialUse) {
+      folder.specialUse = specialUse;
+      await folder.save();
+    }
+    return folder;
+  }
+
+  /**
+   * Give a folder a special-use attribute, or take it away with []
+   * @param {Array} uses - e.g. ['\\Archive']
+   */
+  async setSpecialUse(username, name, uses) {
+    const folder = await this.getFolder(username, name);
+    if (!folder) {
+      throw FolderService.error('Folder does not exist', 404, 'NONEXISTENT');
+    }
+    folder.specialUse = FolderService.validateSpecialUse(uses);
+    await folder.save();
+    logger.info('📁 Folder special use changed', { username: folder.username, name: folder.name, specialUse: folder.specialUse });
+    return folder;
+  }
+
+  /**
+   * IMAP DELETE: removes the folder and the user's messages in it
+   */
+  async deleteFolder(username, name) {
+    const owner = username.toLowerCase();
+    const path = this.normalizeName(name);
+    if (path === 'INBOX') {
+      throw FolderService.error('INBOX cannot be deleted', 400, 'CANNOT');
+    }
+
+    const folder = await Folder.findOne({ username: owner, name: path });
+    if (!folder) {
+      throw FolderService.error('Folder does not exist', 404, 'NONEXISTENT');
+    }
+    const child = await Folder.findOne({ username: owner, name: { $regex: `^${FolderService.escapeRegex(path + DELIMITER)}` } });
+    if (child) {
+      throw FolderService.error('Folder has child folders', 400, 'HASCHILDREN');
+    }
+
+    const emails = await Email.find({ authenticatedUsername: owner, mailbox: path }, { size: 1 });
+    const result = await Email.deleteMany({ authenticatedUsername: owner, mailbox: path });
+    await QuotaService.release(owner, emails);
+    await Tombstone.deleteMany({ username: owner, mailbox: path });
+    await Metadata.deleteMany({ username: owner, mailbox: path });
+    await Folder.deleteOne({ _id: folder._id });
+    logger.info('📁 Folder deleted', { username: owner, name: path, messages: result.deletedCount });
+  }
+
+  /**
+   * IMAP RENAME: child folders move along. Renaming INBOX moves its messages
+   * to the new folder and leaves INBOX empty (RFC 3501 6.3.5).
+   */
+  async renameFolder(username, oldName, newName) {
+    const owner = username.toLowerCase();
+    const from = this.normalizeName(oldName);
+    const to = this.normalizeName(newName);
+    FolderService.validateName(to);
+
+    const folder = await Folder.findOne({ username: owner, name: from });
+    if (!folder) {
+      throw FolderService.error('Folder does not exist', 404, 'NONEXISTENT');
+    }
+    if (await Folder.findOne({ username: owner, name: to })) {
+      throw FolderService.error('Folder already exists', 409, 'ALREADYEXISTS');
+    }
+    if (to.startsWith(from + DELIMITER)) {
+      throw FolderService.error('Folder cannot be moved into itself', 400, 'CANNOT');
+    }
+
+    if (from === 'INBOX') {
+      const target = await this.ensureFolder(owner, to);
+      const moved = await Email.find({ authenticatedUsername: owner, mailbox: 'INBOX' }, { uid: 1 });
+      await Email.updateMany({ authenticatedUsername: owner, mailbox: 'INBOX' }, { $set: { mailbox: to } });
+      await this.recordExpunged(owner, 'INBOX', moved.map(email => email.uid).filter(Boolean));
+
+      // The moved messages keep their UIDs, so the new folder continues INBOX's counter
+      const inbox = await Folder.findOne({ username: owner, name: 'INBOX' });
+      target.uidNext = Math.max(target.uidNext, inbox.uidNext);
+      await target.save();
+      logger.info('📁 INBOX renamed', { username: owner, name: to });
+      return;
+    }
+
+    // Parents of the new name must exist; the renamed folders keep their UIDVALIDITY
+    const parent = to.split(DELIMITER).slice(0, -1).join(DELIMITER);
+    if (parent) {
+      await this.ensureFolder(owner, parent);
+    }
+
+    const children = await Folder.find({ username: owner, name: { $regex: `^${FolderService.escapeRegex(from + DELIMITER)}` } })
+      .sort({ name: 1 });
+    for (const renamed of [folder, ...children]) {
+      const previous = renamed.name;
+      renamed.name = to + previous.slice(from.length);
+      await renamed.save();
+      await Email.updateMany({ authenticatedUsername: owner, mailbox: previous }, { $set: { mailbox: renamed.name } });
+      await Tombstone.updateMany({ username: owner, mailbox: previous }, { $set: { mailbox: renamed.name } });
+      await Metadata.updateMany({ username: owner, mailbox: previous }, { $set: { mailbox: renamed.name } });
+    }
+    logger.info('📁 Folder renamed', { username: owner, from, to });
+  }
+
+  async setSubscribed(username, name, subscribed) {
+    const folder = await this.getFolder(username, name);
+    if (!folder) {
+      throw FolderService.error('Folder does not exist', 404, 'NONEXISTENT');
+    }
+    folder.subscribed = subscribed;
+    await folder.save();
+    return folder;
+  }
+
+  /**
+   * One supported special-use attribute, matched case-insensitively, or null for none
+   * @returns {string|null} - e.g. \Archive
+   */
+  static validateSpecialUse(uses) {
+    if (uses.length > 1) {
+      throw FolderService.error('Only one special use per folder', 400, 'USEATTR');
+    }
+    if (uses.length === 0) {
+      return null;
+    }
+    const virtual = VIRTUAL_SPECIAL_USES.find(value => value.toLowerCase() === String(uses[0]).toLowerCase());
+    if (virtual) {
+      throw FolderService.error(`Virtual special use ${virtual} not supported`, 400, 'USEATTR');
+    }
+    const use = SPECIAL_USES.find(value => value.toLowerCase() === String(uses[0]).toLowerCase());
+    if (!use) {
+      throw FolderService.error(`Unsupported special use ${uses[0]}`, 400, 'USEATTR');
+    }
+    return use;
+  }
+
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static error(message, status, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new FolderService();
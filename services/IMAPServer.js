@@ -1,9 +1,20 @@
 const net = require('net');
 const tls = require('tls');
 const Email = require('../models/Email');
+const FolderService = require('./FolderService');
+const AclService = require('./AclService');
+const MetadataService = require('./MetadataService');
+const QuotaService = require('./QuotaService');
+const DomainService = require('./DomainService');
+const SMTPAuthService = require('./SMTPAuthService');
+const MailboxEvents = require('./MailboxEvents');
 const logger = require('../utils/logger');
 const IMAPSearchParser = require('../utils/IMAPSearchParser');
 const IMAPSortParser = require('../utils/IMAPSortParser');
+const IMAPCommandParser = require('../utils/IMAPCommandParser');
+const IMAPCommandReader = require('../utils/IMAPCommandReader');
+const IMAPBodyStructure = require('../utils/IMAPBodyStructure');
+const MIMEParser = require('../utils/MIMEParser');
 
 class IMAPServer {
   constructor() {
@@ -11,14 +22,29 @@ class IMAPServer {
     this.connections = new Map();
     this.searchParser = new IMAPSearchParser();
     this.sortParser = new IMAPSortParser();
-    this.idleConnections = new Map();
-    this.mailboxes = new Map(); // Store mailbox metadata
-    this.subscriptions = new Map(); // Store user subscriptions
+    this.watchers = new Map(); // session state -> changes to report for its selected mailbox
+    this.mailboxListener = (event, origin) => {
+      this.notifyMailboxChange(event, origin).catch((error) => {
+        logger.error('Error notifying IMAP sessions', { error: error.message, mailbox: event.mailbox });
+      });
+    };
+    this.tlsOptions = null; // loaded in start(), also used for STARTTLS on port 143
+    this.requireTLS = false;
+    this.quotaAdmins = new Set(); // users allowed to SETQUOTA and read any quota root
   }
 
   start() {
     const config = require('../config/config');
-    
+    this.tlsOptions = this.getSSLOptions();
+    this.requireTLS = config.imap.requireTLS;
+    this.quotaAdmins = new Set(config.imap.quotaAdmins);
+
+    if (this.requireTLS && !this.hasTLSCertificate()) {
+      logger.warn('IMAP_REQUIRE_TLS is set but no certificate is available, plain-text login stays enabled');
+    }
+
+    MailboxEvents.on('change', this.mailboxListener);
+
     // Start IMAP server on port 143 (no SSL)
     this.startServer(config.server.ports.imap143, 'plain', config.server.host);
     
@@ -36,7 +62,7 @@ class IMAPServer {
 
     if (mode === 'ssl') {
       // SSL server for port 993
-      const sslOptions = this.getSSLOptions();
+      const sslOptions = this.tlsOptions;
       if (sslOptions === null) {
         // SSL disabled for development, use regular TCP server
         logger.info(`Using regular TCP server for IMAP port ${port} (SSL disabled)`);
@@ -100,41 +126,125 @@ class IMAPServer {
     let state = 'NOT_AUTHENTICATED';
     let currentUser = null;
     let selectedMailbox = null;
+    let readOnly = false;
+    let selectedRights = ''; // RFC 4314 rights on the selected mailbox
+    let secure = mode === 'ssl';
     let tag = 'A001';
-    let waitingForContinuation = false;
+    const enabled = new Set(); // extensions turned on with ENABLE, or implicitly (CONDSTORE)
+
+    const config = require('../config/config');
+    const reader = new IMAPCommandReader({ maxLiteralSize: config.imap.maxLiteralSize });
+    let processing = false;
+    let lineWaiter = null; // handler waiting for a raw line (AUTHENTICATE, IDLE)
+
+    const handlers = {
+      setState: (s) => { state = s; },
+      getState: () => state,
+      setUser: (u) => { currentUser = u; },
+      getUser: () => currentUser,
+      setMailbox: (m) => { selectedMailbox = m; },
+      getMailbox: () => selectedMailbox,
+      setReadOnly: (r) => { readOnly = r; },
+      isReadOnly: () => readOnly,
+      setRights: (r) => { selectedRights = r; },
+      getRights: () => selectedRights,
+      enable: (extension) => { enabled.add(extension); },
+      isEnabled: (extension) => enabled.has(extension),
+      isSecure: () => secure,
+      // Continue the session over TLS on the same connection (RFC 3501 6.2.1)
+      startTLS: () => {
+        const tlsSocket = new tls.TLSSocket(socket, { isServer: true, ...this.tlsOptions });
+        socket.removeListener('data', onData);
+        socket = tlsSocket;
+        secure = true;
+
+        // Anything the client sent before the handshake is discarded
+        reader.clear();
+
+        tlsSocket.on('data', onData);
+        tlsSocket.on('secure', () => {
+          logger.info('🔒 IMAP TLS established', { connectionId });
+        });
+        tlsSocket.on('error', (error) => {
+          logger.error('IMAP TLS error', { error: error.message, connectionId });
+          tlsSocket.destroy();
+        });
+      },
+      getTag: () => tag,
+      incrementTag: () => { tag = this.incrementTag(tag); },
+      // Next line from the client, or null once it has gone
+      readLine: () => new Promise((resolve) => {
+        const line = reader.readLine();
+        if (line !== null) {
+          resolve(line);
+        } else {
+          lineWaiter = resolve;
+        }
+      })
+    };
+
+    // Commands run one at a time, in the order they arrived
+    const processInput = async () => {
+      if (processing) return;
+      processing = true;
+
+      try {
+        let command;
+        while ((command = reader.read())) {
+          if (command.continuation) {
+            socket.write('+ Ready for literal data\r\n');
+            continue;
+          }
+
+          if (command.error) {
+            const code = command.code ? `[${command.code}] ` : '';
+            if (command.fatal) {
+              socket.write(`* BYE ${code}${command.error}\r\n`);
+              socket.end();
+              return;
+            }
+            socket.write(`${command.tag || '*'} ${command.code ? 'NO' : 'BAD'} ${code}${command.error}\r\n`);
+            continue;
+          }
+
+          try {
+            await this.handleIMAPCommand(socket, command, handlers, connectionId);
+          } catch (error) {
+            logger.error('Error handling IMAP command', { error: error.message, connectionId });
+            socket.write(`${command.tag} BAD Command failed\r\n`);
+          }
+        }
+      } finally {
+        processing = false;
+      }
+    };
 
     // Send welcome message
     socket.write('* OK IMAP4rev1 Service Ready\r\n');
 
-    socket.on('data', async (chunk) => {
-      // Skip main command processing if waiting for continuation data
-      if (waitingForContinuation) {
+    const onData = (chunk) => {
+      reader.push(chunk);
+
+      if (lineWaiter) {
+        const line = reader.readLine();
+        if (line === null) return;
+        const resolve = lineWaiter;
+        lineWaiter = null;
+        resolve(line);
         return;
       }
 
-      const lines = chunk.toString().split(/\r?\n/);
+      processInput();
+    };
 
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (!trimmedLine) continue;
+    socket.on('data', onData);
 
-        try {
-          await this.handleIMAPCommand(socket, trimmedLine, {
-            setState: (s) => { state = s; },
-            getState: () => state,
-            setUser: (u) => { currentUser = u; },
-            getUser: () => currentUser,
-            setMailbox: (m) => { selectedMailbox = m; },
-            getMailbox: () => selectedMailbox,
-            getTag: () => tag,
-            incrementTag: () => { tag = this.incrementTag(tag); },
-            setWaitingForContinuation: (w) => { waitingForContinuation = w; },
-            getWaitingForContinuation: () => waitingForContinuation
-          }, connectionId);
-        } catch (error) {
-          logger.error('Error handling IMAP command', { error: error.message, connectionId });
-          socket.write(`${tag} BAD Command failed\r\n`);
-        }
+    socket.on('close', () => {
+      reader.clear();
+      this.watchers.delete(handlers);
+      if (lineWaiter) {
+        lineWaiter(null);
+        lineWaiter = null;
       }
     });
 
@@ -156,29 +266,42 @@ class IMAPServer {
     this.connections.set(connectionId, { socket, state, user: currentUser, port });
   }
 
-  async handleIMAPCommand(socket, line, state, connectionId) {
-    const parts = line.split(' ');
-    const tag = parts[0];
-    const command = parts[1]?.toUpperCase() || '';
+  /**
+   * @param {Object} parsed - { tag, command, args, quoted } from IMAPCommandReader
+   */
+  async handleIMAPCommand(socket, parsed, state, connectionId) {
+    const { tag, command, args } = parsed;
 
-    // Debug logging
-    logger.info('IMAP Command received', { tag, command, parts, line });
+    // Arguments can hold passwords and message literals, so only the command is logged
+    logger.info('IMAP Command received', { tag, command, connectionId });
 
-    // Pass parts.slice(2) to handlers (excludes tag and command)
-    const args = parts.slice(2);
+    // Report mailbox changes from elsewhere, but not ahead of commands whose message numbers
+    // the client chose before hearing about them (RFC 3501 7.4.1); UID forms name messages by UID
+    if (!['FETCH', 'STORE', 'SEARCH', 'COPY', 'MOVE'].includes(command)) {
+      await this.flushMailboxChanges(socket, state);
+    }
 
     switch (command) {
       case 'CAPABILITY':
-        await this.handleCapability(socket, tag);
+        await this.handleCapability(socket, tag, state);
+        break;
+      case 'STARTTLS':
+        if (state.getState() === 'NOT_AUTHENTICATED') {
+          await this.handleStartTLS(socket, state, tag);
+        } else {
+          socket.write(`${tag} BAD Already authenticated\r\n`);
+        }
         break;
       case 'ID':
         await this.handleId(socket, args, state, tag);
         break;
       case 'AUTHENTICATE':
-        if (state.getState() === 'NOT_AUTHENTICATED') {
-          await this.handleAuthenticate(socket, args, state, tag);
-        } else {
+        if (state.getState() !== 'NOT_AUTHENTICATED') {
           socket.write(`${tag} BAD Already authenticated\r\n`);
+        } else if (!this.canLogin(state)) {
+          socket.write(`${tag} NO [PRIVACYREQUIRED] Use STARTTLS first\r\n`);
+        } else {
+          await this.handleAuthenticate(socket, args, state, tag);
         }
         break;
       case 'NOOP':
@@ -190,21 +313,23 @@ class IMAPServer {
         socket.end();
         break;
       case 'LOGIN':
-        if (state.getState() === 'NOT_AUTHENTICATED') {
-          await this.handleLogin(socket, args, state, tag);
-        } else {
+        if (state.getState() !== 'NOT_AUTHENTICATED') {
           socket.write(`${tag} BAD Already authenticated\r\n`);
+        } else if (!this.canLogin(state)) {
+          socket.write(`${tag} NO [PRIVACYREQUIRED] Use STARTTLS first\r\n`);
+        } else {
+          await this.handleLogin(socket, args, state, tag);
         }
         break;
       case 'SELECT':
-        if (state.getState() === 'AUTHENTICATED') {
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
           await this.handleSelect(socket, args, state, tag);
         } else {
           socket.write(`${tag} BAD Not authenticated\r\n`);
         }
         break;
       case 'LIST':
-        if (state.getState() === 'AUTHENTICATED') {
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
           await this.handleList(socket, args, state, tag);
         } else {
           socket.write(`${tag} BAD Not authenticated\r\n`);
@@ -350,6 +475,13 @@ class IMAPServer {
           socket.write(`${tag} BAD Not authenticated\r\n`);
         }
         break;
+      case 'ENABLE':
+        if (state.getState() === 'AUTHENTICATED') {
+          await this.handleEnable(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD ENABLE is only valid before SELECT\r\n`);
+        }
+        break;
       case 'NAMESPACE':
         if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
           await this.handleNamespace(socket, args, state, tag);
@@ -357,6 +489,76 @@ class IMAPServer {
           socket.write(`${tag} BAD Not authenticated\r\n`);
         }
         break;
+      case 'GETQUOTA':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleGetQuota(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'GETQUOTAROOT':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleGetQuotaRoot(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'SETQUOTA':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleSetQuota(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'SETACL':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleSetAcl(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'DELETEACL':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleDeleteAcl(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'GETACL':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleGetAcl(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'LISTRIGHTS':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleListRights(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'MYRIGHTS':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleMyRights(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'GETMETADATA':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleGetMetadata(socket, args, state, tag);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
+      case 'SETMETADATA':
+        if (state.getState() === 'AUTHENTICATED' || state.getState() === 'SELECTED') {
+          await this.handleSetMetadata(socket, args, state, tag, parsed.quoted);
+        } else {
+          socket.write(`${tag} BAD Not authenticated\r\n`);
+        }
+        break;
       case 'CHECK':
         if (state.getState() === 'SELECTED') {
           socket.write(`${tag} OK CHECK completed\r\n`);
@@ -368,20 +570,27 @@ class IMAPServer {
         logger.warn('Unknown IMAP command received', {
           tag,
           command,
-          fullLine: line,
-          parts,
+          args: args.length,
           connectionId
         });
         socket.write(`${tag} BAD Unknown command: ${command}\r\n`);
     }
   }
 
-  async handleCapability(socket, tag) {
-    const capabilities = [
-      'IMAP4rev1',
-      'STARTTLS',
-      'AUTH=PLAIN',
-      'AUTH=LOGIN',
+  async handleCapability(socket, tag, state) {
+    const capabilities = ['IMAP4rev1', 'LITERAL+'];
+
+    // Capabilities change once TLS is active, so clients ask again after STARTTLS
+    if (!state.isSecure() && this.hasTLSCertificate()) {
+      capabilities.push('STARTTLS');
+    }
+    if (this.canLogin(state)) {
+      capabilities.push('AUTH=PLAIN', 'AUTH=LOGIN');
+    } else {
+      capabilities.push('LOGINDISABLED');
+    }
+
+    capabilities.push(
       'IDLE',
       'NAMESPACE',
       'ID',
@@ -395,16 +604,48 @@ class IMAPServer {
       'WITHIN',
       'CONDSTORE',
       'QRESYNC',
+      'QUOTA',
+      'QUOTA=RES-STORAGE',
+      'QUOTA=RES-MESSAGE',
+      'QUOTASET',
+      'ACL',
+      'RIGHTS=texk',
       'MOVE',
       'SPECIAL-USE',
+      'CREATE-SPECIAL-USE',
+      'METADATA',
       'UNSELECT',
       'CHILDREN'
-    ];
+    );
 
     socket.write('* CAPABILITY ' + capabilities.join(' ') + '\r\n');
     socket.write(`${tag} OK CAPABILITY completed\r\n`);
   }
 
+  async handleStartTLS(socket, state, tag) {
+    if (state.isSecure()) {
+      socket.write(`${tag} BAD TLS already active\r\n`);
+      return;
+    }
+    if (!this.hasTLSCertificate()) {
+      socket.write(`${tag} NO TLS not available\r\n`);
+      return;
+    }
+
+    socket.write(`${tag} OK Begin TLS negotiation now\r\n`);
+    state.startTLS();
+  }
+
+  // STARTTLS needs a certificate; without one port 993 only gets an empty TLS context
+  hasTLSCertificate() {
+    return !!(this.tlsOptions && this.tlsOptions.cert && this.tlsOptions.key);
+  }
+
+  // Plain-text credentials wait for TLS when IMAP_REQUIRE_TLS is set and TLS is available
+  canLogin(state) {
+    return state.isSecure() || !this.requireTLS || !this.hasTLSCertificate();
+  }
+
   async handleId(socket, args, state, tag) {
     // RFC 2971 - ID extension for client/server identification
     // Client sends ID (key val key val ...), server responds with same format
@@ -430,79 +671,56 @@ class IMAPServer {
 
     const mechanism = args[0].toUpperCase();
 
-    if (mechanism === 'PLAIN') {
-      // PLAIN: client sends base64(\0username\0password)
-      state.setWaitingForContinuation(true);
-      socket.write('+ \r\n'); // Ready for credentials
-
-      // Set up one-time listener for the authentication data
-      const authListener = (data) => {
-        const authData = data.toString().trim();
-
-        try {
-          // Decode base64 and extract username/password
-          const decoded = Buffer.from(authData, 'base64').toString('utf8');
-          const parts = decoded.split('\0');
-          const username = parts[1] || parts[0];
-          const password = parts[2] || parts[1];
-
-          if (username && password) {
-            state.setUser(username);
-            state.setState('AUTHENTICATED');
-            socket.write(`${tag} OK AUTHENTICATE completed\r\n`);
-            logger.info('IMAP AUTHENTICATE PLAIN successful', { user: username, connectionId: tag });
-          } else {
-            socket.write(`${tag} NO AUTHENTICATE failed\r\n`);
-          }
-        } catch (error) {
-          socket.write(`${tag} BAD AUTHENTICATE failed\r\n`);
-          logger.error('AUTHENTICATE PLAIN error', { error: error.message });
-        }
+    // A response of * cancels the exchange (RFC 3501 6.2.2)
+    const readResponse = async (challenge) => {
+      socket.write(`+ ${challenge}\r\n`);
+      const line = await state.readLine();
+      if (line === null || line.trim() === '*') {
+        return null;
+      }
+      return Buffer.from(line.trim(), 'base64').toString('utf8');
+    };
 
-        socket.removeListener('data', authListener);
-        state.setWaitingForContinuation(false);
-      };
+    let username;
+    let password;
 
-      socket.once('data', authListener);
+    if (mechanism === 'PLAIN') {
+      // PLAIN: client sends base64(\0username\0password)
+      const decoded = await readResponse('');
+      if (decoded === null) {
+        socket.write(`${tag} BAD AUTHENTICATE cancelled\r\n`);
+        return;
+      }
+      // authzid \0 authcid \0 password; acting as another user is not supported
+      const [authzid, authcid, secret] = decoded.split('\0');
+      if (!authzid || authzid.toLowerCase() === (authcid || '').toLowerCase()) {
+        username = authcid;
+        password = secret;
+      }
 
     } else if (mechanism === 'LOGIN') {
       // LOGIN: interactive username/password exchange
-      state.setWaitingForContinuation(true);
-      socket.write('+ VXNlcm5hbWU6\r\n'); // base64("Username:")
-
-      let step = 0;
-      let username = '';
-
-      const loginListener = (data) => {
-        const input = data.toString().trim();
-
-        if (step === 0) {
-          // Received username
-          username = Buffer.from(input, 'base64').toString('utf8');
-          socket.write('+ UGFzc3dvcmQ6\r\n'); // base64("Password:")
-          step = 1;
-        } else if (step === 1) {
-          // Received password
-          const password = Buffer.from(input, 'base64').toString('utf8');
-
-          if (username && password) {
-            state.setUser(username);
-            state.setState('AUTHENTICATED');
-            socket.write(`${tag} OK AUTHENTICATE completed\r\n`);
-            logger.info('IMAP AUTHENTICATE LOGIN successful', { user: username, connectionId: tag });
-          } else {
-            socket.write(`${tag} NO AUTHENTICATE failed\r\n`);
-          }
-
-          socket.removeListener('data', loginListener);
-          state.setWaitingForContinuation(false);
-        }
-      };
-
-      socket.on('data', loginListener);
+      username = await readResponse('VXNlcm5hbWU6'); // base64("Username:")
+      password = username === null ? null : await readResponse('UGFzc3dvcmQ6'); // base64("Password:")
+      if (password === null) {
+        socket.write(`${tag} BAD AUTHENTICATE cancelled\r\n`);
+        return;
+      }
 
     } else {
       socket.write(`${tag} NO AUTHENTICATE mechanism not supported\r\n`);
+      return;
+    }
+
+    const result = username && password ? await SMTPAuthService.authenticateUser(username, password) : { success: false };
+    if (result.success) {
+      state.setUser(result.username);
+      state.setState('AUTHENTICATED');
+      socket.write(`${tag} OK AUTHENTICATE completed\r\n`);
+      logger.info(`IMAP AUTHENTICATE ${mechanism} successful`, { user: result.username, connectionId: tag });
+    } else {
+      socket.write(`${tag} NO [AUTHENTICATIONFAILED] AUTHENTICATE failed\r\n`);
+      logger.warn(`IMAP AUTHENTICATE ${mechanism} failed`, { user: username, connectionId: tag });
     }
   }
 
@@ -515,44 +733,64 @@ class IMAPServer {
     const username = args[0];
     const password = args[1];
 
-    // Simple authentication (for demo purposes)
-    // In production, implement proper authentication
-    if (username && password) {
-      state.setUser(username);
+    // Same mailbox credentials as SMTP AUTH and ManageSieve
+    const result = await SMTPAuthService.authenticateUser(username, password);
+    if (result.success) {
+      state.setUser(result.username);
       state.setState('AUTHENTICATED');
       socket.write(`${tag} OK LOGIN completed\r\n`);
-      logger.info('IMAP login successful', { user: username, connectionId: tag });
+      logger.info('IMAP login successful', { user: result.username, connectionId: tag });
     } else {
-      socket.write(`${tag} NO LOGIN failed\r\n`);
+      socket.write(`${tag} NO [AUTHENTICATIONFAILED] LOGIN failed\r\n`);
       logger.warn('IMAP login failed', { user: username, connectionId: tag });
     }
   }
 
   async handleSelect(socket, args, state, tag) {
-    const mailbox = (args[0] || 'INBOX').replace(/"/g, '');
     const user = state.getUser();
+    const params = this.getSelectParameters(socket, args.slice(1), state, tag);
+    if (!params) {
+      return;
+    }
+    const wasSelected = state.getState() === 'SELECTED';
 
     try {
-      // Get emails for this user in the selected mailbox
-      const emailCount = await Email.countDocuments({
-        authenticatedUsername: user,
-        mailbox: mailbox
-      });
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0] || 'INBOX', 'r');
+      if (!target) {
+        this.deselect(state);
+        return;
+      }
+      const { folder, mailbox, rights } = target;
+
+      // Get emails in the selected mailbox
+      const emailCount = await Email.countDocuments(this.getUserEmailQuery(user, mailbox));
 
+      // Without any right to change messages the mailbox opens read-only (RFC 4314 4)
+      const readOnly = !/[stwe]/.test(rights);
       state.setMailbox(mailbox);
+      state.setRights(rights);
+      state.setReadOnly(readOnly);
       state.setState('SELECTED');
-      
+      this.watchMailbox(socket, state, emailCount);
+
+      if (wasSelected && state.isEnabled('QRESYNC')) {
+        socket.write('* OK [CLOSED] Previous mailbox closed\r\n');
+      }
       socket.write(`* FLAGS (\\Answered \\Flagged \\Deleted \\Seen \\Draft)\r\n`);
-      socket.write(`* OK [PERMANENTFLAGS (\\Answered \\Flagged \\Deleted \\Seen \\Draft \\*)] Flags permitted\r\n`);
+      socket.write(`* OK [PERMANENTFLAGS (${this.getPermanentFlags(rights)})] Flags permitted\r\n`);
       socket.write(`* ${emailCount} EXISTS\r\n`);
       socket.write(`* 0 RECENT\r\n`);
-      socket.write(`* OK [UIDVALIDITY 1] UIDs valid\r\n`);
-      socket.write(`* OK [UIDNEXT ${emailCount + 1}] Predicted next UID\r\n`);
-      socket.write(`${tag} OK [READ-WRITE] SELECT completed\r\n`);
+      socket.write(`* OK [UIDVALIDITY ${folder.uidValidity}] UIDs valid\r\n`);
+      socket.write(`* OK [UIDNEXT ${folder.uidNext}] Predicted next UID\r\n`);
+      socket.write(`* OK [HIGHESTMODSEQ ${folder.highestModseq}] Highest\r\n`);
+      if (params.qresync) {
+        await this.writeResync(socket, state, folder, params.qresync);
+      }
+      socket.write(`${tag} OK [${readOnly ? 'READ-ONLY' : 'READ-WRITE'}] SELECT completed\r\n`);
       
       logger.info('IMAP mailbox selected', { mailbox, emailCount, connectionId: tag });
     } catch (error) {
-      logger.error('Error selecting mailbox', { error: error.message, mailbox, connectionId: tag });
+      logger.error('Error selecting mailbox', { error: error.message, mailbox: args[0], connectionId: tag });
       socket.write(`${tag} NO SELECT failed\r\n`);
     }
   }
@@ -561,29 +799,49 @@ class IMAPServer {
     try {
       const user = state.getUser();
 
-      // Standard folders that every user should have
-      const standardFolders = ['INBOX', 'Sent', 'Drafts', 'Trash', 'Spam'];
+      // RFC 6154 selection option: LIST (SPECIAL-USE) "" "*"
+      let specialUseOnly = false;
+      if (args[0] === '(') {
+        const options = [];
+        while (args.length > 0) {
+          const option = args.shift();
+          options.push(option);
+          if (option.endsWith(')')) break;
+        }
+        specialUseOnly = options.join(' ').toUpperCase().includes('SPECIAL-USE');
+      }
 
-      // Get all unique mailboxes for this user from database
-      const existingMailboxes = await Email.distinct('mailbox', {
-        authenticatedUsername: user
-      });
+      const reference = args[0] || '';
+      const pattern = args[1] || '';
+
+      // An empty pattern asks for the hierarchy delimiter
+      if (!pattern) {
+        socket.write(`* LIST (\\Noselect) "${FolderService.delimiter}" ""\r\n`);
+        socket.write(`${tag} OK LIST completed\r\n`);
+        return;
+      }
+
+      const folders = await FolderService.listFolders(user);
+      const shared = await AclService.listShared(user);
 
-      // Combine standard folders with any custom folders the user has
-      const allMailboxes = new Set([...standardFolders, ...existingMailboxes]);
+      // Folders other users share follow the user's own, in the Other Users and Shared namespaces
+      const entries = [
+        ...folders.map(folder => ({ name: folder.name, delimiter: folder.delimiter, specialUse: folder.specialUse })),
+        ...this.withSharedParents(shared.map(entry => ({ name: entry.mailbox, delimiter: FolderService.delimiter })))
+      ];
+      const names = entries.map(entry => entry.name);
 
-      // Send LIST response for each mailbox
-      for (const mb of allMailboxes) {
-        let attributes = '\\HasNoChildren';
+      for (const entry of entries) {
+        if (!this.matchesMailboxPattern(entry.name, reference + pattern)) continue;
+        if (specialUseOnly && !entry.specialUse) continue;
 
-        // Add special-use attributes (RFC 6154)
-        if (mb === 'INBOX') attributes = '\\HasNoChildren';
-        else if (mb === 'Sent') attributes = '\\Sent \\HasNoChildren';
-        else if (mb === 'Trash') attributes = '\\Trash \\HasNoChildren';
-        else if (mb === 'Spam' || mb === 'Junk') attributes = '\\Junk \\HasNoChildren';
-        else if (mb === 'Drafts') attributes = '\\Drafts \\HasNoChildren';
+        const attributes = [];
+        if (entry.noselect) attributes.push('\\Noselect');
+        if (entry.specialUse) attributes.push(entry.specialUse);
+        const prefix = entry.name + entry.delimiter;
+        attributes.push(names.some(name => name.startsWith(prefix)) ? '\\HasChildren' : '\\HasNoChildren');
 
-        socket.write(`* LIST (${attributes}) "/" "${mb}"\r\n`);
+        socket.write(`* LIST (${attributes.join(' ')}) "${entry.delimiter}" "${entry.name}"\r\n`);
       }
 
       socket.write(`${tag} OK LIST completed\r\n`);
@@ -593,149 +851,413 @@ class IMAPServer {
     }
   }
 
-  async handleFetch(socket, args, state, tag) {
-    const messageSet = args[0];
-    const dataItems = args.slice(1).join(' ').toUpperCase();
-
-    try {
-      const user = state.getUser();
-      const mailbox = state.getMailbox() || 'INBOX';
-      const messageNumbers = this.parseMessageSet(messageSet);
+  /**
+   * Helper: shared folders for LIST, each after \Noselect entries for the levels above it
+   * that are not listed themselves: the namespace, the owner, and parents the user cannot look up
+   * @param {Array} entries - [{ name, delimiter }], sorted by name
+   */
+  withSharedParents(entries) {
+    const delimiter = FolderService.delimiter;
+    const listed = new Set(entries.map(entry => entry.name));
+    const result = [];
 
-      // Determine which fields we need
-      const projection = { uid: 1, mailbox: 1, internalDate: 1 };
-      if (dataItems.includes('FLAGS')) projection.flags = 1;
-      if (dataItems.includes('RFC822') || dataItems.includes('BODY')) {
-        projection.raw = 1;
-        projection.text = 1;
-        projection.sender = 1;
-        projection.recipients = 1;
-        projection.subject = 1;
-        projection.messageId = 1;
-        projection.createdAt = 1;
-      }
-      if (dataItems.includes('ENVELOPE')) {
-        projection.sender = 1;
-        projection.recipients = 1;
-        projection.subject = 1;
-        projection.createdAt = 1;
-        projection._id = 1;
+    for (const entry of entries) {
+      const levels = entry.name.split(delimiter);
+      for (let i = 1; i < levels.length; i++) {
+        const parent = levels.slice(0, i).join(delimiter);
+        if (!listed.has(parent)) {
+          listed.add(parent);
+          result.push({ name: parent, delimiter, noselect: true });
+        }
       }
+      result.push(entry);
+    }
+    return result;
+  }
 
-      // Fetch emails for this user in the selected mailbox
-      const emails = await Email.find(this.getUserEmailQuery(user, mailbox), projection)
-        .sort({ internalDate: 1 })
-        .limit(Math.max(...messageNumbers));
+  /**
+   * LIST/LSUB wildcards: * matches anything, % stops at the hierarchy delimiter
+   */
+  matchesMailboxPattern(name, pattern) {
+    const delimiter = FolderService.delimiter;
+    const toRegExp = (value) => new RegExp('^' + value.split('').map(char => {
+      if (char === '*') return '.*';
+      if (char === '%') return `[^${delimiter}]*`;
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('') + '$');
+
+    if (toRegExp(pattern).test(name)) {
+      return true;
+    }
+    // INBOX matches case-insensitively
+    return /^inbox/i.test(pattern) && /^INBOX(\/|$)/.test(name) && toRegExp(`INBOX${pattern.slice(5)}`).test(name);
+  }
 
-      for (const msgNum of messageNumbers) {
-        const email = emails[msgNum - 1];
-        if (!email) continue;
+  // Helper: mailbox name argument without quotes, with INBOX normalized
+  getMailboxArg(arg) {
+    return FolderService.normalizeName(arg || '');
+  }
 
-        const fetchResponse = [];
-        let literalData = null;
-        let literalLabel = '';
+  /**
+   * Helper: the mailbox an argument names, in any namespace, if the session holds `right`
+   * on it (any right when null); otherwise answers NO and returns null
+   * @param {string} missing - Response code when it does not exist, e.g. TRYCREATE
+   * @returns {Promise<Object|null>} - { folder, owner, name, mailbox, rights } from AclService.resolve
+   */
+  async getMailboxWithRight(socket, state, tag, arg, right, missing = 'NONEXISTENT') {
+    const target = await AclService.resolve(state.getUser(), this.getMailboxArg(arg));
+    if (!target) {
+      socket.write(`${tag} NO [${missing}] Mailbox does not exist\r\n`);
+      return null;
+    }
+    if (right && !target.rights.includes(right)) {
+      socket.write(`${tag} NO [NOPERM] Permission denied\r\n`);
+      return null;
+    }
+    return target;
+  }
 
-        if (dataItems.includes('UID')) {
-          fetchResponse.push(`UID ${email.uid}`);
-        }
+  // Helper: flags the rights allow storing: \Seen takes s, \Deleted t, the others w (RFC 4314 4)
+  getPermanentFlags(rights) {
+    const flags = [];
+    if (rights.includes('w')) flags.push('\\Answered', '\\Flagged');
+    if (rights.includes('t')) flags.push('\\Deleted');
+    if (rights.includes('s')) flags.push('\\Seen');
+    if (rights.includes('w')) flags.push('\\Draft', '\\*');
+    return flags.join(' ');
+  }
 
-        if (dataItems.includes('FLAGS')) {
-          const flagsStr = this.formatFlags(email.flags || {});
-          fetchResponse.push(`FLAGS (${flagsStr})`);
-        }
+  /**
+   * Helper: flags after a change, with those the rights do not cover left as they were
+   * @param {Object} before - Flags before the change
+   * @param {Object} after - Flags the client asked for
+   */
+  keepPermittedFlags(before, after, rights) {
+    const permitted = (flag) => flag === 'recent' ||
+      rights.includes(flag === 'seen' ? 's' : flag === 'deleted' ? 't' : 'w');
+    const flags = { ...after };
+    for (const flag of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (permitted(flag)) continue;
+      if (before[flag] === undefined) {
+        delete flags[flag];
+      } else {
+        flags[flag] = before[flag];
+      }
+    }
+    return flags;
+  }
 
-        if (dataItems.includes('RFC822.SIZE')) {
-          fetchResponse.push(`RFC822.SIZE ${email.raw ? email.raw.length : 0}`);
-        }
+  // Helper: leave the selected state after a failed SELECT/EXAMINE
+  deselect(state) {
+    if (state.getState() === 'SELECTED') {
+      state.setMailbox(null);
+      state.setState('AUTHENTICATED');
+    }
+  }
 
-        if (dataItems.includes('INTERNALDATE')) {
-          const date = email.internalDate || email.createdAt;
-          fetchResponse.push(`INTERNALDATE "${this.formatInternalDate(date)}"`);
-        }
+  /**
+   * Helper: SELECT/EXAMINE parameters, (CONDSTORE) or (QRESYNC (uidvalidity modseq [known-uids]))
+   * @returns {Object|null} - { qresync: { uidValidity, modseq, uids } } or {}; null once BAD was sent
+   */
+  getSelectParameters(socket, args, state, tag) {
+    let modifiers;
+    try {
+      modifiers = IMAPCommandParser.parseModifiers(args);
+    } catch (error) {
+      socket.write(`${tag} BAD ${error.message}\r\n`);
+      return null;
+    }
+    if (Object.keys(modifiers).some(name => name !== 'CONDSTORE' && name !== 'QRESYNC')) {
+      socket.write(`${tag} BAD Unknown SELECT parameter\r\n`);
+      return null;
+    }
 
-        if (dataItems.includes('ENVELOPE')) {
-          const envelope = this.buildEnvelope(email);
-          fetchResponse.push(`ENVELOPE ${envelope}`);
-        }
+    if (modifiers.CONDSTORE) {
+      state.enable('CONDSTORE');
+    }
+    if (!modifiers.QRESYNC) {
+      return {};
+    }
 
-        if (dataItems.includes('BODYSTRUCTURE')) {
-          fetchResponse.push(`BODYSTRUCTURE ("text" "plain" ("charset" "UTF-8") NIL NIL "7bit" ${email.text ? email.text.length : 0} ${email.text ? email.text.split('\n').length : 0})`);
-        } else if (dataItems.includes('BODY') && !dataItems.includes('BODY[')) {
-          fetchResponse.push(`BODY ("text" "plain" ("charset" "UTF-8") NIL NIL "7bit" ${email.text ? email.text.length : 0})`);
-        }
+    const [uidValidity, modseq, knownUids] = modifiers.QRESYNC;
+    if (!state.isEnabled('QRESYNC')) {
+      socket.write(`${tag} BAD QRESYNC is not enabled\r\n`);
+      return null;
+    }
+    if (!/^\d+$/.test(uidValidity || '') || !/^\d+$/.test(modseq || '')) {
+      socket.write(`${tag} BAD QRESYNC needs a UIDVALIDITY and a mod-sequence\r\n`);
+      return null;
+    }
+    // Known sequence numbers and their UIDs may follow; tombstones make them unnecessary
+    return {
+      qresync: {
+        uidValidity: parseInt(uidValidity, 10),
+        modseq: parseInt(modseq, 10),
+        uids: knownUids && knownUids !== '(' ? this.parseMessageSet(knownUids) : null
+      }
+    };
+  }
 
-        // Handle literals LAST (they must come at the end of the response)
-        if (dataItems.includes('BODY.PEEK[HEADER.FIELDS') || dataItems.includes('BODY[HEADER.FIELDS')) {
-          const headers = this.extractHeaders(email.raw || '');
-          literalLabel = `BODY[HEADER.FIELDS (From To Cc Bcc Subject Date Message-ID Priority X-Priority References Newsgroups In-Reply-To Content-Type Reply-To)] {${headers.length}}`;
-          literalData = headers;
-        } else if (dataItems.includes('RFC822.HEADER')) {
-          const headers = this.extractHeaders(email.raw || '');
-          literalLabel = `RFC822.HEADER {${headers.length}}`;
-          literalData = headers;
-        } else if (dataItems.includes('RFC822.TEXT') || dataItems.includes('RFC822')) {
-          const body = this.buildCompleteMessage(email);
-          literalLabel = `RFC822 {${body.length}}`;
-          literalData = body;
-        } else if (dataItems.includes('BODY[]') || dataItems.includes('BODY.PEEK[]')) {
-          const body = this.buildCompleteMessage(email);
-          literalLabel = `BODY[] {${body.length}}`;
-          literalData = body;
-        }
+  /**
+   * QRESYNC (RFC 7162 3.2.5): expunges and flag changes since the client's modseq,
+   * as long as the folder's UIDVALIDITY is the one it remembers
+   */
+  async writeResync(socket, state, folder, qresync) {
+    if (qresync.uidValidity !== folder.uidValidity) {
+      return;
+    }
+    const user = state.getUser();
+    const mailbox = state.getMailbox();
 
-        // Write FETCH response with proper literal formatting
-        if (literalData) {
-          socket.write(`* ${msgNum} FETCH (${fetchResponse.join(' ')} ${literalLabel}\r\n`);
-          socket.write(literalData);
-          socket.write(`)\r\n`);
-        } else {
-          socket.write(`* ${msgNum} FETCH (${fetchResponse.join(' ')})\r\n`);
-        }
-      }
+    const vanished = await this.getExpungedSince(user, mailbox, qresync.modseq, qresync.uids);
+    if (vanished.length > 0) {
+      socket.write(`* VANISHED (EARLIER) ${IMAPCommandParser.formatMessageSet(vanished)}\r\n`);
+    }
 
-      socket.write(`${tag} OK FETCH completed\r\n`);
+    const query = { ...this.getUserEmailQuery(user, mailbox), modseq: { $gt: qresync.modseq } };
+    if (qresync.uids) {
+      query.uid = { $in: qresync.uids };
+    }
+    const emails = await Email.find(query, { uid: 1, flags: 1, modseq: 1 }).sort({ uid: 1 });
+    if (emails.length === 0) {
+      return;
+    }
+    const sequence = await this.getSequenceMap(user, mailbox);
+    for (const email of emails) {
+      socket.write(`* ${sequence.get(email.uid)} FETCH (UID ${email.uid} FLAGS (${this.formatFlags(email.flags || {})}) MODSEQ (${email.modseq}))\r\n`);
+    }
+  }
 
-    } catch (error) {
-      logger.error('Error fetching message', { error: error.message, messageSet, connectionId: tag });
-      socket.write(`${tag} NO FETCH failed\r\n`);
+  // Helper: tagged NO carrying the folder error's response code
+  writeFolderError(socket, tag, command, error) {
+    if (error.code) {
+      socket.write(`${tag} NO [${error.code}] ${error.message}\r\n`);
+      return;
     }
+    logger.error(`Error in ${command}`, { error: error.message, connectionId: tag });
+    socket.write(`${tag} NO ${command} failed\r\n`);
   }
 
-  formatInternalDate(date) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const d = new Date(date);
-    const day = d.getDate();
-    const month = months[d.getMonth()];
-    const year = d.getFullYear();
-    const hours = String(d.getHours()).padStart(2, '0');
-    const minutes = String(d.getMinutes()).padStart(2, '0');
-    const seconds = String(d.getSeconds()).padStart(2, '0');
-    const tzOffset = -d.getTimezoneOffset();
-    const tzHours = String(Math.floor(Math.abs(tzOffset) / 60)).padStart(2, '0');
-    const tzMins = String(Math.abs(tzOffset) % 60).padStart(2, '0');
-    const tzSign = tzOffset >= 0 ? '+' : '-';
+  async handleFetch(socket, args, state, tag) {
+    const messageSet = args[0];
 
-    return `${day}-${month}-${year} ${hours}:${minutes}:${seconds} ${tzSign}${tzHours}${tzMins}`;
-  }
+    const request = this.getFetchRequest(socket, args.slice(1), state, tag, false);
+    if (!request) {
+      return;
+    }
+    const { items, changedSince } = request;
 
-  async handleSearch(socket, args, state, tag) {
     try {
-      const searchCriteria = args; // args already excludes tag and command
+      const user = state.getUser();
+      const mailbox = state.getMailbox() || 'INBOX';
+      const messageNumbers = this.parseMessageSet(messageSet);
+
+      // Fetch emails for this user in the selected mailbox
+      const emails = await Email.find(this.getUserEmailQuery(user, mailbox), this.getFetchProjection(items))
+        .sort({ uid: 1 })
+        .limit(Math.max(...messageNumbers));
+
+      for (const msgNum of messageNumbers) {
+        const email = emails[msgNum - 1];
+        if (!email || (changedSince !== undefined && email.modseq <= changedSince)) continue;
+
+        socket.write(await this.buildFetchResponse(msgNum, email, items, state));
+      }
+
+      socket.write(`${tag} OK FETCH completed\r\n`);
+
+    } catch (error) {
+      logger.error('Error fetching message', { error: error.message, messageSet, connectionId: tag });
+      socket.write(`${tag} NO FETCH failed\r\n`);
+    }
+  }
+
+  /**
+   * Helper: FETCH data items and modifiers, e.g. (FLAGS) (CHANGEDSINCE 12345 VANISHED)
+   * @returns {Object|null} - { items, changedSince, vanished }; null once BAD was sent
+   */
+  getFetchRequest(socket, args, state, tag, byUid) {
+    // The items are one atom or a parenthesized list; modifiers follow in a list of their own
+    let end = 0;
+    if (args[0] === '(') {
+      for (let depth = 0; end < args.length; end++) {
+        if (args[end] === '(') depth++;
+        if (args[end] === ')' && --depth === 0) break;
+      }
+    }
+
+    let items;
+    let modifiers;
+    try {
+      items = IMAPCommandParser.parseFetchItems(args.slice(0, end + 1).join(' '));
+      modifiers = IMAPCommandParser.parseModifiers(args.slice(end + 1));
+    } catch (error) {
+      socket.write(`${tag} BAD ${error.message}\r\n`);
+      return null;
+    }
+
+    if (Object.keys(modifiers).some(name => name !== 'CHANGEDSINCE' && name !== 'VANISHED')) {
+      socket.write(`${tag} BAD Unknown FETCH modifier\r\n`);
+      return null;
+    }
+    // RFC 7162 3.2.6: VANISHED only with UID FETCH, CHANGEDSINCE and QRESYNC enabled
+    if (modifiers.VANISHED && (!byUid || modifiers.CHANGEDSINCE === undefined || !state.isEnabled('QRESYNC'))) {
+      socket.write(`${tag} BAD VANISHED needs UID FETCH with CHANGEDSINCE and QRESYNC enabled\r\n`);
+      return null;
+    }
+
+    if (byUid && !items.some(item => item.name === 'UID')) {
+      items.unshift({ name: 'UID' });
+    }
+    // Either turns CONDSTORE on for the session (RFC 7162 3.1)
+    if (modifiers.CHANGEDSINCE !== undefined || items.some(item => item.name === 'MODSEQ')) {
+      state.enable('CONDSTORE');
+      if (!items.some(item => item.name === 'MODSEQ')) {
+        items.push({ name: 'MODSEQ' });
+      }
+    }
+
+    return { items, changedSince: modifiers.CHANGEDSINCE, vanished: Boolean(modifiers.VANISHED) };
+  }
+
+  // Helper: fields FETCH needs from MongoDB for the requested items
+  getFetchProjection(items) {
+    const projection = { uid: 1, mailbox: 1, internalDate: 1, createdAt: 1, flags: 1, modseq: 1 };
+    const content = ['BODY', 'BODYSTRUCTURE', 'ENVELOPE', 'RFC822', 'RFC822.HEADER', 'RFC822.TEXT', 'RFC822.SIZE'];
+    if (items.some(item => content.includes(item.name))) {
+      Object.assign(projection, { raw: 1, text: 1, sender: 1, recipients: 1, subject: 1, messageId: 1 });
+    }
+    return projection;
+  }
+
+  /**
+   * One untagged FETCH response, as a Buffer since literal sizes are in octets
+   * @param {number} msgNum - Sequence number of the message
+   * @param {Array} items - Parsed data items from IMAPCommandParser.parseFetchItems
+   */
+  async buildFetchResponse(msgNum, email, items, state) {
+    // Fetching body content without PEEK sets \Seen (RFC 3501 6.4.5), and the new flags are reported;
+    // without the s right on a shared mailbox it is left alone (RFC 4314 4)
+    const setsSeen = items.some(item => (item.name === 'BODY' && item.section && !item.peek) ||
+      item.name === 'RFC822' || item.name === 'RFC822.TEXT');
+    let responseItems = items;
+    if (setsSeen && !state.isReadOnly() && state.getRights().includes('s') && !email.flags?.seen) {
+      const { owner, name } = AclService.parseName(state.getUser(), state.getMailbox());
+      const modseq = await FolderService.allocateModseq(owner, name);
+      await Email.updateOne({ _id: email._id }, { $set: { 'flags.seen': true, modseq } });
+      email.flags.seen = true;
+      email.modseq = modseq;
+      this.publishChange(state, state.getMailbox(), 'flags', [email.uid]);
+
+      const added = ['FLAGS', ...(state.isEnabled('CONDSTORE') ? ['MODSEQ'] : [])]
+        .filter(name => !items.some(item => item.name === name));
+      responseItems = [...items, ...added.map(name => ({ name }))];
+    }
+
+    const message = this.buildCompleteMessage(email);
+    let tree = null;
+    const getTree = () => tree || (tree = MIMEParser.parse(message));
+    const section = (specifier) => IMAPBodyStructure.getSection(getTree(), message, { path: [], specifier, fields: [] });
+
+    const parts = [];
+    for (const item of responseItems) {
+      switch (item.name) {
+        case 'UID':
+          parts.push(`UID ${email.uid}`);
+          break;
+        case 'MODSEQ':
+          parts.push(`MODSEQ (${email.modseq || 1})`);
+          break;
+        case 'FLAGS':
+          parts.push(`FLAGS (${this.formatFlags(email.flags || {})})`);
+          break;
+        case 'INTERNALDATE':
+          parts.push(`INTERNALDATE "${this.formatInternalDate(email.internalDate || email.createdAt)}"`);
+          break;
+        case 'RFC822.SIZE':
+          parts.push(`RFC822.SIZE ${Buffer.byteLength(message)}`);
+          break;
+        case 'ENVELOPE':
+          parts.push(`ENVELOPE ${this.buildEnvelope(email)}`);
+          break;
+        case 'BODYSTRUCTURE':
+          parts.push(`BODYSTRUCTURE ${IMAPBodyStructure.bodyStructure(getTree(), true)}`);
+          break;
+        case 'BODY':
+          parts.push(item.section ?
+            this.fetchLiteral(`BODY[${item.section.label}]`, IMAPBodyStructure.getSection(getTree(), message, item.section), item.partial) :
+            `BODY ${IMAPBodyStructure.bodyStructure(getTree(), false)}`);
+          break;
+        case 'RFC822':
+          parts.push(this.fetchLiteral('RFC822', message));
+          break;
+        case 'RFC822.HEADER':
+          parts.push(this.fetchLiteral('RFC822.HEADER', section('HEADER')));
+          break;
+        case 'RFC822.TEXT':
+          parts.push(this.fetchLiteral('RFC822.TEXT', section('TEXT')));
+          break;
+      }
+    }
+
+    const chunks = [Buffer.from(`* ${msgNum} FETCH (`)];
+    parts.forEach((part, index) => {
+      if (index > 0) chunks.push(Buffer.from(' '));
+      chunks.push(Buffer.isBuffer(part) ? part : Buffer.from(part));
+    });
+    chunks.push(Buffer.from(')\r\n'));
+    return Buffer.concat(chunks);
+  }
+
+  // Helper: "label {size}\r\n<octets>", cut to <start.length> for partial fetches
+  fetchLiteral(label, content, partial = null) {
+    let data = content === null ? null : Buffer.from(content, 'utf8');
+    if (partial) {
+      label += `<${partial.start}>`;
+      data = data && data.subarray(partial.start, partial.start + partial.length);
+    }
+    if (data === null) {
+      return Buffer.from(`${label} NIL`);
+    }
+    return Buffer.concat([Buffer.from(`${label} {${data.length}}\r\n`), data]);
+  }
+
+  formatInternalDate(date) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const d = new Date(date);
+    const day = d.getDate();
+    const month = months[d.getMonth()];
+    const year = d.getFullYear();
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    const seconds = String(d.getSeconds()).padStart(2, '0');
+    const tzOffset = -d.getTimezoneOffset();
+    const tzHours = String(Math.floor(Math.abs(tzOffset) / 60)).padStart(2, '0');
+    const tzMins = String(Math.abs(tzOffset) % 60).padStart(2, '0');
+    const tzSign = tzOffset >= 0 ? '+' : '-';
+
+    return `${day}-${month}-${year} ${hours}:${minutes}:${seconds} ${tzSign}${tzHours}${tzMins}`;
+  }
+
+  async handleSearch(socket, args, state, tag) {
+    try {
+      const searchCriteria = args; // args already excludes tag and command
       const user = state.getUser();
       const mailbox = state.getMailbox() || 'INBOX';
 
       // Parse search criteria
       const mongoQuery = this.searchParser.parse(searchCriteria);
+      const usesModseq = this.searchParser.usesModseq;
 
       // Add user and mailbox filters
-      mongoQuery.authenticatedUsername = user;
-      mongoQuery.mailbox = mailbox;
+      Object.assign(mongoQuery, this.getUserEmailQuery(user, mailbox));
 
-      // Execute search
-      const emails = await Email.find(mongoQuery).sort({ internalDate: 1 });
-      const messageNumbers = emails.map((email, index) => index + 1);
+      // Execute search, answering with the sequence numbers of the matches
+      const emails = await Email.find(mongoQuery).sort({ uid: 1 });
+      const sequence = await this.getSequenceMap(user, mailbox);
+      const messageNumbers = emails.map(email => sequence.get(email.uid)).filter(Boolean);
 
-      socket.write(`* SEARCH ${messageNumbers.join(' ')}\r\n`);
+      socket.write(`* SEARCH ${messageNumbers.join(' ')}${this.getSearchModseq(state, emails, usesModseq)}\r\n`);
       socket.write(`${tag} OK SEARCH completed\r\n`);
 
     } catch (error) {
@@ -744,6 +1266,15 @@ class IMAPServer {
     }
   }
 
+  // Helper: a SEARCH with MODSEQ reports the highest modseq of the matches (RFC 7162 3.1.5)
+  getSearchModseq(state, emails, usesModseq) {
+    if (!usesModseq) {
+      return '';
+    }
+    state.enable('CONDSTORE');
+    return emails.length > 0 ? ` (MODSEQ ${Math.max(...emails.map(email => email.modseq || 1))})` : '';
+  }
+
   async handleUID(socket, args, state, tag) {
     const subcommand = args[0]?.toUpperCase();
     const user = state.getUser();
@@ -751,96 +1282,32 @@ class IMAPServer {
 
     try {
       if (subcommand === 'FETCH') {
-        // UID FETCH - fetch by UID instead of sequence number
-        const uidSet = args[1];
-        const dataItems = args.slice(2).join(' ').toUpperCase();
-
-        logger.info('UID FETCH dataItems', { dataItems, uidSet });
-
-        const uids = this.parseMessageSet(uidSet);
-
-        // Determine which fields we need from MongoDB
-        const projection = { uid: 1, mailbox: 1 };
-        if (dataItems.includes('FLAGS')) projection.flags = 1;
-        if (dataItems.includes('RFC822') || dataItems.includes('BODY') || dataItems.includes('INTERNALDATE')) {
-          projection.raw = 1;
-          projection.text = 1;
-          projection.internalDate = 1;
-          projection.createdAt = 1;
-        }
-        if (dataItems.includes('ENVELOPE') || dataItems.includes('BODYSTRUCTURE')) {
-          projection.sender = 1;
-          projection.recipients = 1;
-          projection.subject = 1;
-          projection.text = 1;
-          projection.createdAt = 1;
-          projection._id = 1;
-          projection.messageId = 1;
-        }
-
-        // Fetch emails for this user in the selected mailbox with matching UIDs
-        const emails = await Email.find({
-          authenticatedUsername: user,
-          mailbox: mailbox,
-          uid: { $in: uids }
-        }, projection);
-
-        // Build responses
-        for (const email of emails) {
-          const fetchResponse = [];
-          let literalData = null;
-          let literalLabel = '';
-
-          // Always include UID first
-          fetchResponse.push(`UID ${email.uid}`);
-
-          if (dataItems.includes('FLAGS')) {
-            const flagsStr = this.formatFlags(email.flags || {});
-            fetchResponse.push(`FLAGS (${flagsStr})`);
-          }
-
-          if (dataItems.includes('RFC822.SIZE')) {
-            fetchResponse.push(`RFC822.SIZE ${email.raw ? email.raw.length : 0}`);
-          }
-
-          if (dataItems.includes('INTERNALDATE')) {
-            const date = email.internalDate || email.createdAt;
-            fetchResponse.push(`INTERNALDATE "${this.formatInternalDate(date)}"`);
-          }
+        // UID FETCH - fetch by UID instead of sequence number; the UID is always returned
+        const request = this.getFetchRequest(socket, args.slice(2), state, tag, true);
+        if (!request) {
+          return;
+        }
+        const { items, changedSince, vanished } = request;
 
-          if (dataItems.includes('ENVELOPE')) {
-            const envelope = this.buildEnvelope(email);
-            fetchResponse.push(`ENVELOPE ${envelope}`);
-          }
+        const uids = this.parseMessageSet(args[1]);
 
-          if (dataItems.includes('BODYSTRUCTURE')) {
-            fetchResponse.push(`BODYSTRUCTURE ("text" "plain" ("charset" "UTF-8") NIL NIL "7bit" ${email.text ? email.text.length : 0} ${email.text ? email.text.split('\n').length : 0})`);
-          }
+        // Fetch emails in the selected mailbox with matching UIDs
+        const query = { ...this.getUserEmailQuery(user, mailbox), uid: { $in: uids } };
+        if (changedSince !== undefined) {
+          query.modseq = { $gt: changedSince };
+        }
+        const emails = await Email.find(query, this.getFetchProjection(items)).sort({ uid: 1 });
+        const sequence = await this.getSequenceMap(user, mailbox);
 
-          // Handle literals LAST (they must come at the end of the response)
-          if (dataItems.includes('BODY.PEEK[HEADER.FIELDS') || dataItems.includes('BODY[HEADER.FIELDS')) {
-            const headers = this.extractHeaders(email.raw || '');
-            literalLabel = `BODY[HEADER.FIELDS (From To Cc Bcc Subject Date Message-ID Priority X-Priority References Newsgroups In-Reply-To Content-Type Reply-To)] {${headers.length}}`;
-            literalData = headers;
-          } else if (dataItems.includes('RFC822') || dataItems.includes('BODY[]') || dataItems.includes('BODY.PEEK[]')) {
-            // Build complete RFC822 message (headers + body)
-            const body = this.buildCompleteMessage(email);
-            literalLabel = `BODY[] {${body.length}}`;
-            literalData = body;
+        if (vanished) {
+          const expunged = await this.getExpungedSince(user, mailbox, changedSince, uids);
+          if (expunged.length > 0) {
+            socket.write(`* VANISHED (EARLIER) ${IMAPCommandParser.formatMessageSet(expunged)}\r\n`);
           }
+        }
 
-          // Write FETCH response with proper literal formatting
-          if (literalData) {
-            // Proper IMAP literal format:
-            // * <uid> FETCH (UID 5 FLAGS (...) BODY[] {476}
-            // <literal data>)
-            logger.info('Sending literal data', { uid: email.uid, literalLabel, literalLength: literalData.length });
-            socket.write(`* ${email.uid} FETCH (${fetchResponse.join(' ')} ${literalLabel}\r\n`);
-            socket.write(literalData);
-            socket.write(`)\r\n`);
-          } else {
-            socket.write(`* ${email.uid} FETCH (${fetchResponse.join(' ')})\r\n`);
-          }
+        for (const email of emails) {
+          socket.write(await this.buildFetchResponse(sequence.get(email.uid), email, items, state));
         }
 
         socket.write(`${tag} OK UID FETCH completed\r\n`);
@@ -850,10 +1317,10 @@ class IMAPServer {
         const searchCriteria = args.slice(1);
 
         const mongoQuery = this.searchParser.parse(searchCriteria);
-        mongoQuery.authenticatedUsername = user;
-        mongoQuery.mailbox = mailbox;
+        const usesModseq = this.searchParser.usesModseq;
+        Object.assign(mongoQuery, this.getUserEmailQuery(user, mailbox));
 
-        const emails = await Email.find(mongoQuery).sort({ internalDate: 1 });
+        const emails = await Email.find(mongoQuery).sort({ uid: 1 });
 
         // Ensure all emails have UIDs
         for (const email of emails) {
@@ -865,109 +1332,79 @@ class IMAPServer {
 
         const uids = emails.map(email => email.uid);
 
-        socket.write(`* SEARCH ${uids.join(' ')}\r\n`);
+        socket.write(`* SEARCH ${uids.join(' ')}${this.getSearchModseq(state, emails, usesModseq)}\r\n`);
         socket.write(`${tag} OK UID SEARCH completed\r\n`);
 
       } else if (subcommand === 'COPY') {
         // UID COPY
         const uidSet = args[1];
-        const destMailbox = args[2].replace(/"/g, '');
+        const dest = await this.getMailboxWithRight(socket, state, tag, args[2], 'i', 'TRYCREATE');
+        if (!dest) {
+          return;
+        }
 
         const uids = this.parseMessageSet(uidSet);
+        const emails = await Email.find({ ...this.getUserEmailQuery(user, mailbox), uid: { $in: uids } }).sort({ uid: 1 });
+        if (await this.exceedsQuota(dest.owner, emails)) {
+          socket.write(`${tag} NO [OVERQUOTA] Quota exceeded\r\n`);
+          return;
+        }
+        const copiedUids = [];
 
-        for (const uid of uids) {
-          const email = await Email.findOne({
-            authenticatedUsername: user,
-            mailbox: mailbox,
-            uid
-          });
-          if (!email) continue;
-
-          const emailCopy = new Email(email.toObject());
-          emailCopy._id = undefined;
-          emailCopy.isNew = true;
-          emailCopy.mailbox = destMailbox;
-          emailCopy.uid = await this.getNextUID(user, destMailbox);
-          emailCopy.flags = { ...email.flags.toObject ? email.flags.toObject() : email.flags };
-          emailCopy.flags.recent = true;
+        for (const email of emails) {
+          const emailCopy = this.copyEmail(email, dest);
+          emailCopy.uid = await this.getNextUID(user, dest.mailbox);
 
           await emailCopy.save();
+          copiedUids.push(emailCopy.uid);
         }
 
+        this.publishChange(state, dest.mailbox, 'exists', copiedUids);
         socket.write(`${tag} OK UID COPY completed\r\n`);
 
       } else if (subcommand === 'STORE') {
         // UID STORE
-        const uidSet = args[1];
-        let dataItem = args[2];
-        const silent = dataItem.endsWith('.SILENT');
-        if (silent) {
-          dataItem = dataItem.replace('.SILENT', '');
-        }
-
-        const flags = args.slice(3).join(' ').replace(/[()]/g, '').split(' ').filter(f => f);
-        const uids = this.parseMessageSet(uidSet);
-
-        for (const uid of uids) {
-          const email = await Email.findOne({
-            authenticatedUsername: user,
-            mailbox: mailbox,
-            uid
-          });
-          if (!email) continue;
-
-          if (!email.flags) {
-            email.flags = {};
-          }
-
-          if (dataItem === 'FLAGS') {
-            email.flags = this.parseFlagsToObject(flags);
-          } else if (dataItem === '+FLAGS') {
-            const newFlags = this.parseFlagsToObject(flags);
-            email.flags = { ...email.flags.toObject ? email.flags.toObject() : email.flags, ...newFlags };
-          } else if (dataItem === '-FLAGS') {
-            const removeFlags = this.parseFlagsToObject(flags);
-            for (const flag of Object.keys(removeFlags)) {
-              if (email.flags[flag] !== undefined) {
-                email.flags[flag] = false;
-              }
-            }
-          }
-
-          email.modseq = (email.modseq || 0) + 1;
-          await email.save();
-
-          if (!silent) {
-            const flagsStr = this.formatFlags(email.flags);
-            socket.write(`* ${uid} FETCH (UID ${uid} FLAGS (${flagsStr}))\r\n`);
-          }
-        }
-
-        socket.write(`${tag} OK UID STORE completed\r\n`);
+        await this.handleStore(socket, args.slice(1), state, tag, true);
 
       } else if (subcommand === 'MOVE') {
         // UID MOVE
         const uidSet = args[1];
-        const destMailbox = args[2].replace(/"/g, '');
+        if (!this.canMoveFrom(socket, state, tag)) {
+          return;
+        }
+        const dest = await this.getMailboxWithRight(socket, state, tag, args[2], 'i', 'TRYCREATE');
+        if (!dest) {
+          return;
+        }
 
         const uids = this.parseMessageSet(uidSet);
+        const sequence = await this.getSequenceMap(user, mailbox);
+        const emails = await Email.find({ ...this.getUserEmailQuery(user, mailbox), uid: { $in: uids } }).sort({ uid: 1 });
+        if (!(await this.canMoveTo(socket, tag, user, mailbox, dest, emails))) {
+          return;
+        }
+        const sourceUids = [];
+        const movedUids = [];
 
-        for (const uid of uids) {
-          const email = await Email.findOne({
-            authenticatedUsername: user,
-            mailbox: mailbox,
-            uid
-          });
-          if (!email) continue;
+        for (const email of emails) {
+          const uid = email.uid;
 
           // Move email to new mailbox
-          email.mailbox = destMailbox;
-          email.uid = await this.getNextUID(user, destMailbox);
+          email.authenticatedUsername = dest.owner;
+          email.mailbox = dest.name;
+          email.uid = await this.getNextUID(user, dest.mailbox);
           email.flags.recent = true; // Mark as recent in new mailbox
 
           await email.save();
+          sourceUids.push(uid);
+          movedUids.push(email.uid);
         }
 
+        await QuotaService.transfer(AclService.parseName(user, mailbox).owner, dest.owner, emails);
+        await this.recordExpunged(user, mailbox, sourceUids);
+        this.writeExpunges(socket, state, sequence, sourceUids);
+        this.publishChange(state, dest.mailbox, 'exists', movedUids);
+        this.publishChange(state, mailbox, 'expunge', sourceUids);
         socket.write(`${tag} OK UID MOVE completed\r\n`);
 
       } else {
@@ -979,18 +1416,6 @@ class IMAPServer {
     }
   }
 
-  extractHeaders(rawEmail) {
-    const lines = rawEmail.split('\r\n');
-    const headers = [];
-
-    for (const line of lines) {
-      if (line === '') break; // End of headers
-      headers.push(line);
-    }
-
-    return headers.join('\r\n') + '\r\n';
-  }
-
   buildCompleteMessage(email) {
     // If raw contains the full message (headers + body), use it
     if (email.raw && email.raw.includes('\r\n\r\n')) {
@@ -1018,6 +1443,11 @@ class IMAPServer {
   }
 
   buildEnvelope(email) {
+    if (email.raw) {
+      const { header } = MIMEParser.splitHeaderBody(this.buildCompleteMessage(email));
+      return IMAPBodyStructure.envelope(MIMEParser.parseHeaders(header));
+    }
+
     const date = email.createdAt.toDateString();
     const subject = email.subject || '';
     const from = email.sender || '';
@@ -1033,15 +1463,17 @@ class IMAPServer {
       const user = state.getUser();
 
       // Parse search criteria
+      const mailbox = state.getMailbox() || 'INBOX';
       const mongoQuery = this.searchParser.parse(sortData.searchCriteria);
-      mongoQuery.authenticatedUsername = user;
+      Object.assign(mongoQuery, this.getUserEmailQuery(user, mailbox));
 
       // Get MongoDB sort object
       const mongoSort = this.sortParser.toMongoSort(sortData.sortKeys);
 
       // Execute query with sort
       const emails = await Email.find(mongoQuery).sort(mongoSort);
-      const messageNumbers = emails.map((email, index) => index + 1);
+      const sequence = await this.getSequenceMap(user, mailbox);
+      const messageNumbers = emails.map(email => sequence.get(email.uid)).filter(Boolean);
 
       socket.write(`* SORT ${messageNumbers.join(' ')}\r\n`);
       socket.write(`${tag} OK SORT completed\r\n`);
@@ -1061,10 +1493,10 @@ class IMAPServer {
 
       // Parse search criteria
       const mongoQuery = this.searchParser.parse(searchCriteria);
-      mongoQuery.mailbox = mailbox;
+      Object.assign(mongoQuery, this.getUserEmailQuery(state.getUser(), mailbox));
 
       // Get matching emails
-      const emails = await Email.find(mongoQuery).sort({ internalDate: 1 });
+      const emails = await Email.find(mongoQuery).sort({ uid: 1 });
 
       let threadTree;
       if (algorithm.toUpperCase() === 'ORDEREDSUBJECT') {
@@ -1165,56 +1597,113 @@ class IMAPServer {
   }
 
   async getNextUID(user, mailbox) {
-    const maxUidEmail = await Email.findOne({
-      authenticatedUsername: user,
-      mailbox: mailbox
-    })
-      .sort({ uid: -1 })
-      .select('uid');
+    const { owner, name } = AclService.parseName(user, mailbox);
+    return FolderService.allocateUid(owner, name);
+  }
 
-    return (maxUidEmail?.uid || 0) + 1;
+  // Helper: remember UIDs expunged from a mailbox in any namespace, for QRESYNC
+  async recordExpunged(user, mailbox, uids) {
+    const { owner, name } = AclService.parseName(user, mailbox);
+    return FolderService.recordExpunged(owner, name, uids);
   }
 
-  // Helper: Get base query for user's emails
+  async getExpungedSince(user, mailbox, modseq, uids = null) {
+    const { owner, name } = AclService.parseName(user, mailbox);
+    return FolderService.getExpungedSince(owner, name, modseq, uids);
+  }
+
+  /**
+   * Helper: Get base query for user's emails. A mailbox in the Other Users or Shared
+   * namespace matches its owner's messages; the session's rights on it were checked
+   * when it was selected or named (AclService), so only granted mailboxes get here.
+   */
   getUserEmailQuery(username, mailbox = null) {
-    const query = { authenticatedUsername: username };
-    if (mailbox) {
-      query.mailbox = mailbox;
+    if (!mailbox) {
+      return { authenticatedUsername: username };
     }
-    return query;
+    const { owner, name } = AclService.parseName(username, mailbox);
+    return { authenticatedUsername: owner, mailbox: name };
+  }
+
+  // Helper: UID -> message sequence number; sequence numbers follow ascending UIDs
+  async getSequenceMap(username, mailbox) {
+    const emails = await Email.find(this.getUserEmailQuery(username, mailbox), { uid: 1 }).sort({ uid: 1 });
+    return new Map(emails.map((email, index) => [email.uid, index + 1]));
   }
 
   async getEmailBySequence(username, mailbox, sequenceNumber) {
     return await Email.findOne(this.getUserEmailQuery(username, mailbox))
-      .sort({ internalDate: 1 })
+      .sort({ uid: 1 })
       .skip(sequenceNumber - 1);
   }
 
-  async handleStore(socket, args, state, tag) {
+  async handleStore(socket, args, state, tag, byUid = false) {
+    const command = byUid ? 'UID STORE' : 'STORE';
+    const messageSet = args[0];
+    let rest = args.slice(1);
+
+    // Conditional STORE: (UNCHANGEDSINCE modseq) before the data item (RFC 7162 3.1.3)
+    let unchangedSince;
+    if (rest[0] === '(') {
+      const end = rest.indexOf(')');
+      let modifiers;
+      try {
+        modifiers = IMAPCommandParser.parseModifiers(rest.slice(0, end + 1));
+      } catch (error) {
+        socket.write(`${tag} BAD ${error.message}\r\n`);
+        return;
+      }
+      if (Object.keys(modifiers).some(name => name !== 'UNCHANGEDSINCE')) {
+        socket.write(`${tag} BAD Unknown STORE modifier\r\n`);
+        return;
+      }
+      unchangedSince = modifiers.UNCHANGEDSINCE;
+      state.enable('CONDSTORE');
+      rest = rest.slice(end + 1);
+    }
+
     try {
-      const messageSet = args[0];
-      let dataItem = args[1];
+      let dataItem = (rest[0] || '').toUpperCase();
       const silent = dataItem.endsWith('.SILENT');
       if (silent) {
         dataItem = dataItem.replace('.SILENT', '');
       }
 
-      const flags = args.slice(2).join(' ').replace(/[()]/g, '').split(' ').filter(f => f);
+      const flags = rest.slice(1).filter(part => part !== '(' && part !== ')');
 
-      // Parse message set
-      const messageNumbers = this.parseMessageSet(messageSet);
+      // Flags the rights do not cover are left as they are (RFC 4314 4)
+      const rights = state.getRights();
+      if (!/[stw]/.test(rights)) {
+        socket.write(`${tag} NO [NOPERM] Permission denied\r\n`);
+        return;
+      }
+
+      // Parse message set; sequence numbers follow ascending UIDs
       const user = state.getUser();
       const mailbox = state.getMailbox() || 'INBOX';
-
-      for (const msgNum of messageNumbers) {
-        const email = await this.getEmailBySequence(user, mailbox, msgNum);
-
-        if (!email) continue;
+      const sequence = await this.getSequenceMap(user, mailbox);
+      const numbers = this.parseMessageSet(messageSet);
+      const allUids = [...sequence.keys()];
+      const uids = byUid ? numbers.filter(uid => sequence.has(uid)) : numbers.map(number => allUids[number - 1]).filter(Boolean);
+
+      const emails = await Email.find({ ...this.getUserEmailQuery(user, mailbox), uid: { $in: uids } }).sort({ uid: 1 });
+      const storedUids = [];
+      const modified = [];
+
+      for (const email of emails) {
+        const msgNum = sequence.get(email.uid);
+
+        // Changed since the client last saw it, so left alone
+        if (unchangedSince !== undefined && (email.modseq || 1) > unchangedSince) {
+          modified.push(byUid ? email.uid : msgNum);
+          continue;
+        }
 
         // Ensure flags object exists
         if (!email.flags) {
           email.flags = {};
         }
+        const before = { ...email.flags.toObject ? email.flags.toObject() : email.flags };
 
         // Update flags based on operation
         if (dataItem === 'FLAGS') {
@@ -1233,23 +1722,33 @@ class IMAPServer {
             }
           }
         }
+        email.flags = this.keepPermittedFlags(before, { ...email.flags.toObject ? email.flags.toObject() : email.flags }, rights);
 
-        // Increment MODSEQ for CONDSTORE
-        email.modseq = (email.modseq || 0) + 1;
-
+        // The save takes the folder's next modseq
         await email.save();
-
-        if (!silent) {
-          const flagsStr = this.formatFlags(email.flags);
-          socket.write(`* ${msgNum} FETCH (FLAGS (${flagsStr}))\r\n`);
+        storedUids.push(email.uid);
+
+        // With CONDSTORE the new MODSEQ is reported even for .SILENT
+        const condstore = state.isEnabled('CONDSTORE');
+        if (!silent || condstore) {
+          const items = [];
+          if (byUid) items.push(`UID ${email.uid}`);
+          if (!silent) items.push(`FLAGS (${this.formatFlags(email.flags)})`);
+          if (condstore) items.push(`MODSEQ (${email.modseq})`);
+          socket.write(`* ${msgNum} FETCH (${items.join(' ')})\r\n`);
         }
       }
 
-      socket.write(`${tag} OK STORE completed\r\n`);
+      this.publishChange(state, mailbox, 'flags', storedUids);
+      if (modified.length > 0) {
+        socket.write(`${tag} OK [MODIFIED ${IMAPCommandParser.formatMessageSet(modified)}] Conditional ${command} failed\r\n`);
+      } else {
+        socket.write(`${tag} OK ${command} completed\r\n`);
+      }
 
     } catch (error) {
-      logger.error('Error in STORE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO STORE failed\r\n`);
+      logger.error(`Error in ${command}`, { error: error.message, connectionId: tag });
+      socket.write(`${tag} NO ${command} failed\r\n`);
     }
   }
 
@@ -1300,34 +1799,43 @@ class IMAPServer {
   async handleCopy(socket, args, state, tag) {
     try {
       const messageSet = args[0];
-      const destMailbox = args[1].replace(/"/g, '');
       const user = state.getUser();
       const sourceMailbox = state.getMailbox() || 'INBOX';
 
-      const messageNumbers = this.parseMessageSet(messageSet);
-      const copiedUids = [];
+      const dest = await this.getMailboxWithRight(socket, state, tag, args[1], 'i', 'TRYCREATE');
+      if (!dest) {
+        return;
+      }
 
+      const messageNumbers = this.parseMessageSet(messageSet);
+      const emails = [];
       for (const msgNum of messageNumbers) {
         const email = await this.getEmailBySequence(user, sourceMailbox, msgNum);
+        if (email) emails.push(email);
+      }
 
-        if (!email) continue;
+      if (await this.exceedsQuota(dest.owner, emails)) {
+        socket.write(`${tag} NO [OVERQUOTA] Quota exceeded\r\n`);
+        return;
+      }
+
+      const sourceUids = [];
+      const copiedUids = [];
 
-        // Create copy
-        const emailCopy = new Email(email.toObject());
-        emailCopy._id = undefined;
-        emailCopy.isNew = true;
-        emailCopy.mailbox = destMailbox;
-        emailCopy.uid = await this.getNextUID(user, destMailbox);
-        emailCopy.flags = { ...email.flags.toObject ? email.flags.toObject() : email.flags };
-        emailCopy.flags.recent = true; // Mark as recent in new mailbox
+      for (const email of emails) {
+        const emailCopy = this.copyEmail(email, dest);
+        emailCopy.uid = await this.getNextUID(user, dest.mailbox);
 
         await emailCopy.save();
+        sourceUids.push(email.uid);
         copiedUids.push(emailCopy.uid);
       }
 
+      this.publishChange(state, dest.mailbox, 'exists', copiedUids);
+
       // UIDPLUS extension response
       if (copiedUids.length > 0) {
-        socket.write(`${tag} OK [COPYUID 1 ${messageNumbers.join(',')} ${copiedUids.join(',')}] COPY completed\r\n`);
+        socket.write(`${tag} OK [COPYUID ${dest.folder.uidValidity} ${sourceUids.join(',')} ${copiedUids.join(',')}] COPY completed\r\n`);
       } else {
         socket.write(`${tag} OK COPY completed\r\n`);
       }
@@ -1341,29 +1849,51 @@ class IMAPServer {
   async handleMove(socket, args, state, tag) {
     try {
       const messageSet = args[0];
-      const destMailbox = args[1].replace(/"/g, '');
       const user = state.getUser();
       const sourceMailbox = state.getMailbox() || 'INBOX';
 
-      const messageNumbers = this.parseMessageSet(messageSet);
-      const movedUids = [];
+      if (!this.canMoveFrom(socket, state, tag)) {
+        return;
+      }
+      const dest = await this.getMailboxWithRight(socket, state, tag, args[1], 'i', 'TRYCREATE');
+      if (!dest) {
+        return;
+      }
 
+      const messageNumbers = this.parseMessageSet(messageSet);
+      const sequence = await this.getSequenceMap(user, sourceMailbox);
+      const emails = [];
       for (const msgNum of messageNumbers) {
         const email = await this.getEmailBySequence(user, sourceMailbox, msgNum);
+        if (email) emails.push(email);
+      }
+      if (!(await this.canMoveTo(socket, tag, user, sourceMailbox, dest, emails))) {
+        return;
+      }
 
-        if (!email) continue;
+      const sourceUids = [];
+      const movedUids = [];
 
+      // Looked up before moving, since each move renumbers the messages after it
+      for (const email of emails) {
         const oldUid = email.uid;
 
         // Move email to new mailbox
-        email.mailbox = destMailbox;
-        email.uid = await this.getNextUID(user, destMailbox);
+        email.authenticatedUsername = dest.owner;
+        email.mailbox = dest.name;
+        email.uid = await this.getNextUID(user, dest.mailbox);
         email.flags.recent = true; // Mark as recent in new mailbox
 
         await email.save();
+        sourceUids.push(oldUid);
         movedUids.push(email.uid);
       }
 
+      await QuotaService.transfer(AclService.parseName(user, sourceMailbox).owner, dest.owner, emails);
+      await this.recordExpunged(user, sourceMailbox, sourceUids);
+      this.writeExpunges(socket, state, sequence, sourceUids);
+      this.publishChange(state, dest.mailbox, 'exists', movedUids);
+      this.publishChange(state, sourceMailbox, 'expunge', sourceUids);
       socket.write(`${tag} OK MOVE completed\r\n`);
 
     } catch (error) {
@@ -1376,24 +1906,25 @@ class IMAPServer {
     try {
       const user = state.getUser();
       const mailbox = state.getMailbox() || 'INBOX';
+      if (!state.getRights().includes('e')) {
+        socket.write(`${tag} NO [NOPERM] Permission denied\r\n`);
+        return;
+      }
 
-      // Find and delete all messages marked as deleted for this user in this mailbox
-      const deletedEmails = await Email.find({
-        authenticatedUsername: user,
-        mailbox: mailbox,
-        'flags.deleted': true
-      }).sort({ internalDate: 1 });
-
-      for (let i = 0; i < deletedEmails.length; i++) {
-        const email = deletedEmails[i];
-        const msgNum = i + 1;
+      // Find and delete all messages marked as deleted in this mailbox
+      const query = this.getUserEmailQuery(user, mailbox);
+      const deletedEmails = await Email.find({ ...query, 'flags.deleted': true }).sort({ uid: 1 });
+      const sequence = await this.getSequenceMap(user, mailbox);
 
+      for (const email of deletedEmails) {
         await Email.deleteOne({ _id: email._id });
-
-        // Send untagged EXPUNGE response
-        socket.write(`* ${msgNum} EXPUNGE\r\n`);
       }
+      await QuotaService.release(query.authenticatedUsername, deletedEmails);
 
+      const uids = deletedEmails.map(email => email.uid);
+      await this.recordExpunged(user, mailbox, uids);
+      this.writeExpunges(socket, state, sequence, uids);
+      this.publishChange(state, mailbox, 'expunge', uids);
       socket.write(`${tag} OK EXPUNGE completed\r\n`);
 
     } catch (error) {
@@ -1404,14 +1935,18 @@ class IMAPServer {
 
   async handleClose(socket, args, state, tag) {
     try {
-      // Perform implicit EXPUNGE
+      // Perform implicit EXPUNGE, which takes the e right (RFC 4314 4)
       const user = state.getUser();
       const mailbox = state.getMailbox() || 'INBOX';
-      await Email.deleteMany({
-        authenticatedUsername: user,
-        mailbox: mailbox,
-        'flags.deleted': true
-      });
+      if (state.getRights().includes('e')) {
+        const query = { ...this.getUserEmailQuery(user, mailbox), 'flags.deleted': true };
+        const deletedEmails = await Email.find(query, { uid: 1, size: 1 });
+        const uids = deletedEmails.map(email => email.uid);
+        await Email.deleteMany(query);
+        await QuotaService.release(query.authenticatedUsername, deletedEmails);
+        await this.recordExpunged(user, mailbox, uids);
+        this.publishChange(state, mailbox, 'expunge', uids);
+      }
 
       // Return to AUTHENTICATED state
       state.setMailbox(null);
@@ -1427,8 +1962,12 @@ class IMAPServer {
 
   async handleStatus(socket, args, state, tag) {
     try {
-      const mailbox = args[0].replace(/"/g, '');
       const user = state.getUser();
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'r');
+      if (!target) {
+        return;
+      }
+      const { folder, mailbox } = target;
 
       const statusItems = args.slice(1).join(' ').replace(/[()]/g, '').split(' ').filter(s => s);
 
@@ -1458,11 +1997,14 @@ class IMAPServer {
             response.push(`UNSEEN ${unseenCount}`);
             break;
           case 'UIDNEXT':
-            const maxUid = await Email.findOne(userQuery).sort({ uid: -1 });
-            response.push(`UIDNEXT ${(maxUid?.uid || 0) + 1}`);
+            response.push(`UIDNEXT ${folder.uidNext}`);
             break;
           case 'UIDVALIDITY':
-            response.push('UIDVALIDITY 1');
+            response.push(`UIDVALIDITY ${folder.uidValidity}`);
+            break;
+          case 'HIGHESTMODSEQ':
+            state.enable('CONDSTORE');
+            response.push(`HIGHESTMODSEQ ${folder.highestModseq}`);
             break;
         }
       }
@@ -1477,179 +2019,180 @@ class IMAPServer {
   }
 
   async handleAppend(socket, args, state, tag) {
+    // APPEND mailbox [(flags)] [date-time] message, the message being a literal
+    if (args.length < 2) {
+      socket.write(`${tag} BAD APPEND requires literal data\r\n`);
+      return;
+    }
+
     try {
-      const mailbox = args[0].replace(/"/g, '');
       const user = state.getUser();
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'i', 'TRYCREATE');
+      if (!target) {
+        return;
+      }
+      const { folder, mailbox } = target;
+      const literalData = args[args.length - 1];
 
-      // Check for flags (optional)
       let flags = {};
       let dateTime = null;
-      let literalSize = 0;
       let argIndex = 1; // Start after mailbox
 
       // Parse optional flags
-      if (args[argIndex] === '(' || (args[argIndex] && args[argIndex].startsWith('(\\'))) {
-        const flagParts = [];
-        while (argIndex < args.length && args[argIndex] !== ')') {
-          if (args[argIndex] !== '(') {
-            flagParts.push(args[argIndex]);
-          }
-          argIndex++;
-        }
-        argIndex++; // Skip closing paren
-        flags = this.parseFlagsToObject(flagParts);
+      if (args[argIndex] === '(') {
+        const end = args.indexOf(')', argIndex);
+        flags = this.keepPermittedFlags({}, this.parseFlagsToObject(args.slice(argIndex + 1, end)), target.rights);
+        argIndex = end + 1;
       }
 
       // Parse optional date-time
-      if (args[argIndex] && args[argIndex].startsWith('"')) {
-        dateTime = args[argIndex].replace(/"/g, '');
-        argIndex++;
-      }
-
-      // Parse literal size {size}
-      const literalMatch = args[argIndex]?.match(/\{(\d+)\}/);
-      if (literalMatch) {
-        literalSize = parseInt(literalMatch[1]);
-
-        // Send continuation response
-        state.setWaitingForContinuation(true);
-        socket.write('+ Ready for literal data\r\n');
-
-        // Set up one-time listener for literal data
-        const literalHandler = async (chunk) => {
-          socket.removeListener('data', literalHandler);
-
-          const literalData = chunk.toString();
-
-          // Create new email
-          const email = new Email({
-            mailbox,
-            raw: literalData,
-            internalDate: dateTime ? new Date(dateTime) : new Date(),
-            uid: await this.getNextUID(user, mailbox),
-            flags: { ...flags, recent: true },
-            status: 'received'
-          });
-
-          // Parse email headers for sender, recipients, subject
-          const headerMatch = literalData.match(/^([\s\S]*?)\r?\n\r?\n/);
-          if (headerMatch) {
-            const headers = headerMatch[1];
-            const fromMatch = headers.match(/^From:\s*(.+)$/im);
-            const toMatch = headers.match(/^To:\s*(.+)$/im);
-            const subjectMatch = headers.match(/^Subject:\s*(.+)$/im);
-            const messageIdMatch = headers.match(/^Message-ID:\s*<(.+)>$/im);
-            const inReplyToMatch = headers.match(/^In-Reply-To:\s*<(.+)>$/im);
-            const referencesMatch = headers.match(/^References:\s*(.+)$/im);
-
-            if (fromMatch) email.sender = fromMatch[1].trim();
-            if (toMatch) email.recipients = [toMatch[1].trim()];
-            if (subjectMatch) email.subject = subjectMatch[1].trim();
-            if (messageIdMatch) email.messageId = messageIdMatch[1].trim();
-            if (inReplyToMatch) email.inReplyTo = inReplyToMatch[1].trim();
-            if (referencesMatch) {
-              email.references = referencesMatch[1]
-                .match(/<([^>]+)>/g)
-                ?.map(ref => ref.slice(1, -1)) || [];
-            }
-          }
-
-          await email.save();
+      if (argIndex < args.length - 1) {
+        dateTime = args[argIndex];
+      }
 
-          // UIDPLUS response
-          socket.write(`${tag} OK [APPENDUID 1 ${email.uid}] APPEND completed\r\n`);
+      if (await QuotaService.checkQuota(target.owner, Buffer.byteLength(literalData))) {
+        socket.write(`${tag} NO [OVERQUOTA] Quota exceeded\r\n`);
+        return;
+      }
 
-          logger.info('APPEND completed', { mailbox, uid: email.uid, size: literalSize });
-          state.setWaitingForContinuation(false);
-        };
+      // Create new email
+      const email = new Email({
+        mailbox: target.name,
+        authenticatedUsername: target.owner,
+        raw: literalData,
+        internalDate: dateTime ? new Date(dateTime) : new Date(),
+        uid: await this.getNextUID(user, mailbox),
+        flags: { ...flags, recent: true },
+        status: 'delivered'
+      });
 
-        socket.once('data', literalHandler);
-      } else {
-        socket.write(`${tag} BAD APPEND requires literal data\r\n`);
+      // Parse email headers for sender, recipients, subject
+      const headerMatch = literalData.match(/^([\s\S]*?)\r?\n\r?\n/);
+      if (headerMatch) {
+        const headers = headerMatch[1];
+        const fromMatch = headers.match(/^From:\s*(.+)$/im);
+        const toMatch = headers.match(/^To:\s*(.+)$/im);
+        const subjectMatch = headers.match(/^Subject:\s*(.+)$/im);
+        const messageIdMatch = headers.match(/^Message-ID:\s*<(.+)>$/im);
+        const inReplyToMatch = headers.match(/^In-Reply-To:\s*<(.+)>$/im);
+        const referencesMatch = headers.match(/^References:\s*(.+)$/im);
+
+        if (fromMatch) email.sender = fromMatch[1].trim();
+        if (toMatch) email.recipients = [toMatch[1].trim()];
+        if (subjectMatch) email.subject = subjectMatch[1].trim();
+        if (messageIdMatch) email.messageId = messageIdMatch[1].trim();
+        if (inReplyToMatch) email.inReplyTo = inReplyToMatch[1].trim();
+        if (referencesMatch) {
+          email.references = referencesMatch[1]
+            .match(/<([^>]+)>/g)
+            ?.map(ref => ref.slice(1, -1)) || [];
+        }
       }
 
+      await email.save();
+
+      // UIDPLUS response
+      this.publishChange(state, mailbox, 'exists', [email.uid]);
+      socket.write(`${tag} OK [APPENDUID ${folder.uidValidity} ${email.uid}] APPEND completed\r\n`);
+
+      logger.info('APPEND completed', { mailbox, uid: email.uid, size: Buffer.byteLength(literalData) });
+
     } catch (error) {
       logger.error('Error in APPEND', { error: error.message, connectionId: tag });
       socket.write(`${tag} NO APPEND failed: ${error.message}\r\n`);
     }
   }
 
+  /**
+   * CREATE mailbox, optionally with (USE (\Archive)) to give it a special use (RFC 6154 3)
+   */
   async handleCreate(socket, args, state, tag) {
-    try {
-      const mailbox = args[0].replace(/"/g, '');
-
-      // Store mailbox metadata
-      this.mailboxes.set(mailbox, {
-        name: mailbox,
-        created: new Date()
-      });
+    let uses = null;
+    if (args.length > 1) {
+      const params = args.slice(1);
+      if (params.length < 5 || params[0] !== '(' || String(params[1]).toUpperCase() !== 'USE' || params[2] !== '(' ||
+          params[params.length - 2] !== ')' || params[params.length - 1] !== ')') {
+        socket.write(`${tag} BAD Invalid CREATE parameters\r\n`);
+        return;
+      }
+      uses = params.slice(3, -2);
+    }
 
+    try {
+      const folder = await AclService.createFolder(state.getUser(), this.getMailboxArg(args[0]), uses);
+      logger.info('IMAP folder created', { name: folder.name, connectionId: tag });
       socket.write(`${tag} OK CREATE completed\r\n`);
 
     } catch (error) {
-      logger.error('Error in CREATE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO CREATE failed\r\n`);
+      this.writeFolderError(socket, tag, 'CREATE', error);
     }
   }
 
   async handleDelete(socket, args, state, tag) {
     try {
-      const mailbox = args[0].replace(/"/g, '');
-
-      // Delete all emails in mailbox
-      await Email.deleteMany({ mailbox });
+      const user = state.getUser();
+      const deleted = await AclService.deleteFolder(user, this.getMailboxArg(args[0]));
 
-      // Remove mailbox metadata
-      this.mailboxes.delete(mailbox);
+      const selected = AclService.parseName(user, state.getMailbox());
+      if (selected.owner === deleted.owner && selected.name === deleted.name) {
+        this.deselect(state);
+      }
 
       socket.write(`${tag} OK DELETE completed\r\n`);
 
     } catch (error) {
-      logger.error('Error in DELETE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO DELETE failed\r\n`);
+      this.writeFolderError(socket, tag, 'DELETE', error);
     }
   }
 
   async handleRename(socket, args, state, tag) {
     try {
-      const oldMailbox = args[0].replace(/"/g, '');
-      const newMailbox = args[1].replace(/"/g, '');
-
-      // Rename all emails in mailbox
-      await Email.updateMany({ mailbox: oldMailbox }, { mailbox: newMailbox });
-
-      // Update mailbox metadata
-      if (this.mailboxes.has(oldMailbox)) {
-        const metadata = this.mailboxes.get(oldMailbox);
-        this.mailboxes.delete(oldMailbox);
-        this.mailboxes.set(newMailbox, { ...metadata, name: newMailbox });
-      }
-
+      await AclService.renameFolder(state.getUser(), this.getMailboxArg(args[0]), this.getMailboxArg(args[1]));
       socket.write(`${tag} OK RENAME completed\r\n`);
 
     } catch (error) {
-      logger.error('Error in RENAME', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO RENAME failed\r\n`);
+      this.writeFolderError(socket, tag, 'RENAME', error);
     }
   }
 
   async handleExamine(socket, args, state, tag) {
+    const params = this.getSelectParameters(socket, args.slice(1), state, tag);
+    if (!params) {
+      return;
+    }
+    const wasSelected = state.getState() === 'SELECTED';
+
     try {
-      const mailbox = (args[0] || 'INBOX').replace(/"/g, '');
       const user = state.getUser();
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0] || 'INBOX', 'r');
+      if (!target) {
+        this.deselect(state);
+        return;
+      }
+      const { folder, mailbox } = target;
 
       // Same as SELECT but read-only - get emails in this mailbox
       const emailCount = await Email.countDocuments(this.getUserEmailQuery(user, mailbox));
 
       state.setMailbox(mailbox);
+      state.setRights(target.rights);
+      state.setReadOnly(true);
       state.setState('SELECTED');
+      this.watchMailbox(socket, state, emailCount);
 
+      if (wasSelected && state.isEnabled('QRESYNC')) {
+        socket.write('* OK [CLOSED] Previous mailbox closed\r\n');
+      }
       socket.write(`* FLAGS (\\Answered \\Flagged \\Deleted \\Seen \\Draft)\r\n`);
       socket.write(`* OK [PERMANENTFLAGS ()] Flags permitted\r\n`);
       socket.write(`* ${emailCount} EXISTS\r\n`);
       socket.write(`* 0 RECENT\r\n`);
-      socket.write(`* OK [UIDVALIDITY 1] UIDs valid\r\n`);
-      socket.write(`* OK [UIDNEXT ${emailCount + 1}] Predicted next UID\r\n`);
+      socket.write(`* OK [UIDVALIDITY ${folder.uidValidity}] UIDs valid\r\n`);
+      socket.write(`* OK [UIDNEXT ${folder.uidNext}] Predicted next UID\r\n`);
+      socket.write(`* OK [HIGHESTMODSEQ ${folder.highestModseq}] Highest\r\n`);
+      if (params.qresync) {
+        await this.writeResync(socket, state, folder, params.qresync);
+      }
       socket.write(`${tag} OK [READ-ONLY] EXAMINE completed\r\n`);
 
     } catch (error) {
@@ -1660,47 +2203,41 @@ class IMAPServer {
 
   async handleSubscribe(socket, args, state, tag) {
     try {
-      const mailbox = args[0].replace(/"/g, '');
-      const user = state.getUser();
-
-      if (!this.subscriptions.has(user)) {
-        this.subscriptions.set(user, new Set());
-      }
-
-      this.subscriptions.get(user).add(mailbox);
-
+      await AclService.setSubscribed(state.getUser(), this.getMailboxArg(args[0]), true);
       socket.write(`${tag} OK SUBSCRIBE completed\r\n`);
 
     } catch (error) {
-      logger.error('Error in SUBSCRIBE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO SUBSCRIBE failed\r\n`);
+      this.writeFolderError(socket, tag, 'SUBSCRIBE', error);
     }
   }
 
   async handleUnsubscribe(socket, args, state, tag) {
     try {
-      const mailbox = args[0].replace(/"/g, '');
-      const user = state.getUser();
-
-      if (this.subscriptions.has(user)) {
-        this.subscriptions.get(user).delete(mailbox);
-      }
-
+      await AclService.setSubscribed(state.getUser(), this.getMailboxArg(args[0]), false);
       socket.write(`${tag} OK UNSUBSCRIBE completed\r\n`);
 
     } catch (error) {
-      logger.error('Error in UNSUBSCRIBE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO UNSUBSCRIBE failed\r\n`);
+      this.writeFolderError(socket, tag, 'UNSUBSCRIBE', error);
     }
   }
 
   async handleLsub(socket, args, state, tag) {
     try {
       const user = state.getUser();
+      const pattern = (args[0] || '') + (args[1] || '*');
 
-      if (this.subscriptions.has(user)) {
-        for (const mailbox of this.subscriptions.get(user)) {
-          socket.write(`* LSUB () "/" "${mailbox}"\r\n`);
+      const folders = await FolderService.listFolders(user);
+      for (const folder of folders) {
+        if (folder.subscribed && this.matchesMailboxPattern(folder.name, pattern)) {
+          const attributes = folder.specialUse ? folder.specialUse : '';
+          socket.write(`* LSUB (${attributes}) "${folder.delimiter}" "${folder.name}"\r\n`);
+        }
+      }
+
+      // Subscriptions belong to the owner, so every folder shared with the user counts as subscribed
+      for (const entry of await AclService.listShared(user)) {
+        if (this.matchesMailboxPattern(entry.mailbox, pattern)) {
+          socket.write(`* LSUB () "${FolderService.delimiter}" "${entry.mailbox}"\r\n`);
         }
       }
 
@@ -1713,38 +2250,583 @@ class IMAPServer {
   }
 
   async handleIdle(socket, args, state, tag, connectionId) {
-    try {
-      state.setWaitingForContinuation(true);
-      socket.write('+ idling\r\n');
+    socket.write('+ idling\r\n');
+
+    // While idle, changes to the selected mailbox are written as they happen
+    const watcher = this.watchers.get(state);
+    if (watcher) {
+      watcher.idle = true;
+      await this.flushMailboxChanges(socket, state);
+    }
+
+    // No other command may be sent until DONE (RFC 2177)
+    const line = await state.readLine();
+    if (watcher) {
+      watcher.idle = false;
+      await watcher.queue;
+    }
+
+    if (line === null) {
+      return;
+    }
+    if (line.trim().toUpperCase() === 'DONE') {
+      socket.write(`${tag} OK IDLE terminated\r\n`);
+    } else {
+      socket.write(`${tag} BAD Expected DONE\r\n`);
+    }
+  }
+
+  // Helper: tell other sessions (here and on other instances) about a change this one made
+  publishChange(state, mailbox, type, uids) {
+    const { owner, name } = AclService.parseName(state.getUser(), mailbox);
+    MailboxEvents.publish({ username: owner, mailbox: name, type, uids }, state);
+  }
+
+  /**
+   * Helper: report expunged messages, as MOVE must too (RFC 6851). Each EXPUNGE renumbers
+   * the messages after it; QRESYNC sessions get one VANISHED instead (RFC 7162 3.2.10).
+   * @param {Map} sequence - UID -> sequence number from before the expunge
+   */
+  writeExpunges(socket, state, sequence, uids) {
+    if (uids.length === 0) {
+      return;
+    }
+    if (state.isEnabled('QRESYNC')) {
+      socket.write(`* VANISHED ${IMAPCommandParser.formatMessageSet(uids)}\r\n`);
+      return;
+    }
+    const positions = uids.map(uid => sequence.get(uid)).filter(Boolean).sort((a, b) => a - b);
+    positions.forEach((position, i) => socket.write(`* ${position - i} EXPUNGE\r\n`));
+  }
+
+  // Start tracking changes for a newly selected mailbox, of which the client knows emailCount messages
+  watchMailbox(socket, state, emailCount) {
+    this.watchers.set(state, {
+      socket,
+      idle: false,
+      known: emailCount,
+      exists: false,
+      flags: new Set(),
+      expunged: new Set(),
+      queue: Promise.resolve()
+    });
+  }
+
+  /**
+   * Queue a MailboxEvents change for every session that has the mailbox selected
+   * @param {Object} event - { username, mailbox, type, uids }
+   * @param {Object} origin - Session that made the change, which has reported it already
+   */
+  async notifyMailboxChange(event, origin) {
+    const flushes = [];
+
+    for (const [state, watcher] of this.watchers) {
+      if (state.getState() !== 'SELECTED') {
+        continue;
+      }
+      // Sessions of other users may have the mailbox open through a shared folder
+      const selected = AclService.parseName(state.getUser(), state.getMailbox());
+      if (selected.owner !== event.username || selected.name !== event.mailbox) {
+        continue;
+      }
 
-      // Store connection in idle map
-      this.idleConnections.set(connectionId, { socket, state });
+      if (event.type === 'exists') {
+        watcher.exists = true;
+      } else if (event.type === 'expunge' && state === origin) {
+        // EXPUNGE and MOVE wrote their own responses
+        watcher.known = Math.max(0, watcher.known - event.uids.length);
+      } else if (event.type === 'expunge') {
+        event.uids.forEach(uid => watcher.expunged.add(uid));
+      } else if (event.type === 'flags' && state !== origin) {
+        event.uids.forEach(uid => watcher.flags.add(uid));
+      }
 
-      // Set up listener for DONE command
-      const doneHandler = (chunk) => {
-        const line = chunk.toString().trim().toUpperCase();
-        if (line === 'DONE') {
-          socket.removeListener('data', doneHandler);
-          this.idleConnections.delete(connectionId);
-          socket.write(`${tag} OK IDLE terminated\r\n`);
-          state.setWaitingForContinuation(false);
+      if (watcher.idle) {
+        flushes.push(this.flushMailboxChanges(watcher.socket, state));
+      }
+    }
+
+    await Promise.all(flushes);
+  }
+
+  // Write a session's pending changes; runs after whatever flush is already in progress
+  flushMailboxChanges(socket, state) {
+    const watcher = this.watchers.get(state);
+    if (!watcher || state.getState() !== 'SELECTED') {
+      return Promise.resolve();
+    }
+
+    watcher.queue = watcher.queue
+      .then(() => this.writeMailboxChanges(socket, state, watcher))
+      .catch((error) => {
+        logger.error('Error writing IMAP mailbox changes', { error: error.message, mailbox: state.getMailbox() });
+      });
+    return watcher.queue;
+  }
+
+  async writeMailboxChanges(socket, state, watcher) {
+    if (!watcher.exists && watcher.flags.size === 0 && watcher.expunged.size === 0) {
+      return;
+    }
+
+    const user = state.getUser();
+    const mailbox = state.getMailbox();
+    const query = this.getUserEmailQuery(user, mailbox);
+
+    const expunged = [...watcher.expunged].sort((a, b) => a - b);
+    const flagged = [...watcher.flags];
+    watcher.expunged.clear();
+    watcher.flags.clear();
+    watcher.exists = false;
+
+    // In ascending UID order each message's position follows the messages still left below it;
+    // one past what the client knows is a message it never heard about
+    const vanished = [];
+    for (const uid of expunged) {
+      const position = await Email.countDocuments({ ...query, uid: { $lt: uid } }) + 1;
+      if (position <= watcher.known) {
+        if (state.isEnabled('QRESYNC')) {
+          vanished.push(uid);
+        } else {
+          socket.write(`* ${position} EXPUNGE\r\n`);
         }
-      };
+        watcher.known--;
+      }
+    }
+    if (vanished.length > 0) {
+      socket.write(`* VANISHED ${IMAPCommandParser.formatMessageSet(vanished)}\r\n`);
+    }
 
-      socket.on('data', doneHandler);
+    const count = await Email.countDocuments(query);
+    if (count > watcher.known) {
+      socket.write(`* ${count} EXISTS\r\n`);
+      watcher.known = count;
+    }
 
-    } catch (error) {
-      logger.error('Error in IDLE', { error: error.message, connectionId: tag });
-      socket.write(`${tag} NO IDLE failed\r\n`);
+    if (flagged.length > 0) {
+      const emails = await Email.find({ ...query, uid: { $in: flagged } }, { uid: 1, flags: 1, modseq: 1 }).sort({ uid: 1 });
+      const sequence = await this.getSequenceMap(user, mailbox);
+      const condstore = state.isEnabled('CONDSTORE');
+      for (const email of emails) {
+        const msgNum = sequence.get(email.uid);
+        if (msgNum && msgNum <= watcher.known) {
+          const modseq = condstore ? ` MODSEQ (${email.modseq || 1})` : '';
+          socket.write(`* ${msgNum} FETCH (UID ${email.uid} FLAGS (${this.formatFlags(email.flags || {})})${modseq})\r\n`);
+        }
+      }
     }
   }
 
+  // RFC 5161; QRESYNC turns CONDSTORE on as well (RFC 7162 3.2.3)
+  async handleEnable(socket, args, state, tag) {
+    if (args.length === 0) {
+      socket.write(`${tag} BAD ENABLE requires an extension\r\n`);
+      return;
+    }
+
+    const enabled = [];
+    for (const arg of args) {
+      const extension = arg.toUpperCase();
+      if ((extension === 'CONDSTORE' || extension === 'QRESYNC') && !state.isEnabled(extension)) {
+        state.enable(extension);
+        enabled.push(extension);
+      }
+    }
+    if (state.isEnabled('QRESYNC')) {
+      state.enable('CONDSTORE');
+    }
+
+    socket.write(`* ENABLED${enabled.map(extension => ` ${extension}`).join('')}\r\n`);
+    socket.write(`${tag} OK ENABLE completed\r\n`);
+  }
+
+  // RFC 2342: personal folders, then other users' folders and those of shared mailboxes (AclService)
   async handleNamespace(socket, args, state, tag) {
-    // Return namespace information
-    socket.write('* NAMESPACE (("" "/")) NIL NIL\r\n');
+    const delimiter = FolderService.delimiter;
+    const { otherUsers, shared } = AclService.namespaces;
+    socket.write(`* NAMESPACE (("" "${delimiter}")) (("${otherUsers}${delimiter}" "${delimiter}")) (("${shared}${delimiter}" "${delimiter}"))\r\n`);
     socket.write(`${tag} OK NAMESPACE completed\r\n`);
   }
 
+  // RFC 9208: a user's folders all share two quota roots, their own address and their domain;
+  // folders shared by others are not counted against the user and show no roots
+  async handleGetQuotaRoot(socket, args, state, tag) {
+    try {
+      const user = state.getUser();
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], null);
+      if (!target) {
+        return;
+      }
+
+      const quota = target.owner === user.toLowerCase() ? await QuotaService.getQuota(user) : null;
+      const roots = quota ?
+        [{ name: quota.username, storage: quota.storage, messages: quota.messages }, quota.domain]
+          .filter(root => root && this.isQuotaRoot(root)) :
+        [];
+
+      socket.write(`* QUOTAROOT "${target.mailbox}"${roots.map(root => ` "${root.name}"`).join('')}\r\n`);
+      roots.forEach(root => this.writeQuota(socket, root));
+      socket.write(`${tag} OK GETQUOTAROOT completed\r\n`);
+
+    } catch (error) {
+      logger.error('Error in GETQUOTAROOT', { error: error.message, connectionId: tag });
+      socket.write(`${tag} NO GETQUOTAROOT failed\r\n`);
+    }
+  }
+
+  async handleGetQuota(socket, args, state, tag) {
+    try {
+      const root = await this.getQuotaRoot(state, args[0]);
+      if (!root || !this.isQuotaRoot(root)) {
+        socket.write(`${tag} NO [NONEXISTENT] No such quota root\r\n`);
+        return;
+      }
+
+      this.writeQuota(socket, root);
+      socket.write(`${tag} OK GETQUOTA completed\r\n`);
+
+    } catch (error) {
+      logger.error('Error in GETQUOTA', { error: error.message, connectionId: tag });
+      socket.write(`${tag} NO GETQUOTA failed\r\n`);
+    }
+  }
+
+  /**
+   * SETQUOTA root (STORAGE kib MESSAGE count), for quota admins only. Resources left
+   * out lose their limit; on a mailbox root that means the domain default applies again.
+   */
+  async handleSetQuota(socket, args, state, tag) {
+    if (args[1] !== '(' || args[args.length - 1] !== ')') {
+      socket.write(`${tag} BAD SETQUOTA requires a root and a resource list\r\n`);
+      return;
+    }
+    if (!this.quotaAdmins.has(state.getUser().toLowerCase())) {
+      socket.write(`${tag} NO [NOPERM] Permission denied\r\n`);
+      return;
+    }
+
+    const limits = { storage: null, messages: null };
+    const resources = args.slice(2, -1);
+    for (let i = 0; i < resources.length; i += 2) {
+      const resource = resources[i].toUpperCase();
+      if (!/^\d+$/.test(resources[i + 1] || '')) {
+        socket.write(`${tag} BAD Invalid limit for ${resource}\r\n`);
+        return;
+      }
+      if (resource === 'STORAGE') {
+        limits.storage = parseInt(resources[i + 1]) * 1024;
+      } else if (resource === 'MESSAGE') {
+        limits.messages = parseInt(resources[i + 1]);
+      } else {
+        socket.write(`${tag} NO Unsupported resource ${resource}\r\n`);
+        return;
+      }
+    }
+
+    try {
+      const name = (args[0] || '').toLowerCase();
+      if (name.includes('@')) {
+        await QuotaService.setMailboxQuota(name, limits);
+      } else {
+        await DomainService.updateDomain(name, { quota: { storage: limits.storage || 0, messages: limits.messages || 0 } });
+      }
+
+      const root = await this.getQuotaRoot(state, name);
+      if (root && this.isQuotaRoot(root)) {
+        this.writeQuota(socket, root);
+      }
+      socket.write(`${tag} OK SETQUOTA completed\r\n`);
+
+    } catch (error) {
+      if (error.status === 404) {
+        socket.write(`${tag} NO [NONEXISTENT] No such quota root\r\n`);
+        return;
+      }
+      logger.error('Error in SETQUOTA', { error: error.message, connectionId: tag });
+      socket.write(`${tag} NO SETQUOTA failed\r\n`);
+    }
+  }
+
+  /**
+   * Helper: usage and limits of a quota root named by the client: a mailbox address
+   * or a domain. Users may only see their own; quota admins may see any.
+   * @returns {Object|null} - { name, storage: { usage, limit }, messages: { usage, limit } }
+   */
+  async getQuotaRoot(state, root) {
+    const user = state.getUser().toLowerCase();
+    const name = (root || '').toLowerCase();
+    if (name !== user && name !== user.split('@').pop() && !this.quotaAdmins.has(user)) {
+      return null;
+    }
+
+    if (name.includes('@')) {
+      const quota = await QuotaService.getQuota(name);
+      return quota && { name: quota.username, storage: quota.storage, messages: quota.messages };
+    }
+    const domain = await DomainService.getDomain(name);
+    return domain && QuotaService.getDomainQuota(domain);
+  }
+
+  // Helper: a root without any limit is not a quota root
+  isQuotaRoot(root) {
+    return root.storage.limit > 0 || root.messages.limit > 0;
+  }
+
+  // Helper: untagged QUOTA response; STORAGE is counted in units of 1024 octets
+  writeQuota(socket, root) {
+    const resources = [];
+    if (root.storage.limit > 0) {
+      resources.push(`STORAGE ${Math.ceil(Math.max(root.storage.usage, 0) / 1024)} ${Math.floor(root.storage.limit / 1024)}`);
+    }
+    if (root.messages.limit > 0) {
+      resources.push(`MESSAGE ${Math.max(root.messages.usage, 0)} ${root.messages.limit}`);
+    }
+    socket.write(`* QUOTA "${root.name}" (${resources.join(' ')})\r\n`);
+  }
+
+  // Helper: whether copies of these messages would take the user over quota
+  async exceedsQuota(user, emails) {
+    const size = emails.reduce((total, email) => total + (email.size ?? Buffer.byteLength(email.raw || '')), 0);
+    return !!(await QuotaService.checkQuota(user, size, emails.length));
+  }
+
+  /**
+   * Helper: new message copying one into another mailbox, possibly another user's;
+   * flags the rights there do not cover are dropped (RFC 4314 4)
+   * @param {Object} dest - Mailbox from getMailboxWithRight
+   */
+  copyEmail(email, dest) {
+    const emailCopy = new Email(email.toObject());
+    emailCopy._id = undefined;
+    emailCopy.isNew = true;
+    emailCopy.authenticatedUsername = dest.owner;
+    emailCopy.mailbox = dest.name;
+    const flags = { ...email.flags.toObject ? email.flags.toObject() : email.flags };
+    emailCopy.flags = { ...this.keepPermittedFlags({}, flags, dest.rights), recent: true }; // Mark as recent in new mailbox
+    return emailCopy;
+  }
+
+  // Helper: MOVE takes the t and e rights on the selected mailbox as well as i on the target (RFC 6851 3.3)
+  canMoveFrom(socket, state, tag) {
+    const rights = state.getRights();
+    if (rights.includes('t') && rights.includes('e')) {
+      return true;
+    }
+    socket.write(`${tag} NO [NOPERM] Permission denied\r\n`);
+    return false;
+  }
+
+  // Helper: messages moved into another user's mailbox must fit that user's quota
+  async canMoveTo(socket, tag, user, mailbox, dest, emails) {
+    if (AclService.parseName(user, mailbox).owner === dest.owner || !(await this.exceedsQuota(dest.owner, emails))) {
+      return true;
+    }
+    socket.write(`${tag} NO [OVERQUOTA] Quota exceeded\r\n`);
+    return false;
+  }
+
+  /**
+   * SETACL mailbox identifier rights (RFC 4314 3.1). Rights starting with + or - are
+   * added to or removed from the identifier's; changing an ACL takes the a right.
+   */
+  async handleSetAcl(socket, args, state, tag) {
+    if (args.length < 3) {
+      socket.write(`${tag} BAD SETACL requires a mailbox, an identifier and rights\r\n`);
+      return;
+    }
+    try {
+      AclService.parseRights(args[2]);
+    } catch (error) {
+      socket.write(`${tag} BAD ${error.message}\r\n`);
+      return;
+    }
+
+    try {
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'a');
+      if (!target) {
+        return;
+      }
+      await AclService.setRights(target.folder, args[1], args[2]);
+      socket.write(`${tag} OK SETACL completed\r\n`);
+
+    } catch (error) {
+      this.writeFolderError(socket, tag, 'SETACL', error);
+    }
+  }
+
+  async handleDeleteAcl(socket, args, state, tag) {
+    if (args.length < 2) {
+      socket.write(`${tag} BAD DELETEACL requires a mailbox and an identifier\r\n`);
+      return;
+    }
+
+    try {
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'a');
+      if (!target) {
+        return;
+      }
+      await AclService.deleteRights(target.folder, args[1]);
+      socket.write(`${tag} OK DELETEACL completed\r\n`);
+
+    } catch (error) {
+      this.writeFolderError(socket, tag, 'DELETEACL', error);
+    }
+  }
+
+  async handleGetAcl(socket, args, state, tag) {
+    try {
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'a');
+      if (!target) {
+        return;
+      }
+
+      const entries = AclService.getAcl(target.folder).map(entry => ` "${entry.identifier}" ${entry.rights}`);
+      socket.write(`* ACL "${target.mailbox}"${entries.join('')}\r\n`);
+      socket.write(`${tag} OK GETACL completed\r\n`);
+
+    } catch (error) {
+      this.writeFolderError(socket, tag, 'GETACL', error);
+    }
+  }
+
+  async handleListRights(socket, args, state, tag) {
+    if (args.length < 2) {
+      socket.write(`${tag} BAD LISTRIGHTS requires a mailbox and an identifier\r\n`);
+      return;
+    }
+
+    try {
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], 'a');
+      if (!target) {
+        return;
+      }
+
+      const identifier = args[1].toLowerCase();
+      const { required, optional } = AclService.listRights(target.folder, identifier);
+      const groups = [required || '""', ...optional].join(' ');
+      socket.write(`* LISTRIGHTS "${target.mailbox}" "${identifier}" ${groups}\r\n`);
+      socket.write(`${tag} OK LISTRIGHTS completed\r\n`);
+
+    } catch (error) {
+      this.writeFolderError(socket, tag, 'LISTRIGHTS', error);
+    }
+  }
+
+  // Any right on a mailbox is enough to ask what they are
+  async handleMyRights(socket, args, state, tag) {
+    try {
+      const target = await this.getMailboxWithRight(socket, state, tag, args[0], null);
+      if (!target) {
+        return;
+      }
+
+      socket.write(`* MYRIGHTS "${target.mailbox}" ${target.rights}\r\n`);
+      socket.write(`${tag} OK MYRIGHTS completed\r\n`);
+
+    } catch (error) {
+      this.writeFolderError(socket, tag, 'MYRIGHTS', error);
+    }
+  }
+
+  /**
+   * GETMETADATA [(MAXSIZE n DEPTH 0|1|infinity)] mailbox entry | (entry ...) (RFC 5464 4.2).
+   * The mailbox "" asks for server entries; entries without a value are left out.
+   */
+  async handleGetMetadata(socket, args, state, tag) {
+    const options = { depth: '0', maxSize: null };
+    let rest = args;
+    if (rest[0] === '(') {
+      const end = rest.indexOf(')');
+      const list = rest.slice(1, end);
+      rest = rest.slice(end + 1);
+      for (let i = 0; i < list.length; i += 2) {
+        const option = list[i].toUpperCase();
+        const value = list[i + 1] || '';
+        if (option === 'MAXSIZE' && /^\d+$/.test(value)) {
+          options.maxSize = parseInt(value);
+        } else if (option === 'DEPTH' && /^(0|1|infinity)$/i.test(value)) {
+          options.depth = value.toLowerCase();
+        } else {
+          socket.write(`${tag} BAD Invalid GETMETADATA option ${list[i]}\r\n`);
+          return;
+        }
+      }
+    }
+
+    const names = rest[1] === '(' ? rest.slice(2, -1) : rest.slice(1);
+    if (rest[0] === undefined || names.length === 0) {
+      socket.write(`${tag} BAD GETMETADATA requires a mailbox and entries\r\n`);
+      return;
+    }
+
+    try {
+      const target = rest[0] === '' ? null : await this.getMailboxWithRight(socket, state, tag, rest[0], 'l');
+      if (rest[0] !== '' && !target) {
+        return;
+      }
+
+      const { entries, longEntries } = await MetadataService.getEntries(state.getUser(), target, names, options);
+      if (entries.length > 0) {
+        const values = entries.map(({ entry, value }) => `${entry} ${this.formatMetadataValue(value)}`);
+        socket.write(`* METADATA "${target ? target.mailbox : ''}" (${values.join(' ')})\r\n`);
+      }
+      socket.write(`${tag} OK ${longEntries ? `[METADATA LONGENTRIES ${longEntries}] ` : ''}GETMETADATA completed\r\n`);
+
+    } catch (error) {
+      this.writeMetadataError(socket, tag, 'GETMETADATA', error);
+    }
+  }
+
+  /**
+   * SETMETADATA mailbox (entry value ...) (RFC 5464 4.3); the atom NIL removes the entry,
+   * while the string "NIL" is stored as a value. Private entries take l on the mailbox and
+   * shared ones w as well, so a mailbox the user cannot look up is refused up front.
+   * @param {Array} quoted - parseCommand's quoted flags for args
+   */
+  async handleSetMetadata(socket, args, state, tag, quoted = []) {
+    const list = args.slice(2, -1);
+    if (args.length < 3 || args[1] !== '(' || args[args.length - 1] !== ')' || list.length % 2 !== 0) {
+      socket.write(`${tag} BAD SETMETADATA requires a mailbox and a list of entries and values\r\n`);
+      return;
+    }
+
+    const values = [];
+    for (let i = 0; i < list.length; i += 2) {
+      const nil = !quoted[i + 3] && /^NIL$/i.test(list[i + 1]); // list starts at args[2]
+      values.push({ entry: list[i], value: nil ? null : list[i + 1] });
+    }
+
+    try {
+      const target = args[0] === '' ? null : await this.getMailboxWithRight(socket, state, tag, args[0], 'l');
+      if (args[0] !== '' && !target) {
+        return;
+      }
+
+      await MetadataService.setEntries(state.getUser(), target, values);
+      socket.write(`${tag} OK SETMETADATA completed\r\n`);
+
+    } catch (error) {
+      this.writeMetadataError(socket, tag, 'SETMETADATA', error);
+    }
+  }
+
+  // Helper: metadata values as quoted strings, or literals when they cannot be quoted
+  formatMetadataValue(value) {
+    if (/^[\x20-\x7e]*$/.test(value) && !/["\\]/.test(value)) {
+      return `"${value}"`;
+    }
+    return `{${Buffer.byteLength(value)}}\r\n${value}`;
+  }
+
+  // Helper: invalid entry names are BAD, refused changes NO with their response code
+  writeMetadataError(socket, tag, command, error) {
+    if (error.status === 400 && !error.code) {
+      socket.write(`${tag} BAD ${error.message}\r\n`);
+      return;
+    }
+    this.writeFolderError(socket, tag, command, error);
+  }
+
   incrementTag(tag) {
     const prefix = tag.replace(/\d+$/, '');
     const number = parseInt(tag.match(/\d+$/)[0]) + 1;
@@ -1752,6 +2834,9 @@ class IMAPServer {
   }
 
   stop() {
+    MailboxEvents.removeListener('change', this.mailboxListener);
+    this.watchers.clear();
+
     for (const [port, { server }] of this.servers) {
       server.close();
       logger.info(`🛑 IMAP server stopped on port ${port}`);
@@ -1,7 +1,18 @@
 const { simpleParser } = require('mailparser');
 const IncomingEmail = require('../models/IncomingEmail');
 const Email = require('../models/Email');
-const Mailbox = require('../models/Mailbox');
+const BounceHandler = require('./BounceHandler');
+const RecipientResolver = require('./RecipientResolver');
+const DomainService = require('./DomainService');
+const FolderService = require('./FolderService');
+const MailboxEvents = require('./MailboxEvents');
+const QuotaService = require('./QuotaService');
+const SieveService = require('./SieveService');
+const VacationService = require('./VacationService');
+const BounceParser = require('../utils/BounceParser');
+const MIMEParser = require('../utils/MIMEParser');
+const SRS = require('../utils/SRS');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class IncomingEmailProcessor {
@@ -9,7 +20,12 @@ class IncomingEmailProcessor {
     this.maxSize = process.env.MAX_EMAIL_SIZE || 10 * 1024 * 1024; // 10MB
   }
 
-  async processIncomingEmail(sender, recipients, rawData, source = 'SMTP') {
+  /**
+   * @param {Object} options - { folder } to file the message somewhere other than INBOX,
+   *   { canRefuse } when the caller answers each recipient itself (LMTP), so Sieve
+   *   rejections are refused in the protocol instead of notified by mail
+   */
+  async processIncomingEmail(sender, recipients, rawData, source = 'SMTP', options = {}) {
     try {
       // Validate email size
       if (rawData.length > this.maxSize) {
@@ -48,10 +64,20 @@ class IncomingEmailProcessor {
         subject: emailDoc.subject
       });
 
-      // Deliver to each recipient's mailbox
+      // Bounces for mail we sent update the original outgoing email; they
+      // are still delivered to the mailbox like any other message
+      try {
+        await BounceHandler.handleIncoming(sender, recipients, rawData);
+      } catch (error) {
+        logger.error('❌ Failed to process bounce:', error.message);
+      }
+
+      // Deliver to each recipient's mailbox. A mailbox reached through
+      // several recipients or lists gets one copy.
       const deliveryResults = [];
+      const delivered = new Set();
       for (const recipient of recipients) {
-        const result = await this.deliverToMailbox(recipient, parsed, rawData);
+        const result = await this.deliverToRecipient(sender, recipient, parsed, rawData, options, delivered);
         deliveryResults.push({
           recipient,
           ...result
@@ -215,49 +241,196 @@ class IncomingEmailProcessor {
   }
 
   /**
-   * Extract username from email address
-   * e.g., test@example.com -> test
+   * Deliver to one envelope recipient after expanding aliases, lists, forwarding and
+   * catch-alls: local targets get a mailbox copy, external targets are
+   * queued as a forward
+   */
+  async deliverToRecipient(sender, recipient, parsed, rawData, options = {}, delivered = new Set()) {
+    try {
+      // Same lookup as the RCPT TO check
+      const resolved = await RecipientResolver.resolve(recipient);
+
+      if (resolved.status === 'invalid') {
+        logger.warn('⚠️ Cannot extract username from recipient', { recipient });
+        return { success: false, reason: 'invalid_recipient' };
+      }
+
+      if (resolved.status !== 'local') {
+        logger.warn('⚠️ Mailbox does not exist for recipient', { recipient, status: resolved.status, loop: resolved.loop });
+        return { success: false, reason: resolved.status === 'remote' ? 'not_local' : resolved.loop ? 'alias_loop' : 'no_mailbox' };
+      }
+
+      const mailboxes = [];
+      const rejections = [];
+      let failure = null;
+      for (const username of resolved.mailboxes) {
+        if (delivered.has(username)) continue;
+        delivered.add(username);
+
+        const folder = options.folder || this.getSubaddressFolder(resolved.details[username]);
+        const result = await this.deliverFiltered(sender, username, recipient, parsed, rawData, folder);
+        if (result.success) {
+          mailboxes.push(username);
+          // No auto-reply for quarantined or discarded mail
+          if (!options.folder && !result.discarded) {
+            await VacationService.respond({ username, sender, recipient, rawData })
+              .catch(error => logger.error('❌ Failed to send vacation reply:', error.message));
+          }
+        } else {
+          if (result.reason === 'sieve_reject') rejections.push(result);
+          // A temporary failure decides the outcome so the sender retries
+          if (!failure || !IncomingEmailProcessor.isTemporary(failure)) failure = result;
+        }
+      }
+
+      const external = resolved.external.filter(address => !delivered.has(address));
+      external.forEach(address => delivered.add(address));
+      let forwarded = [];
+      if (external.length > 0 && IncomingEmailProcessor.hasDeliveredTo(rawData, resolved.address)) {
+        // Forwarded out and back in again
+        logger.warn('🔁 Forwarding loop, not forwarding again', { recipient, external });
+        failure = failure || { success: false, reason: 'forward_loop' };
+      } else if (external.length > 0) {
+        forwarded = await this.forwardToExternal(sender, resolved.address, external, parsed,
+          `Delivered-To: ${resolved.address}\r\n${rawData}`);
+      }
+
+      const success = mailboxes.length > 0 || forwarded.length > 0 || (!failure && external.length === 0);
+
+      // Rejections the protocol reply cannot carry are sent to the sender,
+      // unless the message will be retried anyway
+      const temporary = !success && failure && IncomingEmailProcessor.isTemporary(failure);
+      const refused = !success && options.canRefuse;
+      if (!temporary && !refused) {
+        for (const rejection of rejections) {
+          await SieveService.sendRejection(sender, recipient, rejection.message, rawData)
+            .catch(error => logger.error('❌ Failed to send Sieve rejection:', error.message));
+        }
+      }
+
+      return success ?
+        { success: true, username: mailboxes[0] || null, mailboxes, forwarded } :
+        { ...(failure || { success: false, reason: 'forward_failed' }), mailboxes, forwarded };
+    } catch (error) {
+      logger.error('❌ Failed to deliver email to recipient:', error.message);
+      return { success: false, reason: 'delivery_error', error: error.message };
+    }
+  }
+
+  /**
+   * Deliver one mailbox copy through the owner's active Sieve script, if any
    */
-  extractUsername(email) {
-    if (!email || !email.includes('@')) {
-      return null;
+  async deliverFiltered(sender, username, recipient, parsed, rawData, folder) {
+    const plan = await SieveService.filter({ username, sender, recipient, parsed, rawData });
+    if (!plan) {
+      return this.deliverToMailbox(username, recipient, parsed, rawData, folder);
+    }
+
+    const copies = new Map(); // folder -> flags
+    const redirects = [];
+    for (const action of plan.actions) {
+      if (action.type === 'reject') {
+        return { success: false, reason: 'sieve_reject', message: action.reason, username };
+      }
+      if (action.type === 'redirect') {
+        redirects.push(action.address);
+      } else if (action.type === 'keep' || action.type === 'fileinto') {
+        let target = action.type === 'keep' ? folder : action.folder;
+        if (target.toUpperCase() === 'INBOX') target = 'INBOX';
+        copies.set(target, [...new Set([...(copies.get(target) || []), ...action.flags])]);
+      }
+    }
+
+    let result = { success: true, username, discarded: copies.size === 0 && redirects.length === 0 };
+    for (const [target, flags] of copies) {
+      const stored = await this.deliverToMailbox(username, recipient, parsed, rawData, target, flags);
+      if (!stored.success) return stored;
+      result = { ...stored, ...result, discarded: false };
     }
-    return email.split('@')[0].toLowerCase();
+
+    if (redirects.length > 0) {
+      // A copy already redirected by this user coming back is a loop
+      if (IncomingEmailProcessor.hasDeliveredTo(rawData, username)) {
+        logger.warn('🔁 Sieve redirect loop, not redirecting', { username, redirects });
+      } else {
+        await this.forwardToExternal(sender, username, redirects, parsed, `Delivered-To: ${username}\r\n${rawData}`);
+      }
+    }
+
+    return result;
   }
 
   /**
-   * Check if a mailbox exists for the given username
+   * Folder for mail sent to user+detail@domain. Only plain names are used
+   * so a detail cannot reach into a folder hierarchy, and VERP tags stay in INBOX.
    */
-  async mailboxExists(username) {
+  getSubaddressFolder(detail) {
+    if (!config.email.subaddressFolders || !detail || !/^[\w.-]+$/.test(detail) || detail.toUpperCase() === 'INBOX' ||
+      BounceParser.isVERPTag(detail)) {
+      return 'INBOX';
+    }
+    return detail;
+  }
+
+  /**
+   * Queue a copy for alias/list/forwarding targets outside our domains
+   */
+  async forwardToExternal(sender, recipient, targets, parsed, rawData) {
     try {
-      const mailbox = await Mailbox.findOne({ username });
-      return !!mailbox;
+      // Required lazily: EmailQueue pulls in the outbound side
+      const EmailQueue = require('./EmailQueue');
+      const emailId = await EmailQueue.addToQueue({
+        sender: await this.getForwardSender(sender, recipient),
+        recipients: targets,
+        subject: parsed.subject || '',
+        text: parsed.text || '',
+        html: parsed.html || '',
+        raw: rawData,
+        messageId: parsed.messageId,
+        authenticatedUsername: recipient // The alias the forward was made for
+      });
+
+      logger.info('↪️ Email forwarded to external targets', { recipient, targets, emailId });
+      return targets;
     } catch (error) {
-      logger.error('❌ Error checking mailbox existence:', error.message);
-      return false;
+      logger.error('❌ Failed to queue forward:', error.message);
+      return [];
     }
   }
 
+  /**
+   * Envelope sender for a forward. Senders outside our domains are rewritten
+   * with SRS so SPF passes at the next hop; the null sender stays null.
+   */
+  async getForwardSender(sender, recipient) {
+    const address = (sender || '').trim().replace(/^<|>$/g, '');
+    if (!address.includes('@') || !config.srs.enabled) {
+      return address;
+    }
+
+    if (await DomainService.isLocalDomain(address.slice(address.lastIndexOf('@') + 1).toLowerCase())) {
+      return address;
+    }
+
+    const domain = config.srs.domain || recipient.slice(recipient.lastIndexOf('@') + 1);
+    return SRS.forward(address, domain, config.srs.secret);
+  }
+
   /**
    * Deliver email to user's mailbox in Email collection
    * This makes the email visible via IMAP
    */
-  async deliverToMailbox(recipient, parsed, rawData) {
+  async deliverToMailbox(username, recipient, parsed, rawData, folder = 'INBOX', flags = []) {
     try {
-      const username = this.extractUsername(recipient);
-
-      if (!username) {
-        logger.warn('⚠️ Cannot extract username from recipient', { recipient });
-        return { success: false, reason: 'invalid_recipient' };
+      const raw = `Delivered-To: ${recipient}\r\n${rawData}`;
+      const overQuota = await QuotaService.checkQuota(username, Buffer.byteLength(raw));
+      if (overQuota) {
+        logger.warn('📦 Mailbox over quota, not delivered', { username, recipient, resource: overQuota });
+        return { success: false, reason: 'over_quota', username };
       }
 
-      // Check if mailbox exists
-      const mailboxExists = await this.mailboxExists(username);
-
-      if (!mailboxExists) {
-        logger.warn('⚠️ Mailbox does not exist for recipient', { recipient, username });
-        return { success: false, reason: 'no_mailbox' };
-      }
+      // Sieve fileinto and subaddress filing may name a folder that does not exist yet
+      const target = await FolderService.ensureFolder(username, folder || 'INBOX');
 
       // Create email document for the user's mailbox
       const emailDoc = new Email({
@@ -266,38 +439,35 @@ class IncomingEmailProcessor {
         subject: parsed.subject || 'No Subject',
         text: parsed.text || '',
         html: parsed.html || '',
-        raw: rawData,
+        // Keep the envelope recipient it arrived for, e.g. user+lists@domain
+        raw,
         attachments: parsed.attachments.map(att => ({
           filename: att.filename,
           contentType: att.contentType,
           content: att.content,
         })),
-        mailbox: 'INBOX', // Folder name (can be moved to Spam, Trash, etc. later)
+        mailbox: target.name, // Folder name (can be moved to Spam, Trash, etc. later)
         authenticatedUsername: username, // Owner of this email (THIS is the important field for queries)
         messageId: parsed.messageId,
         inReplyTo: parsed.inReplyTo,
         references: parsed.references,
         internalDate: new Date(),
         // Set IMAP flags for new incoming message
-        flags: {
-          seen: false,
-          answered: false,
-          flagged: false,
-          deleted: false,
-          draft: false,
-          recent: true,
-          keywords: {}
-        }
+        flags: IncomingEmailProcessor.flagsFromList(flags)
         // Note: uid will be auto-assigned by pre-save hook in Email model
       });
 
       await emailDoc.save();
 
+      // Idle and selected IMAP sessions on this folder hear about it straight away
+      MailboxEvents.publish({ username, mailbox: emailDoc.mailbox, type: 'exists', uids: [emailDoc.uid] });
+
       logger.info('✅ Email delivered to mailbox', {
         emailId: emailDoc._id,
         recipient,
         username,
         uid: emailDoc.uid,
+        folder: emailDoc.mailbox,
         subject: emailDoc.subject
       });
 
@@ -307,6 +477,48 @@ class IncomingEmailProcessor {
       return { success: false, reason: 'delivery_error', error: error.message };
     }
   }
+
+  // Failures the sender should retry: storage errors and full mailboxes
+  static isTemporary(result) {
+    return result.reason === 'delivery_error' || result.reason === 'over_quota';
+  }
+
+  /**
+   * Whether the message already passed through this address
+   */
+  static hasDeliveredTo(rawData, address) {
+    const headers = MIMEParser.parseHeaders(MIMEParser.splitHeaderBody(String(rawData)).header);
+    return headers.some(h => h.key === 'delivered-to' &&
+      h.value.replace(/^<|>$/g, '').toLowerCase() === address.toLowerCase());
+  }
+
+  /**
+   * IMAP flags for a new message, with any flags a Sieve script set
+   * e.g. ['\\Seen', 'work'] -> { seen: true, ..., keywords: { work: true } }
+   */
+  static flagsFromList(list) {
+    const flags = {
+      seen: false,
+      answered: false,
+      flagged: false,
+      deleted: false,
+      draft: false,
+      recent: true,
+      keywords: {}
+    };
+
+    for (const flag of list) {
+      const system = flag.startsWith('\\') ? flag.slice(1).toLowerCase() : null;
+      if (['seen', 'answered', 'flagged', 'deleted', 'draft'].includes(system)) {
+        flags[system] = true;
+      } else if (!system && /^[^$.][^.]*$/.test(flag)) {
+        // Map keys cannot start with $ or contain a dot
+        flags.keywords[flag] = true;
+      }
+    }
+
+    return flags;
+  }
 }
 
 module.exports = new IncomingEmailProcessor(); 
\ No newline at end of file
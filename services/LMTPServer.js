@@ -4,8 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config/config');
 const database = require('../config/database');
-const Email = require('../models/Email');
 const RspamdService = require('./RspamdService');
+const IncomingEmailProcessor = require('./IncomingEmailProcessor');
+const RecipientResolver = require('./RecipientResolver');
 const logger = require('../utils/logger');
 
 class LMTPServer {
@@ -80,6 +81,7 @@ class LMTPServer {
       state: 'INIT',
       currentEmail: null,
       buffer: '',
+      queue: Promise.resolve(), // commands run one at a time, in order
       id: Math.random().toString(36).substr(2, 9),
       clientIp: socket.remoteAddress,
       hostname: null
@@ -107,22 +109,19 @@ class LMTPServer {
   }
 
   handleData(connection, data) {
-    if (connection.state === 'DATA') {
-      this.handleEmailData(connection, data);
-      return;
-    }
-
     const lines = (connection.buffer + data.toString()).split('\r\n');
     connection.buffer = lines.pop() || '';
 
     for (const line of lines) {
-      if (line.trim()) {
-        this.processCommand(connection, line.trim());
-      }
+      connection.queue = connection.queue
+        .then(() => connection.state === 'DATA' ?
+          this.handleEmailLine(connection, line) :
+          line.trim() && this.processCommand(connection, line.trim()))
+        .catch(error => logger.error('❌ LMTP command failed', { error: error.message, connectionId: connection.id }));
     }
   }
 
-  processCommand(connection, command) {
+  async processCommand(connection, command) {
     const parts = command.split(' ');
     const cmd = parts[0].toUpperCase();
     const args = parts.slice(1);
@@ -137,7 +136,7 @@ class LMTPServer {
         this.handleMAIL(connection, args);
         break;
       case 'RCPT':
-        this.handleRCPT(connection, args);
+        await this.handleRCPT(connection, args);
         break;
       case 'DATA':
         this.handleDATA(connection);
@@ -201,7 +200,7 @@ class LMTPServer {
     this.sendResponse(connection.socket, '250', 'OK');
   }
 
-  handleRCPT(connection, args) {
+  async handleRCPT(connection, args) {
     if (connection.state !== 'MAIL' && connection.state !== 'RCPT') {
       this.sendResponse(connection.socket, '503', 'Bad sequence of commands');
       return;
@@ -218,6 +217,13 @@ class LMTPServer {
       return;
     }
 
+    // LMTP is final delivery, so only local recipients (or their aliases) are accepted
+    const rejection = await RecipientResolver.checkRecipient(toMatch[1]);
+    if (rejection) {
+      connection.socket.write(rejection + '\r\n');
+      return;
+    }
+
     connection.currentEmail.to.push(toMatch[1]);
     connection.state = 'RCPT';
     this.sendResponse(connection.socket, '250', 'OK');
@@ -297,7 +303,7 @@ class LMTPServer {
             threshold: action.threshold,
             connectionId: connection.id
           });
-          return false; // Will trigger 550 error response
+          return false; // Will trigger a 550 response for every recipient
         }
 
         // Handle greylist action
@@ -326,31 +332,24 @@ class LMTPServer {
         }
       }
 
-      const email = new Email({
-        from: connection.currentEmail.from,
-        to: connection.currentEmail.to,
-        subject: this.extractSubject(processedData),
-        body: processedData,
-        receivedAt: connection.currentEmail.receivedAt,
-        source: 'LMTP',
-        status: 'received'
-      });
+      // Same delivery path as SMTP: alias expansion, mailbox copies and forwards
+      const result = await IncomingEmailProcessor.processIncomingEmail(
+        connection.currentEmail.from,
+        connection.currentEmail.to,
+        processedData,
+        'LMTP',
+        { canRefuse: true }
+      );
 
-      await email.save();
-      logger.info(`📧 LMTP email saved: ${email._id} from ${connection.currentEmail.from} to ${connection.currentEmail.to.join(', ')}`);
+      logger.info(`📧 LMTP email delivered from ${connection.currentEmail.from} to ${connection.currentEmail.to.join(', ')}`);
 
-      return true;
+      return result.deliveryResults;
     } catch (error) {
       logger.error('❌ Error saving LMTP email', error);
       return false;
     }
   }
 
-  extractSubject(data) {
-    const subjectMatch = data.match(/^Subject:\s*(.+)$/mi);
-    return subjectMatch ? subjectMatch[1].trim() : 'No Subject';
-  }
-
   sendResponse(socket, code, message) {
     const response = `${code} ${message}\r\n`;
     socket.write(response);
@@ -371,38 +370,48 @@ class LMTPServer {
     };
   }
 
-  // Handle email data reception
-  handleEmailData(connection, data) {
-    const lines = data.toString().split('\r\n');
-    
-    for (const line of lines) {
-      if (line === '.') {
-        // End of email data
-        this.finalizeEmail(connection);
-        return;
-      }
-      
-      if (line.startsWith('..')) {
-        // Unescape dot-stuffing
-        connection.currentEmail.data += line.substring(1) + '\r\n';
-      } else {
-        connection.currentEmail.data += line + '\r\n';
-      }
+  // Handle one line of email data
+  async handleEmailLine(connection, line) {
+    if (line === '.') {
+      // End of email data
+      await this.finalizeEmail(connection);
+      return;
     }
+
+    // Unescape dot-stuffing
+    connection.currentEmail.data += (line.startsWith('.') ? line.substring(1) : line) + '\r\n';
   }
 
+  /**
+   * LMTP answers DATA with one reply per accepted recipient (RFC 2033 4.2)
+   */
   async finalizeEmail(connection) {
+    const recipients = connection.currentEmail.to;
+
     try {
-      const success = await this.saveEmail(connection);
-      
-      if (success) {
-        this.sendResponse(connection.socket, '250', 'OK');
-      } else {
-        this.sendResponse(connection.socket, '550', 'Failed to save email');
-      }
+      const results = await this.saveEmail(connection);
+
+      recipients.forEach((recipient, index) => {
+        const result = results && results[index];
+        if (result && result.success) {
+          this.sendResponse(connection.socket, '250', `2.0.0 <${recipient}> delivered`);
+        } else if (result && result.reason === 'sieve_reject') {
+          this.sendResponse(connection.socket, '550', `5.7.1 <${recipient}> ${result.message.replace(/\s+/g, ' ').trim() || 'rejected by filter'}`);
+        } else if (result && result.reason === 'over_quota') {
+          this.sendResponse(connection.socket, '452', `4.2.2 <${recipient}> mailbox full`);
+        } else if (result && result.reason === 'delivery_error') {
+          this.sendResponse(connection.socket, '451', `4.3.0 <${recipient}> temporary delivery failure`);
+        } else if (result) {
+          this.sendResponse(connection.socket, '550', `5.1.1 <${recipient}> not delivered (${result.reason})`);
+        } else {
+          this.sendResponse(connection.socket, '550', `5.7.1 <${recipient}> message rejected`);
+        }
+      });
     } catch (error) {
       logger.error('❌ Error finalizing LMTP email', error);
-      this.sendResponse(connection.socket, '550', 'Internal server error');
+      recipients.forEach(recipient => {
+        this.sendResponse(connection.socket, '451', `4.3.0 <${recipient}> internal server error`);
+      });
     }
 
     // Reset connection state
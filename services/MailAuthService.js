@@ -0,0 +1,684 @@
+const dns = require('dns');
+const net = require('net');
+const DKIM = require('../utils/DKIM');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_VOID_LOOKUP_LIMIT = 2;
+const SPF_QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+// Second-level labels under which registrations happen one level deeper
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'com.br', 'com.cn', 'com.mx', 'co.za', 'co.in', 'co.kr'
+]);
+
+/**
+ * Inbound sender authentication: SPF (RFC 7208), DKIM verification
+ * (RFC 6376, RFC 8463) and DMARC (RFC 7489), reported as an RFC 8601
+ * Authentication-Results header.
+ *
+ * All DNS queries go through `this.resolver`, which can be swapped with
+ * setResolver() for any object implementing resolveTxt, resolve4, resolve6
+ * and resolveMx (and optionally reverse) the way dns.promises does.
+ */
+class MailAuthService {
+  constructor() {
+    this.config = config.mailAuth;
+    this.resolver = dns.promises;
+  }
+
+  setResolver(resolver) {
+    this.resolver = resolver || dns.promises;
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Run all checks for one inbound message
+   * @param {Object} params - { ip, helo, sender, raw }
+   * @returns {Promise<Object>} - { spf, dkim, dmarc, header, action, message }
+   */
+  async authenticate({ ip, helo, sender, raw }) {
+    const [spf, dkim] = await Promise.all([
+      this.checkSPF(ip, sender, helo),
+      this.verifyDKIM(raw)
+    ]);
+
+    const from = DKIM.parseFrom(raw);
+    const dmarc = from.error ?
+      { result: 'permerror', domain: null, reason: from.error } :
+      await this.checkDMARC(from.domain, spf, dkim);
+    const header = this.buildHeader({ spf, dkim, dmarc, sender, helo });
+    const { action, message } = this.getAction(dmarc);
+
+    logger.info('🔐 Sender authentication', {
+      ip,
+      sender,
+      spf: spf.result,
+      dkim: dkim.map(d => `${d.domain || '?'}:${d.result}`).join(',') || 'none',
+      dmarc: dmarc.result,
+      policy: dmarc.policy,
+      action
+    });
+
+    return { spf, dkim, dmarc, header, action, message };
+  }
+
+  /**
+   * Decide what to do with the message from the DMARC outcome. A message whose From
+   * names no single author domain is treated like a p=reject failure (RFC 7489 6.6.1).
+   */
+  getAction(dmarc) {
+    const noAuthor = dmarc.result === 'permerror' && !dmarc.domain;
+    if (dmarc.result !== 'fail' && !noAuthor) {
+      return { action: 'accept', message: null };
+    }
+
+    const disposition = noAuthor ? 'reject' : dmarc.disposition;
+    const configured = disposition === 'reject' ? this.config.dmarcRejectAction :
+      disposition === 'quarantine' ? this.config.dmarcQuarantineAction : 'none';
+
+    if (configured === 'reject') {
+      return {
+        action: 'reject',
+        message: noAuthor ?
+          `550 5.7.1 Email rejected, ${dmarc.reason}` :
+          `550 5.7.1 Email rejected per DMARC policy for ${dmarc.domain}`
+      };
+    }
+
+    if (configured === 'quarantine') {
+      return { action: 'quarantine', message: null };
+    }
+
+    return { action: 'accept', message: null };
+  }
+
+  /**
+   * Prepend the Authentication-Results header, dropping any existing one
+   * that claims to be ours (RFC 8601 section 5)
+   */
+  stampMessage(raw, header) {
+    const normalized = String(raw).replace(/\r?\n/g, '\r\n');
+    const end = normalized.indexOf('\r\n\r\n');
+    const headerBlock = end === -1 ? normalized : normalized.slice(0, end);
+    const rest = end === -1 ? '' : normalized.slice(end);
+    const authservId = this.config.authservId.toLowerCase();
+
+    const kept = [];
+    let skipping = false;
+    for (const line of headerBlock.split('\r\n')) {
+      if (/^[ \t]/.test(line)) {
+        if (!skipping) kept.push(line);
+        continue;
+      }
+
+      const match = line.match(/^authentication-results:\s*([^;\s]+)/i);
+      skipping = !!match && match[1].toLowerCase() === authservId;
+      if (!skipping) kept.push(line);
+    }
+
+    return `${header}\r\n${kept.join('\r\n')}${rest}`;
+  }
+
+  buildHeader({ spf, dkim, dmarc, sender, helo }) {
+    const results = [];
+
+    const spfProps = sender ? `smtp.mailfrom=${sender}` : `smtp.helo=${helo}`;
+    results.push(`spf=${spf.result}${spf.reason ? ` (${spf.reason})` : ''} ${spfProps}`);
+
+    if (dkim.length === 0) {
+      results.push('dkim=none');
+    }
+    for (const signature of dkim) {
+      const props = [
+        signature.domain ? `header.d=${signature.domain}` : null,
+        signature.selector ? `header.s=${signature.selector}` : null,
+        signature.algorithm ? `header.a=${signature.algorithm}` : null,
+        signature.b ? `header.b=${signature.b.slice(0, 8)}` : null
+      ].filter(Boolean).join(' ');
+      results.push(`dkim=${signature.result}${signature.reason ? ` (${signature.reason})` : ''}${props ? ` ${props}` : ''}`);
+    }
+
+    const dmarcComment = dmarc.policy ? ` (p=${dmarc.policy} dis=${dmarc.disposition || 'none'})` : '';
+    results.push(`dmarc=${dmarc.result}${dmarcComment}${dmarc.domain ? ` header.from=${dmarc.domain}` : ''}`);
+
+    return `Authentication-Results: ${this.config.authservId};\r\n\t${results.join(';\r\n\t')}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SPF
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Evaluate SPF for the MAIL FROM identity, or the HELO identity for the
+   * null reverse-path
+   * @returns {Promise<Object>} - { result, domain, reason }
+   */
+  async checkSPF(ip, sender, helo) {
+    const clientIp = MailAuthService.normalizeIp(ip);
+    const mailFrom = sender && sender.includes('@') ? sender : `postmaster@${helo || ''}`;
+    const domain = mailFrom.split('@').pop().toLowerCase();
+
+    if (!clientIp || !MailAuthService.isValidDomain(domain)) {
+      return { result: 'none', domain, reason: 'no valid identity' };
+    }
+
+    const context = {
+      ip: clientIp,
+      sender: mailFrom,
+      helo: helo || '',
+      lookups: 0,
+      voidLookups: 0
+    };
+
+    try {
+      const result = await this.checkHost(domain, context);
+      return { ...result, domain };
+    } catch (error) {
+      return { result: error.spfResult || 'temperror', domain, reason: error.message };
+    }
+  }
+
+  /**
+   * check_host() from RFC 7208 section 4
+   */
+  async checkHost(domain, context) {
+    const record = await this.getSPFRecord(domain);
+    if (!record) {
+      return { result: 'none', reason: `no SPF record for ${domain}` };
+    }
+
+    const terms = record.split(/\s+/).slice(1).filter(Boolean);
+    let redirect = null;
+
+    for (const term of terms) {
+      const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+      if (modifier) {
+        if (modifier[1].toLowerCase() === 'redirect') {
+          redirect = modifier[2];
+        }
+        continue;
+      }
+
+      const mechanism = term.match(/^([+\-~?]?)([a-z0-9]+)(?::([^/]+))?(?:\/(\d+))?(?:\/\/(\d+))?$/i);
+      if (!mechanism) {
+        throw MailAuthService.spfError('permerror', `invalid term ${term}`);
+      }
+
+      const qualifier = SPF_QUALIFIERS[mechanism[1] || '+'];
+      const name = mechanism[2].toLowerCase();
+      const target = mechanism[3] ? this.expandMacros(mechanism[3], domain, context) : domain;
+      const cidr4 = mechanism[4] !== undefined ? parseInt(mechanism[4]) : 32;
+      const cidr6 = mechanism[5] !== undefined ? parseInt(mechanism[5]) : 128;
+
+      if (await this.matchMechanism(name, target, mechanism[3], cidr4, cidr6, context, term)) {
+        return { result: qualifier, reason: `matched ${term}` };
+      }
+    }
+
+    if (redirect) {
+      this.countLookup(context);
+      const target = this.expandMacros(redirect, domain, context);
+      const result = await this.checkHost(target, context);
+      if (result.result === 'none') {
+        throw MailAuthService.spfError('permerror', `redirect to ${target} has no SPF record`);
+      }
+      return result;
+    }
+
+    return { result: 'neutral', reason: 'no mechanism matched' };
+  }
+
+  async matchMechanism(name, target, rawTarget, cidr4, cidr6, context, term) {
+    const ip = context.ip;
+    const family = net.isIPv6(ip) ? 6 : 4;
+
+    switch (name) {
+      case 'all':
+        return true;
+
+      case 'ip4':
+      case 'ip6': {
+        const [network, prefix] = (term.split(':').slice(1).join(':')).split('/');
+        const bits = prefix !== undefined ? parseInt(prefix) : (name === 'ip4' ? 32 : 128);
+        return MailAuthService.ipInNetwork(ip, network, bits);
+      }
+
+      case 'a': {
+        this.countLookup(context);
+        const addresses = await this.resolveAddresses(target, family, context);
+        return addresses.some(address => MailAuthService.ipInNetwork(ip, address, family === 4 ? cidr4 : cidr6));
+      }
+
+      case 'mx': {
+        this.countLookup(context);
+        const records = await this.lookup('resolveMx', target, context);
+        for (const mx of records.slice(0, 10)) {
+          const addresses = await this.resolveAddresses(mx.exchange, family, context);
+          if (addresses.some(address => MailAuthService.ipInNetwork(ip, address, family === 4 ? cidr4 : cidr6))) {
+            return true;
+          }
+        }
+        return false;
+      }
+
+      case 'include': {
+        if (!rawTarget) throw MailAuthService.spfError('permerror', 'include without domain');
+        this.countLookup(context);
+        const result = await this.checkHost(target, context);
+        if (result.result === 'pass') return true;
+        if (result.result === 'temperror') throw MailAuthService.spfError('temperror', result.reason);
+        if (result.result === 'permerror' || result.result === 'none') {
+          throw MailAuthService.spfError('permerror', `include:${target} has no usable SPF record`);
+        }
+        return false;
+      }
+
+      case 'exists': {
+        if (!rawTarget) throw MailAuthService.spfError('permerror', 'exists without domain');
+        this.countLookup(context);
+        const addresses = await this.lookup('resolve4', target, context);
+        return addresses.length > 0;
+      }
+
+      case 'ptr': {
+        // Deprecated (RFC 7208 5.5) - matched only when the resolver can do reverse lookups
+        this.countLookup(context);
+        if (typeof this.resolver.reverse !== 'function') return false;
+        const names = await this.lookup('reverse', ip, context);
+        for (const hostname of names.slice(0, 10)) {
+          const lower = hostname.toLowerCase();
+          if (lower !== target && !lower.endsWith(`.${target}`)) continue;
+          const addresses = await this.resolveAddresses(hostname, family, context);
+          if (addresses.some(address => MailAuthService.ipInNetwork(ip, address, family === 4 ? 32 : 128))) {
+            return true;
+          }
+        }
+        return false;
+      }
+
+      default:
+        throw MailAuthService.spfError('permerror', `unknown mechanism ${name}`);
+    }
+  }
+
+  async getSPFRecord(domain) {
+    if (!MailAuthService.isValidDomain(domain)) {
+      throw MailAuthService.spfError('permerror', `invalid domain ${domain}`);
+    }
+
+    let records;
+    try {
+      records = await this.resolver.resolveTxt(domain);
+    } catch (error) {
+      if (MailAuthService.isNoData(error)) return null;
+      throw MailAuthService.spfError('temperror', `DNS error for ${domain}: ${error.code || error.message}`);
+    }
+
+    const spfRecords = records
+      .map(chunks => chunks.join(''))
+      .filter(record => /^v=spf1(\s|$)/i.test(record));
+
+    if (spfRecords.length > 1) {
+      throw MailAuthService.spfError('permerror', `multiple SPF records for ${domain}`);
+    }
+
+    return spfRecords[0] || null;
+  }
+
+  async resolveAddresses(hostname, family, context) {
+    return this.lookup(family === 6 ? 'resolve6' : 'resolve4', hostname, context);
+  }
+
+  /**
+   * DNS query counting void lookups; missing data is an empty answer
+   */
+  async lookup(method, name, context) {
+    try {
+      const answers = await this.resolver[method](name);
+      if (answers.length === 0) this.countVoidLookup(context);
+      return answers;
+    } catch (error) {
+      if (MailAuthService.isNoData(error)) {
+        this.countVoidLookup(context);
+        return [];
+      }
+      throw MailAuthService.spfError('temperror', `DNS error for ${name}: ${error.code || error.message}`);
+    }
+  }
+
+  countLookup(context) {
+    context.lookups++;
+    if (context.lookups > SPF_LOOKUP_LIMIT) {
+      throw MailAuthService.spfError('permerror', 'too many DNS lookups');
+    }
+  }
+
+  countVoidLookup(context) {
+    context.voidLookups++;
+    if (context.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+      throw MailAuthService.spfError('permerror', 'too many void DNS lookups');
+    }
+  }
+
+  /**
+   * SPF macro expansion (RFC 7208 section 7)
+   */
+  expandMacros(spec, domain, context) {
+    const [local, senderDomain] = [context.sender.split('@')[0], context.sender.split('@').pop()];
+    const values = {
+      s: context.sender,
+      l: local,
+      o: senderDomain,
+      d: domain,
+      i: net.isIPv6(context.ip) ? MailAuthService.ipv6Nibbles(context.ip) : context.ip,
+      p: 'unknown',
+      v: net.isIPv6(context.ip) ? 'ip6' : 'in-addr',
+      h: context.helo
+    };
+
+    return spec.replace(/%(?:\{([slodiphv])(\d*)(r?)([.\-+,/_=]*)\}|(%)|(_)|(-))/gi, (match, letter, digits, reverse, delimiters, percent, underscore, dash) => {
+      if (percent) return '%';
+      if (underscore) return ' ';
+      if (dash) return '%20';
+
+      const value = values[letter.toLowerCase()] || '';
+      const splitOn = new RegExp(`[${(delimiters || '.').replace(/[-\\\]^]/g, '\\$&')}]`);
+      let parts = value.split(splitOn);
+      if (reverse) parts = parts.reverse();
+      if (digits) parts = parts.slice(-parseInt(digits));
+      return parts.join('.');
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // DKIM
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Verify every DKIM-Signature header of a message
+   * @returns {Promise<Array>} - [{ result, domain, selector, algorithm, b, reason }]
+   */
+  async verifyDKIM(raw) {
+    const { headerLines, body } = DKIM.splitMessage(raw);
+    const signatures = headerLines.filter(h => h.key === 'dkim-signature');
+
+    return Promise.all(signatures.map(signature =>
+      this.verifySignature(headerLines, body, signature.line).catch(error => ({
+        result: 'temperror',
+        reason: error.message
+      }))
+    ));
+  }
+
+  async verifySignature(headerLines, body, signatureLine) {
+    const tags = DKIM.parseTags(signatureLine.slice(signatureLine.indexOf(':') + 1));
+    const result = {
+      domain: tags.d ? tags.d.toLowerCase() : null,
+      selector: tags.s || null,
+      algorithm: tags.a || null,
+      b: tags.b || null
+    };
+
+    const missing = ['v', 'a', 'b', 'bh', 'd', 'h', 's'].filter(tag => !tags[tag]);
+    if (missing.length > 0) {
+      return { ...result, result: 'permerror', reason: `missing tag ${missing.join(', ')}` };
+    }
+
+    if (tags.v !== '1') {
+      return { ...result, result: 'permerror', reason: 'unsupported version' };
+    }
+
+    if (!['rsa-sha256', 'ed25519-sha256'].includes(tags.a)) {
+      return { ...result, result: 'permerror', reason: `unsupported algorithm ${tags.a}` };
+    }
+
+    const signedHeaders = tags.h.split(':').map(h => h.trim().toLowerCase());
+    if (!signedHeaders.includes('from')) {
+      return { ...result, result: 'permerror', reason: 'From header not signed' };
+    }
+
+    if (tags.x && Math.floor(Date.now() / 1000) > parseInt(tags.x)) {
+      return { ...result, result: 'fail', reason: 'signature expired' };
+    }
+
+    const [headerCanon = 'simple', bodyCanon = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+    const length = tags.l !== undefined ? parseInt(tags.l) : null;
+
+    if (DKIM.bodyHash(body, bodyCanon, length) !== tags.bh) {
+      return { ...result, result: 'fail', reason: 'body hash did not verify' };
+    }
+
+    const key = await this.getDKIMKey(tags.s, result.domain);
+    if (key.error) {
+      return { ...result, result: key.error, reason: key.reason };
+    }
+
+    if (!key.tags.p) {
+      return { ...result, result: 'fail', reason: 'key revoked' };
+    }
+
+    const keyType = (key.tags.k || 'rsa').toLowerCase();
+    if ((tags.a === 'ed25519-sha256') !== (keyType === 'ed25519')) {
+      return { ...result, result: 'permerror', reason: 'key type does not match algorithm' };
+    }
+
+    let publicKey;
+    try {
+      publicKey = DKIM.publicKeyFromDNS(key.tags.p, keyType);
+    } catch (error) {
+      return { ...result, result: 'permerror', reason: 'invalid public key' };
+    }
+
+    const data = DKIM.signedData(headerLines, signedHeaders, signatureLine, headerCanon);
+    let valid = false;
+    try {
+      valid = DKIM.verifyData(data, tags.b, publicKey, tags.a);
+    } catch (error) {
+      valid = false;
+    }
+
+    return valid ?
+      { ...result, result: 'pass' } :
+      { ...result, result: 'fail', reason: 'signature did not verify' };
+  }
+
+  async getDKIMKey(selector, domain) {
+    const name = `${selector}._domainkey.${domain}`;
+
+    try {
+      const records = await this.resolver.resolveTxt(name);
+      const record = records.map(chunks => chunks.join('')).find(r => /(^|;)\s*p=/.test(r));
+      if (!record) {
+        return { error: 'permerror', reason: `no key for signature at ${name}` };
+      }
+      return { tags: DKIM.parseTags(record) };
+    } catch (error) {
+      if (MailAuthService.isNoData(error)) {
+        return { error: 'permerror', reason: `no key for signature at ${name}` };
+      }
+      return { error: 'temperror', reason: `DNS error for ${name}: ${error.code || error.message}` };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // DMARC
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<Object>} - { result, domain, policy, disposition, alignedDkim, alignedSpf }
+   */
+  async checkDMARC(fromDomain, spf, dkim) {
+    if (!fromDomain) {
+      return { result: 'none', domain: null, reason: 'no From domain' };
+    }
+
+    let found;
+    try {
+      found = await this.getDMARCRecord(fromDomain);
+    } catch (error) {
+      return { result: 'temperror', domain: fromDomain, reason: error.message };
+    }
+
+    if (!found) {
+      return { result: 'none', domain: fromDomain };
+    }
+
+    const tags = DKIM.parseTags(found.record);
+    const p = (tags.p || '').toLowerCase();
+    if (!['none', 'quarantine', 'reject'].includes(p)) {
+      return { result: 'permerror', domain: fromDomain, reason: 'invalid p= tag' };
+    }
+
+    // sp= applies to subdomains covered by the organizational domain's record
+    const policy = found.domain !== fromDomain && tags.sp ? tags.sp.toLowerCase() : p;
+
+    const alignedDkim = dkim.some(d => d.result === 'pass' &&
+      MailAuthService.isAligned(d.domain, fromDomain, tags.adkim));
+    const alignedSpf = spf.result === 'pass' &&
+      MailAuthService.isAligned(spf.domain, fromDomain, tags.aspf);
+
+    if (alignedDkim || alignedSpf) {
+      return { result: 'pass', domain: fromDomain, policy, disposition: 'none', alignedDkim, alignedSpf };
+    }
+
+    return {
+      result: 'fail',
+      domain: fromDomain,
+      policy,
+      disposition: MailAuthService.applyPercentage(policy, tags.pct),
+      alignedDkim,
+      alignedSpf
+    };
+  }
+
+  /**
+   * Record at _dmarc.<from domain>, falling back to the organizational domain
+   */
+  async getDMARCRecord(domain) {
+    const candidates = [domain];
+    const orgDomain = MailAuthService.getOrganizationalDomain(domain);
+    if (orgDomain !== domain) {
+      candidates.push(orgDomain);
+    }
+
+    for (const candidate of candidates) {
+      let records;
+      try {
+        records = await this.resolver.resolveTxt(`_dmarc.${candidate}`);
+      } catch (error) {
+        if (MailAuthService.isNoData(error)) continue;
+        throw new Error(`DNS error for _dmarc.${candidate}: ${error.code || error.message}`);
+      }
+
+      const dmarcRecords = records
+        .map(chunks => chunks.join(''))
+        .filter(record => /^v=DMARC1\s*(;|$)/i.test(record));
+
+      if (dmarcRecords.length === 1) {
+        return { domain: candidate, record: dmarcRecords[0] };
+      }
+    }
+
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static isAligned(authenticated, fromDomain, mode = 'r') {
+    if (!authenticated) return false;
+    const a = authenticated.toLowerCase();
+    const f = fromDomain.toLowerCase();
+
+    if ((mode || 'r').toLowerCase() === 's') {
+      return a === f;
+    }
+    return MailAuthService.getOrganizationalDomain(a) === MailAuthService.getOrganizationalDomain(f);
+  }
+
+  static getOrganizationalDomain(domain) {
+    const labels = domain.toLowerCase().split('.');
+    if (labels.length <= 2) return labels.join('.');
+
+    const lastTwo = labels.slice(-2).join('.');
+    return MULTI_LABEL_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+  }
+
+  /**
+   * pct= sampling: messages outside the sample get the next weaker policy
+   */
+  static applyPercentage(policy, pct) {
+    const percentage = pct !== undefined ? parseInt(pct) : 100;
+    if (isNaN(percentage) || percentage >= 100 || Math.random() * 100 < percentage) {
+      return policy;
+    }
+    return policy === 'reject' ? 'quarantine' : 'none';
+  }
+
+  static normalizeIp(ip) {
+    if (!ip) return null;
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : ip;
+  }
+
+  static isValidDomain(domain) {
+    return !!domain && domain.length <= 253 && /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)+\.?$/i.test(domain);
+  }
+
+  static isNoData(error) {
+    return ['ENOTFOUND', 'ENODATA', 'NXDOMAIN', 'NOTFOUND'].includes(error.code);
+  }
+
+  static spfError(result, message) {
+    const error = new Error(message);
+    error.spfResult = result;
+    return error;
+  }
+
+  static ipToBigInt(ip) {
+    if (net.isIPv4(ip)) {
+      return ip.split('.').reduce((acc, part) => (acc << 8n) + BigInt(parseInt(part)), 0n);
+    }
+
+    // Expand :: and any embedded IPv4 tail
+    let address = ip;
+    const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Tail) {
+      const v4 = MailAuthService.ipToBigInt(v4Tail[1]);
+      address = address.replace(v4Tail[1], `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`);
+    }
+
+    const [head, tail] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const parts = [...headParts, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailParts];
+
+    return parts.reduce((acc, part) => (acc << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+  }
+
+  static ipInNetwork(ip, network, prefix) {
+    const ipFamily = net.isIP(ip);
+    const netFamily = net.isIP(network);
+    if (!ipFamily || ipFamily !== netFamily) return false;
+
+    const bits = ipFamily === 4 ? 32 : 128;
+    if (isNaN(prefix) || prefix < 0 || prefix > bits) return false;
+
+    const shift = BigInt(bits - prefix);
+    return (MailAuthService.ipToBigInt(ip) >> shift) === (MailAuthService.ipToBigInt(network) >> shift);
+  }
+
+  static ipv6Nibbles(ip) {
+    return MailAuthService.ipToBigInt(ip).toString(16).padStart(32, '0').split('').join('.');
+  }
+}
+
+module.exports = new MailAuthService();
@@ -1,11 +1,14 @@
-const net = require('net');
 const dns = require('dns').promises;
 const IPSelectionService = require('./IPSelectionService');
+const SMTPClient = require('./SMTPClient');
+const SMTPConnectionPool = require('./SMTPConnectionPool');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class MailSender {
   constructor() {
-    this.timeout = 30000; // 30 seconds timeout
+    this.config = config.outbound;
+    this.timeout = this.config.timeout;
   }
 
   async sendEmail(emailData) {
@@ -15,12 +18,23 @@ class MailSender {
       // Get IP for this email
       const sourceIP = await IPSelectionService.getIPForEmail(emailData);
       
-      // Send to each recipient
-      const results = [];
-      for (const recipient of recipients) {
-        const result = await this.sendToRecipient(sender, recipient, raw, sourceIP);
-        results.push(result);
-      }
+      // One SMTP transaction per destination domain, domains in parallel
+      const { groups, invalid } = this.groupRecipientsByDomain(recipients);
+      const results = invalid.map(recipient => ({
+        success: false,
+        recipient,
+        sourceIP,
+        permanent: true,
+        error: 'Invalid recipient format',
+        timestamp: new Date()
+      }));
+
+      const domainResults = await Promise.all(
+        Array.from(groups.entries()).map(([domain, domainRecipients]) =>
+          this.sendToDomain(sender, domain, domainRecipients, raw, sourceIP)
+        )
+      );
+      domainResults.forEach(domainResult => results.push(...domainResult));
       
       return {
         success: results.every(r => r.success),
@@ -34,56 +48,123 @@ class MailSender {
     }
   }
 
-  async sendToRecipient(sender, recipient, rawEmail, sourceIP = null) {
-    try {
-      // Extract domain from recipient
+  /**
+   * Group recipients by (lowercased) domain
+   * e.g. ['a@x.com', 'b@X.com', 'c@y.com'] -> { 'x.com' => [a, b], 'y.com' => [c] }
+   */
+  groupRecipientsByDomain(recipients) {
+    const groups = new Map();
+    const invalid = [];
+
+    for (const recipient of recipients) {
       const domain = recipient.split('@')[1];
       if (!domain) {
-        throw new Error('Invalid recipient format');
+        invalid.push(recipient);
+        continue;
       }
 
-      // Get MX records for the domain
-      const mxRecords = await this.getMXRecords(domain);
-      if (!mxRecords || mxRecords.length === 0) {
-        throw new Error(`No MX records found for domain: ${domain}`);
+      const key = domain.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      if (!groups.get(key).includes(recipient)) {
+        groups.get(key).push(recipient);
       }
+    }
+
+    return { groups, invalid };
+  }
 
-      // Try each MX server in order of priority
-      for (const mxRecord of mxRecords) {
-        try {
-          const result = await this.sendToMXServer(sender, recipient, rawEmail, mxRecord, sourceIP);
-          return {
-            success: true,
-            recipient,
+  /**
+   * Deliver one message to all recipients of a domain in a single
+   * transaction, falling back through the MX hosts by priority.
+   * @returns {Promise<Array>} - One result per recipient
+   */
+  async sendToDomain(sender, domain, recipients, rawEmail, sourceIP = null) {
+    const failAll = (error) => recipients.map(recipient => ({
+      success: false,
+      recipient,
+      sourceIP,
+      responseCode: error.responseCode || null,
+      enhancedCode: error.enhancedCode || null,
+      response: error.response || null,
+      permanent: !!error.permanent,
+      error: error.message,
+      timestamp: new Date()
+    }));
+
+    let mxRecords;
+    try {
+      mxRecords = await this.getMXRecords(domain);
+    } catch (error) {
+      return failAll(error);
+    }
+
+    if (!mxRecords || mxRecords.length === 0) {
+      return failAll(new Error(`No MX records found for domain: ${domain}`));
+    }
+
+    let lastError = null;
+
+    // Try each MX server in order of priority
+    for (const mxRecord of mxRecords) {
+      try {
+        const result = await this.sendToMXServer(sender, recipients, rawEmail, mxRecord, sourceIP);
+
+        // The MX answered for every recipient - acceptances and rejections
+        // (permanent 5xx or deferring 4xx) are both final for this attempt
+        const results = result.accepted.map(recipient => ({
+          success: true,
+          recipient,
+          mxServer: mxRecord.exchange,
+          sourceIP,
+          tls: result.tls,
+          responseCode: result.reply.code,
+          response: result.reply.text,
+          timestamp: new Date()
+        }));
+
+        for (const rejection of result.rejected) {
+          results.push({
+            success: false,
+            recipient: rejection.recipient,
             mxServer: mxRecord.exchange,
             sourceIP,
-            response: result,
+            responseCode: rejection.code,
+            enhancedCode: rejection.enhancedCode,
+            response: rejection.text,
+            permanent: rejection.code >= 500,
+            error: `SMTP Error: ${rejection.text}`,
             timestamp: new Date()
-          };
-        } catch (error) {
-          logger.warn(`Failed to send to MX server ${mxRecord.exchange}`, {
-            error: error.message,
-            recipient,
-            mxServer: mxRecord.exchange,
-            sourceIP
           });
-          // Continue to next MX server
-          continue;
         }
-      }
 
-      // If all MX servers failed
-      throw new Error(`All MX servers failed for domain: ${domain}`);
+        return results;
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Failed to send to MX server ${mxRecord.exchange}`, {
+          error: error.message,
+          domain,
+          recipients: recipients.length,
+          mxServer: mxRecord.exchange,
+          sourceIP
+        });
 
-    } catch (error) {
-      return {
-        success: false,
-        recipient,
-        sourceIP,
-        error: error.message,
-        timestamp: new Date()
-      };
+        // A permanent rejection of the whole transaction (e.g. MAIL FROM 5xx)
+        // will not improve on a lower-priority MX
+        if (error.permanent) {
+          return failAll(error);
+        }
+        // Continue to next MX server
+        continue;
+      }
     }
+
+    // If all MX servers failed
+    const error = new Error(`All MX servers failed for domain: ${domain}${lastError ? ` (${lastError.message})` : ''}`);
+    error.responseCode = lastError?.responseCode;
+    error.response = lastError?.response;
+    return failAll(error);
   }
 
   async getMXRecords(domain) {
@@ -92,96 +173,84 @@ class MailSender {
       // Sort by priority (lower number = higher priority)
       return mxRecords.sort((a, b) => a.priority - b.priority);
     } catch (error) {
+      if (error.code === 'ENODATA') {
+        // No MX records - fall back to the implicit MX (RFC 5321 5.1)
+        return [{ exchange: domain, priority: 0 }];
+      }
+      if (error.code === 'ENOTFOUND') {
+        error.permanent = true;
+      }
       logger.error(`Failed to resolve MX records for ${domain}`, { error: error.message });
       throw error;
     }
   }
 
-  async sendToMXServer(sender, recipient, rawEmail, mxRecord, sourceIP = null) {
-    return new Promise((resolve, reject) => {
-      const socket = new net.Socket();
-      let response = '';
-      let isDataMode = false;
-      let dataSent = false;
+  /**
+   * Run one SMTP transaction against a single MX host over a pooled session.
+   * Connection-level failures throw; per-recipient RCPT replies are returned
+   * in `accepted`/`rejected` so callers can track each address separately.
+   */
+  async sendToMXServer(sender, recipients, rawEmail, mxRecord, sourceIP = null) {
+    const client = await SMTPConnectionPool.acquire(mxRecord.exchange, sourceIP, () => new SMTPClient({
+      host: mxRecord.exchange,
+      port: this.config.port,
+      localAddress: sourceIP,
+      name: this.config.heloName,
+      timeout: this.timeout,
+      startTLS: this.config.startTLS,
+      tlsOptions: { rejectUnauthorized: this.config.tlsRejectUnauthorized }
+    }));
 
-      // Set timeout
-      socket.setTimeout(this.timeout);
+    // Only sessions that completed a transaction cleanly go back to the pool
+    let reusable = false;
 
-      socket.on('connect', () => {
-        logger.debug(`Connected to MX server: ${mxRecord.exchange}${sourceIP ? ` from ${sourceIP}` : ''}`);
+    try {
+      await client.mail(sender, {
+        size: Buffer.byteLength(rawEmail || ''),
+        eightBit: /[\x80-\uffff]/.test(rawEmail || '')
       });
 
-      socket.on('data', (chunk) => {
-        const lines = chunk.toString().split(/\r?\n/);
-        
-        for (const line of lines) {
-          const trimmedLine = line.trim();
-          if (!trimmedLine) continue;
-
-          response += trimmedLine + '\n';
-          
-          // Check for error responses
-          if (trimmedLine.startsWith('4') || trimmedLine.startsWith('5')) {
-            socket.end();
-            reject(new Error(`SMTP Error: ${trimmedLine}`));
-            return;
-          }
-
-          // Handle different SMTP responses
-          if (trimmedLine.startsWith('220')) {
-            // Server ready, send HELO
-            socket.write(`HELO ${mxRecord.exchange}\r\n`);
-          } else if (trimmedLine.startsWith('250') && !isDataMode) {
-            if (!dataSent) {
-              // Send MAIL FROM
-              socket.write(`MAIL FROM:<${sender}>\r\n`);
-            } else {
-              // Email sent successfully
-              socket.write('QUIT\r\n');
-              socket.end();
-              resolve(response);
-            }
-          } else if (trimmedLine.startsWith('334')) {
-            // Auth challenge (if needed) - skip for now
-            socket.write('\r\n');
-          } else if (trimmedLine.startsWith('235')) {
-            // Auth successful, send MAIL FROM
-            socket.write(`MAIL FROM:<${sender}>\r\n`);
-          } else if (trimmedLine.startsWith('354')) {
-            // Ready for data
-            isDataMode = true;
-            socket.write(rawEmail + '\r\n.\r\n');
-            dataSent = true;
-          } else if (trimmedLine.startsWith('221')) {
-            // Server closing connection
-            socket.end();
-            resolve(response);
-          }
+      const accepted = [];
+      const rejected = [];
+
+      for (const recipient of recipients) {
+        const reply = await client.rcpt(recipient);
+        if (SMTPClient.isPositive(reply)) {
+          accepted.push(recipient);
+        } else {
+          rejected.push({ recipient, ...reply });
         }
-      });
+      }
 
-      socket.on('timeout', () => {
-        socket.destroy();
-        reject(new Error('Connection timeout'));
-      });
+      if (accepted.length === 0) {
+        await client.rset();
+        reusable = true;
+        return { accepted, rejected, reply: null, tls: client.secure };
+      }
 
-      socket.on('error', (error) => {
-        reject(new Error(`Connection error: ${error.message}`));
-      });
+      const reply = await client.data(rawEmail);
 
-      socket.on('close', () => {
-        if (!dataSent) {
-          reject(new Error('Connection closed before email could be sent'));
+      if (!SMTPClient.isPositive(reply)) {
+        // The message was refused as a whole, so every accepted recipient fails with it
+        for (const recipient of accepted) {
+          rejected.push({ recipient, ...reply });
         }
+        accepted.length = 0;
+      }
+
+      reusable = true;
+
+      logger.debug('SMTP transaction completed', {
+        mxServer: mxRecord.exchange,
+        accepted: accepted.length,
+        rejected: rejected.length,
+        tls: client.secure
       });
 
-      // Connect to MX server with optional source IP
-      if (sourceIP) {
-        socket.connect(25, mxRecord.exchange, sourceIP);
-      } else {
-        socket.connect(25, mxRecord.exchange);
-      }
-    });
+      return { accepted, rejected, reply, tls: client.secure };
+    } finally {
+      SMTPConnectionPool.release(mxRecord.exchange, sourceIP, client, reusable);
+    }
   }
 }
 
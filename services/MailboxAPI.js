@@ -1,6 +1,13 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Mailbox = require('../models/Mailbox');
+const DomainService = require('./DomainService');
+const AliasService = require('./AliasService');
+const SieveService = require('./SieveService');
+const VacationService = require('./VacationService');
+const QuotaService = require('./QuotaService');
+const FolderService = require('./FolderService');
+const AclService = require('./AclService');
 const config = require('../config/config');
 
 class MailboxAPI {
@@ -10,6 +17,12 @@ class MailboxAPI {
     this.apiKey = config.server.mailboxApiKey;
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupAliasRoutes();
+    this.setupSieveRoutes();
+    this.setupVacationRoutes();
+    this.setupForwardingRoutes();
+    this.setupQuotaRoutes();
+    this.setupAclRoutes();
   }
 
   setupMiddleware() {
@@ -26,30 +39,42 @@ class MailboxAPI {
     // Create mailbox
     this.app.post('/api/mailboxes', async (req, res) => {
       try {
-        const { username, password } = req.body;
-        if (!username || !password) {
+        // Shared mailboxes (e.g. support@) have no login of their own and are opened through folder ACLs
+        const { password } = req.body;
+        const shared = !!req.body.shared;
+        if (!req.body.username || (!password && !shared)) {
           return res.status(400).json({ success: false, error: 'username and password required' });
         }
+        // Mailboxes are keyed by full address in a hosted domain
+        const username = DomainService.normalizeAddress(req.body.username);
+        if (!username) {
+          return res.status(400).json({ success: false, error: 'username must be a full email address' });
+        }
         const exists = await Mailbox.findOne({ username });
         if (exists) {
           return res.status(409).json({ success: false, error: 'Mailbox already exists' });
         }
-        const mailbox = new Mailbox({ username, password });
+        if (await AliasService.getAlias(username)) {
+          return res.status(409).json({ success: false, error: 'An alias with this address already exists' });
+        }
+        await DomainService.assertCanCreateMailbox(username);
+        const mailbox = new Mailbox({ username, password, shared });
         await mailbox.save();
-        res.json({ success: true, mailbox: { username: mailbox.username, createdAt: mailbox.createdAt } });
+        res.json({ success: true, mailbox: { username: mailbox.username, domain: mailbox.domain, shared: mailbox.shared, createdAt: mailbox.createdAt } });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
       }
     });
-    // List mailboxes
+    // List mailboxes (?domain= to filter)
     this.app.get('/api/mailboxes', async (req, res) => {
-      const mailboxes = await Mailbox.find({}, { username: 1, createdAt: 1 });
+      const query = req.query.domain ? { domain: String(req.query.domain).toLowerCase() } : {};
+      const mailboxes = await Mailbox.find(query, { username: 1, domain: 1, shared: 1, createdAt: 1 });
       res.json({ success: true, mailboxes });
     });
     // Delete mailbox
     this.app.delete('/api/mailboxes/:username', async (req, res) => {
       try {
-        const { username } = req.params;
+        const username = req.params.username.toLowerCase();
         const result = await Mailbox.deleteOne({ username });
         if (result.deletedCount === 0) {
           return res.status(404).json({ success: false, error: 'Mailbox not found' });
@@ -62,7 +87,7 @@ class MailboxAPI {
     // Change password
     this.app.post('/api/mailboxes/:username/change-password', async (req, res) => {
       try {
-        const { username } = req.params;
+        const username = req.params.username.toLowerCase();
         const { oldPassword, newPassword } = req.body;
         if (!oldPassword || !newPassword) {
           return res.status(400).json({ success: false, error: 'oldPassword and newPassword required' });
@@ -82,6 +107,343 @@ class MailboxAPI {
         res.status(500).json({ success: false, error: error.message });
       }
     });
+
+    // List domains
+    this.app.get('/api/domains', async (req, res) => {
+      try {
+        const domains = await DomainService.listDomains();
+        res.json({ success: true, domains });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Create domain
+    this.app.post('/api/domains', async (req, res) => {
+      try {
+        const domain = await DomainService.createDomain(req.body || {});
+        res.status(201).json({ success: true, domain });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Get domain
+    this.app.get('/api/domains/:name', async (req, res) => {
+      try {
+        const domain = await DomainService.getDomain(req.params.name);
+        if (!domain) {
+          return res.status(404).json({ success: false, error: 'Domain not found' });
+        }
+        const mailboxCount = await Mailbox.countDocuments({ domain: domain.name });
+        const { storage, messages } = await QuotaService.getDomainQuota(domain);
+        res.json({ success: true, domain: { ...domain, mailboxCount, usage: { storage: storage.usage, messages: messages.usage } } });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Update domain settings (active, catchAll, dkimSelector, quota, limits)
+    this.app.patch('/api/domains/:name', async (req, res) => {
+      try {
+        const domain = await DomainService.updateDomain(req.params.name, req.body || {});
+        res.json({ success: true, domain });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Delete domain (?force=true also deletes its mailboxes)
+    this.app.delete('/api/domains/:name', async (req, res) => {
+      try {
+        const result = await DomainService.deleteDomain(req.params.name, req.query.force === 'true');
+        res.json({ success: true, message: 'Domain deleted', ...result });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  setupAliasRoutes() {
+    // List aliases and distribution lists (?domain= to filter)
+    this.app.get('/api/aliases', async (req, res) => {
+      try {
+        const aliases = await AliasService.listAliases(req.query.domain);
+        res.json({ success: true, aliases });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Create alias ({ address, targets: [...], description })
+    this.app.post('/api/aliases', async (req, res) => {
+      try {
+        const alias = await AliasService.createAlias(req.body || {});
+        res.status(201).json({ success: true, alias });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Get alias
+    this.app.get('/api/aliases/:address', async (req, res) => {
+      try {
+        const alias = await AliasService.getAlias(req.params.address);
+        if (!alias) {
+          return res.status(404).json({ success: false, error: 'Alias not found' });
+        }
+        res.json({ success: true, alias });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Update alias (targets, addTargets, removeTargets, description, active)
+    this.app.patch('/api/aliases/:address', async (req, res) => {
+      try {
+        const alias = await AliasService.updateAlias(req.params.address, req.body || {});
+        res.json({ success: true, alias });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Delete alias
+    this.app.delete('/api/aliases/:address', async (req, res) => {
+      try {
+        await AliasService.deleteAlias(req.params.address);
+        res.json({ success: true, message: 'Alias deleted' });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Mailbox named in the route, answering 404 when it does not exist
+   */
+  async findMailbox(req, res) {
+    const mailbox = await Mailbox.findOne({ username: req.params.username.toLowerCase() });
+    if (!mailbox) {
+      res.status(404).json({ success: false, error: 'Mailbox not found' });
+    }
+    return mailbox;
+  }
+
+  setupSieveRoutes() {
+    // List a mailbox's Sieve scripts
+    this.app.get('/api/mailboxes/:username/sieve', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const scripts = await SieveService.listScripts(req.params.username);
+        res.json({ success: true, scripts });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Recent script runs (?limit=)
+    this.app.get('/api/mailboxes/:username/sieve-logs', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const logs = await SieveService.getLogs(req.params.username, Math.min(parseInt(req.query.limit) || 50, 500));
+        res.json({ success: true, logs });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Get script
+    this.app.get('/api/mailboxes/:username/sieve/:name', async (req, res) => {
+      try {
+        const script = await SieveService.getScript(req.params.username, req.params.name);
+        if (!script) {
+          return res.status(404).json({ success: false, error: 'Script not found' });
+        }
+        res.json({ success: true, script });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Create or replace script ({ content, active }); { active } alone switches it on or off
+    this.app.put('/api/mailboxes/:username/sieve/:name', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const { username, name } = req.params;
+        const { content, active } = req.body || {};
+        let script = content !== undefined ?
+          await SieveService.putScript(username, name, String(content)) :
+          await SieveService.getScript(username, name);
+        if (!script) {
+          return res.status(404).json({ success: false, error: 'Script not found' });
+        }
+        if (active === true) {
+          script = await SieveService.setActive(username, name);
+        } else if (active === false && script.active) {
+          await SieveService.setActive(username, null);
+          script.active = false;
+        }
+        res.json({ success: true, script });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Delete script (the active script must be deactivated first)
+    this.app.delete('/api/mailboxes/:username/sieve/:name', async (req, res) => {
+      try {
+        await SieveService.deleteScript(req.params.username, req.params.name);
+        res.json({ success: true, message: 'Script deleted' });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  setupVacationRoutes() {
+    // Get auto-reply settings
+    this.app.get('/api/mailboxes/:username/vacation', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const vacation = await VacationService.getSettings(req.params.username);
+        res.json({ success: true, vacation, active: VacationService.isActive(vacation) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Set auto-reply ({ enabled, subject, body, startDate, endDate, addresses, interval })
+    this.app.put('/api/mailboxes/:username/vacation', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const vacation = await VacationService.updateSettings(req.params.username, req.body || {});
+        res.json({ success: true, vacation, active: VacationService.isActive(vacation) });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Remove auto-reply settings and the list of answered senders
+    this.app.delete('/api/mailboxes/:username/vacation', async (req, res) => {
+      try {
+        if (!(await VacationService.deleteSettings(req.params.username))) {
+          return res.status(404).json({ success: false, error: 'No vacation settings' });
+        }
+        res.json({ success: true, message: 'Vacation settings deleted' });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  setupForwardingRoutes() {
+    // Get forwarding settings
+    this.app.get('/api/mailboxes/:username/forwarding', async (req, res) => {
+      try {
+        const mailbox = await this.findMailbox(req, res);
+        if (!mailbox) return;
+        res.json({ success: true, forwarding: mailbox.forwarding });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Set forwarding ({ enabled, addresses: [...], keepCopy }); fields left out keep their value
+    this.app.put('/api/mailboxes/:username/forwarding', async (req, res) => {
+      try {
+        const mailbox = await this.findMailbox(req, res);
+        if (!mailbox) return;
+        const { enabled, addresses, keepCopy } = req.body || {};
+        if (addresses !== undefined) {
+          const normalized = (Array.isArray(addresses) ? addresses : [addresses])
+            .map(address => DomainService.normalizeAddress(address));
+          if (normalized.some(address => !address)) {
+            return res.status(400).json({ success: false, error: 'addresses must be email addresses' });
+          }
+          if (normalized.includes(mailbox.username)) {
+            return res.status(400).json({ success: false, error: 'A mailbox cannot forward to itself; use keepCopy' });
+          }
+          mailbox.forwarding.addresses = [...new Set(normalized)];
+        }
+        if (keepCopy !== undefined) mailbox.forwarding.keepCopy = !!keepCopy;
+        if (enabled !== undefined) mailbox.forwarding.enabled = !!enabled;
+        if (mailbox.forwarding.enabled && mailbox.forwarding.addresses.length === 0) {
+          return res.status(400).json({ success: false, error: 'At least one address is required to enable forwarding' });
+        }
+        await mailbox.save();
+        res.json({ success: true, forwarding: mailbox.forwarding });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  setupQuotaRoutes() {
+    // Usage and limits of a mailbox and its domain
+    this.app.get('/api/mailboxes/:username/quota', async (req, res) => {
+      try {
+        const quota = await QuotaService.getQuota(req.params.username);
+        if (!quota) {
+          return res.status(404).json({ success: false, error: 'Mailbox not found' });
+        }
+        res.json({ success: true, quota });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Set limits ({ storage: bytes, messages }); null uses the domain default, 0 is unlimited
+    this.app.put('/api/mailboxes/:username/quota', async (req, res) => {
+      try {
+        const quota = await QuotaService.setMailboxQuota(req.params.username, req.body || {});
+        res.json({ success: true, quota });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Recount usage from the stored messages
+    this.app.post('/api/mailboxes/:username/quota/recalculate', async (req, res) => {
+      try {
+        if (!(await this.findMailbox(req, res))) return;
+        const quota = await QuotaService.recalculate(req.params.username);
+        res.json({ success: true, quota });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  setupAclRoutes() {
+    // ACL of one of a mailbox's folders (?folder=, INBOX by default), the owner first
+    this.app.get('/api/mailboxes/:username/acl', async (req, res) => {
+      try {
+        const folder = await this.findFolder(req, res);
+        if (!folder) return;
+        res.json({ success: true, folder: folder.name, acl: AclService.getAcl(folder) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    // Set an address's (or "anyone"'s) rights ({ rights: "lrs" }, or "+w" / "-w" to add or remove)
+    this.app.put('/api/mailboxes/:username/acl/:identifier', async (req, res) => {
+      try {
+        const folder = await this.findFolder(req, res);
+        if (!folder) return;
+        const rights = await AclService.setRights(folder, req.params.identifier, req.body?.rights ?? '');
+        res.json({ success: true, folder: folder.name, identifier: req.params.identifier.toLowerCase(), rights });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+    // Remove an identifier from the ACL
+    this.app.delete('/api/mailboxes/:username/acl/:identifier', async (req, res) => {
+      try {
+        const folder = await this.findFolder(req, res);
+        if (!folder) return;
+        await AclService.deleteRights(folder, req.params.identifier);
+        res.json({ success: true, message: 'ACL entry removed' });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  // Folder named by ?folder= (INBOX by default) of the mailbox in the path; answers 404 when either is missing
+  async findFolder(req, res) {
+    const mailbox = await this.findMailbox(req, res);
+    if (!mailbox) return null;
+    // Creates the default folders of a mailbox that has not been used yet
+    await FolderService.listFolders(mailbox.username);
+    const folder = await FolderService.getFolder(mailbox.username, String(req.query.folder || 'INBOX'));
+    if (!folder) {
+      res.status(404).json({ success: false, error: 'Folder not found' });
+    }
+    return folder;
   }
 
   start() {
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'mailbox-events';
+
+/**
+ * Mailbox change events for IMAP sessions: new messages, flag changes and expunges.
+ * Emitted in-process as 'change'; with REDIS_URL set they are also relayed over
+ * Redis pub/sub, so sessions on other server instances hear about them too.
+ */
+class MailboxEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.instanceId = crypto.randomUUID();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  start() {
+    if (!config.redis.url || this.publisher) {
+      return;
+    }
+
+    // A subscribed connection cannot publish, so each direction gets its own
+    this.publisher = new Redis(config.redis.url);
+    this.subscriber = new Redis(config.redis.url);
+    for (const client of [this.publisher, this.subscriber]) {
+      client.on('error', (error) => {
+        logger.error('🔥 Mailbox events Redis error', { error: error.message });
+      });
+    }
+
+    this.subscriber.on('message', (channel, message) => this.receive(message));
+    this.subscriber.subscribe(CHANNEL)
+      .then(() => logger.info('📣 Mailbox events relayed through Redis', { channel: CHANNEL }))
+      .catch(error => logger.error('Failed to subscribe to mailbox events', { error: error.message }));
+  }
+
+  async stop() {
+    const clients = [this.publisher, this.subscriber].filter(Boolean);
+    this.publisher = null;
+    this.subscriber = null;
+    await Promise.all(clients.map(client => client.quit().catch(() => client.disconnect())));
+  }
+
+  /**
+   * @param {Object} event - { username, mailbox, type: 'exists' | 'flags' | 'expunge', uids }
+   * @param {Object} origin - IMAP session that made the change; only local listeners get it
+   */
+  publish(event, origin = null) {
+    if (!event.uids || event.uids.length === 0) {
+      return;
+    }
+
+    const change = { ...event, username: event.username.toLowerCase() };
+    this.emit('change', change, origin);
+
+    if (this.publisher) {
+      this.publisher.publish(CHANNEL, JSON.stringify({ instanceId: this.instanceId, ...change }))
+        .catch(error => logger.error('Failed to publish mailbox event', { error: error.message }));
+    }
+  }
+
+  receive(message) {
+    try {
+      const { instanceId, ...change } = JSON.parse(message);
+      // Our own events were already emitted locally
+      if (instanceId !== this.instanceId) {
+        this.emit('change', change, null);
+      }
+    } catch (error) {
+      logger.warn('Ignoring malformed mailbox event', { error: error.message });
+    }
+  }
+}
+
+module.exports = new MailboxEvents();
@@ -0,0 +1,465 @@
+const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const SMTPAuthService = require('./SMTPAuthService');
+const SieveService = require('./SieveService');
+const logger = require('../utils/logger');
+
+const SIEVE_EXTENSIONS = 'fileinto reject envelope variables relational imap4flags copy subaddress comparator-i;ascii-numeric';
+
+// Commands allowed before AUTHENTICATE
+const UNAUTHENTICATED_COMMANDS = ['CAPABILITY', 'AUTHENTICATE', 'STARTTLS', 'LOGOUT', 'NOOP'];
+
+/**
+ * ManageSieve server (RFC 5804)
+ * Lets mail clients upload and manage the Sieve scripts SieveService runs
+ * at delivery time.
+ */
+class ManageSieveServer {
+  constructor() {
+    this.config = config.managesieve;
+    this.server = null;
+    this.connections = new Set();
+    this.tlsOptions = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    try {
+      this.tlsOptions = this.getSSLOptions();
+
+      this.server = net.createServer((socket) => {
+        this.handleConnection(socket);
+      });
+
+      this.server.listen(this.config.port, () => {
+        logger.info(`📜 ManageSieve server listening on port ${this.config.port} (STARTTLS: ${!!this.tlsOptions})`);
+      });
+
+      this.server.on('error', (error) => {
+        logger.error('🔥 ManageSieve server error', { error: error.message });
+      });
+
+      this.isRunning = true;
+    } catch (error) {
+      logger.error('❌ Failed to start ManageSieve server', error);
+      throw error;
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+
+    this.connections.forEach(connection => {
+      try {
+        connection.socket.end();
+      } catch (error) {
+        logger.error('Error closing ManageSieve connection', error);
+      }
+    });
+    this.connections.clear();
+
+    if (this.server) {
+      this.server.close();
+      logger.info('📜 ManageSieve server stopped');
+    }
+  }
+
+  /**
+   * STARTTLS is offered only when a key and certificate are configured
+   */
+  getSSLOptions() {
+    const sslConfig = this.config.ssl;
+    if (!sslConfig.key || !sslConfig.cert) {
+      return null;
+    }
+
+    return {
+      key: fs.readFileSync(path.resolve(sslConfig.key)),
+      cert: fs.readFileSync(path.resolve(sslConfig.cert)),
+      ca: sslConfig.ca ? fs.readFileSync(path.resolve(sslConfig.ca)) : undefined
+    };
+  }
+
+  handleConnection(socket) {
+    const connection = {
+      socket,
+      secure: false,
+      username: null,
+      pendingAuth: false, // waiting for the SASL response after AUTHENTICATE
+      buffer: Buffer.alloc(0),
+      queue: Promise.resolve(), // commands run one at a time, in order
+      id: Math.random().toString(36).substr(2, 9),
+      clientIp: socket.remoteAddress
+    };
+
+    this.connections.add(connection);
+    logger.info(`📜 ManageSieve connection ${connection.id} established`, { ip: connection.clientIp });
+
+    this.sendCapabilities(connection);
+    this.sendResponse(connection, 'OK', 'ManageSieve ready');
+
+    socket.on('data', (data) => this.handleData(connection, data));
+
+    socket.on('error', (error) => {
+      logger.error(`📜 ManageSieve connection ${connection.id} error:`, error.message);
+      this.connections.delete(connection);
+    });
+
+    socket.on('close', () => {
+      logger.info(`📜 ManageSieve connection ${connection.id} closed`);
+      this.connections.delete(connection);
+    });
+  }
+
+  handleData(connection, data) {
+    connection.buffer = Buffer.concat([connection.buffer, data]);
+
+    for (;;) {
+      let parsed;
+      try {
+        parsed = ManageSieveServer.parseLine(connection.buffer, SieveService.config.maxScriptSize);
+      } catch (error) {
+        // Unparseable input cannot be resynchronised
+        connection.buffer = Buffer.alloc(0);
+        this.sendResponse(connection, 'BYE', error.message, error.code);
+        connection.socket.end();
+        return;
+      }
+      if (!parsed) return;
+
+      connection.buffer = connection.buffer.subarray(parsed.length);
+      const args = parsed.args;
+
+      connection.queue = connection.queue
+        .then(() => this.processCommand(connection, args))
+        .catch(error => {
+          logger.error('❌ ManageSieve command failed', { error: error.message, connectionId: connection.id });
+          this.sendResponse(connection, 'NO', 'Internal server error', 'TRYLATER');
+        });
+
+      // Bytes after STARTTLS belong to the TLS handshake
+      if (args[0] && args[0].toUpperCase() === 'STARTTLS') {
+        connection.buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  }
+
+  async processCommand(connection, args) {
+    if (connection.pendingAuth) {
+      connection.pendingAuth = false;
+      return this.finishAuthenticate(connection, args[0]);
+    }
+
+    const command = (args[0] || '').toUpperCase();
+    const params = args.slice(1);
+
+    if (!connection.username && !UNAUTHENTICATED_COMMANDS.includes(command)) {
+      return this.sendResponse(connection, 'NO', command ? 'Authenticate first' : 'Empty command');
+    }
+
+    switch (command) {
+      case 'CAPABILITY':
+        this.sendCapabilities(connection);
+        return this.sendResponse(connection, 'OK', 'Capability completed');
+      case 'NOOP':
+        return this.sendResponse(connection, 'OK', params[0] !== undefined ? 'Done' : 'NOOP completed', params[0] !== undefined ? `TAG ${ManageSieveServer.quote(params[0])}` : null);
+      case 'LOGOUT':
+        this.sendResponse(connection, 'OK', 'Logout completed');
+        connection.socket.end();
+        return;
+      case 'STARTTLS':
+        return this.handleStartTLS(connection);
+      case 'AUTHENTICATE':
+        return this.handleAuthenticate(connection, params);
+      case 'HAVESPACE':
+        return this.handleHaveSpace(connection, params);
+      case 'PUTSCRIPT':
+        return this.handlePutScript(connection, params);
+      case 'CHECKSCRIPT':
+        return this.handleCheckScript(connection, params);
+      case 'GETSCRIPT':
+        return this.handleGetScript(connection, params);
+      case 'LISTSCRIPTS':
+        return this.handleListScripts(connection);
+      case 'SETACTIVE':
+        return this.handleSetActive(connection, params);
+      case 'DELETESCRIPT':
+        return this.handleDeleteScript(connection, params);
+      case 'RENAMESCRIPT':
+        return this.handleRenameScript(connection, params);
+      default:
+        return this.sendResponse(connection, 'NO', `Unknown command ${command}`);
+    }
+  }
+
+  sendCapabilities(connection) {
+    const lines = [
+      `"IMPLEMENTATION" "Node Mail Server ManageSieve"`,
+      `"SASL" "${this.canAuthenticate(connection) ? 'PLAIN' : ''}"`,
+      `"SIEVE" "${SIEVE_EXTENSIONS}"`,
+      `"MAXREDIRECTS" "${SieveService.config.maxRedirects}"`
+    ];
+    if (this.tlsOptions && !connection.secure) {
+      lines.push('"STARTTLS"');
+    }
+    if (connection.username) {
+      lines.push(`"OWNER" ${ManageSieveServer.quote(connection.username)}`);
+    }
+    lines.push('"VERSION" "1.0"');
+
+    connection.socket.write(lines.join('\r\n') + '\r\n');
+  }
+
+  /**
+   * Plain-text passwords only travel over TLS when TLS is available
+   */
+  canAuthenticate(connection) {
+    return connection.secure || !this.tlsOptions || !this.config.requireTLS;
+  }
+
+  handleStartTLS(connection) {
+    if (!this.tlsOptions) {
+      return this.sendResponse(connection, 'NO', 'TLS not available');
+    }
+    if (connection.secure) {
+      return this.sendResponse(connection, 'NO', 'TLS already active');
+    }
+
+    const socket = connection.socket;
+    socket.removeAllListeners('data');
+    this.sendResponse(connection, 'OK', 'Begin TLS negotiation now');
+
+    const tlsSocket = new tls.TLSSocket(socket, { isServer: true, ...this.tlsOptions });
+    connection.socket = tlsSocket;
+    connection.secure = true;
+    connection.buffer = Buffer.alloc(0);
+
+    tlsSocket.on('secure', () => {
+      logger.info('🔒 ManageSieve TLS established', { connectionId: connection.id });
+      // Capabilities may change once the connection is encrypted (RFC 5804 2.2)
+      this.sendCapabilities(connection);
+      this.sendResponse(connection, 'OK', 'TLS negotiation successful');
+    });
+    tlsSocket.on('data', (data) => this.handleData(connection, data));
+    tlsSocket.on('error', (error) => {
+      logger.error('ManageSieve TLS error', { error: error.message, connectionId: connection.id });
+      tlsSocket.destroy();
+    });
+  }
+
+  handleAuthenticate(connection, params) {
+    if (connection.username) {
+      return this.sendResponse(connection, 'NO', 'Already authenticated');
+    }
+    if (!this.canAuthenticate(connection)) {
+      return this.sendResponse(connection, 'NO', 'Use STARTTLS first', 'ENCRYPT-NEEDED');
+    }
+    if ((params[0] || '').toUpperCase() !== 'PLAIN') {
+      return this.sendResponse(connection, 'NO', 'Unsupported SASL mechanism');
+    }
+
+    if (params[1] === undefined) {
+      // Empty server challenge, the client answers with the credentials
+      connection.pendingAuth = true;
+      connection.socket.write('""\r\n');
+      return;
+    }
+    return this.finishAuthenticate(connection, params[1]);
+  }
+
+  async finishAuthenticate(connection, response) {
+    if (response === undefined || response === '*') {
+      return this.sendResponse(connection, 'NO', 'Authentication aborted');
+    }
+
+    // authzid \0 authcid \0 password; acting as another user is not supported
+    const [authzid, username, password] = Buffer.from(response, 'base64').toString('utf8').split('\0');
+    if (!username || password === undefined || (authzid && authzid.toLowerCase() !== username.toLowerCase())) {
+      return this.sendResponse(connection, 'NO', 'Invalid credentials');
+    }
+
+    const result = await SMTPAuthService.authenticateUser(username, password);
+    if (!result.success) {
+      logger.warn('📜 ManageSieve authentication failed', { username, ip: connection.clientIp });
+      return this.sendResponse(connection, 'NO', 'Authentication failed');
+    }
+
+    connection.username = result.username;
+    logger.info('📜 ManageSieve authenticated', { username: result.username, connectionId: connection.id });
+    this.sendResponse(connection, 'OK', 'Authenticated');
+  }
+
+  async handleHaveSpace(connection, [name, size]) {
+    if (name === undefined || !/^\d+$/.test(size || '')) {
+      return this.sendResponse(connection, 'NO', 'Usage: HAVESPACE <name> <size>');
+    }
+    await this.run(connection, async () => {
+      await SieveService.checkSpace(connection.username, name, parseInt(size, 10));
+      this.sendResponse(connection, 'OK', 'Putscript would succeed');
+    });
+  }
+
+  async handlePutScript(connection, [name, content]) {
+    if (name === undefined || content === undefined) {
+      return this.sendResponse(connection, 'NO', 'Usage: PUTSCRIPT <name> <script>');
+    }
+    await this.run(connection, async () => {
+      await SieveService.putScript(connection.username, name, content);
+      this.sendResponse(connection, 'OK', 'Script stored');
+    });
+  }
+
+  async handleCheckScript(connection, [content]) {
+    if (content === undefined) {
+      return this.sendResponse(connection, 'NO', 'Usage: CHECKSCRIPT <script>');
+    }
+    await this.run(connection, async () => {
+      SieveService.checkScript(content);
+      this.sendResponse(connection, 'OK', 'Script is valid');
+    });
+  }
+
+  async handleGetScript(connection, [name]) {
+    const script = name !== undefined && await SieveService.getScript(connection.username, name);
+    if (!script) {
+      return this.sendResponse(connection, 'NO', 'Script not found', 'NONEXISTENT');
+    }
+    connection.socket.write(`${ManageSieveServer.literal(script.content)}\r\n`);
+    this.sendResponse(connection, 'OK', 'Getscript completed');
+  }
+
+  async handleListScripts(connection) {
+    const scripts = await SieveService.listScripts(connection.username);
+    for (const script of scripts) {
+      connection.socket.write(`${ManageSieveServer.quote(script.name)}${script.active ? ' ACTIVE' : ''}\r\n`);
+    }
+    this.sendResponse(connection, 'OK', 'Listscripts completed');
+  }
+
+  async handleSetActive(connection, [name]) {
+    if (name === undefined) {
+      return this.sendResponse(connection, 'NO', 'Usage: SETACTIVE <name>');
+    }
+    await this.run(connection, async () => {
+      await SieveService.setActive(connection.username, name);
+      this.sendResponse(connection, 'OK', name ? 'Script activated' : 'Scripts deactivated');
+    });
+  }
+
+  async handleDeleteScript(connection, [name]) {
+    if (name === undefined) {
+      return this.sendResponse(connection, 'NO', 'Usage: DELETESCRIPT <name>');
+    }
+    await this.run(connection, async () => {
+      await SieveService.deleteScript(connection.username, name);
+      this.sendResponse(connection, 'OK', 'Script deleted');
+    });
+  }
+
+  async handleRenameScript(connection, [name, newName]) {
+    if (name === undefined || newName === undefined) {
+      return this.sendResponse(connection, 'NO', 'Usage: RENAMESCRIPT <old> <new>');
+    }
+    await this.run(connection, async () => {
+      await SieveService.renameScript(connection.username, name, newName);
+      this.sendResponse(connection, 'OK', 'Script renamed');
+    });
+  }
+
+  /**
+   * Run a SieveService call, answering NO with its message and response code
+   */
+  async run(connection, action) {
+    try {
+      await action();
+    } catch (error) {
+      if (!error.status) throw error;
+      this.sendResponse(connection, 'NO', error.message, error.code);
+    }
+  }
+
+  sendResponse(connection, status, text, code = null) {
+    connection.socket.write(`${status}${code ? ` (${code})` : ''} ${ManageSieveServer.quote(text)}\r\n`);
+  }
+
+  /**
+   * Parse one command from the front of the buffer
+   * @returns {Object|null} - { args, length } or null until the command is complete
+   */
+  static parseLine(buffer, maxLiteral) {
+    const args = [];
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const c = buffer[pos];
+
+      if (c === 0x20) {
+        pos++;
+      } else if (c === 0x0d || c === 0x0a) {
+        if (c === 0x0d && pos + 1 >= buffer.length) return null;
+        return { args, length: pos + (c === 0x0d && buffer[pos + 1] === 0x0a ? 2 : 1) };
+      } else if (c === 0x22) {
+        // Quoted string with \" and \\ escapes
+        let value = '';
+        let i = pos + 1;
+        for (;;) {
+          if (i >= buffer.length) return null;
+          if (buffer[i] === 0x5c && i + 1 < buffer.length) {
+            i++;
+          } else if (buffer[i] === 0x22) {
+            break;
+          } else if (buffer[i] === 0x0d || buffer[i] === 0x0a) {
+            throw ManageSieveServer.protocolError('Line break inside a quoted string');
+          }
+          value += String.fromCharCode(buffer[i]);
+          i++;
+        }
+        args.push(Buffer.from(value, 'latin1').toString('utf8'));
+        pos = i + 1;
+      } else if (c === 0x7b) {
+        // Literal: {size} or {size+} then CRLF and size octets
+        const end = buffer.indexOf('\n', pos);
+        if (end === -1) return null;
+        const match = buffer.subarray(pos, end + 1).toString('latin1').match(/^\{(\d+)\+?\}\r?\n$/);
+        if (!match) throw ManageSieveServer.protocolError('Invalid literal');
+
+        const size = parseInt(match[1], 10);
+        if (size > maxLiteral) {
+          throw ManageSieveServer.protocolError(`Literal larger than ${maxLiteral} bytes`, 'QUOTA/MAXSIZE');
+        }
+        if (end + 1 + size > buffer.length) return null;
+
+        args.push(buffer.subarray(end + 1, end + 1 + size).toString('utf8'));
+        pos = end + 1 + size;
+      } else {
+        let i = pos;
+        while (i < buffer.length && ![0x20, 0x0d, 0x0a].includes(buffer[i])) i++;
+        if (i >= buffer.length) return null;
+        args.push(buffer.subarray(pos, i).toString('utf8'));
+        pos = i;
+      }
+    }
+
+    return null;
+  }
+
+  static quote(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`;
+  }
+
+  static literal(value) {
+    return `{${Buffer.byteLength(value)}}\r\n${value}`;
+  }
+
+  static protocolError(message, code = null) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ManageSieveServer;
@@ -0,0 +1,152 @@
+const Metadata = require('../models/Metadata');
+const FolderService = require('./FolderService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Entries the server answers from elsewhere instead of storing: a folder's special-use
+// attribute (RFC 6154 4) and the server administrator's address
+const SPECIAL_USE_ENTRY = '/private/specialuse';
+const ADMIN_ENTRY = '/shared/admin';
+
+/**
+ * Server and folder annotations (RFC 5464), e.g. a colour a client keeps for a folder.
+ * /private entries are each user's own; /shared entries are seen by everyone who may
+ * read the folder. Server /shared entries are set by the administrator, not over IMAP.
+ */
+class MetadataService {
+  get maxSize() {
+    return config.imap.metadataMaxSize;
+  }
+
+  get maxEntries() {
+    return config.imap.metadataMaxEntries;
+  }
+
+  /**
+   * Entry names are case-insensitive slash-separated levels under /private or /shared
+   * @param {boolean} allowRoot - Whether /private or /shared alone is accepted, as GETMETADATA may ask for
+   * @returns {string} - The name in lowercase
+   */
+  validateEntry(entry, allowRoot = false) {
+    const name = String(entry || '').toLowerCase();
+    const pattern = allowRoot ? /^\/(private|shared)(\/[^/*%\x00-\x1f\x7f]+)*$/ : /^\/(private|shared)(\/[^/*%\x00-\x1f\x7f]+)+$/;
+    if (!pattern.test(name)) {
+      throw MetadataService.error(`Invalid entry name ${entry}`, 400);
+    }
+    return name;
+  }
+
+  /**
+   * GETMETADATA: entries of a folder, or of the server when target is null, as a user sees them.
+   * Depth '1' adds the entries one level below each name, 'infinity' all below it.
+   * @param {Object|null} target - AclService.resolve result
+   * @param {Object} options - { depth, maxSize }; values over maxSize are left out
+   * @returns {Promise<Object>} - { entries: [{ entry, value }], longEntries }; longEntries is
+   *   the size of the largest value left out, 0 when none was
+   */
+  async getEntries(username, target, names, options = {}) {
+    const { depth = '0', maxSize = null } = options;
+    const user = username.toLowerCase();
+    const requested = names.map(name => this.validateEntry(name, true));
+    if (target && requested.some(name => name.startsWith('/shared')) && !target.rights.includes('r')) {
+      throw MetadataService.error('Permission denied', 403, 'NOPERM');
+    }
+
+    const scope = this.getScope(target);
+    const stored = await Metadata.find({ ...scope, user: { $in: [user, ''] } });
+    const available = stored
+      .filter(doc => (doc.user === '') === doc.entry.startsWith('/shared/'))
+      .map(doc => ({ entry: doc.entry, value: doc.value }));
+    if (target?.folder.specialUse) {
+      available.push({ entry: SPECIAL_USE_ENTRY, value: target.folder.specialUse });
+    }
+    if (!target && config.imap.metadataAdmin) {
+      available.push({ entry: ADMIN_ENTRY, value: config.imap.metadataAdmin });
+    }
+
+    let longEntries = 0;
+    const entries = available
+      .filter(({ entry }) => requested.some(name => {
+        if (entry === name) return true;
+        if (depth === '0' || !entry.startsWith(name + '/')) return false;
+        return depth === 'infinity' || !entry.slice(name.length + 1).includes('/');
+      }))
+      .filter(({ value }) => {
+        const size = Buffer.byteLength(value);
+        if (maxSize !== null && size > maxSize) {
+          longEntries = Math.max(longEntries, size);
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => a.entry.localeCompare(b.entry));
+
+    return { entries, longEntries };
+  }
+
+  /**
+   * SETMETADATA: set entries, or remove those whose value is null. /private entries take
+   * the l right on another user's folder and /shared entries w; only the owner may change
+   * a folder's special use. Nothing is changed unless every entry can be.
+   * @param {Object|null} target - AclService.resolve result, null for the server
+   * @param {Array} values - [{ entry, value }]
+   */
+  async setEntries(username, target, values) {
+    const user = username.toLowerCase();
+    const changes = values.map(({ entry, value }) => ({ entry: this.validateEntry(entry), value }));
+
+    for (const { entry, value } of changes) {
+      const shared = entry.startsWith('/shared/');
+      if (shared ? !target || !target.rights.includes('w') : target && !target.rights.includes('l')) {
+        throw MetadataService.error('Permission denied', 403, 'NOPERM');
+      }
+      if (entry === SPECIAL_USE_ENTRY && target && target.owner !== user) {
+        throw MetadataService.error('Permission denied', 403, 'NOPERM');
+      }
+      if (value !== null && Buffer.byteLength(value) > this.maxSize) {
+        throw MetadataService.error('Value is too large', 400, `METADATA MAXSIZE ${this.maxSize}`);
+      }
+    }
+
+    const scope = this.getScope(target);
+    const stored = await Metadata.find({ ...scope, user: { $in: [user, ''] } });
+    const added = changes.filter(({ entry, value }) => value !== null && entry !== SPECIAL_USE_ENTRY &&
+      !stored.some(doc => doc.entry === entry));
+    if (stored.length + added.length > this.maxEntries) {
+      throw MetadataService.error('Too many entries', 400, 'METADATA TOOMANY');
+    }
+
+    // The special use first, as the only change that can still be refused
+    const specialUse = changes.find(({ entry }) => entry === SPECIAL_USE_ENTRY);
+    if (specialUse && target) {
+      await FolderService.setSpecialUse(target.owner, target.name, (specialUse.value || '').split(/\s+/).filter(Boolean));
+    }
+
+    for (const { entry, value } of changes) {
+      if (entry === SPECIAL_USE_ENTRY && target) {
+        continue;
+      }
+      const query = { ...scope, entry, user: entry.startsWith('/private/') ? user : '' };
+      if (value === null) {
+        await Metadata.deleteOne(query);
+      } else {
+        await Metadata.findOneAndUpdate(query, { $set: { value, updatedAt: new Date() } }, { upsert: true });
+      }
+    }
+    logger.info('🏷️ Metadata changed', { username: scope.username || null, mailbox: scope.mailbox || null, entries: changes.length });
+  }
+
+  // Stored entries of a folder, or of the server
+  getScope(target) {
+    return target ? { username: target.owner, mailbox: target.name } : { username: '', mailbox: '' };
+  }
+
+  static error(message, status, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new MetadataService();
@@ -7,6 +7,9 @@ const IncomingEmailProcessor = require('./IncomingEmailProcessor');
 const SMTPForwarder = require('./SMTPForwarder');
 const SMTPAuthService = require('./SMTPAuthService');
 const RspamdService = require('./RspamdService');
+const MailAuthService = require('./MailAuthService');
+const RecipientResolver = require('./RecipientResolver');
+const DomainService = require('./DomainService');
 const logger = require('../utils/logger');
 
 class MultiPortSMTPServer {
@@ -152,89 +155,105 @@ class MultiPortSMTPServer {
     let authUsername = null;
     let clientIp = socket.remoteAddress;
     let helo = '';
-
-    // Send welcome message
-    socket.write('220 Multi-Port SMTP Server Ready\r\n');
-
-    socket.on('data', async (chunk) => {
+    let lineBuffer = '';
+
+    const state = {
+      setSender: (s) => { sender = s; },
+      addRecipient: (r) => { recipients.push(r); },
+      clearRecipients: () => { recipients = []; },
+      getRecipients: () => recipients,
+      setDataMode: (mode) => { isDataMode = mode; },
+      setAuthenticated: (auth, username) => {
+        isAuthenticated = auth;
+        authenticatedUsername = username;
+      },
+      setStartTLS: (tls) => { supportsStartTLS = tls; },
+      getStartTLS: () => supportsStartTLS,
+      isStartTLSUpgraded: () => startTLSUpgraded,
+      upgradeToTLS: () => {
+        startTLSUpgraded = true;
+        lineBuffer = ''; // Nothing sent before the handshake carries over
+      },
+      setAuthState: (state) => { authState = state; },
+      getAuthState: () => authState,
+      setAuthUsername: (username) => { authUsername = username; },
+      getAuthUsername: () => authUsername,
+      isAuthenticated: () => isAuthenticated,
+      getAuthenticatedUsername: () => authenticatedUsername,
+      setHelo: (h) => { helo = h; },
+      // Shared by the plain socket and the socket that replaces it after STARTTLS
+      handleData: (activeSocket, chunk) => handleData(activeSocket, chunk)
+    };
+
+    const handleData = async (activeSocket, chunk) => {
       try {
-        const lines = chunk.toString().split(/\r?\n/);
+        // Lines may span chunks, so keep the unterminated tail for the next one
+        lineBuffer += chunk.toString();
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop();
 
         for (let line of lines) {
-          line = line.trim();
+          line = line.replace(/\r$/, '');
 
-        if (isDataMode) {
-          if (line === '.') {
-            isDataMode = false;
-            try {
-              await this.handleEmailData(socket, sender, recipients, rawData, mode, port, authenticatedUsername, {
-                ip: clientIp,
-                helo: helo
-              });
-            } catch (error) {
-              logger.error('Error handling email data', { error: error.message, port });
-              socket.write('550 Failed to process email\r\n');
-            }
+          if (isDataMode) {
+            if (line === '.') {
+              isDataMode = false;
+              try {
+                await this.handleEmailData(activeSocket, sender, recipients, rawData, mode, port, authenticatedUsername, {
+                  ip: clientIp,
+                  helo: helo
+                });
+              } catch (error) {
+                logger.error('Error handling email data', { error: error.message, port });
+                activeSocket.write('550 Failed to process email\r\n');
+              }
 
-            // Reset state
-            rawData = '';
-            sender = '';
-            recipients = [];
-          } else {
-            // Skip leading empty lines, but preserve empty lines after we've started collecting data
-            // (needed for headers/body separator)
-            if (rawData.length === 0 && line === '') {
-              // Skip leading blank lines
-              continue;
+              // Reset state
+              rawData = '';
+              sender = '';
+              recipients = [];
+            } else {
+              // Skip leading blank lines; later blank lines separate headers and body
+              if (rawData.length === 0 && line === '') {
+                continue;
+              }
+              // Message lines are kept byte-for-byte (DKIM verification depends on it),
+              // only removing the transparency dot (RFC 5321 4.5.2)
+              rawData += (line.startsWith('.') ? line.slice(1) : line) + '\r\n';
             }
-            rawData += line + '\r\n';
+            continue;
           }
-          continue;
-        }
+
+          line = line.trim();
 
           // Skip empty lines when NOT in DATA mode
           if (!line) continue;
 
-        try {
-          await this.handleSMTPCommand(socket, line, {
-          setSender: (s) => { sender = s; },
-          addRecipient: (r) => { recipients.push(r); },
-          clearRecipients: () => { recipients = []; },
-          setDataMode: (mode) => { isDataMode = mode; },
-          setAuthenticated: (auth, username) => {
-            isAuthenticated = auth;
-            authenticatedUsername = username;
-          },
-          setStartTLS: (tls) => { supportsStartTLS = tls; },
-          getStartTLS: () => supportsStartTLS,
-          isStartTLSUpgraded: () => startTLSUpgraded,
-          upgradeToTLS: () => { startTLSUpgraded = true; },
-          setAuthState: (state) => { authState = state; },
-          getAuthState: () => authState,
-          setAuthUsername: (username) => { authUsername = username; },
-          getAuthUsername: () => authUsername,
-          isAuthenticated: () => isAuthenticated,
-          getAuthenticatedUsername: () => authenticatedUsername,
-          setHelo: (h) => { helo = h; }
-        }, mode, port);
-        } catch (error) {
-          logger.error('Error handling SMTP command', { error: error.message, port, line });
           try {
-            socket.write('550 Internal server error\r\n');
-          } catch (writeError) {
-            logger.error('Error writing to socket after command error', { error: writeError.message, port });
+            await this.handleSMTPCommand(activeSocket, line, state, mode, port);
+          } catch (error) {
+            logger.error('Error handling SMTP command', { error: error.message, port, line });
+            try {
+              activeSocket.write('550 Internal server error\r\n');
+            } catch (writeError) {
+              logger.error('Error writing to socket after command error', { error: writeError.message, port });
+            }
           }
         }
-      }
       } catch (error) {
         logger.error('Error processing socket data', { error: error.message, port });
         try {
-          socket.write('550 Internal server error\r\n');
+          activeSocket.write('550 Internal server error\r\n');
         } catch (writeError) {
           logger.error('Error writing to socket', { error: writeError.message, port });
         }
       }
-    });
+    };
+
+    // Send welcome message
+    socket.write('220 Multi-Port SMTP Server Ready\r\n');
+
+    socket.on('data', (chunk) => handleData(socket, chunk));
 
     socket.on('end', () => {
       logger.info(`❌ Client disconnected from port ${port}`);
@@ -339,61 +358,7 @@ class MultiPortSMTPServer {
 
         // Replace the socket reference in the state with TLS socket
         // by handling data on the TLS socket instead
-        tlsSocket.on('data', async (chunk) => {
-          try {
-            const lines = chunk.toString().split(/\r?\n/);
-
-            for (let line of lines) {
-              line = line.trim();
-
-            if (isDataMode) {
-              if (line === '.') {
-                isDataMode = false;
-                try {
-                  await this.handleEmailData(tlsSocket, sender, recipients, rawData, mode, port, authenticatedUsername, {
-                    ip: clientIp,
-                    helo: helo
-                  });
-                } catch (error) {
-                  logger.error('Error handling email data', { error: error.message, port });
-                  tlsSocket.write('550 Failed to process email\r\n');
-                }
-
-                // Reset state
-                rawData = '';
-                sender = '';
-                recipients = [];
-              } else {
-                if (rawData.length === 0 && line === '') {
-                  continue;
-                }
-                rawData += line + '\r\n';
-              }
-              continue;
-            }
-
-              if (!line) continue;
-
-            try {
-              await this.handleSMTPCommand(tlsSocket, line, state, mode, port);
-            } catch (error) {
-              logger.error('Error handling SMTP command', { error: error.message, port, line });
-              try {
-                tlsSocket.write('550 Internal server error\r\n');
-              } catch (writeError) {
-                logger.error('Error writing to socket after command error', { error: writeError.message, port });
-              }
-            }
-          }
-          } catch (error) {
-            logger.error('Error processing socket data', { error: error.message, port });
-            try {
-              tlsSocket.write('550 Internal server error\r\n');
-            } catch (writeError) {
-              logger.error('Error writing to socket', { error: writeError.message, port });
-            }
-          }
-        });
+        tlsSocket.on('data', (chunk) => state.handleData(tlsSocket, chunk));
 
         tlsSocket.on('end', () => {
           logger.info(`❌ Client disconnected from port ${port} (TLS)`);
@@ -447,7 +412,7 @@ class MultiPortSMTPServer {
       }
 
       // For authenticated users, validate sender
-      if (state.isAuthenticated() && !SMTPAuthService.validateSenderForAuthenticatedUser(sender, state.getAuthenticatedUsername())) {
+      if (state.isAuthenticated() && !(await SMTPAuthService.validateSenderForAuthenticatedUser(sender, state.getAuthenticatedUsername()))) {
         socket.write('553 Sender not authorized\r\n');
         return;
       }
@@ -460,13 +425,37 @@ class MultiPortSMTPServer {
       }
     } else if (line.startsWith('RCPT TO:')) {
       const rcpt = line.slice(8).replace(/[<>]/g, '').trim();
-      if (EmailProcessor.validateRecipients([rcpt])) {
-        state.addRecipient(rcpt);
-        socket.write('250 OK\r\n');
-      } else {
+      if (!EmailProcessor.validateRecipients([rcpt])) {
         socket.write('501 Invalid recipient\r\n');
+        return;
       }
+
+      // Per-domain recipient limit for mail sent by hosted users
+      if (state.isAuthenticated()) {
+        const domain = await DomainService.getDomain(state.getAuthenticatedUsername().split('@')[1]);
+        const maxRecipients = domain?.limits?.maxRecipients || 0;
+        if (maxRecipients > 0 && state.getRecipients().length >= maxRecipients) {
+          socket.write('452 4.5.3 Too many recipients\r\n');
+          return;
+        }
+      }
+
+      // Mail relayed to the forwarder is validated by the upstream server
+      if (!(mode === 'forward' && this.forwarder)) {
+        const rejection = await RecipientResolver.checkRecipient(rcpt, state.isAuthenticated());
+        if (rejection) {
+          socket.write(rejection + '\r\n');
+          return;
+        }
+      }
+
+      state.addRecipient(rcpt);
+      socket.write('250 OK\r\n');
     } else if (line === 'DATA') {
+      if (state.getRecipients().length === 0) {
+        socket.write('554 5.5.1 No valid recipients\r\n');
+        return;
+      }
       state.setDataMode(true);
       socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
     } else if (line === 'QUIT') {
@@ -503,6 +492,35 @@ class MultiPortSMTPServer {
 
       // Use separate variable for processed data to avoid mutation issues
       let processedData = rawData;
+      let deliveryOptions = {};
+
+      // Authenticate the sender of inbound mail (SPF, DKIM, DMARC)
+      if (mailType === 'inbound' && MailAuthService.isEnabled()) {
+        const auth = await MailAuthService.authenticate({
+          ip: options.ip,
+          helo: options.helo,
+          sender,
+          raw: rawData
+        });
+
+        if (auth.action === 'reject') {
+          logger.warn('Email rejected by DMARC policy', {
+            sender,
+            recipients,
+            domain: auth.dmarc.domain,
+            policy: auth.dmarc.policy,
+            port
+          });
+          socket.write(auth.message + '\r\n');
+          return;
+        }
+
+        if (auth.action === 'quarantine') {
+          deliveryOptions = { folder: MailAuthService.config.quarantineFolder };
+        }
+
+        processedData = MailAuthService.stampMessage(rawData, auth.header);
+      }
 
       // Check if rspamd scanning is enabled for this mail type
       if (RspamdService.isEnabled(mailType)) {
@@ -515,7 +533,7 @@ class MultiPortSMTPServer {
         });
 
         // Scan email with rspamd
-        const scanResult = await RspamdService.scanEmail(rawData, {
+        const scanResult = await RspamdService.scanEmail(processedData, {
           sender,
           recipients,
           ip: options.ip,
@@ -566,7 +584,7 @@ class MultiPortSMTPServer {
         // Add spam headers if needed
         if (action.addHeaders) {
           const headers = RspamdService.generateHeaders(scanResult);
-          processedData = headers + rawData;
+          processedData = headers + processedData;
           logger.debug('Added spam headers to email');
         }
       }
@@ -582,8 +600,14 @@ class MultiPortSMTPServer {
         socket.write('250 Message accepted for delivery\r\n');
       } else {
         // Unauthenticated user - process as incoming email
-        await IncomingEmailProcessor.processIncomingEmail(sender, recipients, processedData, 'SMTP');
-        socket.write('250 Message accepted\r\n');
+        const result = await IncomingEmailProcessor.processIncomingEmail(sender, recipients, processedData, 'SMTP', deliveryOptions);
+        // One reply covers every recipient, so a full mailbox is only refused when nobody got the message
+        const results = result.deliveryResults || [];
+        if (results.length > 0 && results.every(r => !r.success) && results.some(r => r.reason === 'over_quota')) {
+          socket.write('452 4.2.2 Mailbox full\r\n');
+        } else {
+          socket.write('250 Message accepted\r\n');
+        }
       }
     } catch (error) {
       logger.error(`❌ Failed to process email on port ${port}`, { error: error.message });
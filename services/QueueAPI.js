@@ -5,6 +5,8 @@ const BouncedEmail = require('../models/BouncedEmail');
 const IncomingEmail = require('../models/IncomingEmail');
 const EmailQueue = require('./EmailQueue');
 const IPSelectionService = require('./IPSelectionService');
+const SMTPConnectionPool = require('./SMTPConnectionPool');
+const DKIMService = require('./DKIMService');
 const MultiPortSMTPServer = require('./MultiPortSMTPServer');
 const IMAPServer = require('./IMAPServer');
 const LMTPServer = require('./LMTPServer');
@@ -80,7 +82,11 @@ class QueueAPI {
           return res.status(404).json({ success: false, error: 'Email not found' });
         }
 
-        res.json({ success: true, data: email });
+        res.json({
+          success: true,
+          data: email,
+          deliverySummary: EmailQueue.getDeliverySummary(email)
+        });
       } catch (error) {
         logger.error('Failed to get email', { error: error.message });
         res.status(500).json({ success: false, error: error.message });
@@ -388,6 +394,93 @@ class QueueAPI {
       }
     });
 
+    // Outbound connection pool endpoints
+    this.app.get('/api/outbound/pool', (req, res) => {
+      try {
+        const stats = SMTPConnectionPool.getStats();
+        res.json({ success: true, data: stats });
+      } catch (error) {
+        logger.error('Failed to get outbound pool stats', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // DKIM key management
+    this.app.get('/api/dkim/keys', async (req, res) => {
+      try {
+        const keys = await DKIMService.listKeys(req.query.domain);
+        res.json({ success: true, data: keys });
+      } catch (error) {
+        logger.error('Failed to list DKIM keys', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Generate a key pair and return the DNS TXT record to publish
+    this.app.post('/api/dkim/keys', async (req, res) => {
+      try {
+        const { domain, selector, algorithm = 'rsa-sha256', keySize } = req.body;
+
+        if (!domain || !selector) {
+          return res.status(400).json({
+            success: false,
+            error: 'domain and selector are required'
+          });
+        }
+
+        if (!['rsa-sha256', 'ed25519-sha256'].includes(algorithm)) {
+          return res.status(400).json({
+            success: false,
+            error: 'algorithm must be rsa-sha256 or ed25519-sha256'
+          });
+        }
+
+        const { key, dnsRecord } = await DKIMService.generateKey(domain, selector, algorithm, keySize);
+        res.status(201).json({
+          success: true,
+          data: {
+            id: key._id,
+            domain: key.domain,
+            selector: key.selector,
+            algorithm: key.algorithm,
+            dnsRecord
+          }
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({ success: false, error: 'A key with this selector already exists for the domain' });
+        }
+        logger.error('Failed to generate DKIM key', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.patch('/api/dkim/keys/:id', async (req, res) => {
+      try {
+        const key = await DKIMService.setKeyEnabled(req.params.id, req.body.enabled);
+        if (!key) {
+          return res.status(404).json({ success: false, error: 'DKIM key not found' });
+        }
+        res.json({ success: true, data: key });
+      } catch (error) {
+        logger.error('Failed to update DKIM key', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/dkim/keys/:id', async (req, res) => {
+      try {
+        const key = await DKIMService.deleteKey(req.params.id);
+        if (!key) {
+          return res.status(404).json({ success: false, error: 'DKIM key not found' });
+        }
+        res.json({ success: true, message: 'DKIM key deleted' });
+      } catch (error) {
+        logger.error('Failed to delete DKIM key', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // SMTP Server endpoints
     this.app.get('/api/smtp/stats', (req, res) => {
       try {
@@ -0,0 +1,174 @@
+const Mailbox = require('../models/Mailbox');
+const Email = require('../models/Email');
+const DomainService = require('./DomainService');
+const logger = require('../utils/logger');
+
+/**
+ * Storage and message-count quotas (RFC 9208 resources STORAGE and MESSAGE).
+ * Limits are set on a mailbox, falling back to its domain's per-mailbox
+ * defaults, and on the domain as a whole. Usage is kept on the mailbox:
+ * the Email save hook adds new messages, and expunges and folder deletes
+ * take them off again.
+ */
+class QuotaService {
+  /**
+   * Limits for a mailbox on its own; 0 = unlimited
+   */
+  getMailboxLimits(mailbox, domain) {
+    return {
+      storage: mailbox.quota?.storage ?? domain?.quota?.mailboxStorage ?? 0,
+      messages: mailbox.quota?.messages ?? domain?.quota?.mailboxMessages ?? 0
+    };
+  }
+
+  /**
+   * Usage and limits of a mailbox and its domain, or null for an unknown mailbox
+   * @returns {Promise<Object>} - { username, storage: { usage, limit }, messages: { usage, limit }, domain }
+   */
+  async getQuota(username) {
+    const mailbox = await Mailbox.findOne({ username: username.toLowerCase() });
+    if (!mailbox) {
+      return null;
+    }
+
+    const domain = await DomainService.getDomain(mailbox.domain);
+    const limits = this.getMailboxLimits(mailbox, domain);
+    return {
+      username: mailbox.username,
+      storage: { usage: mailbox.usage?.storage || 0, limit: limits.storage },
+      messages: { usage: mailbox.usage?.messages || 0, limit: limits.messages },
+      domain: domain ? await this.getDomainQuota(domain) : null
+    };
+  }
+
+  /**
+   * Usage of all of a domain's mailboxes against the domain-wide limits
+   */
+  async getDomainQuota(domain) {
+    const [usage] = await Mailbox.aggregate([
+      { $match: { domain: domain.name } },
+      { $group: { _id: null, storage: { $sum: '$usage.storage' }, messages: { $sum: '$usage.messages' } } }
+    ]);
+    return {
+      name: domain.name,
+      storage: { usage: usage?.storage || 0, limit: domain.quota?.storage || 0 },
+      messages: { usage: usage?.messages || 0, limit: domain.quota?.messages || 0 }
+    };
+  }
+
+  /**
+   * Resource that storing `count` more messages of `size` bytes would take over
+   * its limit, or null when they fit. RCPT checks pass 0 bytes, as the size is
+   * not known yet.
+   * @returns {Promise<string|null>} - 'storage' | 'messages'
+   */
+  async checkQuota(username, size, count = 1) {
+    const quota = await this.getQuota(username);
+    if (!quota) {
+      return null;
+    }
+
+    for (const scope of [quota, quota.domain].filter(Boolean)) {
+      if (QuotaService.exceeds(scope.storage, size)) return 'storage';
+      if (QuotaService.exceeds(scope.messages, count)) return 'messages';
+    }
+    return null;
+  }
+
+  async addUsage(username, size, count) {
+    try {
+      await Mailbox.updateOne(
+        { username: username.toLowerCase() },
+        { $inc: { 'usage.storage': size, 'usage.messages': count } }
+      );
+    } catch (error) {
+      logger.error('❌ Failed to update quota usage', { username, error: error.message });
+    }
+  }
+
+  /**
+   * Take removed messages off their owner's usage. Messages stored before
+   * quotas have no size and were never counted.
+   */
+  async release(username, emails) {
+    const counted = emails.filter(email => email.size != null);
+    if (counted.length === 0) {
+      return;
+    }
+    const size = counted.reduce((total, email) => total + email.size, 0);
+    await this.addUsage(username, -size, -counted.length);
+  }
+
+  /**
+   * Move messages' usage to another mailbox after they were moved into one of its
+   * folders (through a shared folder)
+   */
+  async transfer(from, to, emails) {
+    const counted = emails.filter(email => email.size != null);
+    if (from === to || counted.length === 0) {
+      return;
+    }
+    const size = counted.reduce((total, email) => total + email.size, 0);
+    await this.addUsage(from, -size, -counted.length);
+    await this.addUsage(to, size, counted.length);
+  }
+
+  /**
+   * Recount a mailbox's usage from its stored messages, sizing any stored before quotas
+   */
+  async recalculate(username) {
+    const owner = username.toLowerCase();
+    await Email.updateMany(
+      { authenticatedUsername: owner, size: { $exists: false } },
+      [{ $set: { size: { $strLenBytes: { $ifNull: ['$raw', ''] } } } }]
+    );
+    const [usage] = await Email.aggregate([
+      { $match: { authenticatedUsername: owner, mailbox: { $ne: null } } }, // not the outgoing queue
+      { $group: { _id: null, storage: { $sum: '$size' }, messages: { $sum: 1 } } }
+    ]);
+    await Mailbox.updateOne(
+      { username: owner },
+      { $set: { 'usage.storage': usage?.storage || 0, 'usage.messages': usage?.messages || 0 } }
+    );
+
+    logger.info('📦 Quota usage recalculated', { username: owner, storage: usage?.storage || 0, messages: usage?.messages || 0 });
+    return this.getQuota(owner);
+  }
+
+  /**
+   * Set a mailbox's own limits; null goes back to the domain default, 0 is unlimited
+   * @param {Object} limits - { storage, messages }; fields left out keep their value
+   */
+  async setMailboxQuota(username, limits) {
+    const mailbox = await Mailbox.findOne({ username: username.toLowerCase() });
+    if (!mailbox) {
+      throw QuotaService.error('Mailbox not found', 404);
+    }
+
+    for (const field of ['storage', 'messages']) {
+      const value = limits[field];
+      if (value === undefined) continue;
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw QuotaService.error(`${field} must be a non-negative integer or null`, 400);
+      }
+      mailbox.set(`quota.${field}`, value);
+    }
+    await mailbox.save();
+
+    logger.info('📦 Mailbox quota set', { username: mailbox.username, quota: mailbox.quota });
+    return this.getQuota(mailbox.username);
+  }
+
+  static exceeds({ usage, limit }, added) {
+    return limit > 0 && usage + added > limit;
+  }
+
+  static error(message, status, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new QuotaService();
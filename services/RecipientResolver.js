@@ -0,0 +1,240 @@
+const Mailbox = require('../models/Mailbox');
+const Alias = require('../models/Alias');
+const DomainService = require('./DomainService');
+const QuotaService = require('./QuotaService');
+const BounceParser = require('../utils/BounceParser');
+const SRS = require('../utils/SRS');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Decides whether an envelope recipient belongs to this server, so unknown
+ * users can be refused at RCPT time instead of being accepted and dropped,
+ * and expands aliases, distribution lists, mailbox forwarding and catch-alls
+ * into the mailboxes and external addresses that receive the message.
+ */
+class RecipientResolver {
+  constructor() {
+    this.config = config.email;
+  }
+
+  /**
+   * @param {string} address - Envelope recipient
+   * @returns {Promise<Object>} - { status: 'local' | 'unknown' | 'remote' | 'invalid', address,
+   *   username, mailboxes, external, loop, details }. `details` maps a mailbox reached through
+   *   a subaddress (user+detail@domain) to its detail part.
+   */
+  async resolve(address) {
+    const normalized = DomainService.normalizeAddress(address);
+    if (!normalized) {
+      return { status: 'invalid', address };
+    }
+
+    const [, domainName] = RecipientResolver.splitAddress(normalized);
+
+    if (!(await DomainService.isLocalDomain(domainName))) {
+      return { status: 'remote', address: normalized };
+    }
+
+    const result = { address: normalized, mailboxes: [], external: [], loop: false, details: {} };
+    await this.expand(normalized, result, new Set(), 0);
+
+    result.status = result.mailboxes.length > 0 || result.external.length > 0 ? 'local' : 'unknown';
+    result.username = result.mailboxes[0] || null;
+    return result;
+  }
+
+  /**
+   * Walk one address. `path` holds the addresses above it, so a target
+   * reached twice through different lists is not mistaken for a loop.
+   */
+  async expand(address, result, path, depth, detail = null) {
+    if (path.has(address)) {
+      result.loop = true;
+      logger.warn('🔁 Alias loop detected', { recipient: result.address, address });
+      return;
+    }
+
+    if (depth > this.config.maxAliasDepth) {
+      result.loop = true;
+      logger.warn('🔁 Alias expansion too deep', { recipient: result.address, address, depth });
+      return;
+    }
+
+    const [localPart, domainName] = RecipientResolver.splitAddress(address);
+
+    if (depth > 0 && !(await DomainService.isLocalDomain(domainName))) {
+      RecipientResolver.addUnique(result.external, address);
+      return;
+    }
+
+    const branch = new Set(path).add(address);
+
+    // Bounces to a rewritten sender of mail we forwarded go back to the original sender
+    if (SRS.isSRS(localPart) && config.srs.enabled) {
+      const original = SRS.reverse(address, config.srs.secret, config.srs.maxAge);
+      if (!original) {
+        logger.warn('⚠️ Invalid or expired SRS address', { recipient: result.address });
+        return;
+      }
+      const normalized = DomainService.normalizeAddress(original);
+      if (normalized) {
+        await this.expand(normalized, result, branch, depth + 1);
+      }
+      return;
+    }
+
+    const targets = await this.getAliasTargets(address, localPart, domainName);
+
+    if (targets) {
+      for (const target of targets) {
+        if (target === address) {
+          // An alias listing itself keeps a copy in its own mailbox
+          const mailbox = await Mailbox.findOne({ username: address });
+          if (mailbox) RecipientResolver.addUnique(result.mailboxes, mailbox.username);
+          continue;
+        }
+        await this.expand(target, result, branch, depth + 1);
+      }
+      return;
+    }
+
+    const mailbox = await Mailbox.findOne({ username: address });
+    if (mailbox) {
+      const forwarding = mailbox.forwarding && mailbox.forwarding.enabled ?
+        mailbox.forwarding.addresses.filter(target => target !== mailbox.username) : [];
+
+      if (forwarding.length === 0 || mailbox.forwarding.keepCopy) {
+        RecipientResolver.addUnique(result.mailboxes, mailbox.username);
+        if (detail && !result.details[mailbox.username]) {
+          result.details[mailbox.username] = detail;
+        }
+      }
+      for (const target of forwarding) {
+        await this.expand(target, result, branch, depth + 1);
+      }
+      return;
+    }
+
+    // Bounces to a VERP-tagged sender go to the sender's INBOX; the tag is no folder name
+    const verp = BounceParser.splitVERP(localPart, this.config.recipientDelimiter);
+    if (verp) {
+      await this.expand(`${verp.base}@${domainName}`, result, path, depth);
+      return;
+    }
+
+    // user+detail@domain goes wherever user@domain would, ahead of the catch-all
+    const subaddress = this.splitSubaddress(localPart);
+    if (subaddress) {
+      await this.expand(`${subaddress.base}@${domainName}`, result, path, depth, subaddress.detail);
+      return;
+    }
+
+    const domain = await DomainService.getDomain(domainName);
+    if (domain && domain.catchAll) {
+      await this.expand(domain.catchAll, result, branch, depth + 1);
+    }
+  }
+
+  /**
+   * Targets of an alias or list, or null when the address is not one.
+   * Configured aliases name a local part, or a full address when the
+   * target is elsewhere.
+   */
+  async getAliasTargets(address, localPart, domainName) {
+    const alias = await Alias.findOne({ address, active: true });
+    if (alias) {
+      return alias.targets.map(target => DomainService.normalizeAddress(target)).filter(Boolean);
+    }
+
+    const configured = this.config.aliases[localPart];
+    if (configured) {
+      return [configured.includes('@') ? configured : `${configured}@${domainName}`];
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a local part at the first recipient delimiter, or null when it
+   * has none. Every character of RECIPIENT_DELIMITER is a delimiter.
+   */
+  splitSubaddress(localPart) {
+    const delimiters = this.config.recipientDelimiter;
+    if (!delimiters) {
+      return null;
+    }
+
+    const index = [...localPart].findIndex(char => delimiters.includes(char));
+    if (index <= 0) {
+      return null;
+    }
+
+    return { base: localPart.slice(0, index), detail: localPart.slice(index + 1) };
+  }
+
+  /**
+   * SMTP reply for RCPT TO, or null when the recipient is accepted
+   * @param {string} address - Envelope recipient
+   * @param {boolean} authenticated - Authenticated sessions may relay
+   */
+  async checkRecipient(address, authenticated = false) {
+    let result;
+    try {
+      result = await this.resolve(address);
+    } catch (error) {
+      logger.error('❌ Recipient lookup failed', { address, error: error.message });
+      return '451 4.3.0 Temporary recipient lookup failure';
+    }
+
+    switch (result.status) {
+      case 'invalid':
+        return '501 5.1.3 Bad recipient address syntax';
+      case 'remote':
+        return authenticated ? null : `550 5.7.1 <${result.address}>: Relay access denied`;
+      case 'unknown':
+        logger.info('🚫 Unknown recipient rejected', { address: result.address, loop: result.loop });
+        return result.loop ?
+          `550 5.4.6 <${result.address}>: Alias expansion loop` :
+          `550 5.1.1 <${result.address}>: Recipient address rejected: User unknown`;
+      default:
+        return this.checkQuota(result);
+    }
+  }
+
+  /**
+   * 452 when every mailbox the recipient reaches is already full and nothing
+   * is forwarded elsewhere; the sender may retry later (RFC 3463 4.2.2)
+   */
+  async checkQuota(result) {
+    if (result.status !== 'local' || result.mailboxes.length === 0 || result.external.length > 0) {
+      return null;
+    }
+    try {
+      for (const username of result.mailboxes) {
+        if (!(await QuotaService.checkQuota(username, 0))) {
+          return null;
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Quota lookup failed', { address: result.address, error: error.message });
+      return null;
+    }
+
+    logger.info('📦 Recipient over quota rejected', { address: result.address });
+    return `452 4.2.2 <${result.address}>: Mailbox full`;
+  }
+
+  static splitAddress(address) {
+    const index = address.lastIndexOf('@');
+    return [address.slice(0, index), address.slice(index + 1)];
+  }
+
+  static addUnique(list, value) {
+    if (!list.includes(value)) {
+      list.push(value);
+    }
+  }
+}
+
+module.exports = new RecipientResolver();
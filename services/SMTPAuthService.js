@@ -1,17 +1,29 @@
 const Mailbox = require('../models/Mailbox');
+const DomainService = require('./DomainService');
 const logger = require('../utils/logger');
 
 class SMTPAuthService {
   static async authenticateUser(username, password) {
     try {
-      // Find mailbox by username
-      const mailbox = await Mailbox.findOne({ username });
+      // Find mailbox by its full address
+      const mailbox = await Mailbox.findOne({ username: String(username || '').trim().toLowerCase() });
       
       if (!mailbox) {
         logger.warn('SMTP authentication failed: mailbox not found', { username });
         return { success: false, error: 'Invalid credentials' };
       }
 
+      // Shared mailboxes are only opened by other users through folder ACLs
+      if (mailbox.shared) {
+        logger.warn('SMTP authentication failed: shared mailbox', { username });
+        return { success: false, error: 'Invalid credentials' };
+      }
+
+      if (mailbox.domain && !(await DomainService.isLocalDomain(mailbox.domain))) {
+        logger.warn('SMTP authentication failed: domain inactive', { username, domain: mailbox.domain });
+        return { success: false, error: 'Invalid credentials' };
+      }
+
       // Verify password
       const isValid = await mailbox.comparePassword(password);
       
@@ -78,28 +90,26 @@ class SMTPAuthService {
     return port === 587 || port === 465;
   }
 
-  static validateSenderForAuthenticatedUser(sender, authenticatedUsername) {
+  static async validateSenderForAuthenticatedUser(sender, authenticatedUsername) {
     // For authenticated users, validate that sender matches their username
-    // or allow them to send from their own domain
-    if (!authenticatedUsername) {
+    // or allow them to send from their own (active) domain
+    if (!authenticatedUsername || !sender) {
       return false;
     }
 
-    // Extract domain from authenticated username
-    const authDomain = authenticatedUsername.split('@')[1];
-    const senderDomain = sender.split('@')[1];
+    const authAddress = authenticatedUsername.toLowerCase();
+    const senderAddress = sender.toLowerCase();
 
-    // Allow sending from the same domain as authenticated user
-    if (authDomain && senderDomain && authDomain === senderDomain) {
+    // Allow sending from the exact authenticated address
+    if (senderAddress === authAddress) {
       return true;
     }
 
-    // Allow sending from the exact authenticated username
-    if (sender === authenticatedUsername) {
-      return true;
-    }
+    // Allow sending from the same domain as the authenticated user
+    const authDomain = authAddress.split('@')[1];
+    const senderDomain = senderAddress.split('@')[1];
 
-    return false;
+    return !!authDomain && authDomain === senderDomain && await DomainService.isLocalDomain(senderDomain);
   }
 }
 
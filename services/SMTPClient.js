@@ -0,0 +1,404 @@
+const net = require('net');
+const tls = require('tls');
+const logger = require('../utils/logger');
+
+/**
+ * Outbound ESMTP client (RFC 5321)
+ * One instance wraps one TCP session to a remote MTA and exposes the
+ * transaction commands as promises resolving to parsed replies.
+ */
+class SMTPClient {
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port || 25;
+    this.localAddress = options.localAddress || null;
+    this.name = options.name || 'localhost';
+    this.timeout = options.timeout || 30000;
+    this.useStartTLS = options.startTLS !== false;
+    this.tlsOptions = options.tlsOptions || {};
+
+    this.socket = null;
+    this.secure = false;
+    this.features = new Map();
+    this.buffer = '';
+    this.replyLines = [];
+    this.replyQueue = [];
+    this.waiting = null;
+    this.closed = false;
+  }
+
+  /**
+   * Open the connection, read the greeting and negotiate EHLO/STARTTLS
+   * @returns {Promise<Object>} - Greeting reply
+   */
+  async connect() {
+    await new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+      const onError = (error) => {
+        socket.destroy();
+        reject(new Error(`Connection error: ${error.message}`));
+      };
+
+      const onTimeout = () => {
+        socket.destroy();
+        reject(new Error('Connection timeout'));
+      };
+
+      socket.once('error', onError);
+      socket.once('timeout', onTimeout);
+      socket.setTimeout(this.timeout);
+
+      const connectOptions = { host: this.host, port: this.port };
+      if (this.localAddress) {
+        connectOptions.localAddress = this.localAddress;
+      }
+
+      socket.connect(connectOptions, () => {
+        socket.removeListener('error', onError);
+        socket.removeListener('timeout', onTimeout);
+        this.attachSocket(socket);
+        resolve();
+      });
+    });
+
+    logger.debug(`Connected to MX server: ${this.host}${this.localAddress ? ` from ${this.localAddress}` : ''}`);
+
+    const greeting = await this.readReply();
+    if (greeting.code !== 220) {
+      throw this.replyError('Server rejected connection', greeting);
+    }
+
+    await this.hello();
+
+    if (this.useStartTLS && !this.secure && this.features.has('STARTTLS')) {
+      await this.startTLS();
+    }
+
+    return greeting;
+  }
+
+  /**
+   * Send EHLO and fall back to HELO for servers that do not speak ESMTP
+   */
+  async hello() {
+    const reply = await this.command(`EHLO ${this.name}`);
+
+    if (reply.code === 250) {
+      this.features = SMTPClient.parseFeatures(reply.lines);
+      return reply;
+    }
+
+    const heloReply = await this.command(`HELO ${this.name}`);
+    if (heloReply.code !== 250) {
+      throw this.replyError('HELO rejected', heloReply);
+    }
+
+    this.features = new Map();
+    return heloReply;
+  }
+
+  /**
+   * Upgrade the session to TLS (RFC 3207) and re-issue EHLO
+   */
+  async startTLS() {
+    const reply = await this.command('STARTTLS');
+
+    if (reply.code !== 220) {
+      // Opportunistic TLS - carry on in plaintext
+      logger.warn('STARTTLS refused by remote server, continuing without TLS', {
+        host: this.host,
+        response: reply.text
+      });
+      return false;
+    }
+
+    const plainSocket = this.socket;
+    plainSocket.removeAllListeners('data');
+    plainSocket.removeAllListeners('error');
+    plainSocket.removeAllListeners('close');
+    plainSocket.removeAllListeners('timeout');
+    plainSocket.setTimeout(0);
+
+    // Anything the server sent after its 220 arrived in plaintext and must not
+    // be read as a reply inside the TLS session (CVE-2011-0411 style injection)
+    if (this.buffer || this.replyLines.length > 0 || this.replyQueue.length > 0) {
+      logger.warn('Discarding plaintext received after STARTTLS', { host: this.host });
+    }
+    this.buffer = '';
+    this.replyLines = [];
+    this.replyQueue = [];
+
+    await new Promise((resolve, reject) => {
+      const tlsSocket = tls.connect({
+        socket: plainSocket,
+        servername: net.isIP(this.host) ? undefined : this.host,
+        rejectUnauthorized: false,
+        ...this.tlsOptions
+      });
+
+      const onError = (error) => {
+        tlsSocket.destroy();
+        reject(new Error(`TLS negotiation failed: ${error.message}`));
+      };
+
+      // A peer that stalls mid-handshake must not hold the delivery (and its pool slot) forever
+      const onTimeout = () => {
+        tlsSocket.destroy();
+        reject(new Error('TLS negotiation timeout'));
+      };
+
+      tlsSocket.once('error', onError);
+      tlsSocket.once('timeout', onTimeout);
+      tlsSocket.setTimeout(this.timeout);
+      tlsSocket.once('secureConnect', () => {
+        tlsSocket.removeListener('error', onError);
+        tlsSocket.removeListener('timeout', onTimeout);
+        this.secure = true;
+        this.attachSocket(tlsSocket);
+        resolve();
+      });
+    });
+
+    logger.debug('TLS established with MX server', { host: this.host });
+
+    // Capabilities must be discarded and re-queried after the upgrade
+    await this.hello();
+    return true;
+  }
+
+  /**
+   * MAIL FROM with SIZE and BODY parameters when the server supports them
+   * @param {string} sender - Envelope sender, empty string for the null reverse-path
+   * @param {Object} options - { size }
+   */
+  async mail(sender, options = {}) {
+    let line = `MAIL FROM:<${sender || ''}>`;
+
+    if (options.size && this.features.has('SIZE')) {
+      const maxSize = parseInt(this.features.get('SIZE')) || 0;
+      if (maxSize > 0 && options.size > maxSize) {
+        throw this.replyError('Message exceeds remote size limit', {
+          code: 552,
+          enhancedCode: '5.3.4',
+          text: `552 5.3.4 Message size ${options.size} exceeds limit of ${maxSize}`,
+          lines: []
+        });
+      }
+      line += ` SIZE=${options.size}`;
+    }
+
+    if (options.eightBit && this.features.has('8BITMIME')) {
+      line += ' BODY=8BITMIME';
+    }
+
+    const reply = await this.command(line);
+    if (reply.code !== 250) {
+      throw this.replyError('MAIL FROM rejected', reply);
+    }
+    return reply;
+  }
+
+  /**
+   * RCPT TO for a single recipient. Rejections are returned, not thrown,
+   * so the caller can track acceptance per recipient.
+   */
+  async rcpt(recipient) {
+    return this.command(`RCPT TO:<${recipient}>`);
+  }
+
+  /**
+   * Send the message body. Returns the final reply after the terminating dot.
+   */
+  async data(rawEmail) {
+    const reply = await this.command('DATA');
+    if (reply.code !== 354) {
+      return reply;
+    }
+
+    this.socket.write(SMTPClient.dotStuff(rawEmail));
+    return this.readReply();
+  }
+
+  async rset() {
+    return this.command('RSET');
+  }
+
+  async noop() {
+    return this.command('NOOP');
+  }
+
+  async quit() {
+    if (this.closed) return;
+
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // Remote side may drop the connection without replying
+    }
+    this.close();
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+
+  /**
+   * Write a command line and wait for its (possibly multi-line) reply
+   */
+  async command(line) {
+    if (this.closed || !this.socket) {
+      throw new Error('Connection closed');
+    }
+
+    logger.debug(`SMTP client > ${line.startsWith('AUTH') ? 'AUTH ***' : line}`, { host: this.host });
+    this.socket.write(line + '\r\n');
+    return this.readReply();
+  }
+
+  readReply() {
+    if (this.replyQueue.length > 0) {
+      return Promise.resolve(this.replyQueue.shift());
+    }
+
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  attachSocket(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeout);
+
+    socket.on('data', (chunk) => this.onData(chunk));
+
+    socket.on('timeout', () => {
+      this.fail(new Error('Connection timeout'));
+      socket.destroy();
+    });
+
+    socket.on('error', (error) => {
+      this.fail(new Error(`Connection error: ${error.message}`));
+    });
+
+    socket.on('close', () => {
+      this.fail(new Error('Connection closed by remote server'));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.onLine(line);
+    }
+  }
+
+  onLine(line) {
+    const match = line.match(/^(\d{3})([ -])?(.*)$/);
+    if (!match) {
+      logger.debug('Ignoring malformed SMTP reply line', { host: this.host, line });
+      return;
+    }
+
+    this.replyLines.push(line);
+
+    // A space (or nothing) after the code marks the final line of the reply
+    if (match[2] === '-') {
+      return;
+    }
+
+    const reply = SMTPClient.parseReply(this.replyLines);
+    this.replyLines = [];
+    logger.debug(`SMTP client < ${reply.text}`, { host: this.host });
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replyQueue.push(reply);
+    }
+  }
+
+  fail(error) {
+    this.closed = true;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  replyError(message, reply) {
+    const error = new Error(`${message}: ${reply.text}`);
+    error.responseCode = reply.code;
+    error.enhancedCode = reply.enhancedCode;
+    error.response = reply.text;
+    error.permanent = reply.code >= 500;
+    return error;
+  }
+
+  /**
+   * Build a reply object from the raw lines of one server response
+   * e.g. ['250-mx.example.com', '250 PIPELINING'] -> { code: 250, lines: [...] }
+   */
+  static parseReply(lines) {
+    const code = parseInt(lines[0].slice(0, 3));
+    const texts = lines.map(line => line.slice(4));
+    const enhancedMatch = (texts[0] || '').match(/^([245]\.\d{1,3}\.\d{1,3})\s/);
+
+    return {
+      code,
+      enhancedCode: enhancedMatch ? enhancedMatch[1] : null,
+      lines: texts,
+      text: lines.join(' / ')
+    };
+  }
+
+  /**
+   * Parse EHLO keywords (all lines after the greeting line)
+   */
+  static parseFeatures(lines) {
+    const features = new Map();
+
+    for (const line of lines.slice(1)) {
+      const [keyword, ...params] = line.trim().split(/\s+/);
+      if (keyword) {
+        features.set(keyword.toUpperCase(), params.join(' ') || true);
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Normalize line endings, apply dot-stuffing (RFC 5321 4.5.2) and append
+   * the end-of-data marker
+   */
+  static dotStuff(rawEmail) {
+    let data = String(rawEmail || '').replace(/\r?\n/g, '\r\n');
+    data = data.replace(/^\./gm, '..');
+
+    if (!data.endsWith('\r\n')) {
+      data += '\r\n';
+    }
+
+    return data + '.\r\n';
+  }
+
+  static isPositive(reply) {
+    return reply && reply.code >= 200 && reply.code < 300;
+  }
+}
+
+module.exports = SMTPClient;
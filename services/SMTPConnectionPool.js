@@ -0,0 +1,149 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Pool of open outbound SMTP sessions keyed by MX host and source IP.
+ * Sessions are handed back after each transaction and reused for the next
+ * message to the same MX until they go idle or hit the per-session limit.
+ */
+class SMTPConnectionPool {
+  constructor() {
+    this.config = config.outbound.pool;
+    this.pools = new Map();
+  }
+
+  getKey(host, sourceIP = null) {
+    return `${host.toLowerCase()}|${sourceIP || 'default'}`;
+  }
+
+  getPool(key) {
+    if (!this.pools.has(key)) {
+      this.pools.set(key, { idle: [], active: 0, waiters: [] });
+    }
+    return this.pools.get(key);
+  }
+
+  /**
+   * Get a ready session for the given MX. Reuses an idle session when one is
+   * available, otherwise opens a new one with `createClient` (up to the
+   * per-host limit, after which callers wait for a release).
+   */
+  async acquire(host, sourceIP, createClient) {
+    const key = this.getKey(host, sourceIP);
+    const pool = this.getPool(key);
+
+    while (true) {
+      const idle = pool.idle.pop();
+
+      if (idle) {
+        clearTimeout(idle.timer);
+        if (idle.client.closed) {
+          continue;
+        }
+
+        pool.active++;
+        try {
+          // Make sure the remote side still has the session open
+          const reply = await idle.client.rset();
+          if (reply.code !== 250) {
+            throw new Error(`RSET rejected: ${reply.text}`);
+          }
+          logger.debug('Reusing pooled SMTP session', { host, sourceIP, transactions: idle.client.transactions });
+          return idle.client;
+        } catch (error) {
+          pool.active--;
+          idle.client.close();
+          logger.debug('Discarding stale pooled SMTP session', { host, error: error.message });
+          continue;
+        }
+      }
+
+      if (pool.active < this.config.maxConnections) {
+        pool.active++;
+        const client = createClient();
+        client.transactions = 0;
+
+        try {
+          await client.connect();
+          return client;
+        } catch (error) {
+          pool.active--;
+          client.close();
+          this.wakeWaiter(pool);
+          throw error;
+        }
+      }
+
+      // Per-host limit reached - wait for a session to be released
+      await new Promise(resolve => pool.waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Return a session after a transaction. Sessions that ended in an unknown
+   * state must be released with `reusable = false` so they get closed.
+   */
+  release(host, sourceIP, client, reusable = true) {
+    const key = this.getKey(host, sourceIP);
+    const pool = this.getPool(key);
+
+    pool.active = Math.max(0, pool.active - 1);
+    client.transactions = (client.transactions || 0) + 1;
+
+    const keep = this.config.enabled &&
+      reusable &&
+      !client.closed &&
+      client.transactions < this.config.maxMessagesPerConnection;
+
+    if (keep) {
+      const entry = { client, timer: null };
+      entry.timer = setTimeout(() => {
+        const index = pool.idle.indexOf(entry);
+        if (index !== -1) {
+          pool.idle.splice(index, 1);
+        }
+        client.quit();
+      }, this.config.idleTimeout);
+      entry.timer.unref();
+
+      pool.idle.push(entry);
+    } else {
+      client.quit();
+    }
+
+    this.wakeWaiter(pool);
+  }
+
+  wakeWaiter(pool) {
+    const waiter = pool.waiters.shift();
+    if (waiter) {
+      waiter();
+    }
+  }
+
+  closeAll() {
+    for (const pool of this.pools.values()) {
+      for (const entry of pool.idle) {
+        clearTimeout(entry.timer);
+        entry.client.quit();
+      }
+      pool.idle = [];
+    }
+    this.pools.clear();
+    logger.info('Outbound SMTP connection pool closed');
+  }
+
+  getStats() {
+    const stats = {};
+    for (const [key, pool] of this.pools) {
+      stats[key] = {
+        active: pool.active,
+        idle: pool.idle.length,
+        waiting: pool.waiters.length
+      };
+    }
+    return stats;
+  }
+}
+
+module.exports = new SMTPConnectionPool();
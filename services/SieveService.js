@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const SieveScript = require('../models/SieveScript');
+const SieveLog = require('../models/SieveLog');
+const Sieve = require('../utils/Sieve');
+const MIMEParser = require('../utils/MIMEParser');
+const DSNService = require('./DSNService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Per-user Sieve scripts: storage, activation and running the active script
+ * when a message is delivered. Used by IncomingEmailProcessor for both the
+ * SMTP and LMTP delivery paths.
+ */
+class SieveService {
+  constructor() {
+    this.config = config.sieve;
+    this.compiled = new Map(); // script id -> { updatedAt, script }
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  async listScripts(username) {
+    return SieveScript.find({ username: username.toLowerCase() }).select('name active updatedAt').sort({ name: 1 });
+  }
+
+  async getScript(username, name) {
+    return SieveScript.findOne({ username: username.toLowerCase(), name });
+  }
+
+  /**
+   * Compile a script, throwing a 400 error that says what is wrong with it
+   */
+  checkScript(content) {
+    if (Buffer.byteLength(content || '') > this.config.maxScriptSize) {
+      throw SieveService.error(`Script is larger than ${this.config.maxScriptSize} bytes`, 413, 'QUOTA/MAXSIZE');
+    }
+
+    try {
+      return Sieve.compile(content || '');
+    } catch (error) {
+      throw SieveService.error(error.message, 400);
+    }
+  }
+
+  /**
+   * Whether a script of this size could be stored under this name
+   */
+  async checkSpace(username, name, size) {
+    if (size > this.config.maxScriptSize) {
+      throw SieveService.error(`Script is larger than ${this.config.maxScriptSize} bytes`, 413, 'QUOTA/MAXSIZE');
+    }
+
+    const owner = username.toLowerCase();
+    if (!(await SieveScript.findOne({ username: owner, name }))) {
+      const count = await SieveScript.countDocuments({ username: owner });
+      if (count >= this.config.maxScripts) {
+        throw SieveService.error(`At most ${this.config.maxScripts} scripts can be stored`, 413, 'QUOTA/MAXSCRIPTS');
+      }
+    }
+  }
+
+  /**
+   * Create or replace a script. A replaced active script stays active.
+   */
+  async putScript(username, name, content) {
+    SieveService.validateName(name);
+    this.checkScript(content);
+    await this.checkSpace(username, name, Buffer.byteLength(content));
+
+    const owner = username.toLowerCase();
+    const script = await SieveScript.findOne({ username: owner, name }) ||
+      new SieveScript({ username: owner, name });
+
+    script.content = content;
+    await script.save();
+
+    logger.info('📜 Sieve script saved', { username: owner, name, active: script.active });
+    return script;
+  }
+
+  /**
+   * Make one script the active one, or deactivate all when name is empty
+   */
+  async setActive(username, name) {
+    const owner = username.toLowerCase();
+
+    let script = null;
+    if (name) {
+      script = await SieveScript.findOne({ username: owner, name });
+      if (!script) {
+        throw SieveService.error('Script not found', 404, 'NONEXISTENT');
+      }
+    }
+
+    await SieveScript.updateMany({ username: owner, active: true, name: { $ne: name } }, { $set: { active: false } });
+
+    if (script && !script.active) {
+      script.active = true;
+      await script.save();
+    }
+
+    logger.info('📜 Sieve script activated', { username: owner, name: name || null });
+    return script;
+  }
+
+  async deleteScript(username, name) {
+    const owner = username.toLowerCase();
+    const script = await SieveScript.findOne({ username: owner, name });
+    if (!script) {
+      throw SieveService.error('Script not found', 404, 'NONEXISTENT');
+    }
+    if (script.active) {
+      throw SieveService.error('Active script cannot be deleted', 409, 'ACTIVE');
+    }
+
+    await SieveScript.deleteOne({ _id: script._id });
+    this.compiled.delete(String(script._id));
+    logger.info('📜 Sieve script deleted', { username: owner, name });
+    return script;
+  }
+
+  async renameScript(username, name, newName) {
+    SieveService.validateName(newName);
+
+    const owner = username.toLowerCase();
+    const script = await SieveScript.findOne({ username: owner, name });
+    if (!script) {
+      throw SieveService.error('Script not found', 404, 'NONEXISTENT');
+    }
+    if (await SieveScript.findOne({ username: owner, name: newName })) {
+      throw SieveService.error('A script with that name already exists', 409, 'ALREADYEXISTS');
+    }
+
+    script.name = newName;
+    await script.save();
+    logger.info('📜 Sieve script renamed', { username: owner, name, newName });
+    return script;
+  }
+
+  async getActiveScript(username) {
+    const script = await SieveScript.findOne({ username: username.toLowerCase(), active: true });
+    if (!script) {
+      return null;
+    }
+
+    const id = String(script._id);
+    const updatedAt = new Date(script.updatedAt).getTime();
+    const cached = this.compiled.get(id);
+    if (cached && cached.updatedAt === updatedAt) {
+      return { name: script.name, script: cached.script };
+    }
+
+    const compiled = Sieve.compile(script.content);
+    this.compiled.set(id, { updatedAt, script: compiled });
+    return { name: script.name, script: compiled };
+  }
+
+  /**
+   * Run the user's active script for one delivery
+   * @param {Object} delivery - { username, sender, recipient, parsed, rawData }
+   * @returns {Promise<Object|null>} - { scriptName, actions, error }, or null when no script applies
+   */
+  async filter({ username, sender, recipient, parsed, rawData }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    let active;
+    try {
+      active = await this.getActiveScript(username);
+    } catch (error) {
+      // A stored script that no longer compiles must not lose mail
+      logger.error('❌ Active Sieve script unusable', { username, error: error.message });
+      return null;
+    }
+    if (!active) {
+      return null;
+    }
+
+    const message = Sieve.message(rawData, { from: sender, to: recipient });
+    const result = Sieve.execute(active.script, message, {
+      delimiter: config.email.recipientDelimiter,
+      maxRedirects: this.config.maxRedirects
+    });
+
+    if (result.error) {
+      logger.warn('⚠️ Sieve runtime error, message kept', { username, script: active.name, error: result.error });
+    }
+
+    try {
+      await new SieveLog({
+        username,
+        scriptName: active.name,
+        recipient,
+        sender,
+        messageId: parsed && parsed.messageId,
+        subject: parsed && parsed.subject,
+        actions: result.actions,
+        error: result.error
+      }).save();
+    } catch (error) {
+      logger.error('❌ Failed to log Sieve execution', { username, error: error.message });
+    }
+
+    logger.info('📜 Sieve script run', { username, script: active.name, actions: result.actions.map(a => a.type) });
+    return { scriptName: active.name, ...result };
+  }
+
+  async getLogs(username, limit = 50) {
+    return SieveLog.find({ username: username.toLowerCase() }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Tell the sender a message was rejected by the recipient's script when
+   * the protocol could not refuse it (RFC 5429 2.2.1)
+   */
+  async sendRejection(sender, recipient, reason, rawData) {
+    const address = (sender || '').trim().replace(/^<|>$/g, '');
+    const headers = MIMEParser.splitHeaderBody(String(rawData || '')).header.replace(/\r?\n/g, '\r\n');
+
+    // Never answer the null sender, another daemon or an automatic message
+    if (!address || /^mailer-daemon@/i.test(address) ||
+        /^auto-submitted:\s*(?!no\b)/im.test(headers)) {
+      return null;
+    }
+
+    const boundary = `----=_MDN_${crypto.randomBytes(12).toString('hex')}`;
+    const messageId = `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${DSNService.reportingMta}>`;
+    const originalMessageId = MIMEParser.findHeader(MIMEParser.parseHeaders(headers), 'message-id');
+    const subject = 'Automatically rejected mail';
+    const text = [
+      `Your message to <${recipient}> was automatically rejected by a mail filter.`,
+      '',
+      'The following reason was given:',
+      reason
+    ].join('\r\n');
+
+    const raw = [
+      `From: ${DSNService.fromAddress}`,
+      `To: <${address}>`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      ...(originalMessageId ? [`In-Reply-To: ${originalMessageId}`] : []),
+      'Auto-Submitted: auto-replied (rejected)',
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/report; report-type=disposition-notification; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text.replace(/\r?\n/g, '\r\n'),
+      '',
+      `--${boundary}`,
+      'Content-Type: message/disposition-notification',
+      '',
+      `Reporting-UA: ${DSNService.reportingMta}; Sieve`,
+      `Final-Recipient: rfc822; ${recipient}`,
+      ...(originalMessageId ? [`Original-Message-ID: ${originalMessageId}`] : []),
+      'Disposition: automatic-action/MDN-sent-automatically; deleted',
+      '',
+      `--${boundary}`,
+      'Content-Type: text/rfc822-headers',
+      '',
+      headers,
+      '',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    // Required lazily: EmailQueue pulls in the outbound side
+    const EmailQueue = require('./EmailQueue');
+    const emailId = await EmailQueue.addToQueue({
+      sender: '', // null reverse-path so the notice never bounces back
+      recipients: [address],
+      subject,
+      text,
+      raw,
+      messageId,
+      authenticatedUsername: recipient
+    });
+
+    logger.info('📨 Sieve rejection sent to sender', { sender: address, recipient, emailId });
+    return emailId;
+  }
+
+  static validateName(name) {
+    if (!name || name.length > 128 || /[\x00-\x1f\x7f]/.test(name)) {
+      throw SieveService.error('Invalid script name', 400);
+    }
+  }
+
+  /**
+   * @param {string} code - ManageSieve response code, e.g. QUOTA/MAXSIZE (RFC 5804 1.3)
+   */
+  static error(message, status, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new SieveService();
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const Vacation = require('../models/Vacation');
+const VacationReply = require('../models/VacationReply');
+const DomainService = require('./DomainService');
+const MIMEParser = require('../utils/MIMEParser');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Local parts used by mailing lists and daemons (RFC 5230 4.6)
+const AUTOMATED_SENDER = /^(mailer-daemon|postmaster|listserv|majordomo|owner-.+|.+-request|.+-owner|.+-bounces?|no-?reply)$/i;
+
+/**
+ * Out-of-office replies (RFC 5230 semantics, RFC 3834 rules). Called by
+ * IncomingEmailProcessor after a message reaches a mailbox, over SMTP or LMTP.
+ */
+class VacationService {
+  constructor() {
+    this.config = config.vacation;
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  async getSettings(username) {
+    return Vacation.findOne({ username: username.toLowerCase() });
+  }
+
+  /**
+   * Create or update a mailbox's settings; fields left out keep their value
+   * @param {Object} data - { enabled, subject, body, startDate, endDate, addresses, interval }
+   */
+  async updateSettings(username, data) {
+    const owner = username.toLowerCase();
+    const settings = await Vacation.findOne({ username: owner }) ||
+      new Vacation({ username: owner, interval: this.config.defaultInterval });
+
+    if (data.enabled !== undefined) {
+      settings.enabled = !!data.enabled;
+    }
+    if (data.subject !== undefined) {
+      if (typeof data.subject !== 'string' || data.subject.length > 255 || /[\r\n]/.test(data.subject)) {
+        throw VacationService.error('subject must be a single line of at most 255 characters', 400);
+      }
+      settings.subject = data.subject;
+    }
+    if (data.body !== undefined) {
+      settings.body = String(data.body);
+    }
+    for (const field of ['startDate', 'endDate']) {
+      if (data[field] !== undefined) {
+        const date = data[field] === null ? null : new Date(data[field]);
+        if (date && isNaN(date.getTime())) {
+          throw VacationService.error(`${field} is not a valid date`, 400);
+        }
+        settings[field] = date;
+      }
+    }
+    if (data.addresses !== undefined) {
+      const addresses = (Array.isArray(data.addresses) ? data.addresses : [data.addresses])
+        .map(address => DomainService.normalizeAddress(address));
+      if (addresses.some(address => !address)) {
+        throw VacationService.error('addresses must be email addresses', 400);
+      }
+      settings.addresses = [...new Set(addresses)];
+    }
+    if (data.interval !== undefined) {
+      const interval = Number(data.interval);
+      // RFC 5230 4.1: at least one day between replies to one sender
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        throw VacationService.error('interval must be a whole number of days between 1 and 365', 400);
+      }
+      settings.interval = interval;
+    }
+
+    if (settings.startDate && settings.endDate && settings.endDate < settings.startDate) {
+      throw VacationService.error('endDate is before startDate', 400);
+    }
+    if (settings.enabled && !settings.body.trim()) {
+      throw VacationService.error('body is required to enable the auto-reply', 400);
+    }
+
+    await settings.save();
+    logger.info('🌴 Vacation settings saved', { username: owner, enabled: settings.enabled });
+    return settings;
+  }
+
+  async deleteSettings(username) {
+    const owner = username.toLowerCase();
+    const result = await Vacation.deleteOne({ username: owner });
+    await VacationReply.deleteMany({ username: owner });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Whether the auto-reply is switched on and within its date range
+   */
+  isActive(settings, now = new Date()) {
+    return !!settings && settings.enabled &&
+      (!settings.startDate || settings.startDate <= now) &&
+      (!settings.endDate || settings.endDate >= now);
+  }
+
+  /**
+   * Why a message must not be answered automatically, or null when it may be
+   * @param {string} sender - Envelope sender
+   * @param {Array} headers - Parsed headers of the message
+   * @param {Array} addresses - Addresses the mailbox owner receives mail at
+   */
+  static skipReason(sender, headers, addresses) {
+    const address = (sender || '').trim().replace(/^<|>$/g, '').toLowerCase();
+    const header = (key) => MIMEParser.findHeader(headers, key);
+
+    if (!address) return 'null_sender';
+    if (AUTOMATED_SENDER.test(address.split('@')[0])) return 'automated_sender';
+    if (addresses.includes(address)) return 'own_address';
+
+    // RFC 3834 2: never answer automatic messages
+    const autoSubmitted = header('auto-submitted');
+    if (autoSubmitted && !/^\s*no\b/i.test(autoSubmitted)) return 'auto_submitted';
+    if (/^\s*(bulk|list|junk)\b/i.test(header('precedence') || '')) return 'bulk';
+    if (headers.some(h => h.key.startsWith('list-'))) return 'mailing_list';
+    if (/\b(oof|all)\b/i.test(header('x-auto-response-suppress') || '')) return 'suppressed';
+    if (/^\s*yes\b/i.test(header('x-spam-status') || '')) return 'spam';
+
+    // RFC 5230 4.5: only answer mail addressed to the owner, not Bcc or list copies
+    const listed = headers
+      .filter(h => ['to', 'cc', 'bcc', 'resent-to', 'resent-cc', 'resent-bcc'].includes(h.key))
+      .flatMap(h => (h.value.match(/[^\s<>,;:"()]+@[^\s<>,;:"()]+/g) || []).map(a => a.toLowerCase()));
+    if (!listed.some(a => addresses.includes(a))) return 'not_addressed';
+
+    return null;
+  }
+
+  /**
+   * Queue an auto-reply for a message delivered to a mailbox, if one is due
+   * @param {Object} delivery - { username, sender, recipient, rawData }
+   * @returns {Promise<string|null>} - queued email id, or null when nothing was sent
+   */
+  async respond({ username, sender, recipient, rawData }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const settings = await this.getSettings(username);
+    if (!this.isActive(settings)) {
+      return null;
+    }
+
+    const header = MIMEParser.splitHeaderBody(String(rawData || '')).header;
+    const headers = MIMEParser.parseHeaders(header);
+    const addresses = [username, recipient, ...settings.addresses].map(a => a.toLowerCase());
+    const reason = VacationService.skipReason(sender, headers, addresses);
+    if (reason) {
+      logger.debug('🌴 No vacation reply', { username, sender, reason });
+      return null;
+    }
+
+    // One reply per sender and interval
+    const address = sender.trim().replace(/^<|>$/g, '').toLowerCase();
+    const now = new Date();
+    const previous = await VacationReply.findOne({ username, sender: address });
+    if (previous && previous.expiresAt > now) {
+      logger.debug('🌴 Sender already answered', { username, sender: address, repliedAt: previous.repliedAt });
+      return null;
+    }
+    await VacationReply.updateOne(
+      { username, sender: address },
+      { $set: { repliedAt: now, expiresAt: new Date(now.getTime() + settings.interval * 24 * 60 * 60 * 1000) } },
+      { upsert: true }
+    );
+
+    const originalSubject = MIMEParser.findHeader(headers, 'subject') || '';
+    const originalMessageId = MIMEParser.findHeader(headers, 'message-id');
+    const references = MIMEParser.findHeader(headers, 'references');
+    const subject = settings.subject || `Auto: ${originalSubject.replace(/\s+/g, ' ').trim()}`.trim();
+    const messageId = `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${username.split('@')[1]}>`;
+    const text = settings.body.replace(/\r?\n/g, '\r\n');
+
+    const raw = [
+      `From: <${username}>`,
+      `To: <${address}>`,
+      `Subject: ${VacationService.encodeHeader(subject)}`,
+      `Date: ${now.toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      ...(originalMessageId ? [
+        `In-Reply-To: ${originalMessageId}`,
+        `References: ${references ? `${references.trim()} ` : ''}${originalMessageId}`
+      ] : []),
+      'Auto-Submitted: auto-replied (vacation)',
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text,
+      ''
+    ].join('\r\n');
+
+    // Required lazily: EmailQueue pulls in the outbound side
+    const EmailQueue = require('./EmailQueue');
+    const emailId = await EmailQueue.addToQueue({
+      sender: '', // RFC 3834 3.3: replies go out with a null reverse-path
+      recipients: [address],
+      subject,
+      text: settings.body,
+      raw,
+      messageId,
+      inReplyTo: originalMessageId,
+      authenticatedUsername: username
+    });
+
+    logger.info('🌴 Vacation reply sent', { username, sender: address, emailId });
+    return emailId;
+  }
+
+  /**
+   * RFC 2047 encoded-word for header text that is not plain ASCII
+   */
+  static encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) {
+      return value;
+    }
+
+    // Split on character boundaries so each word stays under 76 characters
+    const words = [];
+    let chunk = '';
+    for (const char of value) {
+      if (Buffer.byteLength(chunk + char) > 45) {
+        words.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`).join('\r\n ');
+  }
+
+  static error(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new VacationService();
@@ -53,7 +53,14 @@ class WebhookService {
         status: emailData.status,
         retryCount: emailData.retryCount,
         lastAttempt: emailData.lastAttempt,
-        sentAt: emailData.sentAt
+        sentAt: emailData.sentAt,
+        deliveries: (emailData.deliveries || []).map(d => ({
+          recipient: d.recipient,
+          status: d.status,
+          attemptCount: d.attemptCount,
+          lastResponseCode: d.lastResponseCode,
+          lastResponse: d.lastResponse
+        }))
       }
     };
 
@@ -85,7 +92,9 @@ class WebhookService {
           isPermanent: emailData.status === 'failed_permanent'
         },
         // Include detailed attempt history for debugging
-        attemptHistory: emailData.sendAttempts || []
+        attemptHistory: emailData.sendAttempts || [],
+        // Present when the failure came from an inbound bounce
+        ...(result?.bounce ? { bounce: result.bounce } : {})
       };
     }
   }
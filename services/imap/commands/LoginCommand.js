@@ -1,4 +1,5 @@
 const logger = require('../../utils/logger');
+const SMTPAuthService = require('../../SMTPAuthService');
 
 class LoginCommand {
   static async execute(socket, parts, state, tag, connectionId) {
@@ -11,15 +12,15 @@ class LoginCommand {
       const username = parts[1];
       const password = parts[2];
 
-      // Simple authentication (for demo purposes)
-      // In production, implement proper authentication
-      if (username && password) {
-        state.setUser(username);
+      // Same mailbox credentials as SMTP AUTH and ManageSieve
+      const result = await SMTPAuthService.authenticateUser(username, password);
+      if (result.success) {
+        state.setUser(result.username);
         state.setState('AUTHENTICATED');
         socket.write(`${tag} OK LOGIN completed\r\n`);
-        logger.info('IMAP login successful', { user: username, connectionId });
+        logger.info('IMAP login successful', { user: result.username, connectionId });
       } else {
-        socket.write(`${tag} NO LOGIN failed\r\n`);
+        socket.write(`${tag} NO [AUTHENTICATIONFAILED] LOGIN failed\r\n`);
         logger.warn('IMAP login failed', { user: username, connectionId });
       }
     } catch (error) {
@@ -0,0 +1,209 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = '';
+process.env.ALIAS_MAX_DEPTH = '4';
+process.env.RECIPIENT_DELIMITER = '+';
+process.env.SUBADDRESS_FOLDERS = 'true';
+
+const config = require('./config/config');
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const SieveScript = require('./models/SieveScript');
+const Vacation = require('./models/Vacation');
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const IncomingEmail = require('./models/IncomingEmail');
+const BounceHandler = require('./services/BounceHandler');
+const EmailQueue = require('./services/EmailQueue');
+const RecipientResolver = require('./services/RecipientResolver');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const LMTPServer = require('./services/LMTPServer');
+const { TestSuite, memoryModel, fakeSocket } = require('./test/helpers');
+
+const MAILBOXES = ['alice@example.com', 'bob@example.com', 'carol@example.com', 'info@example.com']
+  .map(username => ({ username }));
+const DOMAINS = [
+  { name: 'example.com', active: true },
+  { name: 'catchall.example', active: true, catchAll: 'sales@example.com' }
+];
+const ALIASES = Object.entries({
+  'sales@example.com': ['alice@example.com', 'bob@example.com'],
+  'team@example.com': ['sales@example.com', 'carol@example.com', 'bob@example.com', 'partner@remote.example'],
+  'info@example.com': ['info@example.com', 'carol@example.com'],
+  'ping@example.com': ['pong@example.com'],
+  'pong@example.com': ['ping@example.com'],
+  'd1@example.com': ['d2@example.com'],
+  'd2@example.com': ['d3@example.com'],
+  'd3@example.com': ['d4@example.com'],
+  'd4@example.com': ['d5@example.com'],
+  'd5@example.com': ['d6@example.com'],
+  'd6@example.com': ['alice@example.com']
+}).map(([address, targets]) => ({ address, domain: address.split('@')[1], targets, active: true }));
+
+// Answer lookups from memory and capture writes instead of using MongoDB
+memoryModel(Mailbox, MAILBOXES);
+memoryModel(Domain, DOMAINS);
+memoryModel(Alias, ALIASES);
+memoryModel(SieveScript);
+memoryModel(Vacation);
+Folder.findOne = async (query) => ({ username: query.username, name: query.name });
+
+const stored = [];
+const queued = [];
+memoryModel(Email, stored);
+memoryModel(IncomingEmail);
+BounceHandler.handleIncoming = async () => null;
+EmailQueue.addToQueue = async (data) => { queued.push(data); return 'queued-id'; };
+
+const RAW = 'From: Sender <sender@remote.example>\r\nTo: team@example.com\r\nSubject: Offsite\r\n\r\nAgenda attached.\r\n';
+
+class AliasTest extends TestSuite {
+  constructor() {
+    super('📇 Alias, Distribution List and Subaddress Tests');
+  }
+
+  async testExpansion() {
+    console.log('\n🧪 Testing alias expansion...');
+
+    let result = await RecipientResolver.resolve('sales@example.com');
+    this.check('Alias expands to its mailboxes', JSON.stringify(result.mailboxes) === '["alice@example.com","bob@example.com"]');
+
+    result = await RecipientResolver.resolve('team@example.com');
+    this.check('Nested list expands once per mailbox',
+      JSON.stringify(result.mailboxes) === '["alice@example.com","bob@example.com","carol@example.com"]', JSON.stringify(result.mailboxes));
+    this.check('External targets collected', JSON.stringify(result.external) === '["partner@remote.example"]');
+
+    result = await RecipientResolver.resolve('info@example.com');
+    this.check('Alias listing itself keeps a copy', result.mailboxes.includes('info@example.com') && result.mailboxes.includes('carol@example.com'));
+
+    result = await RecipientResolver.resolve('ping@example.com');
+    this.check('Loop detected', result.status === 'unknown' && result.loop);
+    this.check('Loop rejected at RCPT', (await RecipientResolver.checkRecipient('ping@example.com')).startsWith('550 5.4.6'));
+
+    result = await RecipientResolver.resolve('d1@example.com');
+    this.check('Maximum expansion depth enforced', result.status === 'unknown' && result.loop);
+
+    result = await RecipientResolver.resolve('anyone@catchall.example');
+    this.check('Catch-all can point at a list', result.status === 'local' && result.mailboxes.length === 2);
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing delivery through a list...');
+    stored.length = 0;
+    queued.length = 0;
+
+    const result = await IncomingEmailProcessor.processIncomingEmail(
+      'sender@remote.example', ['team@example.com', 'alice@example.com'], RAW, 'SMTP');
+
+    const owners = stored.map(email => email.authenticatedUsername).sort();
+    this.check('Each mailbox gets one copy', JSON.stringify(owners) === '["alice@example.com","bob@example.com","carol@example.com"]', JSON.stringify(owners));
+    this.check('Copies keep the list as recipient', stored.every(email => email.recipients[0] === 'team@example.com'));
+    this.check('External target queued as a forward',
+      queued.length === 1 && JSON.stringify(queued[0].recipients) === '["partner@remote.example"]' &&
+      queued[0].sender === 'sender@remote.example' && queued[0].raw === `Delivered-To: team@example.com\r\n${RAW}`);
+    this.check('Direct recipient already served counts as delivered', result.deliveryResults.every(r => r.success));
+  }
+
+  async testSubaddress() {
+    console.log('\n🧪 Testing plus-addressing...');
+
+    let result = await RecipientResolver.resolve('alice+news@example.com');
+    this.check('Subaddress delivered to the base mailbox',
+      result.status === 'local' && result.username === 'alice@example.com' && result.details['alice@example.com'] === 'news');
+
+    result = await RecipientResolver.resolve('sales+q3@example.com');
+    this.check('Subaddress of an alias expands the alias', result.mailboxes.length === 2);
+
+    result = await RecipientResolver.resolve('nobody+x@catchall.example');
+    this.check('Unknown subaddress falls back to the catch-all', result.status === 'local' && result.mailboxes.length === 2);
+
+    this.check('Unknown base user rejected',
+      (await RecipientResolver.checkRecipient('nobody+x@example.com')).startsWith('550 5.1.1'));
+    this.check('Empty base is not a subaddress', (await RecipientResolver.resolve('+news@example.com')).status === 'unknown');
+
+    config.email.recipientDelimiter = '+-';
+    result = await RecipientResolver.resolve('bob-lists@example.com');
+    this.check('Any configured delimiter splits', result.username === 'bob@example.com' && result.details['bob@example.com'] === 'lists');
+
+    config.email.recipientDelimiter = '';
+    this.check('Empty delimiter disables subaddressing', (await RecipientResolver.resolve('alice+news@example.com')).status === 'unknown');
+    config.email.recipientDelimiter = '+';
+
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['alice+news@example.com'], RAW, 'SMTP');
+    this.check('Filed into the detail folder', stored.length === 1 && stored[0].mailbox === 'news', stored[0] && stored[0].mailbox);
+    this.check('Delivered-To keeps the envelope recipient', stored[0].raw.startsWith('Delivered-To: alice+news@example.com\r\n'));
+
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['alice+a/b@example.com'], RAW, 'SMTP');
+    this.check('Detail with a hierarchy separator goes to INBOX', stored[0].mailbox === 'INBOX');
+
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['alice+news@example.com'], RAW, 'SMTP', { folder: 'Junk' });
+    this.check('Quarantine folder wins over the detail', stored[0].mailbox === 'Junk');
+
+    config.email.subaddressFolders = false;
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['alice+news@example.com'], RAW, 'SMTP');
+    this.check('Folder filing is optional', stored[0].mailbox === 'INBOX');
+    config.email.subaddressFolders = true;
+  }
+
+  async testVERPRecipients() {
+    console.log('\n🧪 Testing VERP-tagged recipients...');
+    const tag = `bounce-${'0a'.repeat(12)}-0123456789ab`;
+
+    let result = await RecipientResolver.resolve(`alice+${tag}@example.com`);
+    this.check('VERP address delivered to the sender', result.status === 'local' && result.username === 'alice@example.com' &&
+      !result.details['alice@example.com'], JSON.stringify(result.details));
+
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('', [`alice+${tag}@example.com`], RAW, 'SMTP');
+    this.check('VERP bounce stays in INBOX', stored.length === 1 && stored[0].mailbox === 'INBOX', stored[0] && stored[0].mailbox);
+    this.check('VERP tag never used as a folder name', IncomingEmailProcessor.getSubaddressFolder(tag) === 'INBOX');
+
+    config.email.recipientDelimiter = '-';
+    result = await RecipientResolver.resolve(`alice-${tag}@example.com`);
+    this.check('VERP tag follows the configured delimiter', result.username === 'alice@example.com' &&
+      !result.details['alice@example.com'], JSON.stringify(result));
+
+    config.email.recipientDelimiter = '';
+    result = await RecipientResolver.resolve(`alice+${tag}@example.com`);
+    this.check('VERP recognised with subaddressing off', result.status === 'local' && result.username === 'alice@example.com');
+    config.email.recipientDelimiter = '+';
+  }
+
+  async testLMTP() {
+    console.log('\n🧪 Testing LMTP per-recipient replies...');
+    stored.length = 0;
+
+    const server = new LMTPServer();
+    const socket = fakeSocket('127.0.0.1');
+    const replies = [];
+    socket.write = (data) => replies.push(data.trim());
+    server.handleConnection(socket, false);
+
+    socket.emit('data', Buffer.from(
+      'LHLO mta.example\r\nMAIL FROM:<sender@remote.example>\r\n' +
+      'RCPT TO:<sales@example.com>\r\nRCPT TO:<nobody@example.com>\r\nRCPT TO:<carol@example.com>\r\nDATA\r\n'));
+    socket.emit('data', Buffer.from('Subject: LMTP\r\n\r\n..dotted\r\n.\r\nQUIT\r\n'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    this.check('Unknown recipient refused at RCPT', replies[4].startsWith('550 5.1.1'), replies[4]);
+    const dataReplies = replies.slice(7, 9);
+    this.check('One reply per accepted recipient after DATA',
+      dataReplies.length === 2 && dataReplies.every(r => r.startsWith('250 2.0.0')), JSON.stringify(replies));
+    this.check('LMTP delivery expands aliases', stored.length === 3);
+    this.check('Dot-stuffing removed', stored[0] && stored[0].raw.includes('\r\n.dotted\r\n'));
+  }
+
+  async tests() {
+    await this.testExpansion();
+    await this.testDelivery();
+    await this.testSubaddress();
+    await this.testVERPRecipients();
+    await this.testLMTP();
+  }
+}
+
+new AliasTest().run();
@@ -0,0 +1,243 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Email = require('./models/Email');
+const BounceParser = require('./utils/BounceParser');
+const BounceHandler = require('./services/BounceHandler');
+const DSNService = require('./services/DSNService');
+const { TestSuite } = require('./test/helpers');
+
+const POSTFIX_DSN = [
+  'From: MAILER-DAEMON@mx.remote.example (Mail Delivery System)',
+  'To: alice@example.com',
+  'Subject: Undelivered Mail Returned to Sender',
+  'Message-ID: <bounce-1@mx.remote.example>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/report; report-type=delivery-status;',
+  '\tboundary="B1"',
+  '',
+  '--B1',
+  'Content-Type: text/plain; charset=us-ascii',
+  '',
+  'I\'m sorry to have to inform you that your message could not',
+  'be delivered to one or more recipients.',
+  '',
+  '--B1',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.remote.example',
+  'Arrival-Date: Mon, 19 Oct 2026 10:00:00 +0000',
+  '',
+  'Final-Recipient: rfc822; Bob@remote.example',
+  'Original-Recipient: rfc822;bob@remote.example',
+  'Action: failed',
+  'Status: 5.2.2',
+  'Remote-MTA: dns; store.remote.example',
+  'Diagnostic-Code: smtp; 552 5.2.2 Mailbox full',
+  '',
+  '--B1',
+  'Content-Type: message/rfc822',
+  '',
+  'From: alice@example.com',
+  'To: bob@remote.example',
+  'Subject: Hello',
+  'Message-ID: <original-42@example.com>',
+  '',
+  'Hi Bob',
+  '',
+  '--B1--',
+  ''
+].join('\r\n');
+
+const QMAIL_BOUNCE = [
+  'From: MAILER-DAEMON@qmail.remote.example',
+  'To: alice@example.com',
+  'Subject: failure notice',
+  '',
+  'Hi. This is the qmail-send program at qmail.remote.example.',
+  'I\'m afraid I wasn\'t able to deliver your message to the following addresses.',
+  'This is a permanent error; I\'ve given up. Sorry it didn\'t work out.',
+  '',
+  '<carol@remote.example>:',
+  'Remote host said: 550 5.1.1 <carol@remote.example>: Recipient address rejected',
+  '',
+  '--- Below this line is a copy of the message.',
+  '',
+  'From: alice@example.com',
+  'Message-ID: <original-43@example.com>',
+  'Subject: Hello',
+  ''
+].join('\n');
+
+const EXIM_BOUNCE = [
+  'From: Mail Delivery System <Mailer-Daemon@exim.remote.example>',
+  'To: alice@example.com',
+  'Subject: Mail delivery failed: returning message to sender',
+  'X-Failed-Recipients: dave@remote.example',
+  '',
+  'This message was created automatically by mail delivery software.',
+  '',
+  'A message that you sent could not be delivered to one or more of its',
+  'recipients. This is a permanent error. The following address(es) failed:',
+  '',
+  '  dave@remote.example',
+  '    SMTP error from remote mail server after RCPT TO:<dave@remote.example>:',
+  '    550 5.1.1 No such user here',
+  ''
+].join('\n');
+
+const REGULAR_MAIL = [
+  'From: Bob <bob@remote.example>',
+  'To: alice@example.com',
+  'Subject: Re: Hello',
+  '',
+  'Contact me at bob@remote.example, error 550 happened yesterday.',
+  ''
+].join('\r\n');
+
+class BounceParserTest extends TestSuite {
+  constructor() {
+    super('📬 Bounce Parser Tests');
+  }
+
+  testStandardDSN() {
+    console.log('\n🧪 Testing RFC 3464 reports...');
+    const result = BounceParser.parse(POSTFIX_DSN, { sender: '', recipients: ['alice@example.com'] });
+    const [entry] = result.recipients;
+
+    this.check('Detected as DSN', result.isBounce && result.format === 'dsn');
+    this.check('Final recipient normalized', entry && entry.recipient === 'bob@remote.example');
+    this.check('Status and action parsed', entry && entry.status === '5.2.2' && entry.action === 'failed');
+    this.check('Diagnostic code parsed', entry && entry.diagnosticCode === '552 5.2.2 Mailbox full' && entry.responseCode === 552);
+    this.check('Remote MTA parsed', entry && entry.remoteMta === 'store.remote.example');
+    this.check('Reporting MTA parsed', result.reportingMta === 'mx.remote.example');
+    this.check('Original Message-ID from returned message', result.originalMessageId === '<original-42@example.com>');
+  }
+
+  testOwnDSNRoundTrip() {
+    console.log('\n🧪 Testing reports generated by this server...');
+    const email = new Email({
+      sender: 'alice@example.com',
+      raw: 'From: alice@example.com\r\nMessage-ID: <own-1@example.com>\r\n\r\nHi',
+      authenticatedUsername: 'alice@example.com',
+      deliveries: [{ recipient: 'erin@remote.example', status: 'failed', lastResponseCode: 550, lastResponse: '550 5.1.1 Unknown user' }]
+    });
+    const report = DSNService.buildReport(email, email.deliveries, 'failed');
+    const result = BounceParser.parse(report.raw, { sender: '', recipients: ['alice@example.com'] });
+
+    this.check('Own report parsed', result.isBounce && result.recipients[0]?.recipient === 'erin@remote.example');
+    this.check('Email ID in the report not trusted', result.originalEmailId === null);
+    this.check('Original Message-ID from returned headers', result.originalMessageId === '<own-1@example.com>');
+  }
+
+  testNonStandard() {
+    console.log('\n🧪 Testing non-standard bounces...');
+    const qmail = BounceParser.parse(QMAIL_BOUNCE, { sender: '', recipients: ['alice@example.com'] });
+    this.check('qmail bounce detected', qmail.isBounce && qmail.format === 'heuristic');
+    this.check('qmail recipient and status', qmail.recipients[0]?.recipient === 'carol@remote.example' &&
+      qmail.recipients[0]?.status === '5.1.1' && qmail.recipients[0]?.action === 'failed');
+    this.check('qmail inline Message-ID', qmail.originalMessageId === '<original-43@example.com>');
+
+    const exim = BounceParser.parse(EXIM_BOUNCE, { sender: 'mailer-daemon@exim.remote.example', recipients: ['alice@example.com'] });
+    this.check('Exim bounce detected', exim.isBounce && exim.recipients.length === 1);
+    this.check('Exim recipient from X-Failed-Recipients', exim.recipients[0]?.recipient === 'dave@remote.example' &&
+      exim.recipients[0]?.responseCode === 550);
+
+    const regular = BounceParser.parse(REGULAR_MAIL, { sender: 'bob@remote.example', recipients: ['alice@example.com'] });
+    this.check('Regular mail is not a bounce', !regular.isBounce);
+  }
+
+  testVERP() {
+    console.log('\n🧪 Testing VERP addresses...');
+    const id = '0123456789abcdef01234567';
+    const secret = 'verp-secret';
+    const address = BounceParser.encodeVERP('alice@example.com', id, secret);
+    this.check('VERP address encoded', /^alice\+bounce-0123456789abcdef01234567-[a-f0-9]{12}@example\.com$/.test(address), address);
+    this.check('VERP address decoded', BounceParser.decodeVERP(address, secret) === id);
+    this.check('Decoded after the address was uppercased', BounceParser.decodeVERP(address.toUpperCase(), secret) === id);
+    this.check('Plain address has no email ID', BounceParser.decodeVERP('alice@example.com', secret) === null);
+
+    const forged = `alice+bounce-${'f'.repeat(24)}-${address.split('-')[2].split('@')[0]}@example.com`;
+    this.check('Hash of another email ID refused', BounceParser.decodeVERP(forged, secret) === null);
+    this.check('Unsigned VERP address refused', BounceParser.decodeVERP(`alice+bounce-${id}@example.com`, secret) === null);
+    this.check('Other secret refused', BounceParser.decodeVERP(address, 'other-secret') === null);
+
+    const dashed = BounceParser.encodeVERP('alice@example.com', id, secret, '-+');
+    this.check('VERP tag follows the first configured delimiter', dashed === address.replace('+bounce-', '-bounce-'), dashed);
+    this.check('Decoded with the configured delimiter', BounceParser.decodeVERP(dashed, secret, '-+') === id);
+    this.check('Not decoded with another delimiter', BounceParser.decodeVERP(dashed, secret, '+') === null);
+    this.check('Empty delimiter falls back to +', BounceParser.encodeVERP('alice@example.com', id, secret, '') === address &&
+      BounceParser.decodeVERP(address, secret, '') === id);
+
+    const result = BounceParser.parse(QMAIL_BOUNCE, { sender: '', recipients: [address] }, secret);
+    this.check('Email ID taken from the bounce recipient', result.originalEmailId === id);
+  }
+
+  async testForgedBounces() {
+    console.log('\n🧪 Testing forged bounces...');
+    const forged = BounceParser.parse(POSTFIX_DSN, { sender: 'mallory@evil.example', recipients: ['alice@example.com'] });
+    this.check('Report from an ordinary sender is not a bounce', !forged.isBounce);
+
+    const lookups = [];
+    const findById = Email.findById;
+    const findOne = Email.findOne;
+    Email.findById = async (id) => { lookups.push(`id:${id}`); return null; };
+    Email.findOne = (query) => {
+      lookups.push(`messageId:${query.messageId}`);
+      return { sort: async () => null };
+    };
+
+    const config = BounceHandler.config;
+    BounceHandler.config = { ...config, enabled: true, verp: true, verpSecret: 'verp-secret' };
+    try {
+      let result = await BounceHandler.handleIncoming('mallory@evil.example', ['alice@example.com'], POSTFIX_DSN);
+      this.check('Forged report ignored', result === null && lookups.length === 0, lookups);
+
+      const unsigned = `alice+bounce-${'a'.repeat(24)}@example.com`;
+      result = await BounceHandler.handleIncoming('', [unsigned], POSTFIX_DSN);
+      this.check('No lookup by unsigned VERP or Message-ID with VERP on', result?.matched === false && lookups.length === 0, lookups);
+
+      BounceHandler.config = { ...BounceHandler.config, verp: false };
+      await BounceHandler.handleIncoming('', ['alice@example.com'], POSTFIX_DSN);
+      this.check('Message-ID used with VERP off', JSON.stringify(lookups) === '["messageId:<original-42@example.com>"]', lookups);
+    } finally {
+      BounceHandler.config = config;
+      Email.findById = findById;
+      Email.findOne = findOne;
+    }
+  }
+
+  testApplyBounce() {
+    console.log('\n🧪 Testing bounce application...');
+    const email = new Email({
+      sender: 'alice@example.com',
+      authenticatedUsername: 'alice@example.com',
+      status: 'sent',
+      deliveries: [
+        { recipient: 'bob@remote.example', status: 'sent' },
+        { recipient: 'frank@remote.example', status: 'sent' }
+      ]
+    });
+
+    const bounce = BounceParser.parse(POSTFIX_DSN, { sender: '' });
+    const applied = BounceHandler.applyBounce(email, bounce);
+    const bob = email.deliveries[0];
+
+    this.check('Bounced recipient marked failed', applied.length === 1 && bob.status === 'failed');
+    this.check('Other recipients untouched', email.deliveries[1].status === 'sent');
+    this.check('Email marked permanently failed', email.status === 'failed_permanent');
+    this.check('Bounce recorded as an attempt', bob.attempts.length === 1 && bob.attempts[0].enhancedCode === '5.2.2');
+    this.check('No DSN of our own for a remote bounce', !!bob.failureNotifiedAt);
+    this.check('Repeated bounce is ignored', BounceHandler.applyBounce(email, bounce).length === 0);
+  }
+
+  async tests() {
+    this.testStandardDSN();
+    this.testOwnDSNRoundTrip();
+    this.testNonStandard();
+    this.testVERP();
+    await this.testForgedBounces();
+    this.testApplyBounce();
+  }
+}
+
+new BounceParserTest().run();
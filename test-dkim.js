@@ -0,0 +1,142 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const crypto = require('crypto');
+const DKIM = require('./utils/DKIM');
+const DKIMService = require('./services/DKIMService');
+const DomainService = require('./services/DomainService');
+const { TestSuite } = require('./test/helpers');
+
+const MESSAGE = [
+  'From: Alice <alice@example.com>',
+  'To: bob@remote.example',
+  'Subject: Quarterly   numbers',
+  '  continued',
+  'Date: Mon, 19 Oct 2026 10:00:00 +0000',
+  'Message-ID: <dkim-1@example.com>',
+  'X-Not-Signed: yes',
+  '',
+  'Hello Bob,  ',
+  '',
+  'numbers\tattached.',
+  '',
+  '',
+  ''
+].join('\n');
+
+function createKey(algorithm, selector) {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+  const pair = algorithm === 'ed25519-sha256' ?
+    crypto.generateKeyPairSync('ed25519', encoding) :
+    crypto.generateKeyPairSync('rsa', { modulusLength: 1024, ...encoding });
+
+  return { domain: 'example.com', selector, algorithm, ...pair };
+}
+
+/**
+ * Minimal verifier: checks one DKIM-Signature header against a key record
+ */
+function verify(raw, signatureIndex, dnsValue) {
+  const { headerLines, body } = DKIM.splitMessage(raw);
+  const signatureLine = headerLines.filter(h => h.key === 'dkim-signature')[signatureIndex].line;
+  const tags = DKIM.parseTags(signatureLine.slice(signatureLine.indexOf(':') + 1));
+  const record = DKIM.parseTags(dnsValue);
+
+  if (DKIM.bodyHash(body, 'relaxed') !== tags.bh) {
+    return { valid: false, reason: 'body hash mismatch', tags };
+  }
+
+  const data = DKIM.signedData(headerLines, tags.h.split(':'), signatureLine, 'relaxed');
+  const publicKey = DKIM.publicKeyFromDNS(record.p, record.k);
+  return { valid: DKIM.verifyData(data, tags.b, publicKey, tags.a), tags };
+}
+
+class DKIMTest extends TestSuite {
+  constructor() {
+    super('🔏 DKIM Signing Tests');
+  }
+
+  testCanonicalization() {
+    console.log('\n🧪 Testing relaxed canonicalization (RFC 6376 3.4.5)...');
+    this.check('Header name lowercased', DKIM.relaxedHeader('A: X') === 'a:X');
+    this.check('Header unfolded and whitespace collapsed', DKIM.relaxedHeader('B : Y\t\r\n\tZ  ') === 'b:Y Z');
+    this.check('Body whitespace reduced and trailing lines removed',
+      DKIM.relaxedBody(' C \r\nD \t E\r\n\r\n\r\n') === ' C\r\nD E\r\n');
+    this.check('Empty body canonicalizes to nothing', DKIM.relaxedBody('\r\n\r\n') === '');
+  }
+
+  async testSigning() {
+    console.log('\n🧪 Testing signing and verification...');
+    const rsaKey = createKey('rsa-sha256', 'rsa1');
+    const edKey = createKey('ed25519-sha256', 'ed1');
+
+    const originalGetKeys = DKIMService.getKeys;
+    const originalGetDomain = DomainService.getDomain;
+    DKIMService.getKeys = async (domain) => domain === 'example.com' ? [rsaKey, edKey] : [];
+    DomainService.getDomain = async () => null;
+
+    try {
+      const signed = await DKIMService.signMessage(MESSAGE);
+      const rsaRecord = DKIMService.getDNSRecord(rsaKey);
+      const edRecord = DKIMService.getDNSRecord(edKey);
+
+      this.check('Signed with every key of the domain', signed.signatures.length === 2);
+      this.check('Signatures prepended', signed.raw.startsWith('DKIM-Signature: v=1; a=rsa-sha256; c=relaxed/relaxed;'));
+
+      const rsa = verify(signed.raw, 0, rsaRecord.value);
+      this.check('rsa-sha256 signature verifies', rsa.valid, rsa.reason);
+      this.check('Only configured headers signed', rsa.tags.h === 'from:subject:date:message-id:to');
+
+      const ed = verify(signed.raw, 1, edRecord.value);
+      this.check('ed25519-sha256 signature verifies', ed.valid, ed.reason);
+
+      const folded = signed.raw.split('\r\n').filter(line => !line.startsWith(' ') && !line.includes(':'));
+      this.check('Signature header lines folded', signed.raw.split('\r\n').every(line => line.length <= 80 || line.startsWith(' h=')) && folded.length > 0);
+
+      const tampered = signed.raw.replace('numbers\tattached.', 'numbers changed.');
+      this.check('Modified body fails verification', !verify(tampered, 0, rsaRecord.value).valid);
+
+      const resigned = signed.raw.replace('Subject: Quarterly', 'Subject: Annual');
+      this.check('Modified header fails verification', !verify(resigned, 0, rsaRecord.value).valid);
+
+      const subdomain = await DKIMService.signMessage(MESSAGE.replace('alice@example.com', 'alice@news.example.com'));
+      this.check('Subdomain mail signed with the parent domain key', subdomain.signatures[0]?.domain === 'example.com');
+
+      const unsigned = await DKIMService.signMessage(MESSAGE.replace('alice@example.com', 'alice@other.example'));
+      this.check('Domains without keys stay unsigned', unsigned.signatures.length === 0 && unsigned.raw === MESSAGE.replace('alice@example.com', 'alice@other.example'));
+
+      DomainService.getDomain = async (name) => name === 'example.com' ? { name, dkimSelector: 'ed1' } : null;
+      const pinned = await DKIMService.signMessage(MESSAGE);
+      this.check('Domain dkimSelector limits signing to that key',
+        pinned.signatures.length === 1 && pinned.signatures[0].selector === 'ed1');
+    } catch (error) {
+      this.check('Signing completed', false, error.message);
+    } finally {
+      DKIMService.getKeys = originalGetKeys;
+      DomainService.getDomain = originalGetDomain;
+    }
+  }
+
+  testDNSRecord() {
+    console.log('\n🧪 Testing DNS records...');
+    const rsaRecord = DKIMService.getDNSRecord(createKey('rsa-sha256', 'rsa1'));
+    const edRecord = DKIMService.getDNSRecord(createKey('ed25519-sha256', 'ed1'));
+
+    this.check('Record name', rsaRecord.name === 'rsa1._domainkey.example.com' && rsaRecord.type === 'TXT');
+    this.check('RSA record value', /^v=DKIM1; k=rsa; p=[A-Za-z0-9+/=]+$/.test(rsaRecord.value));
+    this.check('Ed25519 record carries the raw 32-byte key',
+      edRecord.value.startsWith('v=DKIM1; k=ed25519; p=') && Buffer.from(DKIM.parseTags(edRecord.value).p, 'base64').length === 32);
+    this.check('TXT strings at most 255 characters', rsaRecord.chunks.every(chunk => chunk.length <= 255) &&
+      rsaRecord.chunks.join('') === rsaRecord.value);
+  }
+
+  async tests() {
+    this.testCanonicalization();
+    await this.testSigning();
+    this.testDNSRecord();
+  }
+}
+
+new DKIMTest().run();
@@ -0,0 +1,137 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.DSN_REPORTING_MTA = 'mx.test.local';
+process.env.DSN_DELAY_WARNING_AFTER = '3600000';
+
+const Email = require('./models/Email');
+const DSNService = require('./services/DSNService');
+const { TestSuite } = require('./test/helpers');
+
+const ORIGINAL_RAW = [
+  'From: Alice <alice@example.com>',
+  'To: bob@remote.example, carol@remote.example',
+  'Subject: Quarterly numbers',
+  'Message-ID: <original-123@example.com>',
+  '',
+  'See attached.',
+  ''
+].join('\r\n');
+
+function createEmail(overrides = {}) {
+  return new Email({
+    sender: 'alice@example.com',
+    recipients: ['bob@remote.example', 'carol@remote.example'],
+    subject: 'Quarterly numbers',
+    raw: ORIGINAL_RAW,
+    authenticatedUsername: 'alice@example.com',
+    status: 'failed',
+    createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    deliveries: [
+      {
+        recipient: 'bob@remote.example',
+        status: 'failed',
+        attemptCount: 1,
+        lastAttempt: new Date(),
+        lastResponseCode: 550,
+        lastResponse: '550 5.1.1 User unknown',
+        attempts: [{ success: false, mxServer: 'mx1.remote.example', responseCode: 550, enhancedCode: '5.1.1', response: '550 5.1.1 User unknown' }]
+      },
+      {
+        recipient: 'carol@remote.example',
+        status: 'deferred',
+        attemptCount: 1,
+        lastAttempt: new Date(),
+        lastResponseCode: 451,
+        lastResponse: '451 4.7.1 Greylisted',
+        nextRetryAt: new Date(Date.now() + 15 * 60 * 1000),
+        attempts: [{ success: false, mxServer: 'mx1.remote.example', responseCode: 451, enhancedCode: '4.7.1', response: '451 4.7.1 Greylisted' }]
+      }
+    ],
+    ...overrides
+  });
+}
+
+class DSNTest extends TestSuite {
+  constructor() {
+    super('📨 Delivery Status Notification Tests');
+  }
+
+  testFailureReport() {
+    console.log('\n🧪 Testing failure report structure...');
+    const email = createEmail();
+    const report = DSNService.buildReport(email, [email.deliveries[0]], 'failed');
+
+    this.check('Top-level multipart/report with delivery-status type',
+      /^Content-Type: multipart\/report; report-type=delivery-status; boundary="/m.test(report.raw));
+    this.check('From header uses MAILER-DAEMON', /^From: Mail Delivery System <MAILER-DAEMON@mx\.test\.local>/m.test(report.raw));
+    this.check('Auto-Submitted header set', /^Auto-Submitted: auto-replied/m.test(report.raw));
+    this.check('Reporting-MTA field', report.raw.includes('Reporting-MTA: dns; mx.test.local'));
+    this.check('Per-recipient fields', report.raw.includes('Final-Recipient: rfc822; bob@remote.example') &&
+      report.raw.includes('Action: failed') && report.raw.includes('Status: 5.1.1'));
+    this.check('Diagnostic code from remote reply', report.raw.includes('Diagnostic-Code: smtp; 550 5.1.1 User unknown'));
+    this.check('Remote MTA recorded', report.raw.includes('Remote-MTA: dns; mx1.remote.example'));
+    this.check('Original headers returned without the body',
+      report.raw.includes('Content-Type: text/rfc822-headers') && !report.raw.includes('See attached.'));
+    this.check('Threaded to the original message', report.originalMessageId === '<original-123@example.com>' &&
+      report.raw.includes('In-Reply-To: <original-123@example.com>'));
+    this.check('Only the reported recipient is listed', !report.raw.includes('Final-Recipient: rfc822; carol@remote.example'));
+  }
+
+  testDelayReport() {
+    console.log('\n🧪 Testing delayed-delivery report...');
+    const email = createEmail();
+    const report = DSNService.buildReport(email, [email.deliveries[1]], 'delayed');
+
+    this.check('Delay subject', report.subject === 'Delayed Mail (still being retried)');
+    this.check('Delayed action with transient status', report.raw.includes('Action: delayed') && report.raw.includes('Status: 4.7.1'));
+    this.check('Next retry time advertised', report.raw.includes('X-Next-Retry-Date:'));
+  }
+
+  testLoopPrevention() {
+    console.log('\n🧪 Testing bounce loop prevention...');
+    this.check('Regular sender gets notified', DSNService.shouldNotify(createEmail()));
+    this.check('Null reverse-path is never notified', !DSNService.shouldNotify(createEmail({ sender: '' })));
+    this.check('MAILER-DAEMON is never notified', !DSNService.shouldNotify(createEmail({ sender: 'MAILER-DAEMON@remote.example' })));
+
+    const email = createEmail();
+    const dsn = DSNService.buildReport(email, [email.deliveries[0]], 'failed');
+    this.check('A DSN is never answered with a DSN', !DSNService.shouldNotify(createEmail({ sender: 'alice@example.com', raw: dsn.raw })));
+  }
+
+  async testNotificationTracking() {
+    console.log('\n🧪 Testing notification tracking...');
+    const delivered = [];
+    const originalDeliver = DSNService.deliverReport;
+    DSNService.deliverReport = async (emailDoc, report) => {
+      delivered.push(report);
+      return { local: true, emailId: 'test' };
+    };
+
+    try {
+      const email = createEmail();
+      await DSNService.sendFailureNotification(email);
+      await DSNService.sendFailureNotification(email);
+      this.check('Failed recipient bounced once', delivered.length === 1 && !!email.deliveries[0].failureNotifiedAt);
+
+      await DSNService.sendDelayNotification(email);
+      await DSNService.sendDelayNotification(email);
+      this.check('Deferred recipient warned once', delivered.length === 2 && !!email.deliveries[1].delayNotifiedAt);
+
+      const fresh = createEmail({ createdAt: new Date() });
+      await DSNService.sendDelayNotification(fresh);
+      this.check('No warning before the delay threshold', delivered.length === 2 && !fresh.deliveries[1].delayNotifiedAt);
+    } catch (error) {
+      this.check('Notification tracking', false, error.message);
+    } finally {
+      DSNService.deliverReport = originalDeliver;
+    }
+  }
+
+  async tests() {
+    this.testFailureReport();
+    this.testDelayReport();
+    this.testLoopPrevention();
+    await this.testNotificationTracking();
+  }
+}
+
+new DSNTest().run();
@@ -0,0 +1,217 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Email = require('./models/Email');
+const SuccessfulEmail = require('./models/SuccessfulEmail');
+const BouncedEmail = require('./models/BouncedEmail');
+const EmailQueue = require('./services/EmailQueue');
+const MailSender = require('./services/MailSender');
+const WebhookService = require('./services/WebhookService');
+const DSNService = require('./services/DSNService');
+const { TestSuite, matches } = require('./test/helpers');
+
+// Records instead of the database, webhooks and DSNs
+const successful = [];
+const bounced = [];
+const webhooks = [];
+const sends = [];
+const dsns = [];
+let replies = {}; // recipient -> reply of the mock remote MX, or an Error for the whole attempt
+
+Email.prototype.save = async function() { return this; };
+SuccessfulEmail.prototype.save = async function() { successful.push(this); return this; };
+BouncedEmail.prototype.save = async function() { bounced.push(this); return this; };
+WebhookService.sendWebhookWithRetry = async (type) => { webhooks.push(type); };
+DSNService.deliverReport = async (emailDoc, report) => { dsns.push(report.raw.match(/^Action: (\w+)/m)[1]); };
+
+MailSender.sendEmail = async (email) => {
+  sends.push(email.recipients);
+  if (replies instanceof Error) {
+    throw replies;
+  }
+  const results = email.recipients.map(recipient => {
+    const code = replies[recipient] || 250;
+    return {
+      recipient,
+      success: code === 250,
+      permanent: code >= 500,
+      responseCode: code,
+      response: `${code} reply for ${recipient}`
+    };
+  });
+  return { success: results.every(result => result.success), results };
+};
+
+function newEmail(recipients, fields = {}) {
+  return new Email({
+    sender: 'alice@example.com',
+    recipients,
+    subject: 'Queue test',
+    raw: 'Subject: Queue test\r\n\r\nHello\r\n',
+    status: 'pending',
+    deliveries: EmailQueue.buildDeliveries(recipients),
+    ...fields
+  });
+}
+
+const delivery = (email, recipient) => email.deliveries.find(d => d.recipient === recipient);
+
+class EmailQueueTest extends TestSuite {
+  constructor() {
+    super('📬 Email Queue Tests');
+  }
+
+  reset() {
+    successful.length = 0;
+    bounced.length = 0;
+    webhooks.length = 0;
+    sends.length = 0;
+    dsns.length = 0;
+    replies = {};
+  }
+
+  async testPartialSuccess() {
+    console.log('\n🧪 Testing partial success...');
+    this.reset();
+
+    const email = newEmail(['ok@remote.example', 'gone@remote.example', 'busy@remote.example']);
+    replies = { 'gone@remote.example': 550, 'busy@remote.example': 451 };
+    const before = Date.now();
+    await EmailQueue.processEmail(email);
+
+    this.check('Accepted recipient sent', delivery(email, 'ok@remote.example').status === 'sent');
+    this.check('Rejected recipient failed at once', delivery(email, 'gone@remote.example').status === 'failed' &&
+      delivery(email, 'gone@remote.example').lastResponseCode === 550);
+    const busy = delivery(email, 'busy@remote.example');
+    this.check('Deferred recipient scheduled after the first delay', busy.status === 'deferred' &&
+      busy.nextRetryAt.getTime() >= before + 5 * 60 * 1000 && busy.nextRetryAt.getTime() < before + 6 * 60 * 1000, busy.nextRetryAt);
+    this.check('Email waits for its deferred recipient', email.status === 'failed' && email.retryCount === 1 &&
+      email.nextRetryAt.getTime() === busy.nextRetryAt.getTime(), email.status);
+    this.check('Failure webhook for the deferral', JSON.stringify(webhooks) === '["failure"]', webhooks);
+
+    replies = {};
+    await EmailQueue.processEmail(email);
+    this.check('Retry only sends to the deferred recipient', JSON.stringify(sends[1]) === '["busy@remote.example"]', sends);
+    this.check('Email final once every recipient is', email.status === 'failed_permanent' && !email.nextRetryAt, email.status);
+    this.check('Success recorded for the delivered recipients',
+      JSON.stringify([...successful[0].recipients]) === '["ok@remote.example","busy@remote.example"]', successful[0]?.recipients);
+    this.check('Bounce recorded for the rejected recipient', JSON.stringify([...bounced[0].recipients]) === '["gone@remote.example"]' &&
+      bounced[0].bounceType === 'permanent', bounced[0]?.recipients);
+  }
+
+  async testFullSuccess() {
+    console.log('\n🧪 Testing full success...');
+    this.reset();
+
+    const email = newEmail(['one@remote.example', 'two@remote.example']);
+    await EmailQueue.processEmail(email);
+    this.check('Email sent', email.status === 'sent' && email.sentAt instanceof Date, email.status);
+    this.check('One success record', successful.length === 1 && bounced.length === 0);
+    this.check('Success webhook', JSON.stringify(webhooks) === '["success"]', webhooks);
+  }
+
+  async testDeferral() {
+    console.log('\n🧪 Testing deferral until the queue lifetime runs out...');
+    this.reset();
+
+    const email = newEmail(['slow@remote.example']);
+    replies = { 'slow@remote.example': 421 };
+    const delays = [];
+    let queuedFor = 0;
+    let delayDSNAt = null;
+
+    // Follow the default schedule, moving the queue time on by each scheduled delay
+    while (delivery(email, 'slow@remote.example').status !== 'failed' && delays.length < 100) {
+      email.createdAt = new Date(Date.now() - queuedFor);
+      const before = Date.now();
+      await EmailQueue.processEmail(email);
+      if (delayDSNAt === null && dsns.includes('delayed')) delayDSNAt = queuedFor;
+      if (email.nextRetryAt) {
+        const delay = email.nextRetryAt.getTime() - before;
+        delays.push(Math.round(delay / 60000));
+        queuedFor += delay;
+      }
+    }
+
+    const lifetime = 5 * 24 * 60 * 60 * 1000;
+    this.check('Retry delays grow to every 4 hours', JSON.stringify(delays.slice(0, 6)) === '[5,15,30,60,120,240]' &&
+      delays.slice(6).every(delay => delay === 240), delays);
+    this.check('Retried for the whole queue lifetime', queuedFor >= lifetime &&
+      queuedFor - delays[delays.length - 1] * 60000 < lifetime, queuedFor);
+    this.check('Delay DSN sent once, after the warning threshold', dsns.filter(action => action === 'delayed').length === 1 &&
+      delayDSNAt >= 4 * 60 * 60 * 1000 && delayDSNAt < 8 * 60 * 60 * 1000, `${dsns} at ${delayDSNAt}`);
+    this.check('Recipient failed once the lifetime ran out', delivery(email, 'slow@remote.example').status === 'failed' &&
+      dsns[dsns.length - 1] === 'failed', dsns);
+    this.check('Bounced as transient', email.status === 'failed_permanent' && bounced[0]?.bounceType === 'transient' &&
+      bounced[0]?.bounceReason === 'Queue lifetime exceeded', bounced[0]?.bounceReason);
+  }
+
+  async testSendError() {
+    console.log('\n🧪 Testing an attempt that fails outright...');
+    this.reset();
+
+    const email = newEmail(['a@remote.example', 'b@remote.example']);
+    replies = new Error('No IP available');
+    await EmailQueue.processEmail(email);
+
+    this.check('Every recipient deferred', email.deliveries.every(d => d.status === 'deferred' && d.lastResponse === 'No IP available'));
+    this.check('Email scheduled for retry', email.status === 'failed' && email.retryCount === 1 && email.nextRetryAt instanceof Date);
+  }
+
+  async testLegacyEmails() {
+    console.log('\n🧪 Testing emails queued before per-recipient tracking...');
+    this.reset();
+
+    const email = newEmail(['old@remote.example'], { status: 'failed', retryCount: 2, deliveries: [] });
+    EmailQueue.ensureDeliveries(email);
+    this.check('Deliveries built from the recipients', email.deliveries.length === 1 &&
+      delivery(email, 'old@remote.example').status === 'pending');
+    this.check('Earlier attempts carried over', delivery(email, 'old@remote.example').attemptCount === 2);
+
+    replies = { 'old@remote.example': 451 };
+    email.createdAt = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+    await EmailQueue.processEmail(email);
+    this.check('Expired email ends at its next attempt', email.status === 'failed_permanent', email.status);
+  }
+
+  async testRetrySelection() {
+    console.log('\n🧪 Testing retry scheduling...');
+
+    const now = Date.now();
+    const minutes = (n) => new Date(now - n * 60 * 1000);
+    const docs = {
+      due: { status: 'failed', nextRetryAt: minutes(1), retryCount: 1, lastAttempt: minutes(6) },
+      notDue: { status: 'failed', nextRetryAt: minutes(-4), retryCount: 1, lastAttempt: minutes(1) },
+      sent: { status: 'sent', nextRetryAt: null, retryCount: 0, lastAttempt: minutes(60) },
+      legacyDue: { status: 'failed', retryCount: 1, lastAttempt: minutes(20) },
+      legacyWaiting: { status: 'failed', retryCount: 1, lastAttempt: minutes(10) },
+      legacyFirst: { status: 'failed', retryCount: 0, lastAttempt: minutes(6) },
+      legacyExhausted: { status: 'failed', retryCount: 3, lastAttempt: minutes(600) }
+    };
+
+    let query = null;
+    const find = Email.find;
+    Email.find = (q) => {
+      query = q;
+      return { limit: async () => [] };
+    };
+    await EmailQueue.getRetryEmails();
+    Email.find = find;
+
+    const selected = Object.keys(docs).filter(name => matches(docs[name], query));
+    this.check('Scheduled emails retried when due', selected.includes('due') && !selected.includes('notDue'), selected);
+    this.check('Emails without nextRetryAt still retried', selected.includes('legacyDue') && selected.includes('legacyFirst'), selected);
+    this.check('Old schedule kept for them', !selected.includes('legacyWaiting') && !selected.includes('legacyExhausted'), selected);
+    this.check('Only failed emails', !selected.includes('sent'), selected);
+  }
+
+  async tests() {
+    await this.testPartialSuccess();
+    await this.testFullSuccess();
+    await this.testDeferral();
+    await this.testSendError();
+    await this.testLegacyEmails();
+    await this.testRetrySelection();
+  }
+}
+
+new EmailQueueTest().run();
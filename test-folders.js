@@ -0,0 +1,212 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Tombstone = require('./models/Tombstone');
+const Metadata = require('./models/Metadata');
+const FolderService = require('./services/FolderService');
+const IMAPServer = require('./services/IMAPServer');
+const { TestSuite, memoryModel, imapSession } = require('./test/helpers');
+
+// In-memory collections, with messages in folders that have no Folder document yet
+const folders = [];
+const tombstones = [];
+const emails = [
+  { authenticatedUsername: 'alice@example.com', mailbox: 'INBOX', uid: 1 },
+  { authenticatedUsername: 'alice@example.com', mailbox: 'Archive/2024', uid: 7 },
+  { authenticatedUsername: 'bob@example.com', mailbox: 'Projects/Client', uid: 1 }
+];
+
+memoryModel(Folder, folders, { unique: ['username', 'name'] });
+memoryModel(Email, emails);
+memoryModel(Tombstone, tombstones);
+memoryModel(Metadata);
+
+// One IMAP session logged in as user, with the reply split into lines
+function session(user) {
+  const run = imapSession(new IMAPServer(), user);
+  return async (command) => ({ lines: (await run(command)).split('\r\n').filter(Boolean), state: run.state, mailbox: run.mailbox });
+}
+
+const names = (lines, type = 'LIST') => lines
+  .filter(line => line.startsWith(`* ${type} `))
+  .map(line => line.match(/"([^"]*)"$/)[1]);
+
+class FolderTest extends TestSuite {
+  constructor() {
+    super('📁 IMAP Folder Tests');
+  }
+
+  async testList(alice, bob) {
+    console.log('\n🧪 Testing LIST...');
+
+    let { lines } = await alice('LIST "" "*"');
+    this.check('Default folders created on first LIST',
+      ['INBOX', 'Sent', 'Drafts', 'Trash', 'Spam'].every(name => names(lines).includes(name)), lines.join(' | '));
+    this.check('Special-use attributes stored with the folder',
+      lines.includes('* LIST (\\Sent \\HasNoChildren) "/" "Sent"') && lines.includes('* LIST (\\Junk \\HasNoChildren) "/" "Spam"'));
+    this.check('Folders of existing messages recorded with their parents',
+      lines.includes('* LIST (\\HasChildren) "/" "Archive"') && lines.includes('* LIST (\\HasNoChildren) "/" "Archive/2024"'));
+    this.check('Folders are per user', !names(lines).includes('Projects/Client') &&
+      names((await bob('LIST "" "*"')).lines).includes('Projects/Client'));
+
+    ({ lines } = await alice('LIST "" ""'));
+    this.check('Empty pattern returns the delimiter', lines[0] === '* LIST (\\Noselect) "/" ""');
+
+    ({ lines } = await alice('LIST "" "%"'));
+    this.check('% stops at the delimiter', names(lines).includes('Archive') && !names(lines).includes('Archive/2024'));
+
+    ({ lines } = await alice('LIST "Archive/" "%"'));
+    this.check('Reference prefixes the pattern', JSON.stringify(names(lines)) === '["Archive/2024"]');
+
+    ({ lines } = await alice('LIST "" "inbox"'));
+    this.check('INBOX matched case-insensitively', JSON.stringify(names(lines)) === '["INBOX"]');
+
+    ({ lines } = await alice('LIST (SPECIAL-USE) "" "*"'));
+    this.check('SPECIAL-USE selection lists only special-use folders',
+      JSON.stringify(names(lines)) === '["Drafts","Sent","Spam","Trash"]', names(lines).join(','));
+  }
+
+  async testCreate(alice) {
+    console.log('\n🧪 Testing CREATE...');
+
+    let { lines } = await alice('CREATE "Projects/Client"');
+    this.check('CREATE succeeds', lines[0].endsWith('OK CREATE completed'));
+    this.check('Missing parents created', !!await FolderService.getFolder('alice@example.com', 'Projects'));
+
+    ({ lines } = await alice('CREATE Projects/Client'));
+    this.check('Existing folder refused', lines[0].includes('NO [ALREADYEXISTS]'));
+    ({ lines } = await alice('CREATE inbox'));
+    this.check('INBOX exists in any case', lines[0].includes('NO [ALREADYEXISTS]'));
+    ({ lines } = await alice('CREATE Bad//Name'));
+    this.check('Empty hierarchy level refused', lines[0].includes('NO [CANNOT]'));
+  }
+
+  async testSubscriptions(alice) {
+    console.log('\n🧪 Testing subscriptions...');
+
+    let { lines } = await alice('UNSUBSCRIBE Trash');
+    this.check('UNSUBSCRIBE succeeds', lines[0].endsWith('OK UNSUBSCRIBE completed'));
+
+    const again = session('alice@example.com');
+    ({ lines } = await again('LSUB "" "*"'));
+    this.check('Subscriptions kept across sessions', !names(lines, 'LSUB').includes('Trash') &&
+      names(lines, 'LSUB').includes('Sent'), names(lines, 'LSUB').join(','));
+
+    await again('SUBSCRIBE Trash');
+    ({ lines } = await again('LSUB "" "T%"'));
+    this.check('SUBSCRIBE adds the folder back', JSON.stringify(names(lines, 'LSUB')) === '["Trash"]');
+
+    ({ lines } = await alice('SUBSCRIBE Nowhere'));
+    this.check('Unknown folder refused', lines[0].includes('NO [NONEXISTENT]'));
+  }
+
+  async testStatusAndSelect(alice) {
+    console.log('\n🧪 Testing STATUS and SELECT...');
+
+    const archive = await FolderService.getFolder('alice@example.com', 'Archive/2024');
+    let { lines } = await alice('STATUS Archive/2024 (MESSAGES UIDVALIDITY)');
+    this.check('STATUS reports the folder UIDVALIDITY',
+      lines[0] === `* STATUS "Archive/2024" (MESSAGES 1 UIDVALIDITY ${archive.uidValidity})`, lines[0]);
+
+    ({ lines } = await alice('STATUS Nowhere (MESSAGES)'));
+    this.check('STATUS of unknown folder refused', lines[0].includes('NO [NONEXISTENT]'));
+
+    const inbox = await FolderService.getFolder('alice@example.com', 'INBOX');
+    const result = await alice('SELECT inbox');
+    this.check('SELECT uses the folder UIDVALIDITY', result.lines.includes(`* OK [UIDVALIDITY ${inbox.uidValidity}] UIDs valid`) &&
+      result.mailbox() === 'INBOX');
+
+    ({ lines } = await alice('COPY 1 Nowhere'));
+    this.check('COPY to unknown folder asks to create it', lines[0].includes('NO [TRYCREATE]'));
+
+    const failed = await alice('SELECT Nowhere');
+    this.check('Failed SELECT leaves the selected state', failed.lines[0].includes('NO [NONEXISTENT]') &&
+      failed.state() === 'AUTHENTICATED' && failed.mailbox() === null);
+  }
+
+  async testUids(alice, bob) {
+    console.log('\n🧪 Testing UID allocation...');
+
+    let { lines } = await alice('STATUS Archive/2024 (UIDNEXT)');
+    this.check('Folder of existing messages continues after their UIDs', lines[0] === '* STATUS "Archive/2024" (UIDNEXT 8)', lines[0]);
+
+    const uids = await Promise.all([1, 2, 3].map(() => FolderService.allocateUid('alice@example.com', 'Projects/Client')));
+    this.check('Concurrent allocations get distinct ascending UIDs', JSON.stringify(uids) === '[1,2,3]', uids.join(','));
+    this.check('Each user has their own counter', await FolderService.allocateUid('bob@example.com', 'Projects/Client') === 2);
+
+    const result = await alice('EXAMINE Projects/Client');
+    this.check('EXAMINE reports the folder UIDNEXT', result.lines.includes('* OK [UIDNEXT 4] Predicted next UID'));
+    this.check('UIDs handed out are not reused even without a stored message',
+      emails.filter(e => e.mailbox === 'Projects/Client' && e.authenticatedUsername === 'alice@example.com').length === 0 &&
+      await FolderService.allocateUid('alice@example.com', 'Projects/Client') === 4);
+
+    this.check('Allocating in a missing folder creates it',
+      await FolderService.allocateUid('alice@example.com', 'Receipts') === 1 && !!await FolderService.getFolder('alice@example.com', 'Receipts'));
+  }
+
+  async testRenameAndDelete(alice, bob) {
+    console.log('\n🧪 Testing RENAME and DELETE...');
+
+    emails.push({ authenticatedUsername: 'alice@example.com', mailbox: 'Projects/Client', uid: 1 });
+    const validity = (await FolderService.getFolder('alice@example.com', 'Projects/Client')).uidValidity;
+
+    let { lines } = await alice('RENAME Projects Work');
+    this.check('RENAME succeeds', lines[0].endsWith('OK RENAME completed'));
+    const moved = await FolderService.getFolder('alice@example.com', 'Work/Client');
+    this.check('Child folders renamed along', !!moved && !await FolderService.getFolder('alice@example.com', 'Projects/Client'));
+    this.check('Renamed folder keeps its UIDVALIDITY', moved && moved.uidValidity === validity);
+    this.check('Messages follow the folder, for that user only',
+      emails.some(e => e.authenticatedUsername === 'alice@example.com' && e.mailbox === 'Work/Client') &&
+      emails.some(e => e.authenticatedUsername === 'bob@example.com' && e.mailbox === 'Projects/Client'));
+
+    const inboxNext = (await FolderService.getFolder('alice@example.com', 'INBOX')).uidNext;
+    ({ lines } = await alice('RENAME INBOX Old'));
+    this.check('Renaming INBOX moves its messages and keeps INBOX',
+      lines[0].endsWith('OK RENAME completed') && !!await FolderService.getFolder('alice@example.com', 'INBOX') &&
+      emails.some(e => e.authenticatedUsername === 'alice@example.com' && e.mailbox === 'Old') &&
+      !emails.some(e => e.authenticatedUsername === 'alice@example.com' && e.mailbox === 'INBOX'));
+    this.check('Folder renamed from INBOX continues its UIDs',
+      (await FolderService.getFolder('alice@example.com', 'Old')).uidNext === inboxNext && inboxNext === 2);
+
+    ({ lines } = await alice('DELETE Work'));
+    this.check('Folder with children not deleted', lines[0].includes('NO [HASCHILDREN]'));
+    ({ lines } = await alice('DELETE INBOX'));
+    this.check('INBOX not deleted', lines[0].includes('NO [CANNOT]'));
+
+    ({ lines } = await alice('DELETE Work/Client'));
+    this.check('DELETE removes the folder and its messages', lines[0].endsWith('OK DELETE completed') &&
+      !emails.some(e => e.mailbox === 'Work/Client'));
+    this.check('Other users keep their messages', names((await bob('LIST "" "*"')).lines).includes('Projects/Client') &&
+      emails.some(e => e.authenticatedUsername === 'bob@example.com'));
+
+    await alice('CREATE Work/Client');
+    const recreated = await FolderService.getFolder('alice@example.com', 'Work/Client');
+    this.check('Re-created folder gets a new UIDVALIDITY', recreated.uidValidity > validity);
+    this.check('Re-created folder starts its UIDs again', recreated.uidNext === 1);
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing folders created at delivery...');
+
+    const folder = await FolderService.ensureFolder('Carol@Example.com', 'Lists/dev');
+    this.check('Delivery creates the folder and its parent', folder.name === 'Lists/dev' &&
+      !!await FolderService.getFolder('carol@example.com', 'Lists'));
+    this.check('Existing folder reused', await FolderService.ensureFolder('carol@example.com', 'Lists/dev') === folder);
+  }
+
+  async tests() {
+    const alice = session('alice@example.com');
+    const bob = session('bob@example.com');
+
+    await this.testList(alice, bob);
+    await this.testCreate(alice);
+    await this.testSubscriptions(alice);
+    await this.testStatusAndSelect(alice);
+    await this.testUids(alice, bob);
+    await this.testRenameAndDelete(alice, bob);
+    await this.testDelivery();
+  }
+}
+
+new FolderTest().run();
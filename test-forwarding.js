@@ -0,0 +1,157 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = '';
+process.env.SRS_SECRET = 'test-secret';
+process.env.SRS_MAX_AGE = '21';
+process.env.BOUNCE_VERP_ENABLED = 'true';
+
+const config = require('./config/config');
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const SieveScript = require('./models/SieveScript');
+const Vacation = require('./models/Vacation');
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const IncomingEmail = require('./models/IncomingEmail');
+const BounceHandler = require('./services/BounceHandler');
+const EmailQueue = require('./services/EmailQueue');
+const RecipientResolver = require('./services/RecipientResolver');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const SRS = require('./utils/SRS');
+const BounceParser = require('./utils/BounceParser');
+const { TestSuite, memoryModel } = require('./test/helpers');
+
+const MAILBOXES = Object.entries({
+  'alice@example.com': { enabled: true, addresses: ['alice@gmail.example'], keepCopy: true },
+  'bob@example.com': { enabled: true, addresses: ['bob@remote.example'], keepCopy: false },
+  'carol@example.com': { enabled: true, addresses: ['dave@example.com'], keepCopy: false },
+  'dave@example.com': { enabled: false, addresses: ['nowhere@remote.example'], keepCopy: false },
+  'ping@example.com': { enabled: true, addresses: ['pong@example.com'], keepCopy: false },
+  'pong@example.com': { enabled: true, addresses: ['ping@example.com'], keepCopy: false }
+}).map(([username, forwarding]) => ({ username, forwarding }));
+
+// Answer lookups from memory and capture writes instead of using MongoDB
+memoryModel(Mailbox, MAILBOXES);
+memoryModel(Domain, [{ name: 'example.com', active: true }]);
+memoryModel(Alias);
+memoryModel(SieveScript);
+memoryModel(Vacation);
+Folder.findOne = async (query) => ({ username: query.username, name: query.name });
+
+const stored = [];
+const queued = [];
+memoryModel(Email, stored);
+memoryModel(IncomingEmail);
+BounceHandler.handleIncoming = async () => null;
+EmailQueue.addToQueue = async (data) => { queued.push(data); return 'queued-id'; };
+
+const RAW = 'From: Sender <sender@remote.example>\r\nTo: alice@example.com\r\nSubject: Hello\r\n\r\nHi.\r\n';
+const DAY = 86400000;
+
+class ForwardingTest extends TestSuite {
+  constructor() {
+    super('↪️ Forwarding and SRS Tests');
+  }
+
+  testSRS() {
+    console.log('\n🧪 Testing the Sender Rewriting Scheme...');
+
+    const rewritten = SRS.forward('Sender@Remote.example', 'example.com', 'test-secret');
+    this.check('SRS0 address in our domain', /^SRS0=[^=]{4}=[A-Z2-7]{2}=Remote\.example=Sender@example\.com$/.test(rewritten), rewritten);
+    this.check('SRS0 reverses to the sender', SRS.reverse(rewritten, 'test-secret') === 'Sender@Remote.example');
+    this.check('Lowercased address still reverses', SRS.reverse(rewritten.toLowerCase(), 'test-secret') === 'sender@remote.example');
+    this.check('Wrong secret refused', SRS.reverse(rewritten, 'other-secret') === null);
+    this.check('Tampered address refused', SRS.reverse(rewritten.replace('Sender@', 'victim@'), 'test-secret') === null);
+    this.check('Plain address is not SRS', SRS.reverse('sender@remote.example', 'test-secret') === null && !SRS.isSRS('sender@remote.example'));
+
+    const old = SRS.timestamp(Date.now() - 30 * DAY);
+    const expired = rewritten.replace(/=[A-Z2-7]{2}=/, `=${old}=`).replace(/^SRS0=[^=]{4}/,
+      `SRS0=${SRS.hash('test-secret', old, 'Remote.example', 'Sender')}`);
+    this.check('Expired address refused', SRS.reverse(expired, 'test-secret') === null && SRS.age(old) === 30);
+
+    const hop = 'SRS0=abcd=XY=remote.example=sender@fwd.example';
+    const srs1 = SRS.forward(hop, 'example.com', 'test-secret');
+    this.check('Second forwarder writes SRS1', /^SRS1=[^=]{4}=fwd\.example==abcd=XY=remote\.example=sender@example\.com$/.test(srs1), srs1);
+    this.check('SRS1 reverses to the first forwarder', SRS.reverse(srs1, 'test-secret') === hop);
+    const again = SRS.forward(srs1.replace('@example.com', '@third.example'), 'example.com', 'test-secret');
+    this.check('Third forwarder keeps the first hop', /^SRS1=[^=]{4}=fwd\.example==abcd=/.test(again) &&
+      SRS.reverse(again, 'test-secret') === hop, again);
+  }
+
+  async testResolver() {
+    console.log('\n🧪 Testing forwarding rules...');
+
+    let result = await RecipientResolver.resolve('alice@example.com');
+    this.check('Forward with a local copy', JSON.stringify(result.mailboxes) === '["alice@example.com"]' &&
+      JSON.stringify(result.external) === '["alice@gmail.example"]');
+
+    result = await RecipientResolver.resolve('bob@example.com');
+    this.check('Forward without a local copy', result.status === 'local' && result.mailboxes.length === 0 &&
+      JSON.stringify(result.external) === '["bob@remote.example"]');
+
+    result = await RecipientResolver.resolve('carol@example.com');
+    this.check('Forward to another local mailbox', JSON.stringify(result.mailboxes) === '["dave@example.com"]' &&
+      result.external.length === 0);
+
+    result = await RecipientResolver.resolve('ping@example.com');
+    this.check('Forwarding loop refused', result.status === 'unknown' && result.loop);
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing forwarded delivery...');
+
+    await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['alice@example.com'], RAW, 'SMTP');
+    const forward = queued[0] || {};
+    this.check('Local copy kept', stored.length === 1 && stored[0].authenticatedUsername === 'alice@example.com');
+    this.check('Forward queued', JSON.stringify(forward.recipients) === '["alice@gmail.example"]');
+    this.check('Envelope sender rewritten with SRS', SRS.isSRS(forward.sender) && forward.sender.endsWith('@example.com') &&
+      SRS.reverse(forward.sender, 'test-secret') === 'sender@remote.example', forward.sender);
+    this.check('Forward marked Delivered-To', (forward.raw || '').startsWith('Delivered-To: alice@example.com\r\n'));
+    this.check('SRS sender is not VERP-tagged', EmailQueue.getEnvelopeSender({ _id: 'x1', sender: forward.sender }) === forward.sender &&
+      EmailQueue.getEnvelopeSender({ _id: 'x1', sender: 'alice@example.com' }) ===
+        `alice+bounce-x1-${BounceParser.signVERP('x1', 'test-secret')}@example.com`);
+
+    await IncomingEmailProcessor.processIncomingEmail('carol@example.com', ['bob@example.com'], RAW, 'SMTP');
+    this.check('Sender in our domains not rewritten', queued[1] && queued[1].sender === 'carol@example.com' && stored.length === 1);
+
+    await IncomingEmailProcessor.processIncomingEmail('', ['bob@example.com'], RAW, 'SMTP');
+    this.check('Null sender stays null', queued[2] && queued[2].sender === '');
+
+    const looped = `Delivered-To: bob@example.com\r\n${RAW}`;
+    const result = await IncomingEmailProcessor.processIncomingEmail('sender@remote.example', ['bob@example.com'], looped, 'SMTP');
+    this.check('Message coming back is not forwarded again', queued.length === 3 &&
+      result.deliveryResults[0].reason === 'forward_loop');
+  }
+
+  async testBounces() {
+    console.log('\n🧪 Testing bounces to SRS addresses...');
+
+    const address = SRS.forward('sender@remote.example', 'example.com', 'test-secret').toLowerCase();
+    this.check('Valid SRS address accepted at RCPT', await RecipientResolver.checkRecipient(address) === null);
+
+    const forged = address.replace(/^srs0=[^=]{4}/, 'srs0=zzzz');
+    this.check('Forged SRS address rejected at RCPT',
+      (await RecipientResolver.checkRecipient(forged) || '').startsWith('550 5.1.1'));
+
+    const bounce = 'From: MAILER-DAEMON@gmail.example\r\nSubject: Undelivered Mail\r\n\r\nUser unknown.\r\n';
+    const before = queued.length;
+    await IncomingEmailProcessor.processIncomingEmail('', [address], bounce, 'SMTP');
+    const returned = queued[before] || {};
+    this.check('Bounce routed back to the original sender', JSON.stringify(returned.recipients) === '["sender@remote.example"]');
+    this.check('Returned bounce keeps the null sender', returned.sender === '');
+
+    config.srs.enabled = false;
+    this.check('SRS addresses unknown when SRS is off',
+      (await RecipientResolver.checkRecipient(address) || '').startsWith('550 5.1.1'));
+    config.srs.enabled = true;
+  }
+
+  async tests() {
+    this.testSRS();
+    await this.testResolver();
+    await this.testDelivery();
+    await this.testBounces();
+  }
+}
+
+new ForwardingTest().run();
@@ -0,0 +1,279 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Tombstone = require('./models/Tombstone');
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const AclService = require('./services/AclService');
+const QuotaService = require('./services/QuotaService');
+const MailboxEvents = require('./services/MailboxEvents');
+const IMAPServer = require('./services/IMAPServer');
+const { TestSuite, memoryModel, connectIMAP, loginIMAP } = require('./test/helpers');
+
+// In-memory store: support@ is a shared mailbox; alice may work in it, bob only read its INBOX,
+// and carol shares a folder of her own with anyone
+// Every mailbox's password is secret, the shared one's included
+const mailbox = (username, shared = false) => ({ username, domain: 'example.com', shared, comparePassword: async (p) => p === 'secret' });
+const mailboxes = [
+  mailbox('support@example.com', true),
+  mailbox('alice@example.com'),
+  mailbox('bob@example.com'),
+  mailbox('carol@example.com')
+];
+const folders = [];
+const emails = [];
+
+function addFolder(username, name, acl = []) {
+  const folder = new Folder({ username, name, uidValidity: 1, uidNext: 1, acl });
+  folders.push(folder);
+  return folder;
+}
+
+function addEmail(owner, mailbox, subject, flags = {}) {
+  const folder = folders.find(f => f.username === owner && f.name === mailbox);
+  const raw = `Subject: ${subject}\r\n\r\n${subject}\r\n`;
+  const email = {
+    _id: `${owner}-${mailbox}-${folder.uidNext}`,
+    authenticatedUsername: owner,
+    mailbox,
+    uid: folder.uidNext++,
+    flags,
+    raw,
+    size: Buffer.byteLength(raw),
+    internalDate: new Date(),
+    toObject: () => ({ authenticatedUsername: email.authenticatedUsername, mailbox: email.mailbox, raw, flags: { ...email.flags } }),
+    save: async () => email
+  };
+  emails.push(email);
+  return email;
+}
+
+addFolder('support@example.com', 'INBOX', [
+  { identifier: 'alice@example.com', rights: 'lrswite' },
+  { identifier: 'bob@example.com', rights: 'lr' }
+]);
+addFolder('support@example.com', 'Archive', [{ identifier: 'alice@example.com', rights: 'lrswipkxtea' }]);
+addFolder('carol@example.com', 'Projects', [{ identifier: 'anyone', rights: 'lr' }]);
+addFolder('carol@example.com', 'Private');
+addFolder('alice@example.com', 'INBOX');
+addFolder('bob@example.com', 'INBOX');
+addEmail('support@example.com', 'INBOX', 'Printer broken');
+addEmail('support@example.com', 'INBOX', 'Refund request');
+addEmail('alice@example.com', 'INBOX', 'Forward to support');
+
+memoryModel(Folder, folders);
+memoryModel(Email, emails);
+memoryModel(Tombstone);
+memoryModel(Mailbox, mailboxes);
+memoryModel(Domain);
+memoryModel(Alias);
+QuotaService.checkQuota = async () => null;
+
+const server = new IMAPServer();
+MailboxEvents.on('change', server.mailboxListener);
+
+class AclTest extends TestSuite {
+  constructor() {
+    super('🔐 IMAP ACL and Shared Folder Tests');
+  }
+
+  testService() {
+    console.log('\n🧪 Testing rights and mailbox names...');
+
+    let parsed = AclService.parseName('alice@example.com', 'Shared/support@example.com/inbox');
+    this.check('Shared name split into owner and folder', parsed.owner === 'support@example.com' &&
+      parsed.name === 'INBOX' && parsed.namespace === 'Shared', parsed);
+
+    parsed = AclService.parseName('Alice@Example.com', 'Archive/2026');
+    this.check('Other names are the user\'s own', parsed.owner === 'alice@example.com' &&
+      parsed.name === 'Archive/2026' && parsed.namespace === null, parsed);
+
+    this.check('Rights added', AclService.parseRights('+rl').mode === 'add' && AclService.parseRights('+rl').rights === 'lr');
+    this.check('Obsolete c and d rights expanded', AclService.parseRights('cd').rights === 'kxte', AclService.parseRights('cd'));
+
+    let error = null;
+    try {
+      AclService.parseRights('lz');
+    } catch (e) {
+      error = e;
+    }
+    this.check('Unknown right refused', error && /Unknown right: z/.test(error.message), error);
+
+    const projects = folders.find(folder => folder.name === 'Projects');
+    this.check('anyone grants every user', AclService.getRights(projects, 'dave@example.com') === 'lr');
+    this.check('Owner holds every right', AclService.getRights(projects, 'carol@example.com') === 'lrswipkxtea');
+
+    this.check('Shared mailbox query matches its owner', JSON.stringify(server.getUserEmailQuery('alice@example.com', 'Shared/support@example.com/INBOX')) ===
+      JSON.stringify({ authenticatedUsername: 'support@example.com', mailbox: 'INBOX' }));
+  }
+
+  async testLogin() {
+    console.log('\n🧪 Testing login...');
+
+    const { send } = connectIMAP(server);
+    let output = await send('l1 LOGIN alice@example.com wrong\r\n');
+    this.check('Wrong password refused', output === 'l1 NO [AUTHENTICATIONFAILED] LOGIN failed\r\n', output);
+    output = await send('l2 LIST "" "*"\r\n');
+    this.check('Still not authenticated', output.startsWith('l2 BAD'), output);
+
+    output = await send('l3 LOGIN nobody@example.com secret\r\n');
+    this.check('Unknown user refused', output.startsWith('l3 NO [AUTHENTICATIONFAILED]'), output);
+
+    output = await send('l4 LOGIN support@example.com secret\r\n');
+    this.check('Shared mailbox cannot log in', output.startsWith('l4 NO [AUTHENTICATIONFAILED]'), output);
+
+    output = await send('l5 AUTHENTICATE PLAIN\r\n' + Buffer.from('\0alice@example.com\0wrong').toString('base64') + '\r\n');
+    this.check('AUTHENTICATE with a wrong password refused', output === '+ \r\nl5 NO [AUTHENTICATIONFAILED] AUTHENTICATE failed\r\n', output);
+
+    output = await send('l6 LOGIN Alice@Example.com secret\r\n');
+    this.check('Right password accepted', output === 'l6 OK LOGIN completed\r\n', output);
+  }
+
+  async testDiscovery() {
+    console.log('\n🧪 Testing namespaces and LIST...');
+
+    const alice = await loginIMAP(server, 'alice@example.com');
+
+    let output = await alice('a1 CAPABILITY\r\n');
+    this.check('ACL capabilities advertised', /ACL RIGHTS=texk/.test(output), output);
+
+    output = await alice('a2 NAMESPACE\r\n');
+    this.check('Other Users and Shared namespaces',
+      output.startsWith('* NAMESPACE (("" "/")) (("Other Users/" "/")) (("Shared/" "/"))\r\n'), output);
+
+    output = await alice('a3 LIST "" "*"\r\n');
+    this.check('Own folders listed', output.includes('* LIST (\\HasNoChildren) "/" "INBOX"\r\n'), output);
+    this.check('Namespace level listed as \\Noselect', output.includes('* LIST (\\Noselect \\HasChildren) "/" "Shared"\r\n'), output);
+    this.check('Owner level listed as \\Noselect',
+      output.includes('* LIST (\\Noselect \\HasChildren) "/" "Shared/support@example.com"\r\n'), output);
+    this.check('Shared mailbox folders listed',
+      output.includes('"Shared/support@example.com/INBOX"') && output.includes('"Shared/support@example.com/Archive"'), output);
+    this.check('Folder shared with anyone under Other Users', output.includes('"Other Users/carol@example.com/Projects"'), output);
+    this.check('Folders without rights not listed', !output.includes('Private'), output);
+
+    output = await alice('a4 LSUB "" "Shared/*"\r\n');
+    this.check('Shared folders count as subscribed', output.includes('* LSUB () "/" "Shared/support@example.com/INBOX"\r\n'), output);
+
+    output = await alice('a5 SELECT "Other Users/support@example.com/INBOX"\r\n');
+    this.check('Shared mailbox only in the Shared namespace', output === 'a5 NO [NONEXISTENT] Mailbox does not exist\r\n', output);
+
+    output = await alice('a6 STATUS "Other Users/carol@example.com/Private" (MESSAGES)\r\n');
+    this.check('Folder without rights does not exist', output === 'a6 NO [NONEXISTENT] Mailbox does not exist\r\n', output);
+  }
+
+  async testSharedAccess() {
+    console.log('\n🧪 Testing access to a shared mailbox...');
+
+    const alice = await loginIMAP(server, 'alice@example.com');
+    const bob = await loginIMAP(server, 'bob@example.com');
+
+    let output = await bob('b1 SELECT "Shared/support@example.com/INBOX"\r\n');
+    this.check('Read-only rights open the mailbox read-only', output.includes('* 2 EXISTS\r\n') &&
+      output.includes('[PERMANENTFLAGS ()]') && output.endsWith('b1 OK [READ-ONLY] SELECT completed\r\n'), output);
+
+    output = await bob('b2 FETCH 1 (BODY[])\r\n');
+    this.check('Reading without the s right leaves \\Seen alone', output.includes('Printer broken') &&
+      !emails.find(email => email.uid === 1 && email.authenticatedUsername === 'support@example.com').flags.seen, output);
+
+    output = await bob('b3 STORE 1 +FLAGS (\\Flagged)\r\n');
+    this.check('STORE without s, t or w refused', output === 'b3 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await bob('b4 EXPUNGE\r\n');
+    this.check('EXPUNGE without e refused', output === 'b4 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice('a1 SELECT "Shared/support@example.com/INBOX"\r\n');
+    this.check('Granted user selects read-write', output.includes('[PERMANENTFLAGS (\\Answered \\Flagged \\Deleted \\Seen \\Draft \\*)]') &&
+      output.endsWith('a1 OK [READ-WRITE] SELECT completed\r\n'), output);
+
+    output = await alice('a2 STORE 2 +FLAGS (\\Seen)\r\n');
+    this.check('STORE on the shared mailbox', output === '* 2 FETCH (FLAGS (\\Seen))\r\na2 OK STORE completed\r\n', output);
+
+    output = await bob('b5 NOOP\r\n');
+    this.check('Other users with the mailbox open hear about it', output === '* 2 FETCH (UID 2 FLAGS (\\Seen))\r\nb5 OK NOOP completed\r\n', output);
+
+    output = await alice('a3 UID SEARCH SEEN\r\n');
+    this.check('SEARCH within the shared mailbox', output === '* SEARCH 2\r\na3 OK UID SEARCH completed\r\n', output);
+
+    const message = 'Subject: Note\r\n\r\nCalled back\r\n';
+    output = await alice(`a4 APPEND "Shared/support@example.com/INBOX" (\\Seen) {${message.length}+}\r\n${message}\r\n`);
+    const appended = emails.find(email => email.raw === message);
+    this.check('APPEND stores the message for the owner', /OK \[APPENDUID 1 3\]/.test(output) &&
+      appended?.authenticatedUsername === 'support@example.com' && appended?.mailbox === 'INBOX', output);
+
+    output = await bob(`b6 APPEND "Shared/support@example.com/INBOX" {${message.length}+}\r\n${message}\r\n`);
+    this.check('APPEND without i refused', output === '* 3 EXISTS\r\nb6 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice('a5 SELECT INBOX\r\n');
+    output = await alice('a6 COPY 1 "Shared/support@example.com/INBOX"\r\n');
+    const copied = emails.find(email => email.authenticatedUsername === 'support@example.com' && String(email.raw).includes('Forward to support'));
+    this.check('COPY into the shared mailbox', /COPYUID 1 1 4\]/.test(output) && copied?.uid === 4, output);
+
+    output = await alice('a7 MOVE 1 "Other Users/carol@example.com/Projects"\r\n');
+    this.check('MOVE without i on the target refused', output === 'a7 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice('a8 MYRIGHTS "Shared/support@example.com/INBOX"\r\n');
+    this.check('MYRIGHTS', output === '* MYRIGHTS "Shared/support@example.com/INBOX" lrswite\r\na8 OK MYRIGHTS completed\r\n', output);
+  }
+
+  async testAdministration() {
+    console.log('\n🧪 Testing ACL commands...');
+
+    const alice = await loginIMAP(server, 'alice@example.com');
+    const bob = await loginIMAP(server, 'bob@example.com');
+    const archive = '"Shared/support@example.com/Archive"';
+
+    let output = await bob(`b1 SELECT ${archive}\r\n`);
+    this.check('Folder hidden before it is shared', output === 'b1 NO [NONEXISTENT] Mailbox does not exist\r\n', output);
+
+    output = await alice(`a1 SETACL ${archive} Bob@Example.com +lr\r\n`);
+    this.check('SETACL adds rights', output === 'a1 OK SETACL completed\r\n', output);
+
+    output = await alice(`a2 SETACL ${archive} bob@example.com +s\r\n`);
+    output = await alice(`a3 GETACL ${archive}\r\n`);
+    this.check('GETACL lists the owner first', output === '* ACL "Shared/support@example.com/Archive" "support@example.com" lrswipkxtea ' +
+      '"alice@example.com" lrswipkxtea "bob@example.com" lrs\r\na3 OK GETACL completed\r\n', output);
+
+    output = await bob(`b2 SELECT ${archive}\r\n`);
+    this.check('Shared folder opens once granted', output.endsWith('b2 OK [READ-WRITE] SELECT completed\r\n'), output);
+
+    output = await bob(`b3 GETACL ${archive}\r\n`);
+    this.check('GETACL without a refused', output === 'b3 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice(`a4 LISTRIGHTS ${archive} bob@example.com\r\n`);
+    this.check('LISTRIGHTS', output === '* LISTRIGHTS "Shared/support@example.com/Archive" "bob@example.com" "" l r s w i p k x t e a\r\n' +
+      'a4 OK LISTRIGHTS completed\r\n', output);
+
+    output = await alice(`a5 SETACL ${archive} bob@example.com lz\r\n`);
+    this.check('Unknown rights are BAD', output === 'a5 BAD Unknown right: z\r\n', output);
+
+    output = await alice(`a6 SETACL ${archive} support@example.com lr\r\n`);
+    this.check('Owner rights cannot change', output === 'a6 NO [CANNOT] The owner\'s rights cannot be changed\r\n', output);
+
+    output = await alice('a7 CREATE "Shared/support@example.com/Archive/2026"\r\n');
+    const created = folders.find(folder => folder.username === 'support@example.com' && folder.name === 'Archive/2026');
+    this.check('CREATE with k inherits the parent ACL', output === 'a7 OK CREATE completed\r\n' &&
+      created && AclService.getRights(created, 'bob@example.com') === 'lrs', output);
+
+    output = await bob('b4 CREATE "Shared/support@example.com/Archive/Mine"\r\n');
+    this.check('CREATE without k refused', output === 'b4 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await bob('b5 DELETE "Shared/support@example.com/Archive/2026"\r\n');
+    this.check('DELETE without x refused', output === 'b5 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice(`a8 DELETEACL ${archive} bob@example.com\r\n`);
+    output = await bob(`b6 MYRIGHTS ${archive}\r\n`);
+    this.check('DELETEACL takes the rights away', output === 'b6 NO [NONEXISTENT] Mailbox does not exist\r\n', output);
+  }
+
+  async tests() {
+    this.testService();
+    await this.testLogin();
+    await this.testDiscovery();
+    await this.testSharedAccess();
+    await this.testAdministration();
+  }
+}
+
+new AclTest().run();
@@ -0,0 +1,184 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Tombstone = require('./models/Tombstone');
+const Mailbox = require('./models/Mailbox');
+const MailboxEvents = require('./services/MailboxEvents');
+const IMAPServer = require('./services/IMAPServer');
+const IMAPCommandParser = require('./utils/IMAPCommandParser');
+const { TestSuite, memoryModel, connectIMAP } = require('./test/helpers');
+
+// In-memory store: real Email documents, so the pre-save hook hands out UIDs and modseqs
+const folder = { username: 'alice@example.com', name: 'INBOX', uidValidity: 77, uidNext: 1, highestModseq: 1 };
+const emails = [];
+const tombstones = [];
+
+// The real save() runs, so its pre-save hook allocates from the folder
+const save = Email.prototype.save;
+memoryModel(Email, emails);
+Email.prototype.save = save;
+Email.collection.insertOne = async () => ({ acknowledged: true });
+Email.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+Email.collection.findOne = async (query) => emails.find(email => email._id.equals(query._id))?.toObject() || null;
+
+memoryModel(Folder, [folder]);
+memoryModel(Tombstone, tombstones);
+// Every user logs in with the password secret
+Mailbox.findOne = async (query) => ({ username: query.username, comparePassword: async (p) => p === 'secret' });
+Mailbox.updateOne = async () => ({});
+
+const server = new IMAPServer();
+MailboxEvents.on('change', server.mailboxListener);
+
+const connect = () => connectIMAP(server).send;
+
+class CondstoreTest extends TestSuite {
+  constructor() {
+    super('🔁 IMAP CONDSTORE/QRESYNC Tests');
+  }
+
+  testParser() {
+    console.log('\n🧪 Testing modifier parsing...');
+
+    const modifiers = IMAPCommandParser.parseModifiers(['(', 'CHANGEDSINCE', '12', 'VANISHED', ')']);
+    this.check('CHANGEDSINCE and VANISHED parsed', modifiers.CHANGEDSINCE === 12 && modifiers.VANISHED === true, modifiers);
+
+    const qresync = IMAPCommandParser.parseModifiers(['(', 'QRESYNC', '(', '77', '6', '1:5', ')', ')']);
+    this.check('QRESYNC parameters kept as a list', JSON.stringify(qresync.QRESYNC) === '["77","6","1:5"]', qresync);
+
+    let error = null;
+    try {
+      IMAPCommandParser.parseModifiers(['(', 'BOGUS', ')']);
+    } catch (e) {
+      error = e;
+    }
+    this.check('Unknown modifier rejected', error !== null);
+
+    this.check('Message sets collapsed into ranges', IMAPCommandParser.formatMessageSet([5, 1, 2, 3, 9, 10]) === '1:3,5,9:10');
+  }
+
+  async testModseq() {
+    console.log('\n🧪 Testing modseq allocation...');
+
+    for (let i = 0; i < 5; i++) {
+      const email = new Email({
+        recipient: 'alice@example.com',
+        authenticatedUsername: 'alice@example.com',
+        mailbox: 'INBOX',
+        raw: 'Subject: Hi\r\n\r\nHello\r\n'
+      });
+      await email.save();
+      emails.push(email);
+    }
+    this.check('New messages take a modseq each', emails.map(email => email.modseq).join() === '2,3,4,5,6',
+      emails.map(email => email.modseq));
+    this.check('Folder HIGHESTMODSEQ follows', folder.highestModseq === 6 && folder.uidNext === 6, folder);
+
+    await emails[0].save();
+    this.check('Unchanged save keeps its modseq', emails[0].modseq === 2 && folder.highestModseq === 6);
+  }
+
+  async testCondstore() {
+    console.log('\n🧪 Testing CONDSTORE...');
+
+    const send = connect();
+    let output = await send('a1 LOGIN alice@example.com secret\r\na2 ENABLE CONDSTORE\r\n');
+    this.check('ENABLE lists CONDSTORE', output.includes('* ENABLED CONDSTORE\r\na2 OK ENABLE completed\r\n'), output);
+
+    output = await send('a3 SELECT INBOX\r\n');
+    this.check('SELECT reports HIGHESTMODSEQ', output.includes('* OK [HIGHESTMODSEQ 6]'), output);
+
+    output = await send('a4 STORE 2 +FLAGS (\\Flagged)\r\n');
+    this.check('STORE reports the new modseq', output.startsWith('* 2 FETCH (FLAGS (\\Flagged \\Recent) MODSEQ (7))\r\n'), output);
+
+    output = await send('a5 UID STORE 2,3 (UNCHANGEDSINCE 6) +FLAGS.SILENT (\\Seen)\r\n');
+    this.check('Conditional STORE skips changed messages',
+      output === '* 3 FETCH (UID 3 MODSEQ (8))\r\na5 OK [MODIFIED 2] Conditional UID STORE failed\r\n', output);
+    this.check('Skipped message left alone', !emails[1].flags.seen && emails[2].flags.seen);
+
+    output = await send('a6 FETCH 1:* (FLAGS) (CHANGEDSINCE 6)\r\n');
+    this.check('FETCH CHANGEDSINCE returns only changes',
+      output === '* 2 FETCH (FLAGS (\\Flagged \\Recent) MODSEQ (7))\r\n* 3 FETCH (FLAGS (\\Seen \\Recent) MODSEQ (8))\r\na6 OK FETCH completed\r\n', output);
+
+    output = await send('a7 SEARCH MODSEQ 7\r\n');
+    this.check('SEARCH MODSEQ reports the highest match', output.startsWith('* SEARCH 2 3 (MODSEQ 8)\r\n'), output);
+
+    output = await send('a8 STATUS INBOX (HIGHESTMODSEQ)\r\n');
+    this.check('STATUS HIGHESTMODSEQ', output.startsWith('* STATUS "INBOX" (HIGHESTMODSEQ 8)') ||
+      output.startsWith('* STATUS INBOX (HIGHESTMODSEQ 8)'), output);
+
+    output = await send('a9 ENABLE QRESYNC\r\n');
+    this.check('ENABLE refused once a mailbox is selected', output.startsWith('a9 BAD'), output);
+
+    return send;
+  }
+
+  async testQresync(condstore) {
+    console.log('\n🧪 Testing QRESYNC...');
+
+    const send = connect();
+    let output = await send('q1 LOGIN alice@example.com secret\r\nq2 ENABLE QRESYNC\r\n');
+    this.check('ENABLE lists QRESYNC', output.includes('* ENABLED QRESYNC\r\nq2 OK ENABLE completed\r\n'), output);
+
+    await send('q3 SELECT INBOX\r\n');
+    output = await send('q4 UID STORE 4 +FLAGS.SILENT (\\Deleted)\r\n');
+    this.check('QRESYNC turns on CONDSTORE', output.startsWith('* 4 FETCH (UID 4 MODSEQ (9))\r\n'), output);
+    output = await send('q5 EXPUNGE\r\n');
+    this.check('EXPUNGE sent as VANISHED', output === '* VANISHED 4\r\nq5 OK EXPUNGE completed\r\n', output);
+    this.check('Expunge takes its own modseq', folder.highestModseq === 10 && tombstones[0].modseq === 10, tombstones);
+
+    output = await condstore('a10 NOOP\r\n');
+    this.check('Sessions without QRESYNC still get EXPUNGE', output === '* 4 EXPUNGE\r\na10 OK NOOP completed\r\n', output);
+
+    output = await send('q6 UID FETCH 1:5 (FLAGS) (CHANGEDSINCE 8 VANISHED)\r\n');
+    this.check('UID FETCH VANISHED reports expunged UIDs',
+      output === '* VANISHED (EARLIER) 4\r\nq6 OK UID FETCH completed\r\n', output);
+
+    output = await send('q7 SELECT INBOX (QRESYNC (77 6))\r\n');
+    this.check('Reselect reports CLOSED', output.startsWith('* OK [CLOSED]'), output);
+    this.check('QRESYNC SELECT reports HIGHESTMODSEQ', output.includes('* OK [HIGHESTMODSEQ 10]'), output);
+    this.check('QRESYNC SELECT reports VANISHED', output.includes('* VANISHED (EARLIER) 4\r\n'), output);
+    this.check('QRESYNC SELECT reports changed flags',
+      output.includes('* 2 FETCH (UID 2 FLAGS (\\Flagged \\Recent) MODSEQ (7))\r\n* 3 FETCH (UID 3 FLAGS (\\Seen \\Recent) MODSEQ (8))\r\n'), output);
+
+    output = await send('q8 EXAMINE INBOX (QRESYNC (77 6 1:2))\r\n');
+    this.check('Known UIDs limit the resync', !output.includes('VANISHED') &&
+      output.includes('* 2 FETCH (UID 2') && !output.includes('* 3 FETCH'), output);
+
+    output = await send('q9 SELECT INBOX (QRESYNC (99 6))\r\n');
+    this.check('Stale UIDVALIDITY skips the resync', !output.includes('VANISHED') && !output.includes('FETCH'), output);
+  }
+
+  async testWithoutEnable() {
+    console.log('\n🧪 Testing sessions without ENABLE...');
+
+    const send = connect();
+    await send('b1 LOGIN alice@example.com secret\r\n');
+    let output = await send('b2 SELECT INBOX (QRESYNC (77 6))\r\n');
+    this.check('QRESYNC parameter needs ENABLE', output.startsWith('b2 BAD'), output);
+
+    output = await send('b3 SELECT INBOX\r\n');
+    this.check('Plain SELECT still reports HIGHESTMODSEQ', output.includes('* OK [HIGHESTMODSEQ 10]'), output);
+
+    output = await send('b4 UID FETCH 1:5 (FLAGS) (CHANGEDSINCE 1 VANISHED)\r\n');
+    this.check('VANISHED needs QRESYNC', output.startsWith('b4 BAD'), output);
+
+    output = await send('b5 FETCH 1 (MODSEQ)\r\n');
+    this.check('FETCH MODSEQ', output === '* 1 FETCH (MODSEQ (2))\r\nb5 OK FETCH completed\r\n', output);
+
+    output = await send('b6 FETCH 4 (BODY[TEXT])\r\n');
+    this.check('Setting \\Seen takes a new modseq', output.includes('FLAGS (\\Seen \\Recent) MODSEQ (11)') &&
+      emails.find(email => email.uid === 5).modseq === 11, output);
+  }
+
+  async tests() {
+    this.testParser();
+    await this.testModseq();
+    const condstore = await this.testCondstore();
+    await this.testQresync(condstore);
+    await this.testWithoutEnable();
+  }
+}
+
+new CondstoreTest().run();
@@ -0,0 +1,197 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const IMAPServer = require('./services/IMAPServer');
+const IMAPBodyStructure = require('./utils/IMAPBodyStructure');
+const IMAPCommandParser = require('./utils/IMAPCommandParser');
+const MIMEParser = require('./utils/MIMEParser');
+const { TestSuite, memoryModel, imapSession } = require('./test/helpers');
+
+const RAW = [
+  'From: "Doe, Jane" <jane@example.com>',
+  'To: bob@example.com, team: carol@example.com, dave@example.com;',
+  'Subject: Quarterly',
+  '  report',
+  'Date: Mon, 1 Jan 2024 10:00:00 +0000',
+  'Message-ID: <report@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Hello Bob,',
+  'see attached.',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Hello Bob,</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="report.pdf"',
+  'Content-Disposition: attachment; filename="report.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'JVBERi0xLjQK',
+  '--outer',
+  'Content-Type: message/rfc822',
+  '',
+  'From: alice@example.com',
+  'Subject: Original',
+  '',
+  'Forwarded body.',
+  '--outer--',
+  ''
+].join('\r\n');
+
+const SIMPLE = 'From: carol@example.com\r\nSubject: Grüße\r\n\r\nSchöne Grüße.\r\n';
+
+// In-memory mailbox: two messages in alice's INBOX
+const emails = [
+  { _id: 'a1', authenticatedUsername: 'alice@example.com', mailbox: 'INBOX', uid: 4, raw: RAW, flags: { seen: false }, internalDate: new Date() },
+  { _id: 'a2', authenticatedUsername: 'alice@example.com', mailbox: 'INBOX', uid: 9, raw: SIMPLE, flags: { seen: false }, internalDate: new Date() }
+];
+const seenUpdates = [];
+
+memoryModel(Email, emails);
+Email.updateOne = async (query, update) => { seenUpdates.push({ ...query, ...update.$set }); };
+Folder.findOne = async (query) => ({ username: query.username, name: query.name, uidValidity: 1, uidNext: 10 });
+Folder.findOneAndUpdate = async () => ({ highestModseq: 41 });
+
+// One IMAP session logged in as alice
+const session = () => imapSession(new IMAPServer(), 'alice@example.com');
+
+const section = (raw, spec) => IMAPBodyStructure.getSection(MIMEParser.parse(raw), raw, IMAPCommandParser.parseSection(spec));
+
+function balanced(text) {
+  let depth = 0;
+  for (const char of text.replace(/"(?:[^"\\]|\\.)*"/g, '')) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+class FetchTest extends TestSuite {
+  constructor() {
+    super('📨 IMAP FETCH Tests');
+  }
+
+  testBodyStructure() {
+    console.log('\n🧪 Testing BODYSTRUCTURE...');
+
+    const structure = IMAPBodyStructure.bodyStructure(MIMEParser.parse(RAW), true);
+    this.check('Structure is well formed', balanced(structure), structure);
+    this.check('Nested text part with size and lines',
+      structure.startsWith('((("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 25 2 NIL NIL NIL NIL)'), structure);
+    this.check('Inner multipart subtype and boundary', structure.includes(' "alternative" ("boundary" "inner") NIL NIL NIL)'));
+    this.check('Attachment with encoding and disposition', structure.includes(
+      '("application" "pdf" ("name" "report.pdf") NIL NIL "base64" 12 NIL ("attachment" ("filename" "report.pdf")) NIL NIL)'));
+    this.check('Encapsulated message has its envelope and structure', structure.includes(
+      '("message" "rfc822" NIL NIL NIL "7bit" 61 (NIL "Original" ((NIL NIL "alice" "example.com"))') &&
+      structure.includes('("text" "plain" ("charset" "us-ascii") NIL NIL "7bit" 15 1 NIL NIL NIL NIL)'));
+    this.check('Outer multipart last', structure.endsWith(' "mixed" ("boundary" "outer") NIL NIL NIL)'));
+
+    const body = IMAPBodyStructure.bodyStructure(MIMEParser.parse(RAW), false);
+    this.check('BODY leaves out extension data', body.startsWith('((("text" "plain" ("charset" "utf-8") NIL NIL "7bit" 25 2)') &&
+      body.endsWith(' "mixed")'), body);
+  }
+
+  testEnvelope() {
+    console.log('\n🧪 Testing ENVELOPE...');
+
+    const envelope = IMAPBodyStructure.envelope(MIMEParser.parse(RAW).headers);
+    this.check('Quoted display name kept whole', envelope.includes('(("Doe, Jane" NIL "jane" "example.com"))'));
+    this.check('Sender and Reply-To default to From',
+      envelope.split('(("Doe, Jane" NIL "jane" "example.com"))').length === 4);
+    this.check('Groups written with start and end markers', envelope.includes(
+      '((NIL NIL "bob" "example.com")(NIL NIL "team" NIL)(NIL NIL "carol" "example.com")(NIL NIL "dave" "example.com")(NIL NIL NIL NIL))'));
+    this.check('Missing fields are NIL', envelope.endsWith('NIL NIL NIL "<report@example.com>")'));
+  }
+
+  testSections() {
+    console.log('\n🧪 Testing BODY[section]...');
+
+    this.check('Part inside nested multipart', section(RAW, '1.1') === 'Hello Bob,\r\nsee attached.');
+    this.check('MIME header of a part', section(RAW, '1.2.MIME') === 'Content-Type: text/html; charset=utf-8\r\n\r\n');
+    this.check('Encoded attachment as stored', section(RAW, '2') === 'JVBERi0xLjQK');
+    this.check('Header of an encapsulated message', section(RAW, '3.HEADER') === 'From: alice@example.com\r\nSubject: Original\r\n\r\n');
+    this.check('Text of an encapsulated message', section(RAW, '3.TEXT') === 'Forwarded body.');
+    this.check('Body of a single-part encapsulated message is its part 1', section(RAW, '3.1') === 'Forwarded body.');
+    this.check('Missing part is NIL', section(RAW, '4') === null && section(RAW, '2.1') === null && section(RAW, '1.HEADER') === null);
+    this.check('HEADER.FIELDS keeps folding and message order', section(RAW, 'HEADER.FIELDS (Subject From)') ===
+      'From: "Doe, Jane" <jane@example.com>\r\nSubject: Quarterly\r\n  report\r\n\r\n');
+    const not = section(RAW, 'HEADER.FIELDS.NOT (Subject From To Date Message-ID MIME-Version)');
+    this.check('HEADER.FIELDS.NOT leaves the named fields out', not === 'Content-Type: multipart/mixed; boundary="outer"\r\n\r\n', not);
+    this.check('TEXT of the message', section(RAW, 'TEXT').startsWith('--outer\r\n') && section(RAW, 'TEXT').endsWith('--outer--\r\n'));
+    this.check('Body of a single-part message is part 1', section(SIMPLE, '1') === 'Schöne Grüße.\r\n' && section(SIMPLE, '1.1') === null);
+  }
+
+  testParser() {
+    console.log('\n🧪 Testing FETCH attribute parsing...');
+
+    const items = IMAPCommandParser.parseFetchItems('(UID BODY.PEEK[HEADER.FIELDS (From "To")] BODY[1.2]<0.100>)');
+    this.check('Section, field list and partial range parsed', items.length === 3 &&
+      items[1].peek && items[1].section.label === 'HEADER.FIELDS (From To)' &&
+      !items[2].peek && items[2].section.label === '1.2' && items[2].partial.length === 100);
+    this.check('Macros expanded', IMAPCommandParser.parseFetchItems('FAST').map(item => item.name).join(' ') === 'FLAGS INTERNALDATE RFC822.SIZE');
+
+    const invalid = ['BODY[MIME]', 'BODY[1.FOO]', 'BODY[HEADER.FIELDS]', 'BOGUS', 'BODY[0]'];
+    this.check('Invalid attributes refused', invalid.every(text => {
+      try {
+        IMAPCommandParser.parseFetchItems(text);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    }));
+  }
+
+  async testFetch() {
+    console.log('\n🧪 Testing FETCH responses...');
+
+    const alice = session();
+    await alice('SELECT INBOX');
+
+    let output = await alice('FETCH 1 (UID BODY.PEEK[1.1]<0.5>)');
+    this.check('Partial fetch returns the range with its origin', output.startsWith('* 1 FETCH (UID 4 BODY[1.1]<0> {5}\r\nHello)\r\n'), output);
+    this.check('PEEK leaves the message unseen', seenUpdates.length === 0);
+
+    output = await alice('FETCH 2 (RFC822.SIZE BODY[1])');
+    this.check('Sizes are in octets', output.includes(`RFC822.SIZE ${Buffer.byteLength(SIMPLE)} `) &&
+      output.includes(`BODY[1] {${Buffer.byteLength('Schöne Grüße.\r\n')}}\r\n`), output);
+    this.check('Fetching without PEEK sets \\Seen and reports it',
+      seenUpdates.length === 1 && seenUpdates[0]._id === 'a2' && output.includes('FLAGS (\\Seen)'), output);
+
+    output = await alice('UID FETCH 4 (BODY[HEADER.FIELDS (Subject)])');
+    this.check('UID FETCH answers with the sequence number', output.startsWith('* 1 FETCH (UID 4 BODY[HEADER.FIELDS (Subject)] {'), output);
+    this.check('Field list echoed as requested', output.includes('Subject: Quarterly\r\n  report\r\n\r\n'));
+
+    output = await alice('FETCH 1 (BODY[4])');
+    this.check('Missing part fetched as NIL', output.includes('BODY[4] NIL'), output);
+
+    output = await alice('FETCH 1 (BODY[1.2.FOO])');
+    this.check('Bad section answered with BAD', output.startsWith('T6 BAD'), output);
+
+    emails[0].flags.seen = false;
+    seenUpdates.length = 0;
+    await alice('EXAMINE INBOX');
+    output = await alice('FETCH 1 (BODY[TEXT])');
+    this.check('Read-only mailbox is not changed', seenUpdates.length === 0 && !output.includes('FLAGS'), output);
+  }
+
+  async tests() {
+    this.testBodyStructure();
+    this.testEnvelope();
+    this.testSections();
+    this.testParser();
+    await this.testFetch();
+  }
+}
+
+new FetchTest().run();
@@ -0,0 +1,177 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Tombstone = require('./models/Tombstone');
+const Mailbox = require('./models/Mailbox');
+const FolderService = require('./services/FolderService');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const MailboxEvents = require('./services/MailboxEvents');
+const IMAPServer = require('./services/IMAPServer');
+const { TestSuite, memoryModel, connectIMAP } = require('./test/helpers');
+
+// In-memory store shared by every session: alice's INBOX starts with UIDs 1-3
+const emails = [];
+let nextUid = 1;
+
+function add(mailbox, flags = {}) {
+  const email = {
+    _id: `m${nextUid}`,
+    authenticatedUsername: 'alice@example.com',
+    mailbox,
+    uid: nextUid++,
+    flags,
+    raw: 'Subject: Hi\r\n\r\nHello\r\n',
+    internalDate: new Date(),
+    save: async () => email
+  };
+  emails.push(email);
+  return email;
+}
+
+memoryModel(Email, emails);
+// Delivered messages take the next UID
+const save = Email.prototype.save;
+Email.prototype.save = async function() {
+  if (!this.uid) this.uid = nextUid++;
+  return save.call(this);
+};
+Folder.findOne = async (query) => ({ username: query.username, name: query.name, uidValidity: 1, uidNext: nextUid });
+Folder.findOneAndUpdate = async () => ({ uidNext: nextUid++, highestModseq: 1 });
+Tombstone.insertMany = async () => {};
+// Every user logs in with the password secret
+Mailbox.findOne = async (query) => ({ username: query.username, comparePassword: async (p) => p === 'secret' });
+Mailbox.updateOne = async () => ({});
+FolderService.ensureFolder = async (username, name) => ({ name });
+
+// Sessions on one server; start() is not called, so the listener is registered by hand
+const server = new IMAPServer();
+MailboxEvents.on('change', server.mailboxListener);
+
+const connect = () => connectIMAP(server);
+
+class IdleTest extends TestSuite {
+  constructor() {
+    super('🔔 IMAP IDLE Notification Tests');
+  }
+
+  async testEvents() {
+    console.log('\n🧪 Testing mailbox events...');
+
+    const received = [];
+    const listener = (event, origin) => received.push({ event, origin });
+    MailboxEvents.on('change', listener);
+
+    MailboxEvents.publish({ username: 'Bob@Example.com', mailbox: 'INBOX', type: 'exists', uids: [7] }, 'session');
+    this.check('Published locally with its origin', received.length === 1 &&
+      received[0].event.username === 'bob@example.com' && received[0].origin === 'session', received);
+
+    MailboxEvents.publish({ username: 'bob@example.com', mailbox: 'INBOX', type: 'flags', uids: [] });
+    this.check('Empty changes not published', received.length === 1);
+
+    MailboxEvents.receive(JSON.stringify({ instanceId: MailboxEvents.instanceId, username: 'bob@example.com', mailbox: 'INBOX', type: 'exists', uids: [8] }));
+    this.check('Own Redis messages ignored', received.length === 1);
+
+    MailboxEvents.receive(JSON.stringify({ instanceId: 'other', username: 'bob@example.com', mailbox: 'INBOX', type: 'exists', uids: [9] }));
+    this.check('Other instances relayed without origin', received.length === 2 &&
+      received[1].event.uids[0] === 9 && received[1].origin === null && !('instanceId' in received[1].event), received[1]);
+
+    MailboxEvents.removeListener('change', listener);
+  }
+
+  async testIdle() {
+    console.log('\n🧪 Testing IDLE notifications...');
+
+    add('INBOX');
+    add('INBOX');
+    add('INBOX');
+
+    const alice = connect();
+    const phone = connect();
+    await alice.send('a1 LOGIN alice@example.com secret\r\na2 SELECT INBOX\r\n');
+    await phone.send('p1 LOGIN alice@example.com secret\r\np2 SELECT INBOX\r\n');
+
+    let output = await phone.send('p3 IDLE\r\n');
+    this.check('Idle with nothing to report', output === '+ idling\r\n', output);
+
+    await IncomingEmailProcessor.deliverToMailbox('alice@example.com', 'alice@example.com',
+      { subject: 'New', text: 'New', attachments: [] }, 'Subject: New\r\n\r\nNew\r\n');
+    output = await phone.received();
+    this.check('Delivery pushes EXISTS', output === '* 4 EXISTS\r\n', output);
+
+    output = await alice.send('a3 UID STORE 2 +FLAGS (\\Flagged)\r\n');
+    this.check('STORE answered once in its own session', output.match(/FETCH/g).length === 1, output);
+    this.check('Delivery reported to a selected session before UID STORE', output.startsWith('* 4 EXISTS\r\n'), output);
+    output = await phone.received();
+    this.check('STORE pushes FLAGS with the UID', output === '* 2 FETCH (UID 2 FLAGS (\\Flagged))\r\n', output);
+
+    output = await alice.send('a4 NOOP\r\n');
+    this.check('Delivery not reported twice', output === 'a4 OK NOOP completed\r\n', output);
+
+    emails.find(email => email.uid === 1).flags.deleted = true;
+    output = await alice.send('a5 EXPUNGE\r\n');
+    this.check('EXPUNGE answered in its own session', output === '* 1 EXPUNGE\r\na5 OK EXPUNGE completed\r\n', output);
+    output = await phone.received();
+    this.check('EXPUNGE pushed with the sequence number', output === '* 1 EXPUNGE\r\n', output);
+
+    output = await alice.send('a6 NOOP\r\n');
+    this.check('Own EXPUNGE not reported twice', output === 'a6 OK NOOP completed\r\n', output);
+
+    output = await phone.send('DONE\r\n');
+    this.check('DONE ends IDLE', output === 'p3 OK IDLE terminated\r\n', output);
+
+    MailboxEvents.publish({ username: 'bob@example.com', mailbox: 'INBOX', type: 'exists', uids: [50] });
+    MailboxEvents.publish({ username: 'alice@example.com', mailbox: 'Archive', type: 'exists', uids: [51] });
+    output = await phone.send('p4 NOOP\r\n');
+    this.check('Other users and folders ignored', output === 'p4 OK NOOP completed\r\n', output);
+  }
+
+  async testSelected() {
+    console.log('\n🧪 Testing selected sessions...');
+
+    const alice = connect();
+    const phone = connect();
+    await alice.send('a1 LOGIN alice@example.com secret\r\na2 SELECT INBOX\r\n');
+    await phone.send('p1 LOGIN alice@example.com secret\r\np2 EXAMINE INBOX\r\n');
+
+    const message = 'Subject: Draft\r\n\r\nDraft\r\n';
+    await alice.send(`a3 APPEND INBOX {${message.length}+}\r\n${message}\r\n`);
+    let output = await phone.received();
+    this.check('Nothing written outside IDLE', output === '', output);
+
+    output = await phone.send('p3 NOOP\r\n');
+    this.check('APPEND reported before the next reply', output === '* 4 EXISTS\r\np3 OK NOOP completed\r\n', output);
+
+    // alice's messages are now UIDs 2, 3, 4 and 5
+    output = await alice.send('a4 MOVE 1 Archive\r\n');
+    this.check('MOVE reports its own EXPUNGE', output.startsWith('* 1 EXPUNGE\r\n') && output.endsWith('a4 OK MOVE completed\r\n'), output);
+
+    output = await phone.send('p4 FETCH 1 (UID)\r\n');
+    this.check('No EXPUNGE during FETCH', !/EXPUNGE/.test(output), output);
+
+    output = await phone.send('p5 NOOP\r\n');
+    this.check('MOVE reported as EXPUNGE afterwards', output === '* 1 EXPUNGE\r\np5 OK NOOP completed\r\n', output);
+
+    emails.find(email => email.uid === 3).flags.deleted = true;
+    output = await alice.send('a5 CLOSE\r\n');
+    output = await phone.send('p6 NOOP\r\n');
+    this.check('CLOSE reported as EXPUNGE', output === '* 1 EXPUNGE\r\np6 OK NOOP completed\r\n', output);
+
+    await alice.send('a6 SELECT INBOX\r\na7 MOVE 1 Archive\r\n');
+    output = await phone.send('p7 UID FETCH 1:* (UID)\r\n');
+    this.check('EXPUNGE reported during UID FETCH', output.startsWith('* 1 EXPUNGE\r\n') &&
+      output.endsWith('p7 OK UID FETCH completed\r\n'), output);
+
+    const before = server.watchers.size;
+    phone.socket.emit('close');
+    this.check('Closed session stops watching', server.watchers.size === before - 1);
+  }
+
+  async tests() {
+    await this.testEvents();
+    await this.testIdle();
+    await this.testSelected();
+  }
+}
+
+new IdleTest().run();
@@ -0,0 +1,249 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const config = require('./config/config');
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Tombstone = require('./models/Tombstone');
+const Mailbox = require('./models/Mailbox');
+const Metadata = require('./models/Metadata');
+const MetadataService = require('./services/MetadataService');
+const IMAPServer = require('./services/IMAPServer');
+const { TestSuite, memoryModel, loginIMAP } = require('./test/helpers');
+
+config.imap.metadataAdmin = 'mailto:postmaster@example.com';
+
+// In-memory store: alice's folders, with bob allowed to read her INBOX
+const folders = [];
+const entries = [];
+
+memoryModel(Folder, folders);
+memoryModel(Email);
+memoryModel(Tombstone);
+// Every user logs in with the password secret
+Mailbox.findOne = async (query) => ({ username: query.username, comparePassword: async (p) => p === 'secret' });
+Mailbox.find = async () => [];
+Mailbox.updateOne = async () => ({});
+memoryModel(Metadata, entries);
+
+const server = new IMAPServer();
+
+const connect = (username) => loginIMAP(server, username);
+
+class MetadataTest extends TestSuite {
+  constructor() {
+    super('🏷️ IMAP METADATA and CREATE-SPECIAL-USE Tests');
+  }
+
+  testEntryNames() {
+    console.log('\n🧪 Testing entry names...');
+
+    this.check('Entry names are case-insensitive', MetadataService.validateEntry('/Private/Vendor/Color') === '/private/vendor/color');
+    this.check('/private alone only when asking', MetadataService.validateEntry('/private', true) === '/private');
+
+    for (const name of ['/color', '/private', '/private/', '/shared//x', '/private/a*']) {
+      let error = null;
+      try {
+        MetadataService.validateEntry(name);
+      } catch (e) {
+        error = e;
+      }
+      this.check(`${name} refused`, error && error.status === 400 && !error.code, error);
+    }
+  }
+
+  async testSpecialUse() {
+    console.log('\n🧪 Testing CREATE-SPECIAL-USE...');
+
+    const alice = await connect('alice@example.com');
+
+    let output = await alice('c1 CAPABILITY\r\n');
+    this.check('CREATE-SPECIAL-USE and METADATA advertised', /CREATE-SPECIAL-USE METADATA/.test(output), output);
+
+    output = await alice('c2 CREATE "Old Mail" (USE (\\Archive))\r\n');
+    this.check('CREATE with a special use', output === 'c2 OK CREATE completed\r\n', output);
+
+    output = await alice('c3 CREATE Kept (USE (\\archive))\r\n');
+    const kept = folders.find(folder => folder.name === 'Kept');
+    this.check('Special use matched case-insensitively', kept?.specialUse === '\\Archive', kept?.specialUse);
+
+    output = await alice('c3a CREATE Starred (USE (\\Flagged))\r\n');
+    this.check('Virtual \\Flagged refused', output === 'c3a NO [USEATTR] Virtual special use \\Flagged not supported\r\n' &&
+      !folders.some(folder => folder.name === 'Starred'), output);
+
+    output = await alice('c3b CREATE Everything (USE (\\all))\r\n');
+    this.check('Virtual \\All refused', output === 'c3b NO [USEATTR] Virtual special use \\All not supported\r\n' &&
+      !folders.some(folder => folder.name === 'Everything'), output);
+
+    output = await alice('c4 CREATE Junk (USE ())\r\n');
+    const junk = folders.find(folder => folder.name === 'Junk');
+    this.check('Empty USE overrides the name', output === 'c4 OK CREATE completed\r\n' && junk?.specialUse === null, output);
+
+    output = await alice('c5 LIST (SPECIAL-USE) "" "*"\r\n');
+    this.check('Special uses listed', output.includes('* LIST (\\Archive \\HasNoChildren) "/" "Old Mail"\r\n') &&
+      output.includes('* LIST (\\Archive \\HasNoChildren) "/" "Kept"\r\n') && !output.includes('"Junk"'), output);
+
+    output = await alice('c6 CREATE Important (USE (\\Important))\r\n');
+    this.check('Unsupported special use refused', output === 'c6 NO [USEATTR] Unsupported special use \\Important\r\n' &&
+      !folders.some(folder => folder.name === 'Important'), output);
+
+    output = await alice('c7 CREATE Both (USE (\\Sent \\Archive))\r\n');
+    this.check('Two special uses refused', output === 'c7 NO [USEATTR] Only one special use per folder\r\n', output);
+
+    output = await alice('c8 CREATE Other (FOO)\r\n');
+    this.check('Unknown CREATE parameters are BAD', output === 'c8 BAD Invalid CREATE parameters\r\n', output);
+
+    output = await alice('c9 SETMETADATA Kept (/private/specialuse "\\\\Drafts")\r\n');
+    this.check('Special use changed through /private/specialuse', output === 'c9 OK SETMETADATA completed\r\n' &&
+      kept.specialUse === '\\Drafts', output);
+
+    output = await alice('c9a SETMETADATA Kept (/private/specialuse "\\\\All")\r\n');
+    this.check('Virtual /private/specialuse refused', output.startsWith('c9a NO [USEATTR]') && kept.specialUse === '\\Drafts', output);
+
+    output = await alice('c10 GETMETADATA "Old Mail" /private/specialuse\r\n');
+    this.check('Special use read as metadata', output === '* METADATA "Old Mail" (/private/specialuse {8}\r\n\\Archive)\r\nc10 OK GETMETADATA completed\r\n', output);
+
+    output = await alice('c11 SETMETADATA Kept (/private/specialuse "\\\\Inbox")\r\n');
+    this.check('Unsupported /private/specialuse refused', output.startsWith('c11 NO [USEATTR]') && kept.specialUse === '\\Drafts', output);
+  }
+
+  async testMailboxEntries() {
+    console.log('\n🧪 Testing mailbox metadata...');
+
+    const alice = await connect('alice@example.com');
+
+    let output = await alice('m1 SETMETADATA INBOX (/private/color "#ff0000" /shared/Comment "Team inbox")\r\n');
+    this.check('SETMETADATA', output === 'm1 OK SETMETADATA completed\r\n', output);
+
+    output = await alice('m2 GETMETADATA INBOX /private/color\r\n');
+    this.check('GETMETADATA of one entry', output === '* METADATA "INBOX" (/private/color "#ff0000")\r\nm2 OK GETMETADATA completed\r\n', output);
+
+    output = await alice('m3 GETMETADATA INBOX (/shared/comment /private/color /private/missing)\r\n');
+    this.check('Entries without a value left out', output ===
+      '* METADATA "INBOX" (/private/color "#ff0000" /shared/comment "Team inbox")\r\nm3 OK GETMETADATA completed\r\n', output);
+
+    output = await alice('m4 SETMETADATA INBOX (/private/vendor/client/layout "wide")\r\n');
+    output = await alice('m5 GETMETADATA (DEPTH 1) INBOX /private\r\n');
+    this.check('DEPTH 1 stops one level down', output.includes('/private/color "#ff0000"') && !output.includes('layout'), output);
+
+    output = await alice('m6 GETMETADATA (DEPTH infinity) INBOX /private\r\n');
+    this.check('DEPTH infinity includes everything below', output.includes('/private/vendor/client/layout "wide"'), output);
+
+    output = await alice('m7 GETMETADATA (MAXSIZE 4) INBOX (/private/color /private/vendor/client/layout)\r\n');
+    this.check('MAXSIZE leaves long values out', output ===
+      '* METADATA "INBOX" (/private/vendor/client/layout "wide")\r\nm7 OK [METADATA LONGENTRIES 7] GETMETADATA completed\r\n', output);
+
+    const note = 'line one\r\nline two';
+    output = await alice(`m8 SETMETADATA INBOX (/private/note {${note.length}+}\r\n${note})\r\n`);
+    output = await alice('m9 GETMETADATA INBOX /private/note\r\n');
+    this.check('Values that cannot be quoted come back as literals',
+      output === `* METADATA "INBOX" (/private/note {${note.length}}\r\n${note})\r\nm9 OK GETMETADATA completed\r\n`, output);
+
+    output = await alice('m10 SETMETADATA INBOX (/private/note NIL)\r\n');
+    output = await alice('m11 GETMETADATA INBOX /private/note\r\n');
+    this.check('NIL removes an entry', output === 'm11 OK GETMETADATA completed\r\n', output);
+
+    await alice('m19 SETMETADATA INBOX (/private/note "NIL")\r\n');
+    output = await alice('m20 GETMETADATA INBOX /private/note\r\n');
+    this.check('Quoted "NIL" stored as a value', output.startsWith('* METADATA "INBOX" (/private/note "NIL")\r\n'), output);
+    await alice('m21 SETMETADATA INBOX (/private/note {3+}\r\nnil)\r\n');
+    output = await alice('m22 GETMETADATA INBOX /private/note\r\n');
+    this.check('NIL in a literal stored as a value', output.startsWith('* METADATA "INBOX" (/private/note "nil")\r\n'), output);
+    await alice('m23 SETMETADATA INBOX (/private/note nil)\r\n');
+
+    output = await alice('m12 SETMETADATA INBOX (/color "red")\r\n');
+    this.check('Invalid entry names are BAD', output === 'm12 BAD Invalid entry name /color\r\n', output);
+
+    output = await alice('m13 SETMETADATA INBOX (/private/color)\r\n');
+    this.check('Entry without a value is BAD', /^m13 BAD/.test(output), output);
+
+    output = await alice('m14 GETMETADATA Nowhere /private/color\r\n');
+    this.check('Missing mailbox', output === 'm14 NO [NONEXISTENT] Mailbox does not exist\r\n', output);
+
+    const maxSize = config.imap.metadataMaxSize;
+    config.imap.metadataMaxSize = 8;
+    output = await alice('m15 SETMETADATA INBOX (/private/color "a long colour name")\r\n');
+    config.imap.metadataMaxSize = maxSize;
+    this.check('Values over the limit refused', output === 'm15 NO [METADATA MAXSIZE 8] Value is too large\r\n', output);
+
+    const maxEntries = config.imap.metadataMaxEntries;
+    config.imap.metadataMaxEntries = 3;
+    output = await alice('m16 SETMETADATA INBOX (/private/a "1" /private/b "2")\r\n');
+    config.imap.metadataMaxEntries = maxEntries;
+    this.check('Too many entries refused', output === 'm16 NO [METADATA TOOMANY] Too many entries\r\n' &&
+      !entries.some(entry => entry.entry === '/private/a'), output);
+
+    await alice('m17 CREATE Projects\r\n');
+    await alice('m18 SETMETADATA Projects (/private/color "green")\r\n');
+    output = await alice('m19 RENAME Projects Work\r\n');
+    output = await alice('m20 GETMETADATA Work /private/color\r\n');
+    this.check('Entries follow a renamed folder', output.startsWith('* METADATA "Work" (/private/color "green")'), output);
+
+    output = await alice('m21 DELETE Work\r\n');
+    this.check('Entries removed with their folder', output === 'm21 OK DELETE completed\r\n' &&
+      !entries.some(entry => entry.mailbox === 'Work'), output);
+  }
+
+  async testAccess() {
+    console.log('\n🧪 Testing private entries and rights...');
+
+    folders.find(folder => folder.username === 'alice@example.com' && folder.name === 'INBOX').acl = [
+      { identifier: 'bob@example.com', rights: 'lr' }
+    ];
+    const bob = await connect('bob@example.com');
+    const inbox = '"Other Users/alice@example.com/INBOX"';
+
+    let output = await bob(`b1 GETMETADATA ${inbox} (/private/color /shared/comment)\r\n`);
+    this.check('Shared entries seen by others, private ones not', output ===
+      '* METADATA "Other Users/alice@example.com/INBOX" (/shared/comment "Team inbox")\r\nb1 OK GETMETADATA completed\r\n', output);
+
+    output = await bob(`b2 SETMETADATA ${inbox} (/private/color "blue")\r\n`);
+    this.check('Private entries on a readable folder', output === 'b2 OK SETMETADATA completed\r\n', output);
+
+    const alice = await connect('alice@example.com');
+    output = await alice('a1 GETMETADATA INBOX /private/color\r\n');
+    this.check('Each user keeps their own private entries', output.startsWith('* METADATA "INBOX" (/private/color "#ff0000")'), output);
+
+    output = await bob(`b3 SETMETADATA ${inbox} (/shared/comment "Mine now")\r\n`);
+    this.check('Shared entries take the w right', output === 'b3 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await bob(`b4 SETMETADATA ${inbox} (/private/specialuse "\\\\Archive")\r\n`);
+    this.check('Only the owner changes a special use', output === 'b4 NO [NOPERM] Permission denied\r\n', output);
+
+    folders.find(folder => folder.username === 'alice@example.com' && folder.name === 'INBOX').acl = [
+      { identifier: 'bob@example.com', rights: 'w' }
+    ];
+    output = await bob(`b5 SETMETADATA ${inbox} (/shared/comment "Mine now")\r\n`);
+    this.check('No entries without the l right', output === 'b5 NO [NOPERM] Permission denied\r\n', output);
+  }
+
+  async testServerEntries() {
+    console.log('\n🧪 Testing server metadata...');
+
+    const alice = await connect('alice@example.com');
+
+    let output = await alice('s1 GETMETADATA "" /shared/admin\r\n');
+    this.check('Server admin address', output ===
+      '* METADATA "" (/shared/admin "mailto:postmaster@example.com")\r\ns1 OK GETMETADATA completed\r\n', output);
+
+    output = await alice('s2 SETMETADATA "" (/private/vendor/client/theme "dark")\r\n');
+    output = await alice('s3 GETMETADATA (DEPTH infinity) "" /private\r\n');
+    this.check('Private server entries', output ===
+      '* METADATA "" (/private/vendor/client/theme "dark")\r\ns3 OK GETMETADATA completed\r\n', output);
+
+    output = await alice('s4 SETMETADATA "" (/shared/comment "Hello")\r\n');
+    this.check('Shared server entries not set over IMAP', output === 's4 NO [NOPERM] Permission denied\r\n', output);
+
+    output = await alice('s5 GETMETADATA (DEPTH 2) "" /private\r\n');
+    this.check('Invalid DEPTH is BAD', output === 's5 BAD Invalid GETMETADATA option DEPTH\r\n', output);
+  }
+
+  async tests() {
+    this.testEntryNames();
+    await this.testSpecialUse();
+    await this.testMailboxEntries();
+    await this.testAccess();
+    await this.testServerEntries();
+  }
+}
+
+new MetadataTest().run();
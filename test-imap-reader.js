@@ -0,0 +1,164 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const Folder = require('./models/Folder');
+const Email = require('./models/Email');
+const Mailbox = require('./models/Mailbox');
+const IMAPServer = require('./services/IMAPServer');
+const IMAPCommandParser = require('./utils/IMAPCommandParser');
+const IMAPCommandReader = require('./utils/IMAPCommandReader');
+const { TestSuite, settle, fakeSocket } = require('./test/helpers');
+
+// In-memory INBOX for APPEND and SEARCH
+const saved = [];
+const searches = [];
+let uidNext = 1;
+
+Folder.findOne = async (query) => (query.name === 'INBOX' ? { username: query.username, name: 'INBOX', uidValidity: 7, uidNext } : null);
+Folder.findOneAndUpdate = async () => ({ uidNext: uidNext++ });
+Email.prototype.save = async function() { saved.push(this); return this; };
+const PASSWORDS = { 'jane@example.com': 'pa(ss) 1', 'bob@example.com': 'secret' };
+Mailbox.findOne = async (query) => (PASSWORDS[query.username] ?
+  { username: query.username, comparePassword: async (p) => p === PASSWORDS[query.username] } : null);
+Email.countDocuments = async () => saved.length;
+Email.find = (query) => {
+  if (query.subject) searches.push(query);
+  const chain = {
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+  };
+  return chain;
+};
+
+// A connection on a fake socket; send() waits until queued commands are answered
+function connect() {
+  const server = new IMAPServer();
+  const socket = fakeSocket();
+  server.handleConnection(socket, 'plain', 143);
+
+  return async (...chunks) => {
+    socket.output = '';
+    for (const chunk of chunks) {
+      socket.emit('data', Buffer.from(chunk));
+      await settle(20);
+    }
+    return socket.output;
+  };
+}
+
+class ReaderTest extends TestSuite {
+  constructor() {
+    super('📥 IMAP Command Reader Tests');
+  }
+
+  testParser() {
+    console.log('\n🧪 Testing command parsing...');
+
+    let parsed = IMAPCommandParser.parseCommand('a1 login "jane doe" "p\\"w\\\\d"\r\n');
+    this.check('Quoted strings unquoted', parsed.tag === 'a1' && parsed.command === 'LOGIN' &&
+      parsed.args[0] === 'jane doe' && parsed.args[1] === 'p"w\\d', parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a1 SETMETADATA INBOX (/private/a NIL /private/b "NIL" /private/c {3+}\r\nNIL)\r\n');
+    this.check('Quoted strings and literals told from atoms',
+      JSON.stringify(parsed.quoted) === '[false,false,false,false,false,true,false,true,false]', parsed.quoted);
+
+    parsed = IMAPCommandParser.parseCommand('a2 STORE 1:3 +FLAGS (\\Seen \\Flagged)\r\n');
+    this.check('Lists become ( and ) arguments', parsed.args.join(' ') === '1:3 +FLAGS ( \\Seen \\Flagged )', parsed.args);
+
+    parsed = IMAPCommandParser.parseCommand('a3 FETCH 1 (UID BODY.PEEK[HEADER.FIELDS (From "To")]<0.100>)\r\n');
+    this.check('Sections stay inside their atom', parsed.args[3] === 'BODY.PEEK[HEADER.FIELDS (From "To")]<0.100>', parsed.args);
+
+    parsed = IMAPCommandParser.parseCommand('a4 SEARCH SUBJECT {7}\r\nGrüße\r\n');
+    this.check('Literal length counted in octets', parsed.args[1] === 'Grüße', parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a4 SEARCH SUBJECT "Gr');
+    this.check('Incomplete line waits for more data', parsed === null);
+
+    parsed = IMAPCommandParser.parseCommand('a5 APPEND INBOX {10}\r\nFrom:');
+    this.check('Outstanding literal reported', parsed.literal && parsed.literal.size === 10 &&
+      parsed.literal.synchronizing && parsed.literal.offset === 22, parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a6 LIST (SPECIAL-USE "" *\r\nb1 NOOP\r\n');
+    this.check('Syntax error skips only its line', parsed.tag === 'a6' && parsed.error && !parsed.fatal && parsed.length === 27, parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a7 APPEND INBOX {99}\r\n', { maxLiteralSize: 50 });
+    this.check('Large synchronizing literal refused', parsed.code === 'TOOBIG' && !parsed.fatal, parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a8 APPEND INBOX {99+}\r\n', { maxLiteralSize: 50 });
+    this.check('Large non-synchronizing literal is fatal', parsed.code === 'TOOBIG' && parsed.fatal, parsed);
+
+    parsed = IMAPCommandParser.parseCommand('a9 NOOP ' + 'x'.repeat(200), { maxLineLength: 100 });
+    this.check('Overlong line is fatal', parsed.fatal === true, parsed);
+  }
+
+  testReader() {
+    console.log('\n🧪 Testing the streaming reader...');
+
+    const reader = new IMAPCommandReader();
+    const commands = [];
+    for (const byte of Buffer.from('a1 LOGIN jane {6}\r\nsecret\r\nb1 NOOP\r\n')) {
+      reader.push(Buffer.from([byte]));
+      let command;
+      while ((command = reader.read())) commands.push(command);
+    }
+    this.check('Commands split across every byte', commands.length === 3 && commands[0].continuation &&
+      commands[1].args[1] === 'secret' && commands[2].command === 'NOOP', commands);
+
+    reader.push(Buffer.from('c1 APPEND INBOX {3+}\r\nab'));
+    const pending = reader.read();
+    reader.push(Buffer.from('c\r\n'));
+    const appended = reader.read();
+    this.check('No continuation for LITERAL+', pending === null && appended.args[1] === 'abc', appended);
+
+    reader.push(Buffer.from('DONE\r\nd1 NOOP\r\n'));
+    this.check('Raw line read before the next command', reader.readLine() === 'DONE' && reader.read().tag === 'd1');
+  }
+
+  async testConnection() {
+    console.log('\n🧪 Testing IMAP connections...');
+
+    let send = connect();
+    let output = await send('a1 CAPABILITY\r\n');
+    this.check('LITERAL+ advertised', / LITERAL\+ /.test(output), output);
+
+    output = await send('a2 LOGIN {16}\r\n');
+    this.check('Continuation sent for a synchronizing literal', output === '+ Ready for literal data\r\n', output);
+    output = await send('jane@example.com {8+}\r\npa(ss) 1\r\n');
+    this.check('LOGIN with literal credentials', output === 'a2 OK LOGIN completed\r\n', output);
+
+    const message = 'From: jane@example.com\r\nSubject: Notes\r\n\r\nHello\r\n';
+    output = await send(`a3 APPEND "INBOX" (\\Seen) "01-Jan-2024 10:00:00 +0000" {${Buffer.byteLength(message)}}\r\n`,
+      message.slice(0, 20), message.slice(20) + '\r\n');
+    this.check('APPEND literal split across packets', output.startsWith('+ Ready') &&
+      output.includes('a3 OK [APPENDUID 7 1] APPEND completed'), output);
+    this.check('Appended message stored whole', saved.length === 1 && saved[0].raw === message &&
+      saved[0].flags.seen === true && saved[0].subject === 'Notes', saved[0]);
+
+    output = await send('a4 SELECT INBOX\r\na5 SEARCH CHARSET UTF-8 SUBJECT {7+}\r\nGrüße\r\n');
+    this.check('Pipelined commands answered in order', output.indexOf('a4 OK') >= 0 && output.indexOf('a4 OK') < output.indexOf('a5 OK'), output);
+    this.check('SEARCH string from a UTF-8 literal', searches.length === 1 && searches[0].subject.source === 'Grüße', searches);
+
+    output = await send('a6 IDLE\r\n');
+    this.check('IDLE waits for DONE', output === '+ idling\r\n', output);
+    output = await send('DONE\r\na7 NOOP\r\n');
+    this.check('DONE ends IDLE before the next command', output === 'a6 OK IDLE terminated\r\na7 OK NOOP completed\r\n', output);
+
+    output = await send('a8 FETCH 1 (FLAGS\r\n');
+    this.check('Unbalanced list answered with BAD', output.startsWith('a8 BAD'), output);
+
+    send = connect();
+    output = await send('b1 AUTHENTICATE PLAIN\r\n', Buffer.from('\0bob@example.com\0secret').toString('base64') + '\r\n');
+    this.check('AUTHENTICATE reads the response line', output === '+ \r\nb1 OK AUTHENTICATE completed\r\n', output);
+
+    send = connect();
+    output = await send('c1 AUTHENTICATE LOGIN\r\n', '*\r\n');
+    this.check('AUTHENTICATE cancelled with *', output.endsWith('c1 BAD AUTHENTICATE cancelled\r\n'), output);
+  }
+
+  async tests() {
+    this.testParser();
+    this.testReader();
+    await this.testConnection();
+  }
+}
+
+new ReaderTest().run();
@@ -0,0 +1,113 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const EventEmitter = require('events');
+const tls = require('tls');
+const Mailbox = require('./models/Mailbox');
+const IMAPServer = require('./services/IMAPServer');
+const { TestSuite, settle, fakeSocket } = require('./test/helpers');
+
+// Every user logs in with the password secret
+Mailbox.findOne = async (query) => ({ username: query.username, comparePassword: async (p) => p === 'secret' });
+
+// Stands in for the TLS layer: records what it wraps and carries the decrypted stream
+const upgrades = [];
+tls.TLSSocket = class extends EventEmitter {
+  constructor(socket, options) {
+    super();
+    this.wrapped = socket;
+    this.options = options;
+    this.write = (data) => { socket.output += data; };
+    this.end = () => {};
+    this.destroy = () => {};
+    upgrades.push(this);
+  }
+};
+
+const CERTIFICATE = { key: 'test-key', cert: 'test-cert' };
+
+// A port 143 connection on a fake socket; send() returns what the server wrote back
+function connect({ tlsOptions = CERTIFICATE, requireTLS = false } = {}) {
+  const server = new IMAPServer();
+  server.tlsOptions = tlsOptions;
+  server.requireTLS = requireTLS;
+
+  const socket = fakeSocket();
+  server.handleConnection(socket, 'plain', 143);
+
+  const send = async (data, target = socket) => {
+    socket.output = '';
+    target.emit('data', Buffer.from(data));
+    await settle(20);
+    return socket.output;
+  };
+  return { socket, send };
+}
+
+const capabilities = (output) => (output.match(/^\* CAPABILITY (.*)\r$/m) || [])[1] || '';
+
+class StartTLSTest extends TestSuite {
+  constructor() {
+    super('🔒 IMAP STARTTLS Tests');
+  }
+
+  async testWithoutCertificate() {
+    console.log('\n🧪 Testing without a certificate...');
+
+    const { send } = connect({ tlsOptions: null, requireTLS: true });
+    const output = await send('a1 CAPABILITY\r\n');
+    this.check('STARTTLS not advertised', !/STARTTLS/.test(capabilities(output)), output);
+    this.check('Login stays enabled', /AUTH=PLAIN/.test(capabilities(output)) && !/LOGINDISABLED/.test(output), output);
+    this.check('STARTTLS refused', (await send('a2 STARTTLS\r\n')) === 'a2 NO TLS not available\r\n');
+  }
+
+  async testOptionalTLS() {
+    console.log('\n🧪 Testing optional TLS...');
+
+    const { send } = connect();
+    const output = await send('a1 CAPABILITY\r\n');
+    this.check('STARTTLS advertised', /STARTTLS/.test(capabilities(output)), output);
+    this.check('Login allowed before TLS', !/LOGINDISABLED/.test(output) &&
+      (await send('a2 LOGIN jane@example.com secret\r\n')) === 'a2 OK LOGIN completed\r\n');
+    this.check('STARTTLS refused after login', (await send('a3 STARTTLS\r\n')).startsWith('a3 BAD'));
+  }
+
+  async testRequiredTLS() {
+    console.log('\n🧪 Testing required TLS...');
+
+    upgrades.length = 0;
+    const { socket, send } = connect({ requireTLS: true });
+    let output = await send('a1 CAPABILITY\r\n');
+    this.check('LOGINDISABLED before TLS', /LOGINDISABLED/.test(output) && !/AUTH=/.test(output), output);
+    output = await send('a2 LOGIN jane@example.com secret\r\n');
+    this.check('LOGIN refused before TLS', output === 'a2 NO [PRIVACYREQUIRED] Use STARTTLS first\r\n', output);
+    output = await send('a3 AUTHENTICATE PLAIN\r\n');
+    this.check('AUTHENTICATE refused before TLS', output.startsWith('a3 NO [PRIVACYREQUIRED]'), output);
+
+    // A command injected after STARTTLS must not run inside the TLS session
+    output = await send('a4 STARTTLS\r\na5 LOGIN mallory@example.com secret\r\n');
+    this.check('STARTTLS answered before the handshake', output === 'a4 OK Begin TLS negotiation now\r\n', output);
+    const tlsSocket = upgrades[0];
+    this.check('Plain socket wrapped as a TLS server', upgrades.length === 1 && tlsSocket.wrapped === socket &&
+      tlsSocket.options.isServer === true && tlsSocket.options.cert === 'test-cert');
+    this.check('Plain socket no longer read', socket.listenerCount('data') === 0);
+
+    output = await send('a6 NOOP\r\n', tlsSocket);
+    this.check('Pre-TLS input discarded', output === 'a6 OK NOOP completed\r\n', output);
+
+    output = await send('a7 CAPABILITY\r\n', tlsSocket);
+    this.check('Capabilities re-advertised over TLS', !/STARTTLS|LOGINDISABLED/.test(output) && /AUTH=PLAIN/.test(output), output);
+    output = await send('a8 STARTTLS\r\n', tlsSocket);
+    this.check('Second STARTTLS refused', output === 'a8 BAD TLS already active\r\n', output);
+
+    output = await send('a9 LOGIN jane@example.com secret\r\n', tlsSocket);
+    this.check('Login over TLS', output === 'a9 OK LOGIN completed\r\n', output);
+  }
+
+  async tests() {
+    await this.testWithoutCertificate();
+    await this.testOptionalTLS();
+    await this.testRequiredTLS();
+  }
+}
+
+new StartTLSTest().run();
@@ -1,9 +1,9 @@
 const net = require('net');
 const http = require('http');
 
-const TEST_MAILBOX = 'testuser';
+const TEST_MAILBOX = 'testuser@example.com';
 const TEST_PASSWORD = 'testpass123';
-const TEST_EMAIL = `${TEST_MAILBOX}@example.com`;
+const TEST_EMAIL = TEST_MAILBOX;
 
 function httpRequest(options, data) {
   return new Promise((resolve, reject) => {
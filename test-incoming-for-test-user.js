@@ -1,9 +1,9 @@
 const net = require('net');
 const http = require('http');
 
-const TEST_MAILBOX = 'test';  // Your actual username
+const TEST_MAILBOX = 'test@example.com';  // Your mailbox address
 const TEST_PASSWORD = 'test123';
-const TEST_EMAIL = `${TEST_MAILBOX}@example.com`;
+const TEST_EMAIL = TEST_MAILBOX;
 
 function httpRequest(options, data) {
   return new Promise((resolve, reject) => {
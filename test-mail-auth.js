@@ -0,0 +1,261 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.MAIL_AUTH_SERVID = 'mx.test.local';
+
+const crypto = require('crypto');
+const MailAuthService = require('./services/MailAuthService');
+const DKIMService = require('./services/DKIMService');
+const { TestSuite } = require('./test/helpers');
+
+/**
+ * In-memory DNS answering like dns.promises: missing names reject with
+ * ENOTFOUND, names mapped to an Error reject with that error
+ */
+class StubResolver {
+  constructor(zone) {
+    this.zone = zone;
+  }
+
+  answer(type, name) {
+    const records = this.zone[`${type} ${name.toLowerCase().replace(/\.$/, '')}`];
+    if (records instanceof Error) return Promise.reject(records);
+    if (!records) {
+      const error = new Error(`queryTxt ENOTFOUND ${name}`);
+      error.code = 'ENOTFOUND';
+      return Promise.reject(error);
+    }
+    return Promise.resolve(records);
+  }
+
+  resolveTxt(name) {
+    return this.answer('TXT', name).then(records => records.map(r => Array.isArray(r) ? r : [r]));
+  }
+
+  resolve4(name) { return this.answer('A', name); }
+  resolve6(name) { return this.answer('AAAA', name); }
+  resolveMx(name) { return this.answer('MX', name); }
+}
+
+function createKey(algorithm, selector, domain) {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+  const pair = algorithm === 'ed25519-sha256' ?
+    crypto.generateKeyPairSync('ed25519', encoding) :
+    crypto.generateKeyPairSync('rsa', { modulusLength: 1024, ...encoding });
+
+  return { domain, selector, algorithm, ...pair };
+}
+
+function sign(message, key, domain = key.domain) {
+  const normalized = message.replace(/\r?\n/g, '\r\n');
+  return DKIMService.sign(normalized, key, domain) + '\r\n' + normalized;
+}
+
+function message(from) {
+  return [
+    `From: Alice <${from}>`,
+    'To: bob@test.local',
+    'Subject: Lunch',
+    'Date: Mon, 19 Oct 2026 10:00:00 +0000',
+    'Message-ID: <auth-1@example.com>',
+    '',
+    'See you at noon.',
+    ''
+  ].join('\n');
+}
+
+const rsaKey = createKey('rsa-sha256', 'rsa1', 'example.com');
+const edKey = createKey('ed25519-sha256', 'ed1', 'example.com');
+const servfail = Object.assign(new Error('queryTxt ESERVFAIL broken.example'), { code: 'ESERVFAIL' });
+
+const zone = {
+  'TXT example.com': ['v=spf1 ip4:192.0.2.0/24 include:_spf.provider.example -all'],
+  'TXT _spf.provider.example': ['v=spf1 ip6:2001:db8::/32 ~all'],
+  'TXT soft.example': ['v=spf1 ~all'],
+  'TXT mx.example': ['v=spf1 mx a:relay.mx.example/28 -all'],
+  'MX mx.example': [{ exchange: 'mail.mx.example', priority: 10 }],
+  'A mail.mx.example': ['198.51.100.7'],
+  'A relay.mx.example': ['203.0.113.1'],
+  'TXT redirect.example': ['v=spf1 redirect=example.com'],
+  'TXT double.example': ['v=spf1 -all', 'v=spf1 +all'],
+  'TXT broken.example': servfail,
+  'TXT macro.example': ['v=spf1 exists:%{ir}.%{l}.allow.macro.example -all'],
+  'A 9.2.0.192.alice.allow.macro.example': ['127.0.0.2'],
+  'TXT helo.example': ['v=spf1 a -all'],
+  'A helo.example': ['192.0.2.99'],
+  'TXT loop0.example': ['v=spf1 include:loop1.example -all'],
+  'TXT _dmarc.example.com': ['v=DMARC1; p=reject; sp=quarantine; rua=mailto:d@example.com'],
+  'TXT _dmarc.strict.example': ['v=DMARC1; p=reject; adkim=s; aspf=s'],
+  'TXT strict.example': ['v=spf1 -all'],
+  'TXT rsa1._domainkey.example.com': [DKIMService.getDNSRecord(rsaKey).chunks],
+  'TXT ed1._domainkey.example.com': [DKIMService.getDNSRecord(edKey).chunks],
+  'TXT rsa1._domainkey.strict.example': [DKIMService.getDNSRecord(rsaKey).chunks],
+  'TXT revoked._domainkey.example.com': ['v=DKIM1; k=rsa; p=']
+};
+
+// Each include costs a lookup; this chain exceeds the limit of 10
+for (let i = 1; i <= 12; i++) {
+  zone[`TXT loop${i}.example`] = [`v=spf1 include:loop${i + 1}.example -all`];
+}
+
+class MailAuthTest extends TestSuite {
+  constructor() {
+    super('🔐 Inbound Mail Authentication Tests');
+  }
+
+  async testSPF() {
+    console.log('\n🧪 Testing SPF (RFC 7208)...');
+    const spf = (ip, sender, helo = 'client.example') => MailAuthService.checkSPF(ip, sender, helo);
+
+    let result = await spf('192.0.2.10', 'alice@example.com');
+    this.check('ip4 range passes', result.result === 'pass' && result.domain === 'example.com', result.result);
+
+    result = await spf('::ffff:192.0.2.10', 'alice@example.com');
+    this.check('IPv4-mapped client address passes', result.result === 'pass', result.result);
+
+    result = await spf('198.51.100.1', 'alice@example.com');
+    this.check('Unlisted address fails on -all', result.result === 'fail', result.result);
+
+    result = await spf('2001:db8::25', 'alice@example.com');
+    this.check('include: with ip6 range passes', result.result === 'pass', result.result);
+
+    result = await spf('198.51.100.1', 'bob@soft.example');
+    this.check('~all gives softfail', result.result === 'softfail', result.result);
+
+    result = await spf('198.51.100.7', 'bob@mx.example');
+    this.check('mx mechanism passes', result.result === 'pass', result.result);
+
+    result = await spf('203.0.113.14', 'bob@mx.example');
+    this.check('a mechanism with CIDR passes', result.result === 'pass', result.result);
+
+    result = await spf('192.0.2.10', 'bob@redirect.example');
+    this.check('redirect= follows the target record', result.result === 'pass', result.result);
+
+    result = await spf('192.0.2.9', 'alice@macro.example');
+    this.check('Macros expand in exists:', result.result === 'pass', result.result);
+
+    result = await spf('192.0.2.10', 'alice@nospf.example');
+    this.check('Missing record gives none', result.result === 'none', result.result);
+
+    result = await spf('192.0.2.10', 'alice@double.example');
+    this.check('Multiple records give permerror', result.result === 'permerror', result.result);
+
+    result = await spf('192.0.2.10', 'alice@broken.example');
+    this.check('DNS failure gives temperror', result.result === 'temperror', result.result);
+
+    result = await spf('192.0.2.10', 'alice@loop0.example');
+    this.check('More than 10 lookups gives permerror', result.result === 'permerror', result.reason);
+
+    result = await spf('192.0.2.99', '', 'helo.example');
+    this.check('Null sender is checked against HELO', result.result === 'pass' && result.domain === 'helo.example', result.result);
+  }
+
+  async testDKIM() {
+    console.log('\n🧪 Testing DKIM verification (RFC 6376)...');
+    const raw = sign(message('alice@example.com'), rsaKey);
+
+    let results = await MailAuthService.verifyDKIM(raw);
+    this.check('rsa-sha256 signature passes', results.length === 1 && results[0].result === 'pass', results[0]?.reason);
+    this.check('Result names domain and selector', results[0].domain === 'example.com' && results[0].selector === 'rsa1');
+
+    results = await MailAuthService.verifyDKIM(sign(message('alice@example.com'), edKey));
+    this.check('ed25519-sha256 signature passes', results[0]?.result === 'pass', results[0]?.reason);
+
+    results = await MailAuthService.verifyDKIM(raw.replace('See you at noon.', 'See you at one.'));
+    this.check('Changed body fails', results[0].result === 'fail' && /body hash/.test(results[0].reason));
+
+    results = await MailAuthService.verifyDKIM(raw.replace('Subject: Lunch', 'Subject: Dinner'));
+    this.check('Changed header fails', results[0].result === 'fail' && /signature/.test(results[0].reason));
+
+    results = await MailAuthService.verifyDKIM(sign(message('alice@example.com'), { ...rsaKey, selector: 'missing' }));
+    this.check('Missing key record gives permerror', results[0].result === 'permerror');
+
+    results = await MailAuthService.verifyDKIM(sign(message('alice@example.com'), { ...rsaKey, selector: 'revoked' }));
+    this.check('Revoked key fails', results[0].result === 'fail' && results[0].reason === 'key revoked');
+
+    results = await MailAuthService.verifyDKIM(message('alice@example.com'));
+    this.check('Unsigned message has no results', results.length === 0);
+  }
+
+  async testDMARC() {
+    console.log('\n🧪 Testing DMARC (RFC 7489)...');
+    const signed = sign(message('alice@example.com'), rsaKey);
+
+    let auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@example.com', raw: signed });
+    this.check('Aligned DKIM passes despite SPF fail', auth.dmarc.result === 'pass' && auth.dmarc.alignedDkim && auth.action === 'accept');
+
+    auth = await MailAuthService.authenticate({ ip: '192.0.2.10', helo: 'client.example', sender: 'bounce@example.com', raw: message('alice@news.example.com') });
+    this.check('Relaxed SPF alignment for a subdomain From', auth.dmarc.result === 'pass' && auth.dmarc.alignedSpf);
+
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@example.com', raw: message('alice@example.com') });
+    this.check('Unauthenticated mail fails p=reject', auth.dmarc.result === 'fail' && auth.dmarc.policy === 'reject');
+    this.check('p=reject failure is rejected with 550 5.7.1', auth.action === 'reject' && auth.message.startsWith('550 5.7.1'));
+
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@example.com', raw: message('alice@news.example.com') });
+    this.check('Subdomains use sp= from the organizational domain', auth.dmarc.policy === 'quarantine' && auth.action === 'quarantine');
+
+    MailAuthService.config.dmarcRejectAction = 'quarantine';
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@example.com', raw: message('alice@example.com') });
+    MailAuthService.config.dmarcRejectAction = 'reject';
+    this.check('Configured to quarantine p=reject failures', auth.action === 'quarantine');
+
+    const strictSigned = sign(message('alice@mail.strict.example'), rsaKey, 'strict.example');
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@strict.example', raw: strictSigned });
+    this.check('Strict alignment rejects parent domain signature', auth.dkim[0].result === 'pass' && auth.dmarc.result === 'fail');
+
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@soft.example', raw: message('alice@soft.example') });
+    this.check('No DMARC record gives none and accepts', auth.dmarc.result === 'none' && auth.action === 'accept');
+
+    const spoofed = message('alice@example.com').replace('From: Alice', 'From: "ceo@soft.example"');
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@soft.example', raw: spoofed });
+    this.check('Address in the display name is not the author domain', auth.dmarc.domain === 'example.com' &&
+      auth.dmarc.result === 'fail' && auth.action === 'reject', auth.dmarc.domain);
+
+    const twoFroms = 'From: alice@soft.example\n' + message('alice@example.com');
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@soft.example', raw: twoFroms });
+    this.check('Multiple From headers give permerror', auth.dmarc.result === 'permerror' && auth.dmarc.reason === 'multiple From headers');
+    this.check('Multiple From headers rejected', auth.action === 'reject' && auth.message.startsWith('550 5.7.1'), auth.message);
+
+    const noFrom = message('alice@soft.example').replace(/^From: .*\n/, '');
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@soft.example', raw: noFrom });
+    this.check('Missing From rejected', auth.dmarc.result === 'permerror' && auth.action === 'reject', auth.dmarc.reason);
+
+    const twoAuthors = message('alice@soft.example').replace('From: Alice <alice@soft.example>', 'From: alice@soft.example, bob@example.com');
+    auth = await MailAuthService.authenticate({ ip: '198.51.100.1', helo: 'client.example', sender: 'alice@soft.example', raw: twoAuthors });
+    this.check('From with several authors rejected', auth.dmarc.result === 'permerror' && auth.action === 'reject', auth.dmarc.reason);
+  }
+
+  async testHeader() {
+    console.log('\n🧪 Testing Authentication-Results (RFC 8601)...');
+    const signed = sign(message('alice@example.com'), rsaKey);
+    const auth = await MailAuthService.authenticate({ ip: '192.0.2.10', helo: 'client.example', sender: 'alice@example.com', raw: signed });
+    const header = auth.header.replace(/\r\n\t/g, ' ');
+
+    this.check('Header starts with the authserv-id', header.startsWith('Authentication-Results: mx.test.local;'));
+    this.check('SPF result with smtp.mailfrom', /spf=pass \(matched ip4:192\.0\.2\.0\/24\) smtp\.mailfrom=alice@example\.com;/.test(header), header);
+    this.check('DKIM result with header.d/s/a/b', /dkim=pass header\.d=example\.com header\.s=rsa1 header\.a=rsa-sha256 header\.b=\S{8};/.test(header), header);
+    this.check('DMARC result with policy and header.from', /dmarc=pass \(p=reject dis=none\) header\.from=example\.com$/.test(header), header);
+
+    const forged = 'Authentication-Results: MX.test.local; dkim=pass\r\n\theader.d=example.com\r\n' +
+      'Authentication-Results: other.example; spf=none\r\n' + signed;
+    const stamped = MailAuthService.stampMessage(forged, auth.header);
+    this.check('Forged header with our authserv-id removed',
+      stamped.startsWith(auth.header + '\r\nAuthentication-Results: other.example;') &&
+      (stamped.match(/mx\.test\.local/gi) || []).length === 1);
+
+    const verified = await MailAuthService.verifyDKIM(stamped);
+    this.check('Stamped message still verifies', verified[0]?.result === 'pass');
+  }
+
+  async tests() {
+    MailAuthService.setResolver(new StubResolver(zone));
+
+    await this.testSPF();
+    await this.testDKIM();
+    await this.testDMARC();
+    await this.testHeader();
+  }
+}
+
+new MailAuthTest().run();
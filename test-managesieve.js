@@ -0,0 +1,157 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.SIEVE_ENABLED = 'true';
+process.env.MANAGESIEVE_REQUIRE_TLS = 'true';
+
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const SieveScript = require('./models/SieveScript');
+const ManageSieveServer = require('./services/ManageSieveServer');
+const { TestSuite, memoryModel, fakeSocket } = require('./test/helpers');
+
+const SCRIPTS = [];
+
+// Answer lookups from memory and keep scripts in an array instead of MongoDB
+Mailbox.findOne = async (query) => query.username === 'alice@example.com' ?
+  { username: 'alice@example.com', domain: 'example.com', comparePassword: async (p) => p === 'secret' } : null;
+Domain.find = () => ({ lean: async () => [{ name: 'example.com', active: true }] });
+
+memoryModel(SieveScript, SCRIPTS);
+
+const plain = (authzid, user, pass) => Buffer.from(`${authzid}\0${user}\0${pass}`).toString('base64');
+
+/**
+ * Drive one ManageSieve session over a fake socket
+ */
+function session(tlsOptions = null) {
+  const server = new ManageSieveServer();
+  server.tlsOptions = tlsOptions;
+
+  const socket = fakeSocket();
+  socket.end = () => { socket.output += '<closed>'; };
+  server.handleConnection(socket);
+
+  const connection = [...server.connections][0];
+  return {
+    greeting: socket.output,
+    connection,
+    async send(data) {
+      socket.output = '';
+      socket.emit('data', Buffer.from(data));
+      await connection.queue;
+      await new Promise(resolve => setImmediate(resolve));
+      return socket.output;
+    }
+  };
+}
+
+class ManageSieveTest extends TestSuite {
+  constructor() {
+    super('📜 ManageSieve Tests');
+  }
+
+  testParser() {
+    console.log('\n🧪 Testing command parsing...');
+
+    const parse = (text) => ManageSieveServer.parseLine(Buffer.from(text), 1000);
+
+    let result = parse('PUTSCRIPT "my \\"script\\"" {5+}\r\nkeep;\r\nNOOP\r\n');
+    this.check('Quoted string and literal parsed', result && result.args[1] === 'my "script"' && result.args[2] === 'keep;',
+      JSON.stringify(result));
+    this.check('Only the first command consumed', result && result.length === 'PUTSCRIPT "my \\"script\\"" {5+}\r\nkeep;\r\n'.length);
+    this.check('Incomplete literal waits for more data', parse('PUTSCRIPT "a" {10}\r\nkeep') === null);
+    this.check('Incomplete line waits for more data', parse('LISTSCRIPTS') === null);
+
+    let error = null;
+    try {
+      parse('PUTSCRIPT "a" {5000}\r\n');
+    } catch (e) {
+      error = e;
+    }
+    this.check('Oversized literal refused', error && error.code === 'QUOTA/MAXSIZE');
+  }
+
+  async testAuthentication() {
+    console.log('\n🧪 Testing capabilities and authentication...');
+
+    let s = session();
+    this.check('Greeting lists capabilities', /"SASL" "PLAIN"/.test(s.greeting) && /"SIEVE" "fileinto[^"]*"/.test(s.greeting) &&
+      /"VERSION" "1.0"/.test(s.greeting) && /^OK /m.test(s.greeting));
+    this.check('No STARTTLS without a certificate', !/STARTTLS/.test(s.greeting));
+    this.check('Commands require authentication', (await s.send('LISTSCRIPTS\r\n')).startsWith('NO'));
+    this.check('STARTTLS refused without a certificate', (await s.send('STARTTLS\r\n')).startsWith('NO'));
+
+    let reply = await s.send(`AUTHENTICATE "PLAIN" "${plain('', 'alice@example.com', 'wrong')}"\r\n`);
+    this.check('Wrong password refused', reply.startsWith('NO'), reply);
+
+    reply = await s.send(`AUTHENTICATE "PLAIN" "${plain('bob@example.com', 'alice@example.com', 'secret')}"\r\n`);
+    this.check('Acting as another user refused', reply.startsWith('NO'), reply);
+
+    reply = await s.send('AUTHENTICATE "PLAIN"\r\n');
+    this.check('Empty challenge without initial response', reply === '""\r\n', JSON.stringify(reply));
+    reply = await s.send(`"${plain('', 'alice@example.com', 'secret')}"\r\n`);
+    this.check('Continuation response authenticates', reply.startsWith('OK') && s.connection.username === 'alice@example.com', reply);
+
+    s = session({});
+    this.check('STARTTLS offered with a certificate', /"STARTTLS"/.test(s.greeting) && /"SASL" ""/.test(s.greeting));
+    reply = await s.send(`AUTHENTICATE "PLAIN" "${plain('', 'alice@example.com', 'secret')}"\r\n`);
+    this.check('Plain-text login needs TLS first', reply.startsWith('NO (ENCRYPT-NEEDED)'), reply);
+  }
+
+  async testScripts() {
+    console.log('\n🧪 Testing script management...');
+
+    const s = session();
+    await s.send(`AUTHENTICATE "PLAIN" "${plain('', 'alice@example.com', 'secret')}"\r\n`);
+
+    let reply = await s.send('PUTSCRIPT "vacation" {36+}\r\nrequire "fileinto";\r\nfileinto "x";\r\n\r\n');
+    this.check('PUTSCRIPT stores a script', reply.startsWith('OK') && SCRIPTS.length === 1, reply);
+
+    reply = await s.send('PUTSCRIPT "broken" "if true { keep }"\r\n');
+    this.check('PUTSCRIPT rejects invalid Sieve', reply.startsWith('NO') && /line 1/.test(reply) && SCRIPTS.length === 1, reply);
+
+    reply = await s.send('CHECKSCRIPT "fileinto \\"x\\";"\r\n');
+    this.check('CHECKSCRIPT reports missing require', reply.startsWith('NO') && /fileinto/.test(reply), reply);
+    reply = await s.send('CHECKSCRIPT "keep;"\r\n');
+    this.check('CHECKSCRIPT accepts valid script', reply.startsWith('OK'), reply);
+
+    reply = await s.send('HAVESPACE "big" 999999\r\n');
+    this.check('HAVESPACE refuses oversized script', reply.startsWith('NO (QUOTA/MAXSIZE)'), reply);
+
+    reply = await s.send('GETSCRIPT "vacation"\r\n');
+    this.check('GETSCRIPT returns a literal', reply.startsWith('{36}\r\nrequire "fileinto";\r\nfileinto "x";\r\n\r\n') &&
+      /\r\nOK /.test(reply), JSON.stringify(reply));
+    reply = await s.send('GETSCRIPT "missing"\r\n');
+    this.check('GETSCRIPT unknown script', reply.startsWith('NO (NONEXISTENT)'), reply);
+
+    await s.send('PUTSCRIPT "other" "keep;"\r\n');
+    reply = await s.send('SETACTIVE "vacation"\r\n');
+    this.check('SETACTIVE activates', reply.startsWith('OK') && SCRIPTS.find(x => x.name === 'vacation').active, reply);
+
+    reply = await s.send('LISTSCRIPTS\r\n');
+    this.check('LISTSCRIPTS marks the active script', reply.startsWith('"other"\r\n"vacation" ACTIVE\r\nOK'), JSON.stringify(reply));
+
+    reply = await s.send('DELETESCRIPT "vacation"\r\n');
+    this.check('Active script cannot be deleted', reply.startsWith('NO (ACTIVE)'), reply);
+
+    reply = await s.send('RENAMESCRIPT "other" "vacation"\r\n');
+    this.check('Rename onto an existing name refused', reply.startsWith('NO (ALREADYEXISTS)'), reply);
+    reply = await s.send('RENAMESCRIPT "other" "spam"\r\n');
+    this.check('RENAMESCRIPT renames', reply.startsWith('OK') && SCRIPTS.some(x => x.name === 'spam'), reply);
+
+    reply = await s.send('SETACTIVE ""\r\n');
+    this.check('SETACTIVE "" deactivates', reply.startsWith('OK') && !SCRIPTS.some(x => x.active), reply);
+    reply = await s.send('DELETESCRIPT "vacation"\r\n');
+    this.check('DELETESCRIPT removes inactive script', reply.startsWith('OK') && !SCRIPTS.some(x => x.name === 'vacation'), reply);
+
+    reply = await s.send('LOGOUT\r\n');
+    this.check('LOGOUT closes the connection', reply.startsWith('OK') && reply.endsWith('<closed>'), reply);
+  }
+
+  async tests() {
+    this.testParser();
+    await this.testAuthentication();
+    await this.testScripts();
+  }
+}
+
+new ManageSieveTest().run();
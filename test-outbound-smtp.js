@@ -0,0 +1,275 @@
+const net = require('net');
+const tls = require('tls');
+
+// Point outbound delivery at the mock MX before config is loaded
+const MOCK_MX_PORT = 2626;
+process.env.OUTBOUND_SMTP_PORT = String(MOCK_MX_PORT);
+process.env.OUTBOUND_HELO_NAME = 'test-client.local';
+process.env.ENABLE_CONSOLE_LOG = 'false';
+
+const SMTPClient = require('./services/SMTPClient');
+const MailSender = require('./services/MailSender');
+const SMTPConnectionPool = require('./services/SMTPConnectionPool');
+const { TestSuite } = require('./test/helpers');
+
+// Mock MX server: rejects "unknown" recipients, defers "greylist" ones
+function createMockMX(options = {}) {
+  const received = [];
+  const stats = { connections: 0, rcpts: 0 };
+
+  const server = net.createServer((socket) => {
+    stats.connections++;
+    let buffer = '';
+    let inData = false;
+    let data = '';
+    let stalled = false;
+    let upgraded = false;
+
+    socket.write('220 mock-mx.local ESMTP ready\r\n');
+
+    socket.on('data', (chunk) => {
+      // After accepting STARTTLS a stalling server never answers the TLS handshake
+      if (stalled) {
+        return;
+      }
+      buffer += chunk.toString();
+
+      if (inData) {
+        data += buffer;
+        buffer = '';
+        const end = data.indexOf('\r\n.\r\n');
+        if (end !== -1) {
+          received.push(data.slice(0, end + 2));
+          data = '';
+          inData = false;
+          socket.write('250 2.0.0 Ok: queued as MOCK123\r\n');
+        }
+        return;
+      }
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.toUpperCase();
+
+        if (command.startsWith('EHLO')) {
+          if (options.rejectEhlo) {
+            socket.write('502 5.5.2 Command not recognized\r\n');
+          } else {
+            const offersTLS = (options.stallStartTLS || options.injectStartTLS) && !upgraded;
+            const startTLS = offersTLS ? '250-STARTTLS\r\n' : '';
+            socket.write(`250-mock-mx.local\r\n${startTLS}250-SIZE 1000000\r\n250-8BITMIME\r\n250 PIPELINING\r\n`);
+          }
+        } else if (command === 'STARTTLS' && options.stallStartTLS) {
+          stalled = true;
+          socket.write('220 2.0.0 Ready to start TLS\r\n');
+          return;
+        } else if (command === 'STARTTLS' && options.injectStartTLS) {
+          // A man in the middle appends a reply to the 220 in the same plaintext write
+          upgraded = true;
+          socket.write('220 go\r\n250 injected\r\n');
+        } else if (command.startsWith('HELO')) {
+          socket.write('250 mock-mx.local\r\n');
+        } else if (command.startsWith('MAIL FROM:')) {
+          socket.write('250 2.1.0 Ok\r\n');
+        } else if (command.startsWith('RCPT TO:')) {
+          stats.rcpts++;
+          if (command.includes('UNKNOWN')) {
+            socket.write('550 5.1.1 User unknown\r\n');
+          } else if (command.includes('GREYLIST')) {
+            socket.write('451 4.7.1 Greylisted, try again later\r\n');
+          } else {
+            socket.write('250 2.1.5 Ok\r\n');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          if (buffer) {
+            data = buffer;
+            buffer = '';
+          }
+          return;
+        } else if (command === 'QUIT') {
+          socket.write('221 2.0.0 Bye\r\n');
+          socket.end();
+        } else {
+          socket.write('250 Ok\r\n');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return { server, received, stats };
+}
+
+class OutboundSMTPTest extends TestSuite {
+  constructor() {
+    super('📤 Outbound SMTP Client Tests');
+  }
+
+  testDotStuffing() {
+    console.log('\n🧪 Testing dot-stuffing...');
+    const stuffed = SMTPClient.dotStuff('Subject: x\n\n.leading dot\nnormal\n.');
+    this.check('Line endings normalized to CRLF', !/[^\r]\n/.test(stuffed));
+    this.check('Leading dots doubled', stuffed.includes('\r\n..leading dot\r\n') && stuffed.includes('\r\n..\r\n'));
+    this.check('Terminated with <CRLF>.<CRLF>', stuffed.endsWith('\r\n.\r\n'));
+  }
+
+  testReplyParsing() {
+    console.log('\n🧪 Testing reply parsing...');
+    const reply = SMTPClient.parseReply(['250-mx.example.com', '250-STARTTLS', '250 SIZE 5000']);
+    const features = SMTPClient.parseFeatures(reply.lines);
+    this.check('Multi-line reply code parsed', reply.code === 250);
+    this.check('EHLO keywords parsed', features.has('STARTTLS') && features.get('SIZE') === '5000');
+
+    const rejection = SMTPClient.parseReply(['550 5.1.1 User unknown']);
+    this.check('Enhanced status code parsed', rejection.enhancedCode === '5.1.1');
+  }
+
+  async testTransaction() {
+    console.log('\n🧪 Testing per-recipient transaction...');
+    const { server, received } = createMockMX();
+    await new Promise(resolve => server.listen(MOCK_MX_PORT, '127.0.0.1', resolve));
+
+    try {
+      const raw = 'From: a@example.com\r\nTo: b@example.com\r\nSubject: Test\r\n\r\n.hidden line\r\nBody\r\n';
+      const result = await MailSender.sendToMXServer(
+        'a@example.com',
+        ['ok@example.com', 'unknown@example.com', 'greylist@example.com'],
+        raw,
+        { exchange: '127.0.0.1', priority: 10 }
+      );
+
+      this.check('Accepted recipient tracked', result.accepted.length === 1 && result.accepted[0] === 'ok@example.com');
+      const unknown = result.rejected.find(r => r.recipient === 'unknown@example.com');
+      const greylisted = result.rejected.find(r => r.recipient === 'greylist@example.com');
+      this.check('Permanent rejection tracked', unknown && unknown.code === 550);
+      this.check('Temporary rejection tracked', greylisted && greylisted.code === 451);
+      this.check('DATA reply returned', result.reply && result.reply.code === 250);
+      this.check('Message body dot-stuffed on the wire', received[0] && received[0].includes('\r\n..hidden line\r\n'));
+    } catch (error) {
+      this.check('Transaction completed', false, error.message);
+    } finally {
+      SMTPConnectionPool.closeAll();
+      server.close();
+    }
+  }
+
+  async testDomainBatching() {
+    console.log('\n🧪 Testing per-domain batching and connection reuse...');
+    const { server, received, stats } = createMockMX();
+    await new Promise(resolve => server.listen(MOCK_MX_PORT, '127.0.0.1', resolve));
+
+    const originalGetMX = MailSender.getMXRecords;
+    MailSender.getMXRecords = async () => [{ exchange: '127.0.0.1', priority: 10 }];
+
+    try {
+      const raw = 'From: a@example.com\r\nSubject: Newsletter\r\n\r\nHello\r\n';
+      const first = await MailSender.sendEmail({
+        sender: 'a@example.com',
+        recipients: ['one@big.example', 'two@big.example', 'three@BIG.example', 'unknown@big.example'],
+        raw
+      });
+      const second = await MailSender.sendEmail({
+        sender: 'a@example.com',
+        recipients: ['four@big.example'],
+        raw
+      });
+
+      this.check('One result per recipient', first.results.length === 4);
+      this.check('Same-domain recipients sent as one transaction', received.length === 2 && stats.rcpts === 5);
+      this.check('Rejected recipient reported without failing the others',
+        first.results.filter(r => r.success).length === 3 &&
+        first.results.find(r => r.recipient === 'unknown@big.example').permanent === true);
+      this.check('Session reused for the next queued message', second.success && stats.connections === 1);
+    } catch (error) {
+      this.check('Batched delivery completed', false, error.message);
+    } finally {
+      MailSender.getMXRecords = originalGetMX;
+      SMTPConnectionPool.closeAll();
+      server.close();
+    }
+  }
+
+  async testHeloFallback() {
+    console.log('\n🧪 Testing HELO fallback...');
+    const { server } = createMockMX({ rejectEhlo: true });
+    await new Promise(resolve => server.listen(MOCK_MX_PORT, '127.0.0.1', resolve));
+
+    const client = new SMTPClient({ host: '127.0.0.1', port: MOCK_MX_PORT, name: 'test-client.local' });
+    try {
+      await client.connect();
+      this.check('Falls back to HELO when EHLO is refused', client.features.size === 0);
+      await client.quit();
+    } catch (error) {
+      this.check('Falls back to HELO when EHLO is refused', false, error.message);
+    } finally {
+      client.close();
+      server.close();
+    }
+  }
+
+  async testStalledStartTLS() {
+    console.log('\n🧪 Testing a stalled STARTTLS handshake...');
+    const { server } = createMockMX({ stallStartTLS: true });
+    await new Promise(resolve => server.listen(MOCK_MX_PORT, '127.0.0.1', resolve));
+
+    const client = new SMTPClient({ host: '127.0.0.1', port: MOCK_MX_PORT, name: 'test-client.local', timeout: 500 });
+    const started = Date.now();
+    try {
+      await client.connect();
+      this.check('Stalled TLS handshake times out', false, 'connected');
+    } catch (error) {
+      this.check('Stalled TLS handshake times out', error.message === 'TLS negotiation timeout', error.message);
+      this.check('Gives up after the client timeout', Date.now() - started < 5000, `${Date.now() - started}ms`);
+    } finally {
+      client.close();
+      server.close();
+    }
+  }
+
+  async testStartTLSInjection() {
+    console.log('\n🧪 Testing plaintext injected after STARTTLS...');
+    const { server } = createMockMX({ injectStartTLS: true });
+    await new Promise(resolve => server.listen(MOCK_MX_PORT, '127.0.0.1', resolve));
+
+    // Stand in for the handshake: keep talking over the same socket once "secure"
+    const originalConnect = tls.connect;
+    tls.connect = (options) => {
+      setImmediate(() => options.socket.emit('secureConnect'));
+      return options.socket;
+    };
+
+    const client = new SMTPClient({ host: '127.0.0.1', port: MOCK_MX_PORT, name: 'test-client.local' });
+    try {
+      await client.connect();
+      this.check('Session upgraded', client.secure === true);
+      this.check('Injected reply not taken as the EHLO reply', client.features.has('SIZE'));
+      this.check('No plaintext replies left queued', client.replyQueue.length === 0);
+      const reply = await client.mail('a@example.com');
+      this.check('Later replies stay in step', reply.code === 250 && reply.text.includes('2.1.0'), reply.text);
+      await client.quit();
+    } catch (error) {
+      this.check('Session upgraded', false, error.message);
+    } finally {
+      tls.connect = originalConnect;
+      client.close();
+      server.close();
+    }
+  }
+
+  async tests() {
+    this.testDotStuffing();
+    this.testReplyParsing();
+    await this.testTransaction();
+    await this.testDomainBatching();
+    await this.testHeloFallback();
+    await this.testStalledStartTLS();
+    await this.testStartTLSInjection();
+  }
+}
+
+new OutboundSMTPTest().run();
@@ -0,0 +1,251 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = '';
+process.env.MAIL_AUTH_ENABLED = 'false';
+process.env.RSPAMD_ENABLED = 'false';
+
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const Email = require('./models/Email');
+const Folder = require('./models/Folder');
+const Tombstone = require('./models/Tombstone');
+const QuotaService = require('./services/QuotaService');
+const DomainService = require('./services/DomainService');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const EmailProcessor = require('./services/EmailProcessor');
+const EmailQueue = require('./services/EmailQueue');
+const DKIMService = require('./services/DKIMService');
+const RecipientResolver = require('./services/RecipientResolver');
+const IMAPServer = require('./services/IMAPServer');
+const LMTPServer = require('./services/LMTPServer');
+const MultiPortSMTPServer = require('./services/MultiPortSMTPServer');
+const { TestSuite, memoryModel, settle, fakeSocket, loginIMAP } = require('./test/helpers');
+
+const MESSAGE = 'Subject: Hi\r\n\r\nHello\r\n';
+
+// Mailboxes and domains in memory: alice has 2 KiB of her own, the rest comes from the domain defaults
+const mailboxes = new Map();
+function addMailbox(username, quota = {}) {
+  const mailbox = {
+    username,
+    domain: username.split('@')[1],
+    quota: { storage: null, messages: null, ...quota },
+    usage: { storage: 0, messages: 0 },
+    comparePassword: async (p) => p === 'secret',
+    set(path, value) { this.quota[path.split('.')[1]] = value; },
+    save: async () => mailbox
+  };
+  mailboxes.set(username, mailbox);
+}
+addMailbox('alice@example.com', { storage: 2048 });
+addMailbox('bob@example.com');
+addMailbox('postmaster@example.com');
+
+const domain = {
+  name: 'example.com',
+  active: true,
+  quota: { storage: 0, messages: 0, mailboxStorage: 0, mailboxMessages: 3 },
+  set(field, value) { this[field] = value; },
+  toObject() { return { ...this }; },
+  save: async () => domain
+};
+
+Mailbox.findOne = async (query) => mailboxes.get(query.username) || null;
+Mailbox.updateOne = async (query, update) => {
+  const mailbox = mailboxes.get(query.username);
+  for (const [path, amount] of Object.entries(update.$inc || {})) mailbox.usage[path.split('.')[1]] += amount;
+};
+Mailbox.aggregate = async (pipeline) => {
+  const members = [...mailboxes.values()].filter(mailbox => mailbox.domain === pipeline[0].$match.domain);
+  return [{
+    storage: members.reduce((total, mailbox) => total + mailbox.usage.storage, 0),
+    messages: members.reduce((total, mailbox) => total + mailbox.usage.messages, 0)
+  }];
+};
+Domain.find = () => ({ lean: async () => [domain] });
+Domain.findOne = async (query) => (query.name === domain.name ? domain : null);
+Alias.findOne = async () => null;
+
+// alice's messages; saved through the real Email hooks
+const emails = [];
+let uidNext = 1;
+
+const save = Email.prototype.save;
+memoryModel(Email, emails);
+Email.collection.insertOne = async () => ({ acknowledged: true });
+Email.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+Email.collection.findOne = async () => null;
+Email.prototype.save = async function(...args) {
+  await save.apply(this, args);
+  if (!emails.includes(this)) emails.push(this);
+  return this;
+};
+
+Folder.findOne = async (query) => (['INBOX', 'Archive'].includes(query.name) ?
+  { username: query.username, name: query.name, uidValidity: 1, uidNext } : null);
+Folder.findOneAndUpdate = async () => ({ uidNext: uidNext++, highestModseq: 1 });
+Tombstone.insertMany = async () => {};
+
+// Outgoing mail is queued but never sent
+DKIMService.signMessage = async (raw) => ({ raw, signatures: [] });
+EmailQueue.processEmail = async () => {};
+
+const server = new IMAPServer();
+server.quotaAdmins = new Set(['postmaster@example.com']);
+
+const connect = (username) => loginIMAP(server, username);
+
+class QuotaTest extends TestSuite {
+  constructor() {
+    super('📦 Quota Tests');
+  }
+
+  async testService() {
+    console.log('\n🧪 Testing quota accounting...');
+
+    const defaults = { quota: { mailboxStorage: 500, mailboxMessages: 3 } };
+    let limits = QuotaService.getMailboxLimits({ quota: { storage: null, messages: null } }, defaults);
+    this.check('Domain defaults apply', limits.storage === 500 && limits.messages === 3, limits);
+    limits = QuotaService.getMailboxLimits({ quota: { storage: 0, messages: 10 } }, defaults);
+    this.check('Mailbox limits override them, 0 unlimited', limits.storage === 0 && limits.messages === 10, limits);
+
+    const email = new Email({ recipient: 'alice@example.com', authenticatedUsername: 'alice@example.com', mailbox: 'INBOX', raw: MESSAGE });
+    await email.save();
+    const alice = mailboxes.get('alice@example.com');
+    this.check('Saved message sized and counted', email.size === Buffer.byteLength(MESSAGE) &&
+      alice.usage.storage === email.size && alice.usage.messages === 1, alice.usage);
+
+    email.flags.seen = true;
+    await email.save();
+    this.check('Later saves not counted again', alice.usage.messages === 1, alice.usage);
+
+    this.check('Message that fits', await QuotaService.checkQuota('alice@example.com', 100) === null);
+    this.check('Too large for the storage limit', await QuotaService.checkQuota('alice@example.com', 3000) === 'storage');
+    this.check('Too many for the message limit', await QuotaService.checkQuota('alice@example.com', 10, 3) === 'messages');
+    this.check('Unknown mailbox has no quota', await QuotaService.checkQuota('nobody@example.com', 1e9) === null);
+
+    domain.quota.messages = 1;
+    this.check('Domain-wide limit applies to every mailbox', await QuotaService.checkQuota('bob@example.com', 0) === 'messages');
+    domain.quota.messages = 0;
+
+    await QuotaService.release('bob@example.com', [{ uid: 9 }]);
+    this.check('Messages stored before quotas not released', mailboxes.get('bob@example.com').usage.messages === 0);
+  }
+
+  async testIMAP() {
+    console.log('\n🧪 Testing IMAP QUOTA...');
+
+    const alice = await connect('alice@example.com');
+    let output = await alice('a1 CAPABILITY\r\n');
+    this.check('QUOTA advertised', /QUOTA QUOTA=RES-STORAGE QUOTA=RES-MESSAGE QUOTASET/.test(output), output);
+
+    output = await alice('a2 GETQUOTAROOT INBOX\r\n');
+    this.check('GETQUOTAROOT names the mailbox root', output ===
+      '* QUOTAROOT "INBOX" "alice@example.com"\r\n* QUOTA "alice@example.com" (STORAGE 1 2 MESSAGE 1 3)\r\na2 OK GETQUOTAROOT completed\r\n', output);
+
+    output = await alice('a3 GETQUOTA "bob@example.com"\r\n');
+    this.check('Other users\' roots hidden', output.startsWith('a3 NO [NONEXISTENT]'), output);
+
+    output = await alice('a4 SETQUOTA "alice@example.com" (STORAGE 100000)\r\n');
+    this.check('SETQUOTA needs a quota admin', output.startsWith('a4 NO [NOPERM]'), output);
+
+    const large = `Subject: Big\r\n\r\n${'x'.repeat(3000)}\r\n`;
+    output = await alice(`a5 APPEND INBOX {${large.length}+}\r\n${large}\r\n`);
+    this.check('APPEND over quota refused', output.startsWith('a5 NO [OVERQUOTA]') && emails.length === 1, output);
+
+    output = await alice(`a6 APPEND INBOX {${MESSAGE.length}+}\r\n${MESSAGE}\r\n`);
+    this.check('APPEND within quota stored', output.includes('a6 OK [APPENDUID') &&
+      mailboxes.get('alice@example.com').usage.messages === 2, output);
+
+    await alice('a7 SELECT INBOX\r\n');
+    output = await alice('a8 COPY 1:2 Archive\r\n');
+    this.check('COPY over quota refused', output.startsWith('a8 NO [OVERQUOTA]') && emails.length === 2, output);
+
+    await alice('a9 STORE 1 +FLAGS (\\Deleted)\r\n');
+    await alice('a10 EXPUNGE\r\n');
+    this.check('EXPUNGE releases usage', mailboxes.get('alice@example.com').usage.messages === 1 &&
+      mailboxes.get('alice@example.com').usage.storage === Buffer.byteLength(MESSAGE), mailboxes.get('alice@example.com').usage);
+
+    const admin = await connect('postmaster@example.com');
+    output = await admin('p1 SETQUOTA "alice@example.com" (STORAGE 10 MESSAGE 50)\r\n');
+    this.check('Admin SETQUOTA on a mailbox', output === '* QUOTA "alice@example.com" (STORAGE 1 10 MESSAGE 1 50)\r\np1 OK SETQUOTA completed\r\n' &&
+      mailboxes.get('alice@example.com').quota.storage === 10240, output);
+
+    output = await admin('p2 SETQUOTA "example.com" (MESSAGE 100)\r\n');
+    this.check('Admin SETQUOTA on a domain', output === '* QUOTA "example.com" (MESSAGE 1 100)\r\np2 OK SETQUOTA completed\r\n' &&
+      domain.quota.messages === 100 && domain.quota.storage === 0, output);
+
+    output = await admin('p3 GETQUOTA "bob@example.com"\r\n');
+    this.check('Admin reads any root', output === '* QUOTA "bob@example.com" (MESSAGE 0 3)\r\np3 OK GETQUOTA completed\r\n', output);
+
+    output = await alice('a11 GETQUOTAROOT INBOX\r\n');
+    this.check('Domain root listed once it has a limit', output.startsWith('* QUOTAROOT "INBOX" "alice@example.com" "example.com"\r\n'), output);
+
+    output = await admin('p4 SETQUOTA "example.com" (FOO 1)\r\n');
+    this.check('Unknown resource refused', output.startsWith('p4 NO Unsupported resource FOO'), output);
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing delivery over quota...');
+
+    const bob = mailboxes.get('bob@example.com');
+    bob.usage.messages = 3;
+    const result = await IncomingEmailProcessor.deliverToMailbox('bob@example.com', 'bob@example.com',
+      { subject: 'Hi', text: 'Hello', attachments: [] }, MESSAGE);
+    this.check('Full mailbox not delivered to', !result.success && result.reason === 'over_quota', result);
+
+    const processIncomingEmail = IncomingEmailProcessor.processIncomingEmail;
+    IncomingEmailProcessor.processIncomingEmail = async (sender, recipients) => ({
+      deliveryResults: recipients.map(recipient => (recipient === 'alice@example.com' ?
+        { success: false, reason: 'over_quota' } : { success: true }))
+    });
+
+    const lmtp = new LMTPServer();
+    const socket = fakeSocket('127.0.0.1');
+    const replies = [];
+    socket.write = (data) => replies.push(data.trim());
+    lmtp.handleConnection(socket, false);
+    socket.emit('data', Buffer.from(
+      'LHLO mta.example\r\nMAIL FROM:<sender@remote.example>\r\nRCPT TO:<alice@example.com>\r\nRCPT TO:<postmaster@example.com>\r\nDATA\r\n' +
+      MESSAGE + '.\r\n'));
+    await settle();
+    const dataReplies = replies.slice(-2);
+    this.check('LMTP answers 452 4.2.2 for the full mailbox', dataReplies[0] === '452 4.2.2 <alice@example.com> mailbox full', dataReplies);
+    this.check('LMTP delivers to the others', dataReplies[1].startsWith('250 2.0.0'), dataReplies);
+
+    const smtp = new MultiPortSMTPServer();
+    const smtpReplies = [];
+    const smtpSocket = { write: (data) => smtpReplies.push(data.trim()) };
+    await smtp.handleEmailData(smtpSocket, 'sender@remote.example', ['alice@example.com'], MESSAGE, 'normal', 25, null);
+    await smtp.handleEmailData(smtpSocket, 'sender@remote.example', ['alice@example.com', 'postmaster@example.com'], MESSAGE, 'normal', 25, null);
+    this.check('SMTP answers 452 4.2.2 when nobody got it', smtpReplies[0] === '452 4.2.2 Mailbox full', smtpReplies);
+    this.check('SMTP accepts when someone got it', smtpReplies[1] === '250 Message accepted', smtpReplies);
+
+    IncomingEmailProcessor.processIncomingEmail = processIncomingEmail;
+
+    const rejection = await RecipientResolver.checkRecipient('bob@example.com');
+    this.check('Full mailbox refused at RCPT', rejection === '452 4.2.2 <bob@example.com>: Mailbox full', rejection);
+  }
+
+  async testSending() {
+    console.log('\n🧪 Testing outgoing mail...');
+
+    const alice = mailboxes.get('alice@example.com');
+    const usage = { ...alice.usage };
+    const result = await EmailProcessor.processEmail('alice@example.com', ['friend@remote.example'], MESSAGE, 'alice@example.com');
+    const queued = emails.find(email => email._id.equals(result.emailId));
+    this.check('Sent mail queued outside the sender\'s folders', queued && queued.mailbox === null && queued.uid === undefined, queued?.mailbox);
+    this.check('Sending leaves the sender\'s usage unchanged', alice.usage.storage === usage.storage &&
+      alice.usage.messages === usage.messages, alice.usage);
+  }
+
+  async tests() {
+    await this.testService();
+    await this.testIMAP();
+    await this.testDelivery();
+    await this.testSending();
+  }
+}
+
+DomainService.clearCache();
+new QuotaTest().run();
@@ -0,0 +1,191 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = 'postmaster:admin';
+process.env.MAIL_AUTH_ENABLED = 'false';
+
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const DomainService = require('./services/DomainService');
+const SMTPAuthService = require('./services/SMTPAuthService');
+const RecipientResolver = require('./services/RecipientResolver');
+const MultiPortSMTPServer = require('./services/MultiPortSMTPServer');
+const { TestSuite, memoryModel, fakeSocket } = require('./test/helpers');
+
+const MAILBOXES = ['alice@example.com', 'admin@example.com', 'alice@example.org', 'catchall@example.net']
+  .map(username => ({ username, domain: username.split('@')[1] }));
+const DOMAINS = [
+  { name: 'example.com', active: true },
+  { name: 'example.org', active: true },
+  { name: 'example.net', active: true, catchAll: 'catchall@example.net' },
+  { name: 'disabled.example', active: false }
+];
+
+// Answer mailbox and domain lookups from memory instead of MongoDB
+memoryModel(Mailbox, MAILBOXES);
+Mailbox.aggregate = async () => [];
+memoryModel(Domain, DOMAINS);
+memoryModel(Alias);
+
+/**
+ * Drive one SMTP session on port 25 over a fake socket
+ */
+async function session(lines, authenticated = false) {
+  const server = new MultiPortSMTPServer();
+  const socket = fakeSocket();
+  const replies = [];
+  let delivered = null;
+
+  socket.write = (data) => replies.push(data.trim());
+  server.handleEmailData = async (s, sender, recipients) => {
+    delivered = recipients;
+    s.write('250 Message accepted\r\n');
+  };
+
+  server.handleConnection(socket, 'plain', 25);
+
+  if (authenticated) {
+    const original = server.handleSMTPCommand.bind(server);
+    server.handleSMTPCommand = (sock, line, state, ...rest) => {
+      state.setAuthenticated(true, 'alice@example.com');
+      return original(sock, line, state, ...rest);
+    };
+  }
+
+  for (const line of lines) {
+    socket.emit('data', Buffer.from(line + '\r\n'));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { replies: replies.slice(1), delivered };
+}
+
+class RecipientValidationTest extends TestSuite {
+  constructor() {
+    super('📮 Recipient Validation Tests');
+  }
+
+  async testResolver() {
+    console.log('\n🧪 Testing recipient resolution...');
+
+    let result = await RecipientResolver.resolve('Alice@Example.COM');
+    this.check('Existing mailbox resolves', result.status === 'local' && result.username === 'alice@example.com');
+
+    result = await RecipientResolver.resolve('alice@example.org');
+    this.check('Same user in another domain is a separate mailbox', result.status === 'local' && result.username === 'alice@example.org');
+
+    result = await RecipientResolver.resolve('postmaster@example.com');
+    this.check('Alias resolves to its mailbox', result.status === 'local' && result.username === 'admin@example.com');
+
+    result = await RecipientResolver.resolve('postmaster@example.org');
+    this.check('Alias target stays in the recipient domain', result.status === 'unknown');
+
+    result = await RecipientResolver.resolve('anyone@example.net');
+    this.check('Catch-all receives unknown users', result.status === 'local' && result.username === 'catchall@example.net');
+
+    result = await RecipientResolver.resolve('alice@disabled.example');
+    this.check('Inactive domain is not local', result.status === 'remote');
+
+    result = await RecipientResolver.resolve('nobody@example.com');
+    this.check('Unknown user', result.status === 'unknown');
+
+    result = await RecipientResolver.resolve('alice@elsewhere.example');
+    this.check('Non-local domain', result.status === 'remote');
+
+    this.check('Unknown user gets 550 5.1.1',
+      (await RecipientResolver.checkRecipient('nobody@example.com')).startsWith('550 5.1.1'));
+    this.check('Relay denied without authentication',
+      (await RecipientResolver.checkRecipient('bob@elsewhere.example')).startsWith('550 5.7.1'));
+    this.check('Relay allowed when authenticated',
+      await RecipientResolver.checkRecipient('bob@elsewhere.example', true) === null);
+
+    const findOne = Mailbox.findOne;
+    Mailbox.findOne = async (query) => ({ username: query.username, domain: 'example.com', quota: { messages: 5 }, usage: { messages: 5 } });
+    this.check('Full mailbox gets 452 4.2.2',
+      (await RecipientResolver.checkRecipient('alice@example.com') || '').startsWith('452 4.2.2'));
+
+    Mailbox.findOne = async () => { throw new Error('connection lost'); };
+    this.check('Lookup failure is temporary',
+      (await RecipientResolver.checkRecipient('alice@example.com')).startsWith('451 4.3.0'));
+    Mailbox.findOne = findOne;
+  }
+
+  async testDomains() {
+    console.log('\n🧪 Testing hosted domains...');
+
+    this.check('Domain names normalized', DomainService.normalizeDomainName('Example.COM.') === 'example.com' &&
+      DomainService.normalizeDomainName('not a domain') === null);
+    this.check('Sender in own domain allowed',
+      await SMTPAuthService.validateSenderForAuthenticatedUser('sales@example.com', 'alice@example.com'));
+    this.check('Sender in another domain refused',
+      !(await SMTPAuthService.validateSenderForAuthenticatedUser('alice@example.org', 'alice@example.com')));
+
+    DOMAINS[0].active = false;
+    DomainService.clearCache();
+    this.check('Inactive domain cannot send as colleagues',
+      !(await SMTPAuthService.validateSenderForAuthenticatedUser('sales@example.com', 'alice@example.com')));
+
+    DOMAINS[0].active = true;
+    DomainService.clearCache();
+
+    const domains = DOMAINS.splice(0);
+    DomainService.clearCache();
+    this.check('Without hosted domains, domains with mailboxes are local', await DomainService.isLocalDomain('example.org'));
+    this.check('Without hosted domains, other domains are not', !(await DomainService.isLocalDomain('gmail.com')));
+
+    const { replies } = await session([
+      'EHLO client.example',
+      'MAIL FROM:<alice@example.com>',
+      'RCPT TO:<bob@gmail.com>'
+    ], true);
+    this.check('Authenticated relay to an external domain without hosted domains',
+      replies[replies.length - 1] === '250 OK', replies[replies.length - 1]);
+    DOMAINS.push(...domains);
+    DomainService.clearCache();
+  }
+
+  async testSession() {
+    console.log('\n🧪 Testing RCPT TO in an SMTP session...');
+
+    let { replies, delivered } = await session([
+      'EHLO client.example',
+      'MAIL FROM:<sender@remote.example>',
+      'RCPT TO:<alice@example.com>',
+      'RCPT TO:<nobody@example.com>',
+      'RCPT TO:<someone@elsewhere.example>',
+      'DATA',
+      'Subject: hi',
+      '',
+      'hello',
+      '.'
+    ]);
+
+    const rcpt = replies.slice(-5, -2);
+    this.check('Known recipient accepted', rcpt[0] === '250 OK', rcpt[0]);
+    this.check('Unknown recipient rejected at RCPT', rcpt[1].startsWith('550 5.1.1 <nobody@example.com>'), rcpt[1]);
+    this.check('Remote recipient relay-denied', rcpt[2].startsWith('550 5.7.1'), rcpt[2]);
+    this.check('Only accepted recipients delivered', JSON.stringify(delivered) === '["alice@example.com"]');
+
+    ({ replies } = await session([
+      'EHLO client.example',
+      'MAIL FROM:<sender@remote.example>',
+      'RCPT TO:<nobody@example.com>',
+      'DATA'
+    ]));
+    this.check('DATA refused without valid recipients', replies[replies.length - 1].startsWith('554 5.5.1'));
+
+    ({ replies } = await session([
+      'EHLO client.example',
+      'MAIL FROM:<alice@example.com>',
+      'RCPT TO:<someone@elsewhere.example>'
+    ], true));
+    this.check('Authenticated session may relay', replies[replies.length - 1] === '250 OK', replies[replies.length - 1]);
+  }
+
+  async tests() {
+    await this.testResolver();
+    await this.testDomains();
+    await this.testSession();
+  }
+}
+
+new RecipientValidationTest().run();
@@ -0,0 +1,269 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = '';
+process.env.SIEVE_ENABLED = 'true';
+
+const Sieve = require('./utils/Sieve');
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const Email = require('./models/Email');
+const IncomingEmail = require('./models/IncomingEmail');
+const SieveScript = require('./models/SieveScript');
+const Vacation = require('./models/Vacation');
+const Folder = require('./models/Folder');
+const SieveLog = require('./models/SieveLog');
+const BounceHandler = require('./services/BounceHandler');
+const EmailQueue = require('./services/EmailQueue');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const LMTPServer = require('./services/LMTPServer');
+const { TestSuite, memoryModel, fakeSocket } = require('./test/helpers');
+
+const RAW = [
+  'From: "Boss, The" <Boss@Corp.example>',
+  'To: alice+lists@example.com, other@remote.example',
+  'Subject: =?UTF-8?B?w6l0w6k=?= report',
+  'List-Id: Developers <dev.lists.example.org>',
+  'Message-ID: <sieve-test@corp.example>',
+  'Received: from a',
+  'Received: from b',
+  'Received: from c',
+  '',
+  'Quarterly numbers attached.',
+  ''
+].join('\r\n');
+
+const MAILBOXES = [{ username: 'alice@example.com' }, { username: 'bob@example.com' }];
+const SCRIPTS = [];
+let revision = 0;
+
+// Replace alice's active script; each one gets a newer timestamp so the compiled copy is dropped
+function activate(content) {
+  SCRIPTS.splice(0, SCRIPTS.length, {
+    _id: 'alice-main', username: 'alice@example.com', name: 'main', content, active: true, updatedAt: new Date(++revision)
+  });
+}
+
+// Answer lookups from memory and capture writes instead of using MongoDB
+memoryModel(Mailbox, MAILBOXES);
+memoryModel(Domain, [{ name: 'example.com', active: true }]);
+memoryModel(Alias);
+memoryModel(SieveScript, SCRIPTS);
+memoryModel(Vacation);
+Folder.findOne = async (query) => ({ username: query.username, name: query.name });
+
+const stored = [];
+const queued = [];
+const logs = [];
+memoryModel(Email, stored);
+memoryModel(IncomingEmail);
+memoryModel(SieveLog, logs);
+BounceHandler.handleIncoming = async () => null;
+EmailQueue.addToQueue = async (data) => { queued.push(data); return 'queued-id'; };
+
+function run(source, envelope = { from: 'boss@corp.example', to: 'alice+lists@example.com' }) {
+  return Sieve.execute(Sieve.compile(source), Sieve.message(RAW, envelope));
+}
+
+function summary(result) {
+  return result.actions.map(a => [a.type, a.folder || a.address || a.reason, ...(a.flags || [])].filter(Boolean).join(':')).join(' ');
+}
+
+class SieveTest extends TestSuite {
+  constructor() {
+    super('📜 Sieve Filtering Tests');
+  }
+
+  compileError(source) {
+    try {
+      Sieve.compile(source);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  testParser() {
+    console.log('\n🧪 Testing script parsing...');
+
+    const script = Sieve.compile([
+      'require ["fileinto"]; # comment',
+      '/* block',
+      '   comment */',
+      'if size :over 100K { discard; }',
+      'elsif header :is "x-test" text:',
+      'multi',
+      '..line',
+      '.',
+      '{ fileinto "Test"; } else { keep; }'
+    ].join('\r\n'));
+    this.check('Comments, numbers, multi-line strings and if/elsif/else parse', script.commands.length === 1 &&
+      script.commands[0].branches[1].test.keys[0] === 'multi\n.line\n');
+
+    let error = this.compileError('require "fileinto";\nif true {\n  fileinto "x"\n}');
+    this.check('Syntax errors carry the line number', error && error.line === 4, error && error.message);
+    error = this.compileError('fileinto "Junk";');
+    this.check('Extensions must be required', error && /require for "fileinto"/.test(error.message));
+    error = this.compileError('require "body";');
+    this.check('Unsupported extension refused', error && /Unsupported extension/.test(error.message));
+    error = this.compileError('keep;\nrequire "fileinto";');
+    this.check('require only at the start', error && error.line === 2);
+    error = this.compileError('else { keep; }');
+    this.check('else needs an if', !!error);
+    error = this.compileError('if header :is :contains "subject" "x" { keep; }');
+    this.check('Conflicting match types refused', error && /Conflicting/.test(error.message));
+    error = this.compileError('require "relational"; if header :value "xx" "subject" "a" { keep; }');
+    this.check('Unknown relation refused', error && /relation/.test(error.message));
+  }
+
+  testActions() {
+    console.log('\n🧪 Testing actions...');
+
+    this.check('Empty script keeps', summary(run('')) === 'keep');
+    this.check('fileinto cancels the implicit keep', summary(run('require "fileinto"; fileinto "Work";')) === 'fileinto:Work');
+    this.check('redirect :copy keeps a copy', summary(run('require "copy"; redirect :copy "me@elsewhere.example";')) ===
+      'redirect:me@elsewhere.example keep');
+    this.check('discard', summary(run('discard;')) === 'discard');
+    this.check('stop ends the script', summary(run('require "fileinto"; stop; fileinto "Never";')) === 'keep');
+    this.check('reject', summary(run('require "reject"; reject "Not wanted";')) === 'reject:Not wanted');
+
+    let result = run('require "reject"; reject "No"; keep;');
+    this.check('reject with keep is a runtime error that keeps', result.error && summary(result) === 'keep');
+    result = run('redirect "not an address";');
+    this.check('Bad redirect address falls back to keep', result.error && summary(result) === 'keep');
+
+    result = run('require ["imap4flags", "fileinto"]; addflag "\\\\Seen"; addflag ["work", "\\\\seen"]; fileinto "Work"; removeflag "work"; keep :flags "\\\\Flagged";');
+    this.check('imap4flags apply to later actions', summary(result) === 'fileinto:Work:\\Seen:work keep:\\Flagged', summary(result));
+  }
+
+  testTests() {
+    console.log('\n🧪 Testing tests...');
+
+    const matches = (test) => summary(run(`require ["fileinto", "envelope", "relational", "subaddress", "comparator-i;ascii-numeric"]; if ${test} { fileinto "Hit"; }`)) === 'fileinto:Hit';
+
+    this.check('header :contains is case-insensitive', matches('header :contains "subject" "REPORT"'));
+    this.check('Encoded words are decoded', matches('header :is "subject" "été report"'));
+    this.check('header :matches', matches('header :matches "list-id" "*<dev.*>"'));
+    this.check('i;octet is case-sensitive', !matches('header :contains :comparator "i;octet" "subject" "REPORT"'));
+    this.check('address :domain', matches('address :domain :is "from" "corp.example"'));
+    this.check('address ignores display names with commas', matches('address :all :is "from" "boss@corp.example"'));
+    this.check('address :count', matches('address :count "eq" :comparator "i;ascii-numeric" "to" "2"'));
+    this.check('envelope :localpart', matches('envelope :localpart :is "from" "boss"'));
+    this.check('envelope :detail', matches('envelope :detail "to" "lists"'));
+    this.check('envelope :user', matches('envelope :user :is "to" "alice"'));
+    this.check('header :count', matches('header :count "ge" :comparator "i;ascii-numeric" "received" "3"'));
+    this.check('header :value', matches('header :value "lt" "x-missing" "a"') === false && matches('header :value "gt" "subject" "a"'));
+    this.check('exists', matches('exists ["from", "list-id"]') && !matches('exists "x-spam"'));
+    this.check('size', matches('size :under 1K') && !matches('size :over 1K'));
+    this.check('allof / anyof / not', matches('allof (true, not false, anyof (false, true))') && !matches('anyof (false, not true)'));
+  }
+
+  testVariables() {
+    console.log('\n🧪 Testing variables...');
+
+    let result = run([
+      'require ["fileinto", "variables"];',
+      'if header :matches "list-id" "*<*.lists.*>" {',
+      '  set :upperfirst "list" "${2}";',
+      '  fileinto "Lists/${list}";',
+      '}'
+    ].join('\n'));
+    this.check('Match variables and set', summary(result) === 'fileinto:Lists/Dev', summary(result));
+
+    result = run('require ["fileinto", "variables"]; set "a" "x"; set :length "n" "${a}${a}${a}"; set :upper "u" "${undefined}abc"; fileinto "${n}-${u}";');
+    this.check('Modifiers and unknown variables', summary(result) === 'fileinto:3-ABC', summary(result));
+
+    result = run('require ["fileinto", "variables"]; set "v" "${unused"; if string :is "${v}" "${unused" { fileinto "Literal"; }');
+    this.check('string test and unterminated references', summary(result) === 'fileinto:Literal', summary(result));
+
+    result = run('require "fileinto"; fileinto "${x}";');
+    this.check('No expansion without the variables extension', summary(result) === 'fileinto:${x}');
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing delivery...');
+
+    activate([
+      'require ["fileinto", "imap4flags", "variables", "envelope", "subaddress", "reject"];',
+      'if envelope :detail "to" "lists" { addflag "\\\\Seen"; fileinto "Lists"; }',
+      'if header :contains "subject" "spam" { discard; stop; }',
+      'if header :contains "subject" "nope" { reject "Go away"; stop; }',
+      'if header :contains "subject" "forward" { redirect "carol@remote.example"; }'
+    ].join('\n'));
+    stored.length = 0;
+    logs.length = 0;
+
+    await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice+lists@example.com', 'bob@example.com'], RAW, 'SMTP');
+    const alice = stored.find(e => e.authenticatedUsername === 'alice@example.com');
+    const bob = stored.find(e => e.authenticatedUsername === 'bob@example.com');
+    this.check('fileinto with flags stored', alice && alice.mailbox === 'Lists' && alice.flags.seen === true);
+    this.check('User without a script keeps INBOX', bob && bob.mailbox === 'INBOX' && bob.flags.seen === false);
+    this.check('Every run is logged', logs.length === 1 && logs[0].scriptName === 'main' && logs[0].actions[0].type === 'fileinto');
+
+    stored.length = 0;
+    const spam = RAW.replace('report', 'spam');
+    let result = await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice@example.com'], spam, 'SMTP');
+    this.check('discard stores nothing but succeeds', stored.length === 0 && result.deliveryResults[0].success);
+
+    queued.length = 0;
+    const forward = RAW.replace('report', 'forward');
+    await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice@example.com'], forward, 'SMTP');
+    this.check('redirect queued with the original sender', queued.length === 1 &&
+      queued[0].recipients[0] === 'carol@remote.example' && queued[0].sender === 'boss@corp.example' &&
+      queued[0].raw.startsWith('Delivered-To: alice@example.com\r\n'));
+
+    queued.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice@example.com'], `Delivered-To: alice@example.com\r\n${forward}`, 'SMTP');
+    this.check('Redirect loop not redirected again', queued.length === 0);
+
+    queued.length = 0;
+    const nope = RAW.replace('report', 'nope');
+    result = await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice@example.com'], nope, 'SMTP');
+    this.check('SMTP rejection mailed to the sender', !result.deliveryResults[0].success && queued.length === 1 &&
+      queued[0].sender === '' && queued[0].recipients[0] === 'boss@corp.example' &&
+      /disposition-notification/.test(queued[0].raw) && /Go away/.test(queued[0].raw));
+
+    queued.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('', ['alice@example.com'], nope, 'SMTP');
+    this.check('No rejection notice to the null sender', queued.length === 0);
+
+    activate('this is not sieve');
+    stored.length = 0;
+    await IncomingEmailProcessor.processIncomingEmail('boss@corp.example', ['alice@example.com'], RAW, 'SMTP');
+    this.check('Broken stored script does not lose mail', stored.length === 1 && stored[0].mailbox === 'INBOX');
+  }
+
+  async testLMTP() {
+    console.log('\n🧪 Testing LMTP refusal...');
+
+    activate('require "reject"; reject "Not accepting mail";');
+    queued.length = 0;
+    stored.length = 0;
+
+    const server = new LMTPServer();
+    const socket = fakeSocket('127.0.0.1');
+    const replies = [];
+    socket.write = (data) => replies.push(data.trim());
+    server.handleConnection(socket, false);
+
+    socket.emit('data', Buffer.from(
+      'LHLO mta.example\r\nMAIL FROM:<boss@corp.example>\r\nRCPT TO:<alice@example.com>\r\nRCPT TO:<bob@example.com>\r\nDATA\r\n' +
+      RAW + '.\r\n'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const dataReplies = replies.slice(-2);
+    this.check('Rejecting recipient refused in the LMTP reply', dataReplies[0] === '550 5.7.1 <alice@example.com> Not accepting mail', dataReplies[0]);
+    this.check('Other recipient still delivered', dataReplies[1].startsWith('250 2.0.0'));
+    this.check('No notice when LMTP refused it', queued.length === 0);
+  }
+
+  async tests() {
+    this.testParser();
+    this.testActions();
+    this.testTests();
+    this.testVariables();
+    await this.testDelivery();
+    await this.testLMTP();
+  }
+}
+
+new SieveTest().run();
@@ -0,0 +1,167 @@
+process.env.ENABLE_CONSOLE_LOG = 'false';
+process.env.LOCAL_ALIASES = '';
+process.env.VACATION_ENABLED = 'true';
+process.env.VACATION_DEFAULT_INTERVAL = '7';
+
+const Mailbox = require('./models/Mailbox');
+const Domain = require('./models/Domain');
+const Alias = require('./models/Alias');
+const SieveScript = require('./models/SieveScript');
+const Vacation = require('./models/Vacation');
+const Folder = require('./models/Folder');
+const VacationReply = require('./models/VacationReply');
+const Email = require('./models/Email');
+const IncomingEmail = require('./models/IncomingEmail');
+const BounceHandler = require('./services/BounceHandler');
+const EmailQueue = require('./services/EmailQueue');
+const VacationService = require('./services/VacationService');
+const IncomingEmailProcessor = require('./services/IncomingEmailProcessor');
+const MIMEParser = require('./utils/MIMEParser');
+const { TestSuite, memoryModel } = require('./test/helpers');
+
+const MAILBOXES = [{ username: 'alice@example.com' }, { username: 'bob@example.com' }];
+const REPLIES = [];
+
+// Answer lookups from memory and capture writes instead of using MongoDB
+memoryModel(Mailbox, MAILBOXES);
+memoryModel(Domain, [{ name: 'example.com', active: true }]);
+memoryModel(Alias);
+memoryModel(SieveScript);
+memoryModel(Vacation);
+memoryModel(VacationReply, REPLIES);
+Folder.findOne = async (query) => ({ username: query.username, name: query.name });
+
+// When alice last answered a sender
+const lastReply = (sender) => REPLIES.find(reply => reply.username === 'alice@example.com' && reply.sender === sender);
+
+const queued = [];
+memoryModel(Email);
+memoryModel(IncomingEmail);
+BounceHandler.handleIncoming = async () => null;
+EmailQueue.addToQueue = async (data) => { queued.push(data); return 'queued-id'; };
+
+function message(extraHeaders = [], to = 'alice@example.com') {
+  return [
+    'From: Carol <carol@remote.example>',
+    `To: ${to}`,
+    'Subject: Lunch?',
+    'Message-ID: <lunch@remote.example>',
+    ...extraHeaders,
+    '',
+    'Are you free on Friday?',
+    ''
+  ].join('\r\n');
+}
+
+function skip(extraHeaders, sender = 'carol@remote.example', to = 'alice@example.com') {
+  const headers = MIMEParser.parseHeaders(MIMEParser.splitHeaderBody(message(extraHeaders, to)).header);
+  return VacationService.constructor.skipReason(sender, headers, ['alice@example.com']);
+}
+
+class VacationTest extends TestSuite {
+  constructor() {
+    super('🌴 Vacation Auto-Reply Tests');
+  }
+
+  async expectError(promise, status) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return error.status === status;
+    }
+  }
+
+  testRules() {
+    console.log('\n🧪 Testing RFC 3834 reply rules...');
+
+    this.check('Personal message may be answered', skip([]) === null);
+    this.check('Null sender never answered', skip([], '') === 'null_sender' && skip([], '<>') === 'null_sender');
+    this.check('Daemon and list senders not answered', skip([], 'MAILER-DAEMON@remote.example') === 'automated_sender' &&
+      skip([], 'owner-dev@lists.example') === 'automated_sender' && skip([], 'dev-request@lists.example') === 'automated_sender');
+    this.check('Own address not answered', skip([], 'alice@example.com') === 'own_address');
+    this.check('Auto-Submitted messages not answered', skip(['Auto-Submitted: auto-replied']) === 'auto_submitted');
+    this.check('Auto-Submitted: no may be answered', skip(['Auto-Submitted: no']) === null);
+    this.check('Bulk mail not answered', skip(['Precedence: bulk']) === 'bulk' && skip(['Precedence: list']) === 'bulk');
+    this.check('List mail not answered', skip(['List-Id: Developers <dev.lists.example>']) === 'mailing_list');
+    this.check('X-Auto-Response-Suppress honoured', skip(['X-Auto-Response-Suppress: OOF, AutoReply']) === 'suppressed');
+    this.check('Spam not answered', skip(['X-Spam-Status: Yes, score=12.00 required=6.00']) === 'spam');
+    this.check('Bcc copies not answered', skip([], 'carol@remote.example', 'team@example.com') === 'not_addressed');
+    this.check('Cc recipients answered', skip(['Cc: "Alice" <Alice@Example.com>'], 'carol@remote.example', 'dave@example.com') === null);
+  }
+
+  async testSettings() {
+    console.log('\n🧪 Testing settings...');
+
+    this.check('Enabling without a body refused',
+      await this.expectError(VacationService.updateSettings('alice@example.com', { enabled: true }), 400));
+    this.check('Multi-line subject refused',
+      await this.expectError(VacationService.updateSettings('alice@example.com', { subject: 'a\r\nBcc: x@y' }), 400));
+    this.check('Interval below one day refused',
+      await this.expectError(VacationService.updateSettings('alice@example.com', { interval: 0 }), 400));
+    this.check('End before start refused',
+      await this.expectError(VacationService.updateSettings('alice@example.com', { startDate: '2030-02-01', endDate: '2030-01-01' }), 400));
+
+    const settings = await VacationService.updateSettings('Alice@Example.com', {
+      enabled: true,
+      body: 'I am away until Monday.\nFor urgent matters write to bob@example.com.',
+      addresses: ['Alice.Smith@Example.com']
+    });
+    this.check('Settings saved with defaults', settings.username === 'alice@example.com' && settings.interval === 7 &&
+      settings.addresses[0] === 'alice.smith@example.com');
+    this.check('Active without a date range', VacationService.isActive(settings));
+    this.check('Inactive outside the date range', !VacationService.isActive({ ...settings.toObject(), startDate: new Date(Date.now() + 86400000) }) &&
+      !VacationService.isActive({ ...settings.toObject(), endDate: new Date(Date.now() - 86400000) }));
+  }
+
+  async testDelivery() {
+    console.log('\n🧪 Testing replies at delivery...');
+
+    await IncomingEmailProcessor.processIncomingEmail('carol@remote.example', ['alice@example.com'], message(), 'SMTP');
+    this.check('Reply queued for the sender', queued.length === 1 && queued[0].recipients[0] === 'carol@remote.example');
+
+    const reply = queued[0] || { raw: '' };
+    const headers = MIMEParser.parseHeaders(MIMEParser.splitHeaderBody(reply.raw).header);
+    this.check('Reply sent with a null reverse-path', reply.sender === '');
+    this.check('Reply marked Auto-Submitted', MIMEParser.findHeader(headers, 'auto-submitted') === 'auto-replied (vacation)');
+    this.check('Reply threads to the original', MIMEParser.findHeader(headers, 'in-reply-to') === '<lunch@remote.example>' &&
+      MIMEParser.findHeader(headers, 'subject') === 'Auto: Lunch?');
+    this.check('Reply comes from the mailbox', MIMEParser.findHeader(headers, 'from') === '<alice@example.com>');
+
+    await IncomingEmailProcessor.processIncomingEmail('carol@remote.example', ['alice@example.com'], message(), 'LMTP', { canRefuse: true });
+    this.check('Same sender not answered twice within the interval', queued.length === 1);
+
+    lastReply('carol@remote.example').expiresAt = new Date(Date.now() - 1000);
+    await IncomingEmailProcessor.processIncomingEmail('carol@remote.example', ['alice@example.com'], message(), 'LMTP', { canRefuse: true });
+    this.check('Answered again after the interval', queued.length === 2);
+
+    await IncomingEmailProcessor.processIncomingEmail('dave@remote.example', ['alice@example.com'],
+      message(['Precedence: bulk']), 'SMTP');
+    this.check('Bulk mail delivered without a reply', queued.length === 2);
+
+    await IncomingEmailProcessor.processIncomingEmail('erin@remote.example', ['alice@example.com'],
+      message([], 'alice.smith@example.com'), 'SMTP', { folder: 'Quarantine' });
+    this.check('Quarantined mail not answered', queued.length === 2);
+
+    await IncomingEmailProcessor.processIncomingEmail('erin@remote.example', ['alice@example.com'],
+      message([], 'Alice Smith <alice.smith@example.com>'), 'SMTP');
+    this.check('Extra addresses count as addressed to the owner', queued.length === 3);
+
+    await IncomingEmailProcessor.processIncomingEmail('carol@remote.example', ['bob@example.com'], message([], 'bob@example.com'), 'SMTP');
+    this.check('Mailboxes without settings never reply', queued.length === 3);
+
+    await VacationService.updateSettings('alice@example.com', { subject: 'Abwesenheitsnotiz – Büro geschlossen' });
+    lastReply('carol@remote.example').expiresAt = new Date(0);
+    await IncomingEmailProcessor.processIncomingEmail('carol@remote.example', ['alice@example.com'], message(), 'SMTP');
+    const subject = MIMEParser.findHeader(MIMEParser.parseHeaders(MIMEParser.splitHeaderBody(queued[3].raw).header), 'subject');
+    this.check('Non-ASCII subject encoded', /^=\?UTF-8\?B\?/.test(subject) && !/[^\x20-\x7e]/.test(subject), subject);
+  }
+
+  async tests() {
+    this.testRules();
+    await this.testSettings();
+    await this.testDelivery();
+  }
+}
+
+new VacationTest().run();
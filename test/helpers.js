@@ -0,0 +1,426 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const IMAPCommandParser = require('../utils/IMAPCommandParser');
+
+/**
+ * Shared pieces of the offline test suites: the pass/fail harness, in-memory
+ * stand-ins for MongoDB collections and fake sockets for the protocol servers.
+ * Suites run without a database; an unstubbed model call would hang.
+ */
+
+/**
+ * Base class of every suite. Subclasses implement tests(); run() reports
+ * the totals and exits non-zero when a check failed.
+ */
+class TestSuite {
+  constructor(title) {
+    this.title = title;
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  check(name, condition, details = '') {
+    if (condition) {
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      this.failed++;
+      console.log(`❌ ${name}`, ...(details === '' ? [] : ['-', details]));
+    }
+  }
+
+  async tests() {
+    throw new Error('tests() not implemented');
+  }
+
+  async run() {
+    console.log(this.title);
+    console.log('='.repeat(50));
+
+    try {
+      await this.tests();
+    } catch (error) {
+      this.check('Tests completed', false, error.stack);
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    process.exit(this.failed > 0 ? 1 : 0);
+  }
+}
+
+/**
+ * Values at a dotted path. Arrays are searched element by element unless the
+ * next part is an index, and an array at the end also matches as a whole,
+ * as in MongoDB: { 'acl.identifier': 'anyone' }, { 'deliveries.0': ... }
+ */
+function values(value, path) {
+  const parts = typeof path === 'string' ? path.split('.') : path;
+  if (parts.length === 0) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+  if (Array.isArray(value)) {
+    return /^\d+$/.test(parts[0]) ? values(value[parts[0]], parts.slice(1)) : value.flatMap(item => values(item, parts));
+  }
+  if (value === null || value === undefined) {
+    return [undefined];
+  }
+  return values(value[parts[0]], parts.slice(1));
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((object, part) => object?.[part], doc);
+}
+
+function setPath(doc, path, value) {
+  if (doc instanceof mongoose.Document) {
+    doc.set(path, value);
+    return;
+  }
+  const parts = path.split('.');
+  const parent = parts.slice(0, -1).reduce((object, part) => {
+    if (object[part] === null || object[part] === undefined) object[part] = {};
+    return object[part];
+  }, doc);
+  parent[parts[parts.length - 1]] = value;
+}
+
+// ObjectIds and dates compare by value
+function equal(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a?._bsontype === 'ObjectId' || b?._bsontype === 'ObjectId') return String(a) === String(b);
+  return false;
+}
+
+function compare(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+const isOperator = (condition) => condition && typeof condition === 'object' && !Array.isArray(condition) &&
+  !(condition instanceof Date) && !(condition instanceof RegExp) && condition._bsontype === undefined &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+function test(candidates, condition) {
+  if (condition instanceof RegExp) {
+    return candidates.some(value => typeof value === 'string' && condition.test(value));
+  }
+  if (!isOperator(condition)) {
+    return candidates.some(value => equal(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in':
+        return candidates.some(value => operand.some(item => item instanceof RegExp ? item.test(value) : equal(value, item)));
+      case '$nin':
+        return !candidates.some(value => operand.some(item => equal(value, item)));
+      case '$ne':
+        return !candidates.some(value => equal(value, operand));
+      case '$gt':
+        return candidates.some(value => value !== undefined && value !== null && compare(value, operand) > 0);
+      case '$gte':
+        return candidates.some(value => value !== undefined && value !== null && compare(value, operand) >= 0);
+      case '$lt':
+        return candidates.some(value => value !== undefined && value !== null && compare(value, operand) < 0);
+      case '$lte':
+        return candidates.some(value => value !== undefined && value !== null && compare(value, operand) <= 0);
+      case '$exists':
+        return candidates.some(value => value !== undefined) === !!operand;
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return candidates.some(value => typeof value === 'string' && regex.test(value));
+      }
+      case '$options':
+        return true;
+      case '$size':
+        return candidates.some(value => Array.isArray(value) && value.length === operand);
+      case '$not':
+        return !test(candidates, operand);
+      default:
+        throw new Error(`Query operator ${operator} not supported by the test store`);
+    }
+  });
+}
+
+/**
+ * Whether a document matches a MongoDB filter, for the operators the services use
+ */
+function matches(doc, query = {}) {
+  return Object.entries(query || {}).every(([key, condition]) => {
+    switch (key) {
+      case '$or':
+        return condition.some(branch => matches(doc, branch));
+      case '$and':
+        return condition.every(branch => matches(doc, branch));
+      case '$nor':
+        return !condition.some(branch => matches(doc, branch));
+      default:
+        return test(values(doc, key), condition);
+    }
+  });
+}
+
+/**
+ * Apply $set, $unset, $inc, $push and (when inserting) $setOnInsert; a plain
+ * object replaces the named fields
+ */
+function applyUpdate(doc, update, inserting = false) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  for (const [path, value] of Object.entries(operators.$set || {})) setPath(doc, path, value);
+  for (const path of Object.keys(operators.$unset || {})) setPath(doc, path, undefined);
+  for (const [path, amount] of Object.entries(operators.$inc || {})) setPath(doc, path, (getPath(doc, path) || 0) + amount);
+  for (const [path, value] of Object.entries(operators.$push || {})) {
+    const list = getPath(doc, path) || [];
+    const items = value && value.$each ? value.$each : [value];
+    setPath(doc, path, [...list, ...items]);
+  }
+  if (inserting) {
+    for (const [path, value] of Object.entries(operators.$setOnInsert || {})) setPath(doc, path, value);
+  }
+  return doc;
+}
+
+function sortDocs(docs, spec) {
+  const fields = Object.entries(typeof spec === 'string' ?
+    Object.fromEntries(spec.split(/\s+/).filter(Boolean).map(field => field.startsWith('-') ? [field.slice(1), -1] : [field, 1])) :
+    spec || {});
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compare(getPath(a, field), getPath(b, field));
+      if (order !== 0) return order * (direction < 0 || direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+const snapshot = (doc) => doc instanceof mongoose.Document ? doc.toObject() : { ...doc };
+
+/**
+ * Chainable query over the matching documents, resolved when awaited
+ */
+function query(docs, filter, single) {
+  let sort = null;
+  let skip = 0;
+  let limit = 0;
+  let lean = false;
+
+  const result = () => {
+    let found = docs.filter(doc => matches(doc, filter));
+    if (sort) found = sortDocs(found, sort);
+    found = found.slice(skip, limit ? skip + limit : undefined);
+    if (lean) found = found.map(snapshot);
+    return single ? found[0] || null : found;
+  };
+
+  const chain = {
+    sort: (spec) => { sort = spec; return chain; },
+    skip: (n) => { skip = n; return chain; },
+    limit: (n) => { limit = n; return chain; },
+    select: () => chain,
+    lean: () => { lean = true; return chain; },
+    exec: async () => result(),
+    then: (resolve, reject) => Promise.resolve().then(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve().then(result).catch(reject)
+  };
+  return chain;
+}
+
+/**
+ * Back a mongoose model with an in-memory array: the query, update and delete
+ * calls the services make, and save() on its documents.
+ * @param {Model} Model - e.g. Folder
+ * @param {Array} docs - The collection; plain objects or model instances
+ * @param {Object} options - { unique: ['username', 'name'] } fields whose combination save() keeps unique
+ * @returns {Array} - docs, for the suite to inspect
+ */
+function memoryModel(Model, docs = [], options = {}) {
+  const first = (filter) => docs.find(doc => matches(doc, filter)) || null;
+  const all = (filter) => docs.filter(doc => matches(doc, filter));
+  const remove = (doc) => docs.splice(docs.indexOf(doc), 1);
+
+  const insert = (fields) => {
+    const doc = fields instanceof mongoose.Document ? fields : new Model(fields);
+    docs.push(doc);
+    return doc;
+  };
+
+  const upsert = (filter, update) => {
+    const fields = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperator(value)));
+    return applyUpdate(insert(fields), update, true);
+  };
+
+  Model.find = (filter) => query(docs, filter, false);
+  Model.findOne = (filter) => query(docs, filter, true);
+  Model.findById = (id) => query(docs, { _id: id }, true);
+  Model.countDocuments = async (filter) => all(filter).length;
+  Model.distinct = async (field, filter) => {
+    const found = all(filter).flatMap(doc => values(doc, field).filter(value => value !== undefined && !Array.isArray(value)));
+    return found.filter((value, index) => found.findIndex(other => equal(other, value)) === index);
+  };
+  Model.exists = async (filter) => {
+    const doc = first(filter);
+    return doc ? { _id: doc._id } : null;
+  };
+
+  Model.updateOne = async (filter, update, settings = {}) => {
+    const doc = first(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (settings.upsert) {
+      upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+  };
+  Model.updateMany = async (filter, update) => {
+    const found = all(filter);
+    found.forEach(doc => applyUpdate(doc, update));
+    return { acknowledged: true, matchedCount: found.length, modifiedCount: found.length };
+  };
+  Model.findOneAndUpdate = async (filter, update, settings = {}) => {
+    const after = settings.new || settings.returnDocument === 'after';
+    const doc = first(filter);
+    if (!doc) {
+      return settings.upsert ? (after ? upsert(filter, update) : (upsert(filter, update), null)) : null;
+    }
+    const before = snapshot(doc);
+    applyUpdate(doc, update);
+    return after ? doc : before;
+  };
+
+  Model.deleteOne = async (filter) => {
+    const doc = first(filter);
+    if (doc) remove(doc);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  };
+  Model.deleteMany = async (filter) => {
+    const found = all(filter);
+    found.forEach(remove);
+    return { acknowledged: true, deletedCount: found.length };
+  };
+  Model.findOneAndDelete = async (filter) => {
+    const doc = first(filter);
+    if (doc) remove(doc);
+    return doc;
+  };
+  Model.insertMany = async (list) => list.map(insert);
+
+  Model.prototype.save = async function() {
+    const unique = options.unique || [];
+    if (unique.length > 0 && docs.some(doc => doc !== this && unique.every(field => equal(getPath(doc, field), getPath(this, field))))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  };
+
+  return docs;
+}
+
+// Let queued promise callbacks and socket handlers run
+const settle = async (ticks = 30) => {
+  for (let i = 0; i < ticks; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+/**
+ * Socket stand-in that collects what the server writes
+ */
+function fakeSocket(remoteAddress = '192.0.2.1') {
+  const socket = new EventEmitter();
+  socket.remoteAddress = remoteAddress;
+  socket.output = '';
+  socket.write = (data) => { socket.output += data; };
+  socket.end = () => {};
+  return socket;
+}
+
+/**
+ * Client connected to server.handleConnection over a fake socket. send() writes
+ * and returns what came back; received() returns output written since the last call.
+ */
+function connectIMAP(server, port = 143) {
+  const socket = fakeSocket();
+  server.handleConnection(socket, 'plain', port);
+
+  const received = async () => {
+    await settle();
+    const output = socket.output;
+    socket.output = '';
+    return output;
+  };
+  const send = async (data) => {
+    socket.output = '';
+    socket.emit('data', Buffer.from(data));
+    return received();
+  };
+  return { socket, send, received };
+}
+
+/**
+ * connectIMAP, logged in with the password every test mailbox has
+ * @returns {Promise<Function>} - send
+ */
+async function loginIMAP(server, username, password = 'secret') {
+  const { send } = connectIMAP(server);
+  await send(`l1 LOGIN ${username} ${password}\r\n`);
+  return send;
+}
+
+/**
+ * Run commands straight through server.handleIMAPCommand as an authenticated
+ * user, without a connection; the session state lives in the returned closure
+ * @returns {Function} - async (command) => output
+ */
+function imapSession(server, user) {
+  const socket = fakeSocket();
+  let state = 'AUTHENTICATED';
+  let mailbox = null;
+  let readOnly = false;
+  let rights = '';
+  let count = 0;
+  const handlers = {
+    setState: (s) => { state = s; },
+    getState: () => state,
+    setUser: () => {},
+    getUser: () => user,
+    setMailbox: (m) => { mailbox = m; },
+    getMailbox: () => mailbox,
+    setReadOnly: (r) => { readOnly = r; },
+    isReadOnly: () => readOnly,
+    setRights: (r) => { rights = r; },
+    getRights: () => rights,
+    enable: () => {},
+    isEnabled: () => false
+  };
+
+  const run = async (command) => {
+    socket.output = '';
+    await server.handleIMAPCommand(socket, IMAPCommandParser.parseCommand(`T${++count} ${command}\r\n`), handlers, 'test');
+    return socket.output;
+  };
+  run.state = () => state;
+  run.mailbox = () => mailbox;
+  return run;
+}
+
+module.exports = {
+  TestSuite,
+  matches,
+  applyUpdate,
+  memoryModel,
+  settle,
+  fakeSocket,
+  connectIMAP,
+  loginIMAP,
+  imapSession
+};
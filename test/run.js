@@ -0,0 +1,47 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Run the offline suites one after another, each in its own process since
+ * they replace model methods and exit when done. The connection tests
+ * (npm run test:all and friends) need running servers and are left out.
+ */
+const SUITES = [
+  'test-outbound-smtp.js',
+  'test-email-queue.js',
+  'test-dsn.js',
+  'test-bounce-parser.js',
+  'test-dkim.js',
+  'test-mail-auth.js',
+  'test-recipient-validation.js',
+  'test-aliases.js',
+  'test-sieve.js',
+  'test-managesieve.js',
+  'test-vacation.js',
+  'test-forwarding.js',
+  'test-folders.js',
+  'test-imap-fetch.js',
+  'test-imap-reader.js',
+  'test-imap-starttls.js',
+  'test-imap-idle.js',
+  'test-imap-condstore.js',
+  'test-quota.js',
+  'test-imap-acl.js',
+  'test-imap-metadata.js'
+];
+
+const root = path.join(__dirname, '..');
+const failed = [];
+
+for (const suite of SUITES) {
+  const result = spawnSync(process.execPath, [path.join(root, suite)], { cwd: root, stdio: 'inherit', timeout: 120000 });
+  if (result.status !== 0) {
+    failed.push(suite);
+  }
+  console.log();
+}
+
+console.log('='.repeat(50));
+console.log(`📊 Suites: ${SUITES.length - failed.length} passed, ${failed.length} failed`);
+failed.forEach(suite => console.log(`❌ ${suite}`));
+process.exit(failed.length > 0 ? 1 : 0);
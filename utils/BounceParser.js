@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const MIMEParser = require('./MIMEParser');
+
+const VERP_TAG = 'bounce-';
+const VERP_TAG_PATTERN = /^bounce-([a-f0-9]{24})-([a-f0-9]+)$/i;
+const VERP_HASH_LENGTH = 12;
+
+const BOUNCE_SENDER_PATTERN = /^(mailer-daemon|postmaster|mail-daemon|mailer)@/i;
+
+const ADDRESS = '[^\\s<>"(),;:@]+@[^\\s<>"(),;:]+\\.[^\\s<>"(),;:]+';
+
+/**
+ * Bounce Parser
+ * Recognises RFC 3464 delivery status reports and the common non-standard
+ * bounce formats (qmail, Exim, plain-text notices) and extracts the failed
+ * recipients, their status codes and a reference to the original message.
+ */
+class BounceParser {
+  /**
+   * Parse a message that may be a bounce. Only mail with a null or MAILER-DAEMON
+   * reverse-path counts as one, however it looks.
+   * @param {string} raw - Raw message
+   * @param {Object} envelope - { sender, recipients } of the incoming message
+   * @param {string} verpSecret - Key VERP addresses were signed with; without it they are ignored
+   * @param {string} delimiters - Recipient delimiters the VERP tag may follow
+   * @returns {Object} - { isBounce, format, recipients, originalMessageId, originalEmailId, reportingMta }
+   */
+  static parse(raw, envelope = {}, verpSecret = null, delimiters = '+') {
+    const root = MIMEParser.parse(raw);
+    const result = {
+      isBounce: false,
+      format: null,
+      recipients: [],
+      originalMessageId: null,
+      originalEmailId: null,
+      reportingMta: null
+    };
+
+    if (!BounceParser.isBounceSender(envelope.sender)) {
+      return result;
+    }
+
+    // VERP return path points straight at the outgoing email
+    for (const recipient of envelope.recipients || []) {
+      const emailId = BounceParser.decodeVERP(recipient, verpSecret, delimiters);
+      if (emailId) {
+        result.originalEmailId = emailId;
+        break;
+      }
+    }
+
+    const isReport = root.contentType.value === 'multipart/report' &&
+      /delivery-status/i.test(root.contentType.params['report-type'] || '');
+
+    if (isReport) {
+      BounceParser.parseDSN(root, result);
+      result.format = 'dsn';
+      result.isBounce = true;
+    } else {
+      BounceParser.parseNonStandard(root, result);
+      result.format = 'heuristic';
+      result.isBounce = result.recipients.length > 0;
+    }
+
+    if (!result.originalMessageId) {
+      result.originalMessageId = BounceParser.findOriginalMessageId(root);
+    }
+
+    return result;
+  }
+
+  /**
+   * RFC 3464: one per-message field group followed by one group per recipient
+   */
+  static parseDSN(root, result) {
+    const nodes = MIMEParser.flatten(root);
+    const statusNode = nodes.find(n =>
+      n.contentType.value === 'message/delivery-status' ||
+      n.contentType.value === 'message/global-delivery-status');
+
+    if (statusNode) {
+      const groups = MIMEParser.decodeText(statusNode)
+        .split(/\r?\n[ \t]*\r?\n/)
+        .map(group => MIMEParser.parseHeaders(group.trim()))
+        .filter(fields => fields.length > 0);
+
+      const [perMessage = [], ...perRecipient] = groups;
+
+      // X-Original-Email-ID in our own reports is not trusted: anyone can write it
+      result.reportingMta = BounceParser.stripType(MIMEParser.findHeader(perMessage, 'reporting-mta'));
+
+      for (const fields of perRecipient) {
+        const recipient = BounceParser.stripType(
+          MIMEParser.findHeader(fields, 'final-recipient') ||
+          MIMEParser.findHeader(fields, 'original-recipient'));
+
+        if (!recipient) continue;
+
+        const diagnosticCode = BounceParser.stripType(MIMEParser.findHeader(fields, 'diagnostic-code'));
+        const status = (MIMEParser.findHeader(fields, 'status') || '').split(/\s/)[0] || null;
+
+        result.recipients.push({
+          recipient: BounceParser.cleanAddress(recipient),
+          action: (MIMEParser.findHeader(fields, 'action') || 'failed').toLowerCase().split(/\s/)[0],
+          status,
+          diagnosticCode,
+          responseCode: BounceParser.extractResponseCode(diagnosticCode),
+          remoteMta: BounceParser.stripType(MIMEParser.findHeader(fields, 'remote-mta'))
+        });
+      }
+    }
+
+    result.originalMessageId = BounceParser.findOriginalMessageId(root);
+  }
+
+  /**
+   * Bounces are sent with the null reverse-path (RFC 5321 4.5.5), or by
+   * MTAs that still use a MAILER-DAEMON address
+   */
+  static isBounceSender(sender) {
+    const address = (sender || '').trim().replace(/^<|>$/g, '');
+    return !address || BOUNCE_SENDER_PATTERN.test(address);
+  }
+
+  /**
+   * Plain-text bounces. Tries the known layouts first and falls back to
+   * scanning for an address followed by an SMTP reply.
+   */
+  static parseNonStandard(root, result) {
+    const text = BounceParser.getNotificationText(root);
+    const found = new Map();
+
+    const add = (recipient, diagnostic) => {
+      const address = BounceParser.cleanAddress(recipient);
+      if (!address || found.has(address)) return;
+
+      const diagnosticCode = diagnostic ? diagnostic.replace(/\s+/g, ' ').trim() : null;
+      const responseCode = BounceParser.extractResponseCode(diagnosticCode);
+      const enhanced = diagnosticCode && diagnosticCode.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/);
+
+      found.set(address, {
+        recipient: address,
+        action: responseCode && responseCode < 500 ? 'delayed' : 'failed',
+        status: enhanced ? enhanced[1] : (responseCode ? `${String(responseCode)[0]}.0.0` : '5.0.0'),
+        diagnosticCode,
+        responseCode,
+        remoteMta: null
+      });
+    };
+
+    // qmail: "<user@example.com>:" followed by the remote reply
+    const qmail = new RegExp(`^<(${ADDRESS})>:[ \\t]*\\r?\\n((?:[^\\r\\n]+(?:\\r?\\n|$))*)`, 'gm');
+    let match;
+    while ((match = qmail.exec(text)) !== null) {
+      add(match[1], match[2]);
+    }
+
+    // Exim: X-Failed-Recipients header, diagnostics in the body
+    const failedHeader = MIMEParser.getHeader(root, 'x-failed-recipients');
+    if (failedHeader) {
+      for (const address of failedHeader.split(',')) {
+        add(address.trim(), BounceParser.findDiagnosticFor(text, address.trim()));
+      }
+    }
+
+    // Generic: an address and an SMTP reply on the same or next line
+    if (found.size === 0) {
+      const generic = new RegExp(`<?(${ADDRESS})>?[^\\r\\n]*?(?:\\r?\\n[ \\t]*)?((?:[45]\\d\\d)[ -][^\\r\\n]*)`, 'g');
+      while ((match = generic.exec(text)) !== null) {
+        add(match[1], match[2]);
+      }
+    }
+
+    result.recipients = [...found.values()];
+  }
+
+  static findDiagnosticFor(text, address) {
+    const index = text.toLowerCase().indexOf(address.toLowerCase());
+    if (index === -1) return null;
+
+    const after = text.slice(index, index + 500);
+    const reply = after.match(/\b([45]\d\d[ -][^\r\n]*)/);
+    return reply ? reply[1] : null;
+  }
+
+  /**
+   * Human-readable part of the bounce (first text/plain leaf)
+   */
+  static getNotificationText(root) {
+    const leaf = MIMEParser.flatten(root)
+      .find(n => n.children.length === 0 && !n.message && n.contentType.value === 'text/plain');
+
+    return leaf ? MIMEParser.decodeText(leaf) : '';
+  }
+
+  /**
+   * Message-ID of the returned original, from an attached message or
+   * header block, or from a copy quoted inline in the notification text
+   */
+  static findOriginalMessageId(root) {
+    for (const node of MIMEParser.flatten(root)) {
+      if (node === root) continue;
+
+      if (node.contentType.value === 'text/rfc822-headers') {
+        const headers = MIMEParser.parseHeaders(MIMEParser.decodeText(node));
+        const messageId = MIMEParser.findHeader(headers, 'message-id');
+        if (messageId) return messageId;
+      }
+
+      if (node.message) {
+        const messageId = MIMEParser.getHeader(node.message, 'message-id');
+        if (messageId) return messageId;
+      }
+    }
+
+    const ownId = MIMEParser.getHeader(root, 'message-id');
+    const text = BounceParser.getNotificationText(root);
+    const inline = [...text.matchAll(/^\s*Message-ID:\s*(<[^>\s]+>)/gim)]
+      .map(m => m[1])
+      .find(id => id !== ownId);
+
+    return inline || null;
+  }
+
+  /**
+   * "rfc822; user@example.com" -> "user@example.com"
+   */
+  static stripType(value) {
+    if (!value) return null;
+    const index = value.indexOf(';');
+    return (index === -1 ? value : value.slice(index + 1)).trim() || null;
+  }
+
+  static cleanAddress(address) {
+    return (address || '').trim().replace(/^<|>$/g, '').toLowerCase() || null;
+  }
+
+  static extractResponseCode(diagnostic) {
+    const match = (diagnostic || '').match(/\b([245]\d\d)(?=[ -]|$)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Tag an envelope sender with the outgoing email ID and its HMAC, after the
+   * first recipient delimiter ('+' when subaddressing is off)
+   * e.g. alice@example.com -> alice+bounce-<emailId>-<hmac>@example.com
+   */
+  static encodeVERP(sender, emailId, secret, delimiters = '+') {
+    if (!sender || !sender.includes('@')) {
+      return sender;
+    }
+
+    const index = sender.lastIndexOf('@');
+    const tag = `${VERP_TAG}${emailId}-${BounceParser.signVERP(emailId, secret)}`;
+    return `${sender.slice(0, index)}${(delimiters || '+')[0]}${tag}${sender.slice(index)}`;
+  }
+
+  /**
+   * @returns {string|null} - Email ID carried by a VERP address, null unless its hash is right
+   */
+  static decodeVERP(address, secret, delimiters = '+') {
+    const index = (address || '').lastIndexOf('@');
+    const verp = index > 0 ? BounceParser.splitVERP(address.slice(0, index), delimiters) : null;
+    if (!verp || !secret) {
+      return null;
+    }
+    const expected = Buffer.from(BounceParser.signVERP(verp.emailId, secret));
+    const actual = Buffer.from(verp.hash);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? verp.emailId : null;
+  }
+
+  /**
+   * Split a VERP tag off a local part, or null when it carries none. The hash
+   * is not checked, so this only says where the mail belongs.
+   * e.g. alice+bounce-<emailId>-<hmac> -> { base: 'alice', emailId, hash }
+   */
+  static splitVERP(localPart, delimiters = '+') {
+    const index = (localPart || '').toLowerCase().lastIndexOf(VERP_TAG);
+    if (index < 2 || !(delimiters || '+').includes(localPart[index - 1])) {
+      return null;
+    }
+
+    const match = localPart.slice(index).match(VERP_TAG_PATTERN);
+    if (!match) {
+      return null;
+    }
+    return { base: localPart.slice(0, index - 1), emailId: match[1].toLowerCase(), hash: match[2].toLowerCase() };
+  }
+
+  /**
+   * Whether a subaddress detail is a VERP tag rather than a folder name
+   */
+  static isVERPTag(detail) {
+    return VERP_TAG_PATTERN.test(detail || '');
+  }
+
+  // HMAC over the email ID, so bounces cannot be forged for other outgoing mail
+  static signVERP(emailId, secret) {
+    return crypto.createHmac('sha256', secret)
+      .update(String(emailId).toLowerCase())
+      .digest('hex')
+      .slice(0, VERP_HASH_LENGTH);
+  }
+}
+
+module.exports = BounceParser;
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const MIMEParser = require('./MIMEParser');
+
+/**
+ * DKIM (RFC 6376, RFC 8463) primitives shared by signing and verification:
+ * canonicalization, body hashing, signed-header selection and tag lists.
+ */
+class DKIM {
+  /**
+   * Normalize line endings and split a message into raw header lines and body
+   * @returns {Object} - { headerLines: [{ key, line }], body }
+   */
+  static splitMessage(raw) {
+    const normalized = String(raw || '').replace(/\r?\n/g, '\r\n');
+    const end = normalized.indexOf('\r\n\r\n');
+    const headerBlock = end === -1 ? normalized : normalized.slice(0, end);
+    const body = end === -1 ? '' : normalized.slice(end + 4);
+
+    // Keep each header with its folded continuation lines
+    const headerLines = [];
+    for (const line of headerBlock.split('\r\n')) {
+      if (/^[ \t]/.test(line) && headerLines.length > 0) {
+        headerLines[headerLines.length - 1].line += '\r\n' + line;
+      } else if (line.includes(':')) {
+        headerLines.push({ key: line.slice(0, line.indexOf(':')).trim().toLowerCase(), line });
+      }
+    }
+
+    return { normalized, headerLines, body };
+  }
+
+  /**
+   * Relaxed header canonicalization (RFC 6376 3.4.2)
+   */
+  static relaxedHeader(line) {
+    const index = line.indexOf(':');
+    const name = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1)
+      .replace(/\r\n/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+
+    return `${name}:${value}`;
+  }
+
+  static simpleHeader(line) {
+    return line;
+  }
+
+  /**
+   * Relaxed body canonicalization (RFC 6376 3.4.4)
+   */
+  static relaxedBody(body) {
+    let canonical = body
+      .split('\r\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''))
+      .join('\r\n');
+
+    canonical = canonical.replace(/(\r\n)+$/, '');
+    return canonical.length > 0 ? canonical + '\r\n' : '';
+  }
+
+  /**
+   * Simple body canonicalization (RFC 6376 3.4.3)
+   */
+  static simpleBody(body) {
+    const canonical = body.replace(/(\r\n)+$/, '');
+    return canonical + '\r\n';
+  }
+
+  static canonicalizeBody(body, method = 'relaxed', length = null) {
+    let canonical = method === 'simple' ? DKIM.simpleBody(body) : DKIM.relaxedBody(body);
+    if (length !== null && length !== undefined) {
+      canonical = Buffer.from(canonical, 'utf8').subarray(0, length).toString('utf8');
+    }
+    return canonical;
+  }
+
+  static canonicalizeHeader(line, method = 'relaxed') {
+    return method === 'simple' ? DKIM.simpleHeader(line) : DKIM.relaxedHeader(line);
+  }
+
+  static bodyHash(body, method = 'relaxed', length = null) {
+    return crypto.createHash('sha256').update(DKIM.canonicalizeBody(body, method, length), 'utf8').digest('base64');
+  }
+
+  /**
+   * Pick the header instances named in h=, bottom-up for repeated names
+   * (RFC 6376 5.4.2). Names without a remaining instance sign as empty.
+   */
+  static selectHeaders(headerLines, names) {
+    const used = new Map();
+    const selected = [];
+
+    for (const name of names) {
+      const key = name.trim().toLowerCase();
+      const instances = headerLines.filter(h => h.key === key);
+      const count = used.get(key) || 0;
+      const instance = instances[instances.length - 1 - count];
+
+      used.set(key, count + 1);
+      if (instance) {
+        selected.push(instance.line);
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Data covered by the signature: the selected headers followed by the
+   * DKIM-Signature header itself with an empty b= value and no trailing CRLF
+   */
+  static signedData(headerLines, names, signatureHeader, method = 'relaxed') {
+    const selected = DKIM.selectHeaders(headerLines, names);
+    const withoutB = signatureHeader.replace(/(^|;)(\s*b=)[^;]*/, '$1$2');
+
+    return selected.map(line => DKIM.canonicalizeHeader(line, method) + '\r\n').join('') +
+      DKIM.canonicalizeHeader(withoutB, method);
+  }
+
+  /**
+   * Sign the header data. Ed25519 signs the SHA-256 digest (RFC 8463 3).
+   */
+  static signData(data, privateKey, algorithm) {
+    if (algorithm === 'ed25519-sha256') {
+      const digest = crypto.createHash('sha256').update(data, 'utf8').digest();
+      return crypto.sign(null, digest, privateKey).toString('base64');
+    }
+    return crypto.sign('sha256', Buffer.from(data, 'utf8'), privateKey).toString('base64');
+  }
+
+  static verifyData(data, signature, publicKey, algorithm) {
+    const signatureBuffer = Buffer.from(signature.replace(/\s+/g, ''), 'base64');
+
+    if (algorithm === 'ed25519-sha256') {
+      const digest = crypto.createHash('sha256').update(data, 'utf8').digest();
+      return crypto.verify(null, digest, publicKey, signatureBuffer);
+    }
+    return crypto.verify('sha256', Buffer.from(data, 'utf8'), publicKey, signatureBuffer);
+  }
+
+  /**
+   * Parse a tag=value list (DKIM-Signature header or DNS key record)
+   */
+  static parseTags(value) {
+    const tags = {};
+    for (const part of value.replace(/\r\n/g, '').split(';')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      const tag = part.slice(0, index).trim();
+      if (tag) {
+        tags[tag] = part.slice(index + 1).replace(/[ \t]+/g, tag === 'b' || tag === 'bh' || tag === 'p' ? '' : ' ').trim();
+      }
+    }
+    return tags;
+  }
+
+  /**
+   * Fold a DKIM-Signature header: short tags share lines, h= and bh= get a
+   * line each and the b= value is wrapped (whitespace in b= is ignored)
+   * @param {Array} tags - ['v=1', 'a=rsa-sha256', ...] with b= last
+   */
+  static foldHeader(name, tags) {
+    const lines = [];
+    let current = `${name}:`;
+
+    tags.forEach((tag, index) => {
+      const last = index === tags.length - 1;
+      const piece = ` ${tag}${last ? '' : ';'}`;
+      const ownLine = /^(h|bh|b)=/.test(tag);
+
+      if (current !== `${name}:` && (ownLine || current.length + piece.length > 76)) {
+        lines.push(current);
+        current = '';
+      }
+
+      if (tag.startsWith('b=') && piece.length > 76) {
+        const value = tag.slice(2);
+        current += ' b=';
+        for (let i = 0; i < value.length; i += 72) {
+          if (i > 0) {
+            lines.push(current);
+            current = ' ';
+          }
+          current += value.slice(i, i + 72);
+        }
+        return;
+      }
+
+      current += piece;
+    });
+
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Domain used for signing and alignment: the From header domain
+   */
+  static getFromDomain(raw) {
+    return DKIM.parseFrom(raw).domain;
+  }
+
+  /**
+   * The author domain from the addr-spec of the From header, not from the display name.
+   * DMARC cannot check a message without exactly one From header naming one author
+   * (RFC 7489 6.6.1), so those give an error instead.
+   * @returns {Object} - { domain, error }
+   */
+  static parseFrom(raw) {
+    const froms = MIMEParser.getHeaders(MIMEParser.parse(raw), 'from');
+    if (froms.length === 0) {
+      return { domain: null, error: 'no From header' };
+    }
+    if (froms.length > 1) {
+      return { domain: null, error: 'multiple From headers' };
+    }
+
+    const addresses = MIMEParser.parseAddresses(froms[0])
+      .filter(address => address.group === undefined && !address.groupEnd);
+    if (addresses.length !== 1) {
+      return { domain: null, error: 'From header must name one author' };
+    }
+    const domain = addresses[0].host.trim().toLowerCase();
+    if (!domain) {
+      return { domain: null, error: 'From address has no domain' };
+    }
+    return { domain, error: null };
+  }
+
+  /**
+   * Public key value for the DNS record: SPKI DER for RSA, the raw 32-byte
+   * key for Ed25519 (RFC 8463 4)
+   */
+  static publicKeyForDNS(publicKeyPem, algorithm) {
+    const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+    if (algorithm === 'ed25519-sha256') {
+      return der.subarray(der.length - 32).toString('base64');
+    }
+    return der.toString('base64');
+  }
+
+  /**
+   * Public key object from a DNS p= value
+   */
+  static publicKeyFromDNS(p, keyType = 'rsa') {
+    const der = Buffer.from(p, 'base64');
+
+    if (keyType === 'ed25519') {
+      // Wrap the raw key in the fixed SPKI prefix for Ed25519
+      const prefix = Buffer.from('302a300506032b6570032100', 'hex');
+      return crypto.createPublicKey({ key: Buffer.concat([prefix, der]), format: 'der', type: 'spki' });
+    }
+
+    try {
+      return crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    } catch (error) {
+      // Some records publish a bare PKCS#1 RSAPublicKey
+      return crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+    }
+  }
+}
+
+module.exports = DKIM;
@@ -0,0 +1,247 @@
+const MIMEParser = require('./MIMEParser');
+
+/**
+ * IMAP views of a MIME tree from MIMEParser (RFC 3501 7.4.2)
+ * BODYSTRUCTURE/BODY, ENVELOPE and the content of BODY[section] fetches.
+ * Sizes are octets of the encoded content, as stored in Email.raw.
+ */
+class IMAPBodyStructure {
+  /**
+   * @param {Object} node - MIMEParser node
+   * @param {boolean} extended - BODYSTRUCTURE (true) or BODY (false)
+   */
+  static bodyStructure(node, extended = true) {
+    if (node.contentType.value.startsWith('multipart/')) {
+      const children = node.children.length > 0 ?
+        node.children.map(child => IMAPBodyStructure.bodyStructure(child, extended)).join('') :
+        // A multipart needs at least one part
+        IMAPBodyStructure.bodyStructure(MIMEParser.parseNode('\r\n'), extended);
+      const subtype = node.contentType.value.split('/')[1];
+
+      let result = `(${children} ${IMAPBodyStructure.string(subtype)}`;
+      if (extended) {
+        result += ` ${IMAPBodyStructure.params(node.contentType.params)} ${IMAPBodyStructure.extension(node)}`;
+      }
+      return `${result})`;
+    }
+
+    const [type, subtype = 'plain'] = node.contentType.value.split('/');
+    const params = { ...node.contentType.params };
+    if (type === 'text' && !params.charset) {
+      params.charset = 'us-ascii'; // RFC 2045 5.2 default
+    }
+
+    const fields = [
+      IMAPBodyStructure.string(type),
+      IMAPBodyStructure.string(subtype),
+      IMAPBodyStructure.params(params),
+      IMAPBodyStructure.string(MIMEParser.getHeader(node, 'content-id')),
+      IMAPBodyStructure.string(MIMEParser.getHeader(node, 'content-description')),
+      IMAPBodyStructure.string((MIMEParser.getHeader(node, 'content-transfer-encoding') || '7bit').toLowerCase()),
+      Buffer.byteLength(node.body)
+    ];
+
+    if (node.message) {
+      fields.push(IMAPBodyStructure.envelope(node.message.headers));
+      fields.push(IMAPBodyStructure.bodyStructure(node.message, extended));
+      fields.push(IMAPBodyStructure.lineCount(node.body));
+    } else if (type === 'text') {
+      fields.push(IMAPBodyStructure.lineCount(node.body));
+    }
+
+    if (extended) {
+      fields.push(IMAPBodyStructure.string(MIMEParser.getHeader(node, 'content-md5')));
+      fields.push(IMAPBodyStructure.extension(node));
+    }
+    return `(${fields.join(' ')})`;
+  }
+
+  /**
+   * Disposition, language and location shared by single and multipart bodies
+   */
+  static extension(node) {
+    const dispositionHeader = MIMEParser.getHeader(node, 'content-disposition');
+    let disposition = 'NIL';
+    if (dispositionHeader) {
+      const parsed = MIMEParser.parseHeaderValue(dispositionHeader);
+      disposition = `(${IMAPBodyStructure.string(parsed.value)} ${IMAPBodyStructure.params(parsed.params)})`;
+    }
+
+    const languages = (MIMEParser.getHeader(node, 'content-language') || '')
+      .split(',').map(language => language.trim()).filter(Boolean);
+    const language = languages.length === 0 ? 'NIL' :
+      languages.length === 1 ? IMAPBodyStructure.string(languages[0]) :
+        `(${languages.map(IMAPBodyStructure.string).join(' ')})`;
+
+    return `${disposition} ${language} ${IMAPBodyStructure.string(MIMEParser.getHeader(node, 'content-location'))}`;
+  }
+
+  /**
+   * ENVELOPE from a header list (RFC 3501 7.4.2)
+   */
+  static envelope(headers) {
+    const header = (key) => MIMEParser.findHeader(headers, key);
+    const from = header('from');
+
+    return '(' + [
+      IMAPBodyStructure.string(header('date')),
+      IMAPBodyStructure.string(header('subject')),
+      IMAPBodyStructure.addressList(from),
+      // Sender and Reply-To default to From
+      IMAPBodyStructure.addressList(header('sender') || from),
+      IMAPBodyStructure.addressList(header('reply-to') || from),
+      IMAPBodyStructure.addressList(header('to')),
+      IMAPBodyStructure.addressList(header('cc')),
+      IMAPBodyStructure.addressList(header('bcc')),
+      IMAPBodyStructure.string(header('in-reply-to')),
+      IMAPBodyStructure.string(header('message-id'))
+    ].join(' ') + ')';
+  }
+
+  static addressList(value) {
+    const addresses = MIMEParser.parseAddresses(value || '');
+    if (addresses.length === 0) {
+      return 'NIL';
+    }
+
+    return '(' + addresses.map(address => {
+      // Groups are written as a start marker (NIL NIL name NIL) and an end marker
+      if (address.group !== undefined) {
+        return `(NIL NIL ${IMAPBodyStructure.string(address.group)} NIL)`;
+      }
+      if (address.groupEnd) {
+        return '(NIL NIL NIL NIL)';
+      }
+      return `(${IMAPBodyStructure.string(address.name || null)} NIL ` +
+        `${IMAPBodyStructure.string(address.mailbox)} ${IMAPBodyStructure.string(address.host || null)})`;
+    }).join('') + ')';
+  }
+
+  /**
+   * Content of a BODY[section] fetch
+   * @param {Object} root - MIMEParser tree of the whole message
+   * @param {string} raw - The whole message
+   * @param {Object} section - { path: [1, 2], specifier: 'HEADER.FIELDS', fields: ['From'] }
+   * @returns {string|null} - null when the part does not exist
+   */
+  static getSection(root, raw, section) {
+    const { path, specifier, fields } = section;
+
+    if (path.length === 0 && !specifier) {
+      return raw;
+    }
+
+    const part = path.length > 0 ? IMAPBodyStructure.findPart(root, path) : root;
+    if (!part) {
+      return null;
+    }
+
+    if (specifier === 'MIME') {
+      return IMAPBodyStructure.headerBlock(part.header);
+    }
+    if (!specifier) {
+      return part.body;
+    }
+
+    // HEADER and TEXT of a part refer to the message it encapsulates
+    const message = path.length > 0 ? part.message : root;
+    if (!message) {
+      return null;
+    }
+
+    switch (specifier) {
+      case 'HEADER':
+        return IMAPBodyStructure.headerBlock(message.header);
+      case 'HEADER.FIELDS':
+      case 'HEADER.FIELDS.NOT': {
+        const wanted = fields.map(field => field.toLowerCase());
+        const keep = specifier === 'HEADER.FIELDS';
+        const lines = IMAPBodyStructure.headerLines(message.header)
+          .filter(line => wanted.includes(line.key) === keep);
+        return lines.map(line => `${line.text}\r\n`).join('') + '\r\n';
+      }
+      case 'TEXT':
+        return message.body;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Part by number: the parts of a multipart are numbered from 1, a
+   * single-part message has its body as part 1, and the parts of a
+   * message/rfc822 part are those of the message it encapsulates
+   */
+  static findPart(root, path) {
+    let node = root;
+
+    for (let i = 0; i < path.length; i++) {
+      let message = i === 0;
+      if (i > 0 && node.message) {
+        node = node.message;
+        message = true;
+      }
+
+      if (node.children.length > 0) {
+        node = node.children[path[i] - 1];
+      } else if (!(message && path[i] === 1)) {
+        return null;
+      }
+
+      if (!node) {
+        return null;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Header lines with their folded continuations
+   * @returns {Array} - [{ key, text }]
+   */
+  static headerLines(header) {
+    const lines = [];
+    for (const line of header.split(/\r?\n/)) {
+      if (/^[ \t]/.test(line) && lines.length > 0) {
+        lines[lines.length - 1].text += `\r\n${line}`;
+      } else if (line) {
+        lines.push({ key: line.slice(0, line.indexOf(':')).trim().toLowerCase(), text: line });
+      }
+    }
+    return lines;
+  }
+
+  static headerBlock(header) {
+    return IMAPBodyStructure.headerLines(header).map(line => `${line.text}\r\n`).join('') + '\r\n';
+  }
+
+  static lineCount(body) {
+    const newlines = (body.match(/\n/g) || []).length;
+    return body && !body.endsWith('\n') ? newlines + 1 : newlines;
+  }
+
+  static params(params) {
+    const entries = Object.entries(params || {});
+    if (entries.length === 0) {
+      return 'NIL';
+    }
+    return `(${entries.map(([key, value]) => `${IMAPBodyStructure.string(key)} ${IMAPBodyStructure.string(value)}`).join(' ')})`;
+  }
+
+  /**
+   * nstring: NIL, a quoted string, or a literal for text a quoted string cannot carry
+   */
+  static string(value) {
+    if (value === null || value === undefined) {
+      return 'NIL';
+    }
+    const text = String(value);
+    if (/[\r\n\0]|[^\x00-\x7f]/.test(text)) {
+      return `{${Buffer.byteLength(text)}}\r\n${text}`;
+    }
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+}
+
+module.exports = IMAPBodyStructure;
@@ -1,106 +1,148 @@
 /**
  * IMAP Command Parser
  * Handles quoted strings, literals, and parenthesized lists
+ * IMAPCommandReader feeds it socket data one command at a time
  */
 class IMAPCommandParser {
   /**
-   * Parse IMAP command line into parts
-   * Handles: quoted strings, literals, parentheses
-   * @param {string} line - Raw command line
-   * @returns {Array} - Parsed command parts
+   * Parse one command from the front of a buffer (RFC 3501 section 9, RFC 7888)
+   * Quoted strings and literals come back as plain values and parenthesized
+   * lists as '(' and ')' parts, so A1 APPEND "My Mail" (\\Seen) {5+}CRLF hello gives
+   * { tag: 'A1', command: 'APPEND', args: ['My Mail', '(', '\\Seen', ')', 'hello'],
+   *   quoted: [true, false, false, false, true] }.
+   * quoted[i] tells a quoted string or literal in args[i] from an atom, e.g. "NIL" from NIL.
+   * A [section] stays inside its atom: BODY.PEEK[HEADER.FIELDS (From To)]<0.100>
+   * @param {Buffer|string} input - Client data, starting at a command
+   * @param {Object} options - { maxLiteralSize, maxLineLength }
+   * @returns {Object|null} - null until the command is complete,
+   *   { literal: { offset, size, synchronizing } } while literal data is outstanding,
+   *   { tag, command, args, quoted, length } for a command of length bytes, or
+   *   { tag, error, code, fatal, length } for input that cannot be parsed
    */
-  static parse(line) {
+  static parseCommand(input, options = {}) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+    const maxLiteralSize = options.maxLiteralSize || Infinity;
+    const maxLineLength = options.maxLineLength || 64 * 1024;
+
     const parts = [];
-    let current = '';
-    let inQuotes = false;
-    let inLiteral = false;
-    let literalLength = 0;
-    let i = 0;
+    const quoted = new Set(); // indexes of parts that were quoted strings or literals
+    let depth = 0;
+    let pos = 0;
 
-    while (i < line.length) {
-      const char = line[i];
-
-      if (inLiteral) {
-        // Reading literal data
-        current += char;
-        literalLength--;
-        if (literalLength === 0) {
-          parts.push(current);
-          current = '';
-          inLiteral = false;
-        }
-        i++;
-        continue;
-      }
+    // Blank lines between commands are ignored
+    while (buffer[pos] === 0x0d || buffer[pos] === 0x0a) pos++;
+    let lineStart = pos; // literal data does not count towards the line length
 
-      if (char === '"' && !inQuotes) {
-        // Start of quoted string
-        inQuotes = true;
-        i++;
-        continue;
+    // Report an error and skip to the end of the line, or drop everything if fatal
+    const fail = (message, at, extra = {}) => {
+      const end = buffer.indexOf(0x0a, at);
+      if (!extra.fatal && end < 0) {
+        return incomplete();
       }
+      return { tag: parts.length > 0 ? parts[0] : null, error: message, ...extra, length: extra.fatal ? buffer.length : end + 1 };
+    };
+    const incomplete = () => (buffer.length - lineStart > maxLineLength ?
+      fail('Line too long', pos, { fatal: true }) : null);
 
-      if (char === '"' && inQuotes) {
-        // End of quoted string
-        inQuotes = false;
-        if (current) {
-          parts.push(current);
-          current = '';
-        }
-        i++;
-        continue;
-      }
+    while (pos < buffer.length) {
+      const c = buffer[pos];
 
-      if (char === '{' && !inQuotes) {
-        // Start of literal {length}
-        const literalMatch = line.substring(i).match(/^\{(\d+)\}/);
-        if (literalMatch) {
-          literalLength = parseInt(literalMatch[1]);
-          i += literalMatch[0].length;
-          // Skip CRLF after literal indicator
-          if (line[i] === '\r') i++;
-          if (line[i] === '\n') i++;
-          inLiteral = true;
-          continue;
-        }
-      }
+      if (c === 0x20) {
+        pos++;
+      } else if (c === 0x0d || c === 0x0a) {
+        if (c === 0x0d && pos + 1 >= buffer.length) return incomplete();
+        if (depth > 0) return fail('Unbalanced parentheses', pos);
+        if (parts.length < 2) return fail('Missing command', pos);
 
-      if (char === ' ' && !inQuotes) {
-        // Space separator
-        if (current) {
-          parts.push(current);
-          current = '';
+        return {
+          tag: parts[0],
+          command: parts[1].toUpperCase(),
+          args: parts.slice(2),
+          quoted: parts.slice(2).map((part, i) => quoted.has(i + 2)),
+          length: pos + (c === 0x0d && buffer[pos + 1] === 0x0a ? 2 : 1)
+        };
+      } else if (parts.length < 2 && [0x22, 0x28, 0x29, 0x7b].includes(c)) {
+        return fail('Tag and command must be atoms', pos);
+      } else if (c === 0x22) {
+        // Quoted string with \" and \\ escapes
+        let value = '';
+        let i = pos + 1;
+        for (;;) {
+          if (i >= buffer.length || (buffer[i] === 0x5c && i + 1 >= buffer.length)) return incomplete();
+          if (buffer[i] === 0x5c) {
+            i++;
+          } else if (buffer[i] === 0x22) {
+            break;
+          } else if (buffer[i] === 0x0d || buffer[i] === 0x0a) {
+            return fail('Line break inside a quoted string', i);
+          }
+          value += String.fromCharCode(buffer[i]);
+          i++;
         }
-        i++;
-        continue;
-      }
+        parts.push(Buffer.from(value, 'latin1').toString('utf8'));
+        quoted.add(parts.length - 1);
+        pos = i + 1;
+      } else if (c === 0x7b) {
+        // Literal: {size} waits for a continuation, {size+} (LITERAL+/LITERAL-) does not
+        const end = buffer.indexOf(0x0a, pos);
+        if (end < 0) return incomplete();
+        const match = buffer.subarray(pos, end + 1).toString('latin1').match(/^\{(\d+)(\+?)\}\r?\n$/);
+        if (!match) return fail('Invalid literal', pos);
 
-      if ((char === '(' || char === ')') && !inQuotes) {
-        // Parentheses
-        if (current) {
-          parts.push(current);
-          current = '';
+        const size = parseInt(match[1], 10);
+        const synchronizing = !match[2];
+        if (size > maxLiteralSize) {
+          // The client only sends a synchronizing literal once it is accepted
+          return fail(`Literal larger than ${maxLiteralSize} bytes`, pos, { code: 'TOOBIG', fatal: !synchronizing });
         }
-        parts.push(char);
-        i++;
-        continue;
-      }
 
-      // Regular character
-      current += char;
-      i++;
-    }
+        const offset = end + 1;
+        if (offset + size > buffer.length) {
+          return { literal: { offset, size, synchronizing } };
+        }
+        parts.push(buffer.subarray(offset, offset + size).toString('utf8'));
+        quoted.add(parts.length - 1);
+        pos = lineStart = offset + size;
+      } else if (c === 0x28) {
+        parts.push('(');
+        depth++;
+        pos++;
+      } else if (c === 0x29) {
+        if (depth === 0) return fail('Unbalanced parentheses', pos);
+        parts.push(')');
+        depth--;
+        pos++;
+      } else {
+        // Atom; spaces and parentheses inside [...] belong to it
+        let i = pos;
+        let bracket = false;
+        let quoted = false;
+        while (i < buffer.length) {
+          const b = buffer[i];
+          if (b === 0x0d || b === 0x0a) break;
+          if (bracket) {
+            if (b === 0x22) quoted = !quoted;
+            if (b === 0x5d && !quoted) bracket = false;
+          } else if (b === 0x5b) {
+            bracket = true;
+          } else if (b === 0x20 || b === 0x28 || b === 0x29) {
+            break;
+          }
+          i++;
+        }
+        if (i >= buffer.length) return incomplete();
+        if (bracket) return fail('Unterminated section', i);
 
-    // Add remaining current
-    if (current) {
-      parts.push(current);
+        parts.push(buffer.subarray(pos, i).toString('utf8'));
+        pos = i;
+      }
     }
 
-    return parts;
+    return incomplete();
   }
 
   /**
-   * Parse a parenthesized list
+   * Parse a parenthesized list from parseCommand args
    * Example: (FLAGS (\\Seen \\Flagged))
    */
   static parseParenthesizedList(parts, startIndex = 0) {
@@ -195,6 +237,171 @@ class IMAPCommandParser {
     return numbers.sort((a, b) => a - b);
   }
 
+  /**
+   * Compress ascending numbers into a message set, e.g. [1, 2, 3, 5] => "1:3,5"
+   */
+  static formatMessageSet(numbers) {
+    const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+    const ranges = [];
+    for (const number of sorted) {
+      const last = ranges[ranges.length - 1];
+      if (last && number === last[1] + 1) {
+        last[1] = number;
+      } else {
+        ranges.push([number, number]);
+      }
+    }
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}:${end}`)).join(',');
+  }
+
+  /**
+   * Parse the parameter list after SELECT, FETCH or STORE (RFC 4466, RFC 7162)
+   * Example: ( CHANGEDSINCE 12345 VANISHED ) => { CHANGEDSINCE: 12345, VANISHED: true }
+   * QRESYNC keeps its list as parts: ( QRESYNC ( 67890007 20 41:211 ) ) => { QRESYNC: ['67890007', '20', '41:211'] }
+   * @param {Array} parts - parseCommand args, starting at '('
+   */
+  static parseModifiers(parts) {
+    const modifiers = {};
+    if (parts.length === 0) {
+      return modifiers;
+    }
+    if (parts[0] !== '(' || parts[parts.length - 1] !== ')') {
+      throw new Error('Invalid parameter list');
+    }
+
+    let i = 1;
+    while (i < parts.length - 1) {
+      const name = parts[i++].toUpperCase();
+
+      if (name === 'CHANGEDSINCE' || name === 'UNCHANGEDSINCE') {
+        const value = parts[i++];
+        if (!/^\d+$/.test(value || '')) {
+          throw new Error(`${name} needs a mod-sequence`);
+        }
+        modifiers[name] = parseInt(value, 10);
+      } else if (name === 'QRESYNC') {
+        if (parts[i] !== '(') {
+          throw new Error('QRESYNC needs a parameter list');
+        }
+        let depth = 0;
+        const start = i;
+        for (; i < parts.length - 1; i++) {
+          if (parts[i] === '(') depth++;
+          if (parts[i] === ')' && --depth === 0) break;
+        }
+        modifiers[name] = parts.slice(start + 1, i);
+        i++;
+      } else if (name === 'CONDSTORE' || name === 'VANISHED') {
+        modifiers[name] = true;
+      } else {
+        throw new Error(`Unknown parameter ${name}`);
+      }
+    }
+
+    return modifiers;
+  }
+
+  /**
+   * Parse FETCH data items
+   * Example: (UID FLAGS BODY.PEEK[HEADER.FIELDS (From To)] BODY[1.2]<0.1024>)
+   * @returns {Array} - [{ name, peek, section, partial }]; peek, section and partial only for BODY[...]
+   */
+  static parseFetchItems(text) {
+    let input = String(text || '').trim();
+    if (input.startsWith('(') && input.endsWith(')')) {
+      input = input.slice(1, -1);
+    }
+
+    const macros = {
+      ALL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE'],
+      FAST: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE'],
+      FULL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE', 'BODY']
+    };
+    const simple = ['UID', 'FLAGS', 'MODSEQ', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE', 'BODY', 'BODYSTRUCTURE',
+      'RFC822', 'RFC822.HEADER', 'RFC822.TEXT'];
+
+    const items = [];
+    let i = 0;
+    while (i < input.length) {
+      if (input[i] === ' ') {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      while (i < input.length && input[i] !== ' ' && input[i] !== '[') i++;
+      const name = input.slice(start, i).toUpperCase();
+
+      if (input[i] === '[') {
+        if (name !== 'BODY' && name !== 'BODY.PEEK') {
+          throw new Error(`Invalid fetch attribute ${name}`);
+        }
+        const close = input.indexOf(']', i);
+        if (close < 0) {
+          throw new Error('Unterminated section');
+        }
+        const section = IMAPCommandParser.parseSection(input.slice(i + 1, close));
+        i = close + 1;
+
+        let partial = null;
+        const range = input.slice(i).match(/^<(\d+)\.(\d+)>/);
+        if (range) {
+          partial = { start: parseInt(range[1]), length: parseInt(range[2]) };
+          i += range[0].length;
+        }
+
+        items.push({ name: 'BODY', peek: name === 'BODY.PEEK', section, partial });
+      } else if (macros[name] && items.length === 0 && i >= input.length) {
+        items.push(...macros[name].map(macro => ({ name: macro })));
+      } else if (simple.includes(name)) {
+        items.push({ name });
+      } else {
+        throw new Error(`Invalid fetch attribute ${name}`);
+      }
+    }
+
+    if (items.length === 0) {
+      throw new Error('No fetch attributes');
+    }
+    return items;
+  }
+
+  /**
+   * Parse a section spec: 1.2, 1.2.MIME, HEADER.FIELDS (From To), TEXT, ''
+   * @returns {Object} - { path: [1, 2], specifier, fields, label }
+   */
+  static parseSection(spec) {
+    const value = spec.trim();
+    const match = value.match(/^(\d+(?:\.\d+)*)(?:\.(.*))?$/s);
+    const path = match ? match[1].split('.').map(Number) : [];
+    const rest = match ? (match[2] || '') : value;
+
+    const keyword = rest.split(/[\s(]/)[0].toUpperCase();
+    let fields = [];
+
+    if (keyword === 'HEADER.FIELDS' || keyword === 'HEADER.FIELDS.NOT') {
+      const list = rest.slice(keyword.length).trim().match(/^\((.*)\)$/s);
+      if (!list) {
+        throw new Error(`${keyword} needs a list of header fields`);
+      }
+      fields = list[1].split(/\s+/).filter(Boolean).map(IMAPCommandParser.unquote);
+    } else if (!['', 'HEADER', 'TEXT', 'MIME'].includes(keyword) || rest.trim().toUpperCase() !== keyword) {
+      throw new Error(`Invalid section ${value}`);
+    }
+
+    if (path.some(number => number < 1) || (keyword === 'MIME' && path.length === 0)) {
+      throw new Error(`Invalid section ${value}`);
+    }
+
+    const specifier = keyword + (fields.length ? ` (${fields.join(' ')})` : '');
+    return {
+      path,
+      specifier: keyword,
+      fields,
+      label: [path.join('.'), specifier].filter(Boolean).join('.')
+    };
+  }
+
   /**
    * Unquote a string if it's quoted
    */
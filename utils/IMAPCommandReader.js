@@ -0,0 +1,94 @@
+const IMAPCommandParser = require('./IMAPCommandParser');
+
+/**
+ * Streaming IMAP command reader, one per connection
+ * Buffers socket data until a command is complete, including its literals,
+ * and asks for a continuation before each synchronizing literal.
+ */
+class IMAPCommandReader {
+  /**
+   * @param {Object} options - { maxLiteralSize, maxLineLength } for IMAPCommandParser.parseCommand
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.buffer = Buffer.alloc(0);
+    this.chunks = []; // received since the last parse
+    this.needed = 0; // bytes required before parsing again, while literal data arrives
+    this.continued = -1; // offset of the last literal answered with a continuation
+  }
+
+  push(chunk) {
+    this.chunks.push(chunk);
+  }
+
+  get length() {
+    return this.chunks.reduce((total, chunk) => total + chunk.length, this.buffer.length);
+  }
+
+  /**
+   * Take the next complete command
+   * @returns {Object|null} - { tag, command, args, quoted }, { continuation: true } when the
+   *   client waits to send a literal, { tag, error, code, fatal } for unparseable input,
+   *   or null until more data arrives
+   */
+  read() {
+    if (this.needed > 0 && this.length < this.needed) {
+      return null;
+    }
+    this.flush();
+
+    const parsed = IMAPCommandParser.parseCommand(this.buffer, this.options);
+    if (!parsed) {
+      return null;
+    }
+
+    if (parsed.literal) {
+      const { offset, size, synchronizing } = parsed.literal;
+      this.needed = offset + size;
+      if (synchronizing && this.continued < offset) {
+        this.continued = offset;
+        return { continuation: true };
+      }
+      return null;
+    }
+
+    this.buffer = this.buffer.subarray(parsed.length);
+    this.needed = 0;
+    this.continued = -1;
+
+    const { length, ...command } = parsed;
+    return command;
+  }
+
+  /**
+   * Take the next raw line, for AUTHENTICATE responses and IDLE's DONE
+   * @returns {string|null}
+   */
+  readLine() {
+    this.flush();
+
+    const end = this.buffer.indexOf(0x0a);
+    if (end < 0) {
+      return null;
+    }
+    const line = this.buffer.subarray(0, end).toString('utf8').replace(/\r$/, '');
+    this.buffer = this.buffer.subarray(end + 1);
+    return line;
+  }
+
+  clear() {
+    this.buffer = Buffer.alloc(0);
+    this.chunks = [];
+    this.needed = 0;
+    this.continued = -1;
+  }
+
+  flush() {
+    if (this.chunks.length > 0) {
+      this.buffer = Buffer.concat([this.buffer, ...this.chunks]);
+      this.chunks = [];
+    }
+  }
+}
+
+module.exports = IMAPCommandReader;
@@ -2,12 +2,13 @@ const logger = require('./logger');
 
 /**
  * IMAP SEARCH criteria parser
- * Implements RFC 3501 (IMAP4rev1) and RFC 4731 (Enhanced SEARCH)
+ * Implements RFC 3501 (IMAP4rev1), RFC 4731 (Enhanced SEARCH) and MODSEQ from RFC 7162
  */
 class IMAPSearchParser {
   constructor() {
     this.pos = 0;
     this.tokens = [];
+    this.usesModseq = false; // the last query had MODSEQ, so results carry the highest modseq
   }
 
   /**
@@ -18,6 +19,7 @@ class IMAPSearchParser {
   parse(parts) {
     this.tokens = parts;
     this.pos = 0;
+    this.usesModseq = false;
 
     const query = this.parseSearchKey();
     logger.debug('Parsed SEARCH query', { input: parts.join(' '), query });
@@ -248,6 +250,17 @@ class IMAPSearchParser {
           conditions.push({ 'raw.length': { $lt: smallerSize } });
           break;
 
+        case 'MODSEQ':
+          // MODSEQ ["/flags/\\Seen" all|priv|shared] modseq; flags share one modseq here
+          this.pos++;
+          if (!/^\d+$/.test(this.tokens[this.pos] || '')) {
+            this.pos += 2;
+          }
+          const modseq = parseInt(this.tokens[this.pos++]);
+          conditions.push({ modseq: { $gte: modseq } });
+          this.usesModseq = true;
+          break;
+
         case 'UID':
           this.pos++;
           const uidSet = this.getSequenceSet();
@@ -282,6 +295,11 @@ class IMAPSearchParser {
           // End of parenthesized group
           return conditions.length === 1 ? conditions[0] : { $and: conditions };
 
+        case 'CHARSET':
+          // Strings are compared as decoded UTF-8 whatever the charset
+          this.pos += 2;
+          break;
+
         default:
           // Sequence set (message numbers)
           if (/^[0-9:,*]+$/.test(token)) {
@@ -302,19 +320,9 @@ class IMAPSearchParser {
            { $and: conditions };
   }
 
+  // Quoted strings and literals arrive as single, unquoted tokens from IMAPCommandParser
   getString() {
-    let str = this.tokens[this.pos++];
-
-    // Handle quoted strings
-    if (str.startsWith('"')) {
-      str = str.substring(1);
-      while (!str.endsWith('"') && this.pos < this.tokens.length) {
-        str += ' ' + this.tokens[this.pos++];
-      }
-      str = str.substring(0, str.length - 1);
-    }
-
-    return str;
+    return this.tokens[this.pos++] || '';
   }
 
   getDate() {
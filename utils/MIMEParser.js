@@ -0,0 +1,353 @@
+/**
+ * MIME Parser
+ * Splits a raw RFC 5322 message into a tree of MIME parts without decoding
+ * anything it does not have to, so callers can still get at the exact bytes
+ * of each header block and body.
+ */
+class MIMEParser {
+  /**
+   * Parse a raw message into a MIME tree
+   * @param {string} raw - Raw message
+   * @returns {Object} - Root node { header, body, headers, contentType, children, message }
+   */
+  static parse(raw) {
+    return MIMEParser.parseNode(String(raw || ''), 'text/plain');
+  }
+
+  static parseNode(text, defaultType = 'text/plain') {
+    const { header, body } = MIMEParser.splitHeaderBody(text);
+    const headers = MIMEParser.parseHeaders(header);
+    const contentTypeHeader = MIMEParser.findHeader(headers, 'content-type');
+    const contentType = contentTypeHeader ?
+      MIMEParser.parseHeaderValue(contentTypeHeader) :
+      { value: defaultType, params: {} };
+
+    const node = {
+      header,
+      body,
+      headers,
+      contentType,
+      children: [],
+      message: null
+    };
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+      // Parts of multipart/digest default to message/rfc822 (RFC 2046 5.1.5)
+      const childDefault = contentType.value === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+      const { parts, preamble, epilogue } = MIMEParser.splitMultipart(body, contentType.params.boundary);
+      node.preamble = preamble;
+      node.epilogue = epilogue;
+      node.children = parts.map(part => MIMEParser.parseNode(part, childDefault));
+    } else if (contentType.value === 'message/rfc822' || contentType.value === 'message/global') {
+      node.message = MIMEParser.parseNode(body);
+    }
+
+    return node;
+  }
+
+  /**
+   * Split at the first empty line. A message without one is all header.
+   */
+  static splitHeaderBody(text) {
+    // A part may start with the empty line directly (no headers)
+    if (/^\r?\n/.test(text)) {
+      return { header: '', body: text.replace(/^\r?\n/, '') };
+    }
+
+    const match = text.match(/\r?\n\r?\n/);
+    if (!match) {
+      return { header: text, body: '' };
+    }
+
+    return {
+      header: text.slice(0, match.index),
+      body: text.slice(match.index + match[0].length)
+    };
+  }
+
+  /**
+   * Unfold and split a header block
+   * @returns {Array} - [{ key (lowercase), name, value }]
+   */
+  static parseHeaders(header) {
+    const headers = [];
+    const unfolded = header.replace(/\r?\n(?=[ \t])/g, '');
+
+    for (const line of unfolded.split(/\r?\n/)) {
+      const index = line.indexOf(':');
+      if (index <= 0) continue;
+
+      const name = line.slice(0, index).trim();
+      headers.push({
+        key: name.toLowerCase(),
+        name,
+        value: line.slice(index + 1).trim()
+      });
+    }
+
+    return headers;
+  }
+
+  static findHeader(headers, key) {
+    const header = headers.find(h => h.key === key.toLowerCase());
+    return header ? header.value : null;
+  }
+
+  static getHeader(node, key) {
+    return MIMEParser.findHeader(node.headers, key);
+  }
+
+  static getHeaders(node, key) {
+    return node.headers.filter(h => h.key === key.toLowerCase()).map(h => h.value);
+  }
+
+  /**
+   * Split an address header into addresses and group markers; quoted display names,
+   * comments and groups are not mistaken for addresses
+   * e.g. '"Doe, Jane" <jane@example.com>, team: a@example.com;' ->
+   *   [{ name: 'Doe, Jane', mailbox: 'jane', host: 'example.com' }, { group: 'team' }, ..., { groupEnd: true }]
+   */
+  static parseAddresses(value) {
+    const entries = [];
+    let current = '';
+    let inQuotes = false;
+    let inAngle = false;
+    let comment = 0;
+
+    const flush = () => {
+      const entry = MIMEParser.parseAddress(current);
+      if (entry) entries.push(entry);
+      current = '';
+    };
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+
+      if (comment > 0) {
+        if (char === '(') comment++;
+        if (char === ')') comment--;
+        continue;
+      }
+      if (char === '\\' && inQuotes) {
+        current += char + (value[++i] || '');
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && char === '(' && !inAngle) {
+        comment = 1;
+        continue;
+      } else if (!inQuotes && char === '<') {
+        inAngle = true;
+      } else if (!inQuotes && char === '>') {
+        inAngle = false;
+      } else if (!inQuotes && !inAngle && char === ',') {
+        flush();
+        continue;
+      } else if (!inQuotes && !inAngle && char === ':') {
+        entries.push({ group: MIMEParser.unquote(current.trim()) });
+        current = '';
+        continue;
+      } else if (!inQuotes && !inAngle && char === ';') {
+        flush();
+        entries.push({ groupEnd: true });
+        continue;
+      }
+      current += char;
+    }
+    flush();
+
+    return entries;
+  }
+
+  static parseAddress(text) {
+    const value = text.trim();
+    if (!value) {
+      return null;
+    }
+
+    let name = '';
+    let address = value;
+    const angle = value.match(/^(.*)<([^>]*)>\s*$/);
+    if (angle) {
+      name = MIMEParser.unquote(angle[1].trim());
+      address = angle[2].trim();
+    }
+
+    const index = address.lastIndexOf('@');
+    return index < 0 ?
+      { name, mailbox: address, host: '' } :
+      { name, mailbox: address.slice(0, index), host: address.slice(index + 1) };
+  }
+
+  static unquote(value) {
+    return /^".*"$/.test(value) ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+  }
+
+  /**
+   * Parse a structured header value such as Content-Type or
+   * Content-Disposition into its value and parameters
+   * e.g. 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+   */
+  static parseHeaderValue(value) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+
+      if (char === '\\' && inQuotes && i + 1 < value.length) {
+        current += value[++i];
+      } else if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ';' && !inQuotes) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+
+    const params = {};
+    for (const part of parts.slice(1)) {
+      const index = part.indexOf('=');
+      if (index <= 0) continue;
+
+      let key = part.slice(0, index).trim().toLowerCase();
+      let paramValue = part.slice(index + 1).trim();
+
+      // RFC 2231 extended parameters: name*=charset'lang'value, name*0=...
+      const extended = key.match(/^([^*]+)\*(\d+)?\*?$/);
+      if (extended) {
+        key = extended[1];
+        const encoded = paramValue.match(/^[^']*'[^']*'(.*)$/);
+        if (encoded) {
+          try {
+            paramValue = decodeURIComponent(encoded[1]);
+          } catch (error) {
+            paramValue = encoded[1];
+          }
+        }
+        params[key] = extended[2] && extended[2] !== '0' ? (params[key] || '') + paramValue : paramValue;
+        continue;
+      }
+
+      params[key] = paramValue;
+    }
+
+    return { value: (parts[0] || '').toLowerCase(), params };
+  }
+
+  /**
+   * Split a multipart body on its boundary
+   */
+  static splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const lines = body.split(/(\r?\n)/);
+    const parts = [];
+    let preamble = '';
+    let epilogue = '';
+    let current = null;
+    let closed = false;
+
+    // Rebuild the body line by line so line endings are kept as-is
+    for (let i = 0; i < lines.length; i += 2) {
+      const line = lines[i];
+      const eol = lines[i + 1] || '';
+
+      if (closed) {
+        epilogue += line + eol;
+        continue;
+      }
+
+      const trimmed = line.replace(/[ \t]+$/, '');
+      if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+        if (current !== null) {
+          // The line break before a delimiter belongs to the delimiter
+          parts.push(current.replace(/\r?\n$/, ''));
+        }
+        if (trimmed === `${delimiter}--`) {
+          closed = true;
+          current = null;
+        } else {
+          current = '';
+        }
+        continue;
+      }
+
+      if (current === null) {
+        preamble += line + eol;
+      } else {
+        current += line + eol;
+      }
+    }
+
+    // Unterminated multipart - keep what we have
+    if (current !== null && current !== '') {
+      parts.push(current.replace(/\r?\n$/, ''));
+    }
+
+    return { parts, preamble, epilogue };
+  }
+
+  /**
+   * Decode a leaf part's body according to its Content-Transfer-Encoding
+   * @returns {Buffer}
+   */
+  static decodeBody(node) {
+    const encoding = (MIMEParser.getHeader(node, 'content-transfer-encoding') || '7bit').toLowerCase();
+
+    if (encoding === 'base64') {
+      return Buffer.from(node.body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    }
+
+    if (encoding === 'quoted-printable') {
+      const bytes = [];
+      const text = node.body.replace(/=\r?\n/g, '');
+      for (let i = 0; i < text.length; i++) {
+        if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+          bytes.push(parseInt(text.substr(i + 1, 2), 16));
+          i += 2;
+        } else {
+          bytes.push(...Buffer.from(text[i], 'utf8'));
+        }
+      }
+      return Buffer.from(bytes);
+    }
+
+    return Buffer.from(node.body, 'utf8');
+  }
+
+  /**
+   * Decoded text of a leaf part
+   */
+  static decodeText(node) {
+    const charset = (node.contentType.params.charset || 'utf-8').toLowerCase();
+    const buffer = MIMEParser.decodeBody(node);
+
+    try {
+      return new TextDecoder(charset).decode(buffer);
+    } catch (error) {
+      return buffer.toString('utf8');
+    }
+  }
+
+  /**
+   * Depth-first list of every node in the tree, including parts of
+   * encapsulated messages
+   */
+  static flatten(node, list = []) {
+    list.push(node);
+    for (const child of node.children) {
+      MIMEParser.flatten(child, list);
+    }
+    if (node.message) {
+      MIMEParser.flatten(node.message, list);
+    }
+    return list;
+  }
+}
+
+module.exports = MIMEParser;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SRS_PATTERN = /^SRS([01])[=+-](.*)$/i;
+const HASH_LENGTH = 4;
+
+/**
+ * Sender Rewriting Scheme
+ * Rewrites the envelope sender of forwarded mail into an address in one of
+ * our domains, so SPF passes at the next hop, and turns bounces sent to that
+ * address back into the original sender.
+ *
+ *   alice@remote.example       -> SRS0=HHHH=TT=remote.example=alice@example.com
+ *   SRS0=HHHH=TT=d=l@fwd.example -> SRS1=HHHH=fwd.example==HHHH=TT=d=l@example.com
+ */
+class SRS {
+  static isSRS(address) {
+    return SRS_PATTERN.test(String(address || ''));
+  }
+
+  /**
+   * @param {string} sender - Envelope sender of the message being forwarded
+   * @param {string} domain - Our domain the rewritten address is in
+   * @param {string} secret - Key for the hash that makes addresses unforgeable
+   */
+  static forward(sender, domain, secret) {
+    const [local, senderDomain] = SRS.splitAddress(sender);
+    const match = local.match(SRS_PATTERN);
+
+    if (match && match[1] === '1') {
+      // SRS1=HHHH=first-hop==rest: keep the first forwarder, re-sign for us
+      const [, host, rest] = match[2].match(/^[^=]*=([^=]*)=(.*)$/) || [];
+      if (host !== undefined) {
+        return `SRS1=${SRS.hash(secret, host, rest)}=${host}=${rest}@${domain}`;
+      }
+    }
+
+    if (match) {
+      // Already rewritten once by another forwarder: point at that forwarder
+      const rest = local.slice(4);
+      return `SRS1=${SRS.hash(secret, senderDomain, rest)}=${senderDomain}=${rest}@${domain}`;
+    }
+
+    const timestamp = SRS.timestamp();
+    return `SRS0=${SRS.hash(secret, timestamp, senderDomain, local)}=${timestamp}=${senderDomain}=${local}@${domain}`;
+  }
+
+  /**
+   * Original address of a rewritten one
+   * @param {number} maxAge - Days an SRS0 address stays valid
+   * @returns {string|null} - null when the hash is wrong, the address too old or not SRS
+   */
+  static reverse(address, secret, maxAge = 21) {
+    const [local] = SRS.splitAddress(address);
+    const match = local.match(SRS_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    if (match[1] === '1') {
+      const parts = match[2].match(/^([^=]+)=([^=]+)=(.+)$/);
+      if (!parts || !SRS.checkHash(parts[1], secret, parts[2], parts[3])) {
+        return null;
+      }
+      return `SRS0${parts[3]}@${parts[2]}`;
+    }
+
+    const parts = match[2].match(/^([^=]+)=([^=]{2})=([^=]+)=(.+)$/);
+    if (!parts) {
+      return null;
+    }
+    const [, hash, timestamp, domain, original] = parts;
+    if (!SRS.checkHash(hash, secret, timestamp, domain, original) || SRS.age(timestamp) > maxAge) {
+      return null;
+    }
+    return `${original}@${domain}`;
+  }
+
+  /**
+   * Days since the epoch, modulo 1024, as two base32 characters
+   */
+  static timestamp(now = Date.now()) {
+    const days = Math.floor(now / 86400000) % 1024;
+    return BASE32[days >> 5] + BASE32[days & 31];
+  }
+
+  static age(timestamp, now = Date.now()) {
+    const upper = BASE32.indexOf(timestamp[0].toUpperCase());
+    const lower = BASE32.indexOf(timestamp[1].toUpperCase());
+    if (upper < 0 || lower < 0) {
+      return Infinity;
+    }
+    const today = Math.floor(now / 86400000) % 1024;
+    return (today - ((upper << 5) | lower) + 1024) % 1024;
+  }
+
+  /**
+   * Addresses are often lowercased on the way back, so the hash is taken
+   * over lowercase parts and compared without regard to case
+   */
+  static hash(secret, ...parts) {
+    return crypto.createHmac('sha1', secret)
+      .update(parts.join('').toLowerCase())
+      .digest('base64')
+      .slice(0, HASH_LENGTH);
+  }
+
+  static checkHash(hash, secret, ...parts) {
+    return hash.toLowerCase() === SRS.hash(secret, ...parts).toLowerCase();
+  }
+
+  static splitAddress(address) {
+    const value = String(address || '').trim().replace(/^<|>$/g, '');
+    const index = value.lastIndexOf('@');
+    return index < 0 ? [value, ''] : [value.slice(0, index), value.slice(index + 1)];
+  }
+}
+
+module.exports = SRS;
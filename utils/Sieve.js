@@ -0,0 +1,971 @@
+const MIMEParser = require('./MIMEParser');
+
+const EXTENSIONS = [
+  'fileinto', 'reject', 'envelope', 'variables', 'relational', 'imap4flags', 'copy', 'subaddress',
+  'comparator-i;ascii-numeric', 'comparator-i;octet', 'comparator-i;ascii-casemap'
+];
+
+const COMPARATORS = ['i;ascii-casemap', 'i;octet', 'i;ascii-numeric'];
+const RELATIONS = ['gt', 'ge', 'lt', 'le', 'eq', 'ne'];
+
+// Tags shared by the header, address, envelope, string and hasflag tests
+const MATCH_TAGS = {
+  is: { group: 'match' },
+  contains: { group: 'match' },
+  matches: { group: 'match' },
+  value: { group: 'match', param: 'string', extension: 'relational' },
+  count: { group: 'match', param: 'string', extension: 'relational' },
+  comparator: { group: 'comparator', param: 'string' }
+};
+
+const ADDRESS_TAGS = {
+  ...MATCH_TAGS,
+  all: { group: 'part' },
+  localpart: { group: 'part' },
+  domain: { group: 'part' },
+  user: { group: 'part', extension: 'subaddress' },
+  detail: { group: 'part', extension: 'subaddress' }
+};
+
+const SET_TAGS = {
+  lower: { group: 'case' },
+  upper: { group: 'case' },
+  lowerfirst: { group: 'casefirst' },
+  upperfirst: { group: 'casefirst' },
+  quotewildcard: { group: 'quotewildcard' },
+  length: { group: 'length' }
+};
+
+const FLAG_TAGS = { flags: { group: 'flags', param: 'list', extension: 'imap4flags' } };
+const COPY_TAGS = { copy: { group: 'copy', extension: 'copy' } };
+
+/**
+ * Sieve (RFC 5228)
+ * Parses and runs mail filtering scripts. Besides the base language it
+ * supports fileinto, reject (RFC 5429), envelope, variables (RFC 5229),
+ * relational (RFC 5231), imap4flags (RFC 5232), copy (RFC 3894) and
+ * subaddress (RFC 5233). Running a script only decides what should happen
+ * to the message; the caller carries out the returned actions.
+ */
+class Sieve {
+  /**
+   * Parse and check a script
+   * @param {string} source - Script text
+   * @returns {Object} - { commands, extensions }
+   * @throws {Error} - With `line` set to where the script is wrong
+   */
+  static compile(source) {
+    const context = { extensions: new Set(), requireAllowed: true };
+    const commands = Sieve.compileBlock(Sieve.parse(source), context);
+    return { commands, extensions: context.extensions };
+  }
+
+  /**
+   * Run a compiled script against a message
+   * @param {Object} script - Result of compile()
+   * @param {Object} message - From Sieve.message()
+   * @param {Object} options - { delimiter, maxRedirects }
+   * @returns {Object} - { actions: [{ type, folder, address, reason, flags }], error }
+   */
+  static execute(script, message, options = {}) {
+    const run = {
+      message,
+      options: { delimiter: '+', maxRedirects: 4, ...options },
+      variablesEnabled: script.extensions.has('variables'),
+      variables: {},
+      matches: [],
+      flags: [],
+      actions: [],
+      implicitKeep: true,
+      stopped: false
+    };
+
+    try {
+      Sieve.runBlock(run, script.commands);
+
+      if (run.implicitKeep) {
+        run.actions.push({ type: 'keep', flags: [...run.flags] });
+      }
+
+      const rejected = run.actions.some(a => a.type === 'reject');
+      if (rejected && run.actions.some(a => ['keep', 'fileinto', 'redirect'].includes(a.type))) {
+        throw Sieve.error('reject cannot be combined with keep, fileinto or redirect');
+      }
+
+      return { actions: run.actions, error: null };
+    } catch (error) {
+      // A runtime error falls back to the implicit keep (RFC 5228 2.10.6)
+      return { actions: [{ type: 'keep', flags: [] }], error: error.message };
+    }
+  }
+
+  /**
+   * Build the message view a script runs against
+   * @param {string} raw - Raw message
+   * @param {Object} envelope - { from, to } of this delivery
+   */
+  static message(raw, envelope = {}) {
+    const text = String(raw || '');
+    return {
+      headers: MIMEParser.parseHeaders(MIMEParser.splitHeaderBody(text).header),
+      envelope: { from: envelope.from || '', to: envelope.to || '' },
+      size: Buffer.byteLength(text)
+    };
+  }
+
+  // Lexer
+
+  static tokenize(source) {
+    const text = String(source || '').replace(/\r\n/g, '\n');
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+
+    const patterns = {
+      multiline: /text:[ \t]*(#[^\n]*)?\n/iy,
+      number: /(\d+)([KMG]?)/iy,
+      tag: /:([A-Za-z_][A-Za-z0-9_]*)/y,
+      identifier: /[A-Za-z_][A-Za-z0-9_]*/y
+    };
+    const at = (name) => {
+      patterns[name].lastIndex = pos;
+      return patterns[name].exec(text);
+    };
+
+    while (pos < text.length) {
+      const ch = text[pos];
+      let match;
+
+      if (ch === '\n') {
+        line++;
+        pos++;
+      } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+        pos++;
+      } else if (ch === '#') {
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end;
+      } else if (text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) throw Sieve.error('Unterminated comment', line);
+        line += text.slice(pos, end).split('\n').length - 1;
+        pos = end + 2;
+      } else if ('[](){},;'.includes(ch)) {
+        tokens.push({ type: ch, line });
+        pos++;
+      } else if (ch === '"') {
+        const start = line;
+        let value = '';
+        pos++;
+        for (;;) {
+          if (pos >= text.length) throw Sieve.error('Unterminated string', start);
+          const c = text[pos];
+          if (c === '"') {
+            pos++;
+            break;
+          }
+          if (c === '\\' && pos + 1 < text.length) {
+            pos++;
+          }
+          if (text[pos] === '\n') line++;
+          value += text[pos];
+          pos++;
+        }
+        tokens.push({ type: 'string', value, line: start });
+      } else if ((match = at('multiline'))) {
+        const start = line;
+        pos += match[0].length;
+        line++;
+        const lines = [];
+        for (;;) {
+          if (pos >= text.length) throw Sieve.error('Unterminated multi-line string', start);
+          const end = text.indexOf('\n', pos);
+          const current = text.slice(pos, end === -1 ? text.length : end);
+          pos = end === -1 ? text.length : end + 1;
+          line++;
+          if (current.replace(/\r$/, '') === '.') break;
+          lines.push(current.startsWith('..') ? current.slice(1) : current);
+        }
+        tokens.push({ type: 'string', value: lines.map(l => l + '\n').join(''), line: start });
+      } else if ((match = at('number'))) {
+        const multiplier = { k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }[match[2].toLowerCase()] || 1;
+        tokens.push({ type: 'number', value: parseInt(match[1], 10) * multiplier, line });
+        pos += match[0].length;
+      } else if ((match = at('tag'))) {
+        tokens.push({ type: 'tag', value: match[1].toLowerCase(), line });
+        pos += match[0].length;
+      } else if ((match = at('identifier'))) {
+        tokens.push({ type: 'identifier', value: match[0].toLowerCase(), line });
+        pos += match[0].length;
+      } else {
+        throw Sieve.error(`Unexpected character "${ch}"`, line);
+      }
+    }
+
+    return tokens;
+  }
+
+  // Parser: commands are { name, args, tests, block, line }
+
+  static parse(source) {
+    const cursor = { tokens: Sieve.tokenize(source), pos: 0 };
+    return Sieve.parseCommands(cursor, false);
+  }
+
+  static parseCommands(cursor, inBlock) {
+    const commands = [];
+
+    for (;;) {
+      const token = cursor.tokens[cursor.pos];
+      if (!token) {
+        if (inBlock) throw Sieve.error('Missing "}" at end of script');
+        return commands;
+      }
+      if (token.type === '}') {
+        if (!inBlock) throw Sieve.error('Unexpected "}"', token.line);
+        return commands;
+      }
+      commands.push(Sieve.parseCommand(cursor));
+    }
+  }
+
+  static parseCommand(cursor) {
+    const token = Sieve.expect(cursor, 'identifier', 'Expected a command');
+    const command = { name: token.value, line: token.line, ...Sieve.parseArguments(cursor), block: null };
+
+    const next = cursor.tokens[cursor.pos++];
+    if (next && next.type === ';') {
+      return command;
+    }
+    if (next && next.type === '{') {
+      command.block = Sieve.parseCommands(cursor, true);
+      Sieve.expect(cursor, '}', 'Expected "}"');
+      return command;
+    }
+    throw Sieve.error(`Expected ";" or "{" after ${command.name}`, next ? next.line : token.line);
+  }
+
+  static parseArguments(cursor) {
+    const args = [];
+    let tests = [];
+
+    for (;;) {
+      const token = cursor.tokens[cursor.pos];
+      if (!token) break;
+
+      if (token.type === 'string' || token.type === 'number' || token.type === 'tag') {
+        args.push({ type: token.type, value: token.value });
+        cursor.pos++;
+      } else if (token.type === '[') {
+        cursor.pos++;
+        const list = [Sieve.expect(cursor, 'string', 'Expected a string in list').value];
+        while (cursor.tokens[cursor.pos] && cursor.tokens[cursor.pos].type === ',') {
+          cursor.pos++;
+          list.push(Sieve.expect(cursor, 'string', 'Expected a string in list').value);
+        }
+        Sieve.expect(cursor, ']', 'Expected "]"');
+        args.push({ type: 'list', value: list });
+      } else {
+        break;
+      }
+    }
+
+    const token = cursor.tokens[cursor.pos];
+    if (token && token.type === '(') {
+      cursor.pos++;
+      tests.push(Sieve.parseTest(cursor));
+      while (cursor.tokens[cursor.pos] && cursor.tokens[cursor.pos].type === ',') {
+        cursor.pos++;
+        tests.push(Sieve.parseTest(cursor));
+      }
+      Sieve.expect(cursor, ')', 'Expected ")"');
+      tests = { list: tests };
+    } else if (token && token.type === 'identifier') {
+      tests = [Sieve.parseTest(cursor)];
+    }
+
+    return { args, tests };
+  }
+
+  static parseTest(cursor) {
+    const token = Sieve.expect(cursor, 'identifier', 'Expected a test');
+    return { name: token.value, line: token.line, ...Sieve.parseArguments(cursor) };
+  }
+
+  static expect(cursor, type, message) {
+    const token = cursor.tokens[cursor.pos];
+    if (!token || token.type !== type) {
+      const last = cursor.tokens[cursor.pos - 1];
+      throw Sieve.error(message, token ? token.line : last && last.line);
+    }
+    cursor.pos++;
+    return token;
+  }
+
+  // Compiler: checks each command and turns it into an action or test node
+
+  static compileBlock(nodes, context) {
+    const commands = [];
+
+    for (const node of nodes) {
+      if (node.name === 'require') {
+        if (!context.requireAllowed) {
+          throw Sieve.error('require must come before other commands', node.line);
+        }
+        const { values } = Sieve.readArguments(node, {}, ['list']);
+        for (const extension of values[0]) {
+          if (!EXTENSIONS.includes(extension.toLowerCase())) {
+            throw Sieve.error(`Unsupported extension "${extension}"`, node.line);
+          }
+          context.extensions.add(extension.toLowerCase());
+        }
+        Sieve.noBlock(node);
+        continue;
+      }
+      context.requireAllowed = false;
+
+      if (node.name === 'elsif' || node.name === 'else') {
+        const last = commands[commands.length - 1];
+        if (!last || last.type !== 'if' || last.otherwise || !last.open) {
+          throw Sieve.error(`${node.name} without a preceding if`, node.line);
+        }
+        if (node.name === 'elsif') {
+          last.branches.push(Sieve.compileBranch(node, context));
+        } else {
+          Sieve.noTests(node);
+          Sieve.readArguments(node, {}, []);
+          last.otherwise = Sieve.compileBlock(Sieve.needBlock(node), context);
+          last.open = false;
+        }
+        continue;
+      }
+
+      if (node.name === 'if') {
+        commands.push({ type: 'if', branches: [Sieve.compileBranch(node, context)], otherwise: null, open: true });
+        continue;
+      }
+
+      const last = commands[commands.length - 1];
+      if (last && last.type === 'if') last.open = false;
+      commands.push(Sieve.compileCommand(node, context));
+    }
+
+    for (const command of commands) {
+      delete command.open;
+    }
+    return commands;
+  }
+
+  static compileBranch(node, context) {
+    const test = Sieve.singleTest(node, context);
+    Sieve.readArguments(node, {}, []);
+    return { test, block: Sieve.compileBlock(Sieve.needBlock(node), context) };
+  }
+
+  static compileCommand(node, context) {
+    const line = node.line;
+    Sieve.noBlock(node);
+    Sieve.noTests(node);
+
+    switch (node.name) {
+      case 'stop':
+      case 'discard':
+        Sieve.readArguments(node, {}, []);
+        return { type: node.name, line };
+
+      case 'keep': {
+        const { tags } = Sieve.readArguments(node, FLAG_TAGS, [], context);
+        return { type: 'keep', flags: tags.flags ? tags.flags.value : null, line };
+      }
+
+      case 'fileinto': {
+        Sieve.needExtension(context, 'fileinto', node);
+        const { tags, values } = Sieve.readArguments(node, { ...FLAG_TAGS, ...COPY_TAGS }, ['string'], context);
+        return { type: 'fileinto', folder: values[0], copy: !!tags.copy, flags: tags.flags ? tags.flags.value : null, line };
+      }
+
+      case 'redirect': {
+        const { tags, values } = Sieve.readArguments(node, COPY_TAGS, ['string'], context);
+        return { type: 'redirect', address: values[0], copy: !!tags.copy, line };
+      }
+
+      case 'reject': {
+        Sieve.needExtension(context, 'reject', node);
+        const { values } = Sieve.readArguments(node, {}, ['string'], context);
+        return { type: 'reject', reason: values[0], line };
+      }
+
+      case 'set': {
+        Sieve.needExtension(context, 'variables', node);
+        const { tags, values } = Sieve.readArguments(node, SET_TAGS, ['string', 'string'], context);
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(values[0])) {
+          throw Sieve.error(`Invalid variable name "${values[0]}"`, line);
+        }
+        return { type: 'set', name: values[0].toLowerCase(), value: values[1], modifiers: Object.values(tags).map(t => t.name), line };
+      }
+
+      case 'addflag':
+      case 'setflag':
+      case 'removeflag': {
+        Sieve.needExtension(context, 'imap4flags', node);
+        const positional = Sieve.positionalCount(node, {}) === 2 ? ['string', 'list'] : ['list'];
+        const { values } = Sieve.readArguments(node, {}, positional, context);
+        return {
+          type: 'flag',
+          action: node.name.replace('flag', ''),
+          variable: values.length === 2 ? values[0].toLowerCase() : null,
+          flags: values[values.length - 1],
+          line
+        };
+      }
+
+      default:
+        throw Sieve.error(`Unknown command "${node.name}"`, line);
+    }
+  }
+
+  static singleTest(node, context) {
+    if (Array.isArray(node.tests) && node.tests.length === 1) {
+      return Sieve.compileTest(node.tests[0], context);
+    }
+    throw Sieve.error(`${node.name} needs a single test`, node.line);
+  }
+
+  static compileTest(node, context) {
+    const line = node.line;
+
+    switch (node.name) {
+      case 'true':
+      case 'false':
+        Sieve.noTests(node);
+        Sieve.readArguments(node, {}, []);
+        return { type: node.name };
+
+      case 'not':
+        Sieve.readArguments(node, {}, []);
+        return { type: 'not', test: Sieve.singleTest(node, context) };
+
+      case 'allof':
+      case 'anyof':
+        Sieve.readArguments(node, {}, []);
+        if (Array.isArray(node.tests) || node.tests.list.length === 0) {
+          throw Sieve.error(`${node.name} needs a list of tests`, line);
+        }
+        return { type: node.name, tests: node.tests.list.map(test => Sieve.compileTest(test, context)) };
+
+      case 'exists': {
+        Sieve.noTests(node);
+        const { values } = Sieve.readArguments(node, {}, ['list'], context);
+        return { type: 'exists', headers: values[0] };
+      }
+
+      case 'size': {
+        Sieve.noTests(node);
+        const { tags, values } = Sieve.readArguments(node, { over: { group: 'size' }, under: { group: 'size' } }, ['number'], context);
+        if (!tags.size) throw Sieve.error('size needs :over or :under', line);
+        return { type: 'size', over: tags.size.name === 'over', limit: values[0] };
+      }
+
+      case 'header':
+      case 'string': {
+        Sieve.noTests(node);
+        if (node.name === 'string') Sieve.needExtension(context, 'variables', node);
+        const { tags, values } = Sieve.readArguments(node, MATCH_TAGS, ['list', 'list'], context);
+        return { type: node.name, sources: values[0], keys: values[1], matcher: Sieve.matcher(tags, context, line) };
+      }
+
+      case 'address':
+      case 'envelope': {
+        Sieve.noTests(node);
+        if (node.name === 'envelope') Sieve.needExtension(context, 'envelope', node);
+        const { tags, values } = Sieve.readArguments(node, ADDRESS_TAGS, ['list', 'list'], context);
+        if (node.name === 'envelope') {
+          const unknown = values[0].find(part => !['from', 'to'].includes(part.toLowerCase()));
+          if (unknown) throw Sieve.error(`Unsupported envelope part "${unknown}"`, line);
+        }
+        return {
+          type: node.name,
+          sources: values[0],
+          keys: values[1],
+          part: tags.part ? tags.part.name : 'all',
+          matcher: Sieve.matcher(tags, context, line)
+        };
+      }
+
+      case 'hasflag': {
+        Sieve.noTests(node);
+        Sieve.needExtension(context, 'imap4flags', node);
+        const positional = Sieve.positionalCount(node, MATCH_TAGS) === 2 ? ['list', 'list'] : ['list'];
+        const { tags, values } = Sieve.readArguments(node, MATCH_TAGS, positional, context);
+        return {
+          type: 'hasflag',
+          variables: values.length === 2 ? values[0].map(v => v.toLowerCase()) : null,
+          keys: values[values.length - 1],
+          matcher: Sieve.matcher(tags, context, line)
+        };
+      }
+
+      default:
+        throw Sieve.error(`Unknown test "${node.name}"`, line);
+    }
+  }
+
+  /**
+   * Split a node's arguments into tagged and positional ones
+   * @param {Object} spec - Allowed tags: { name: { group, param, extension } }
+   * @param {Array} positional - Expected positional types: 'string', 'list' or 'number'
+   */
+  static readArguments(node, spec, positional, context = null) {
+    const tags = {};
+    const values = [];
+    const args = node.args;
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg.type === 'tag') {
+        const tag = spec[arg.value];
+        if (!tag) throw Sieve.error(`Unknown tag ":${arg.value}" for ${node.name}`, node.line);
+        if (values.length > 0) throw Sieve.error(`Tag ":${arg.value}" must come before the other arguments`, node.line);
+        if (tags[tag.group]) throw Sieve.error(`Conflicting tag ":${arg.value}" for ${node.name}`, node.line);
+        if (tag.extension) Sieve.needExtension(context, tag.extension, node);
+
+        let value = null;
+        if (tag.param) {
+          const param = args[++i];
+          value = param && Sieve.argumentValue(param, tag.param);
+          if (value === undefined || value === null) {
+            throw Sieve.error(`Tag ":${arg.value}" needs a ${tag.param} argument`, node.line);
+          }
+        }
+        tags[tag.group] = { name: arg.value, value };
+        continue;
+      }
+
+      const type = positional[values.length];
+      const value = type && Sieve.argumentValue(arg, type);
+      if (value === undefined || value === null) {
+        throw Sieve.error(`Wrong arguments for ${node.name}`, node.line);
+      }
+      values.push(value);
+    }
+
+    if (values.length !== positional.length) {
+      throw Sieve.error(`Wrong number of arguments for ${node.name}`, node.line);
+    }
+
+    return { tags, values };
+  }
+
+  /**
+   * Number of positional arguments, for commands whose first one is optional
+   */
+  static positionalCount(node, spec) {
+    let count = 0;
+    for (let i = 0; i < node.args.length; i++) {
+      const arg = node.args[i];
+      if (arg.type !== 'tag') count++;
+      else if (spec[arg.value] && spec[arg.value].param) i++;
+    }
+    return count;
+  }
+
+  static argumentValue(arg, type) {
+    if (type === 'number') return arg.type === 'number' ? arg.value : null;
+    if (type === 'list') return arg.type === 'string' ? [arg.value] : arg.type === 'list' ? arg.value : null;
+    if (arg.type === 'string') return arg.value;
+    return arg.type === 'list' && arg.value.length === 1 ? arg.value[0] : null;
+  }
+
+  static matcher(tags, context, line) {
+    const comparator = tags.comparator ? tags.comparator.value.toLowerCase() : 'i;ascii-casemap';
+    if (!COMPARATORS.includes(comparator)) {
+      throw Sieve.error(`Unsupported comparator "${comparator}"`, line);
+    }
+    if (comparator === 'i;ascii-numeric' && !context.extensions.has('comparator-i;ascii-numeric')) {
+      throw Sieve.error('Missing require for "comparator-i;ascii-numeric"', line);
+    }
+
+    const type = tags.match ? tags.match.name : 'is';
+    const relation = tags.match && tags.match.value ? tags.match.value.toLowerCase() : null;
+    if ((type === 'value' || type === 'count') && !RELATIONS.includes(relation)) {
+      throw Sieve.error(`Invalid relation "${tags.match.value}"`, line);
+    }
+    if (comparator === 'i;ascii-numeric' && (type === 'contains' || type === 'matches')) {
+      throw Sieve.error(`:${type} cannot be used with i;ascii-numeric`, line);
+    }
+
+    return { type, relation, comparator };
+  }
+
+  static needExtension(context, extension, node) {
+    if (!context || !context.extensions.has(extension)) {
+      throw Sieve.error(`Missing require for "${extension}"`, node.line);
+    }
+  }
+
+  static needBlock(node) {
+    if (!node.block) throw Sieve.error(`${node.name} needs a block`, node.line);
+    return node.block;
+  }
+
+  static noBlock(node) {
+    if (node.block) throw Sieve.error(`${node.name} does not take a block`, node.line);
+  }
+
+  static noTests(node) {
+    if (!Array.isArray(node.tests) || node.tests.length > 0) {
+      throw Sieve.error(`${node.name} does not take a test`, node.line);
+    }
+  }
+
+  // Interpreter
+
+  static runBlock(run, commands) {
+    for (const command of commands) {
+      if (run.stopped) return;
+      Sieve.runCommand(run, command);
+    }
+  }
+
+  static runCommand(run, command) {
+    switch (command.type) {
+      case 'if': {
+        for (const branch of command.branches) {
+          if (Sieve.test(run, branch.test)) {
+            Sieve.runBlock(run, branch.block);
+            return;
+          }
+        }
+        if (command.otherwise) Sieve.runBlock(run, command.otherwise);
+        return;
+      }
+
+      case 'stop':
+        run.stopped = true;
+        return;
+
+      case 'keep':
+        run.actions.push({ type: 'keep', flags: Sieve.actionFlags(run, command.flags) });
+        run.implicitKeep = false;
+        return;
+
+      case 'discard':
+        run.actions.push({ type: 'discard' });
+        run.implicitKeep = false;
+        return;
+
+      case 'fileinto':
+        run.actions.push({ type: 'fileinto', folder: Sieve.expand(run, command.folder), flags: Sieve.actionFlags(run, command.flags) });
+        if (!command.copy) run.implicitKeep = false;
+        return;
+
+      case 'redirect': {
+        const address = Sieve.expand(run, command.address).trim().replace(/^<|>$/g, '');
+        if (!/^[^@\s<>]+@[^@\s<>]+$/.test(address)) {
+          throw Sieve.error(`Invalid redirect address "${address}"`, command.line);
+        }
+        if (run.actions.filter(a => a.type === 'redirect').length >= run.options.maxRedirects) {
+          throw Sieve.error('Too many redirects', command.line);
+        }
+        run.actions.push({ type: 'redirect', address });
+        if (!command.copy) run.implicitKeep = false;
+        return;
+      }
+
+      case 'reject':
+        run.actions.push({ type: 'reject', reason: Sieve.expand(run, command.reason) });
+        run.implicitKeep = false;
+        return;
+
+      case 'set':
+        run.variables[command.name] = Sieve.modify(Sieve.expand(run, command.value), command.modifiers);
+        return;
+
+      case 'flag': {
+        const current = command.variable ? Sieve.splitFlags([run.variables[command.variable] || '']) : run.flags;
+        const given = Sieve.splitFlags(command.flags.map(flag => Sieve.expand(run, flag)));
+        const has = (list, flag) => list.some(f => f.toLowerCase() === flag.toLowerCase());
+
+        let result;
+        if (command.action === 'set') result = Sieve.splitFlags(given);
+        else if (command.action === 'add') result = [...current, ...given.filter(flag => !has(current, flag))];
+        else result = current.filter(flag => !has(given, flag));
+
+        if (command.variable) run.variables[command.variable] = result.join(' ');
+        else run.flags = result;
+        return;
+      }
+    }
+  }
+
+  static actionFlags(run, flags) {
+    return flags ? Sieve.splitFlags(flags.map(flag => Sieve.expand(run, flag))) : [...run.flags];
+  }
+
+  /**
+   * Flags are space separated and compared case-insensitively
+   */
+  static splitFlags(list) {
+    const flags = [];
+    for (const flag of list.join(' ').split(/\s+/).filter(Boolean)) {
+      if (!flags.some(f => f.toLowerCase() === flag.toLowerCase())) flags.push(flag);
+    }
+    return flags;
+  }
+
+  static test(run, test) {
+    switch (test.type) {
+      case 'true': return true;
+      case 'false': return false;
+      case 'not': return !Sieve.test(run, test.test);
+      case 'allof': return test.tests.every(t => Sieve.test(run, t));
+      case 'anyof': return test.tests.some(t => Sieve.test(run, t));
+
+      case 'exists':
+        return test.headers.every(name => Sieve.headerValues(run, Sieve.expand(run, name)).length > 0);
+
+      case 'size':
+        return test.over ? run.message.size > test.limit : run.message.size < test.limit;
+
+      case 'header': {
+        const values = test.sources.flatMap(name => Sieve.headerValues(run, Sieve.expand(run, name)));
+        return Sieve.match(run, values, test.keys, test.matcher);
+      }
+
+      case 'string': {
+        const values = test.sources.map(source => Sieve.expand(run, source));
+        // :count counts the non-empty strings (RFC 5229 5)
+        return Sieve.match(run, test.matcher.type === 'count' ? values.filter(Boolean) : values, test.keys, test.matcher);
+      }
+
+      case 'address': {
+        const addresses = test.sources.flatMap(name => Sieve.headerValues(run, Sieve.expand(run, name)))
+          .flatMap(value => Sieve.parseAddressList(value));
+        const values = addresses.map(address => Sieve.addressPart(address, test.part, run.options.delimiter));
+        return Sieve.match(run, values.filter(value => value !== null), test.keys, test.matcher);
+      }
+
+      case 'envelope': {
+        const values = test.sources.map(part => run.message.envelope[part.toLowerCase()] || '')
+          .map(address => Sieve.addressPart(address, test.part, run.options.delimiter));
+        return Sieve.match(run, values.filter(value => value !== null), test.keys, test.matcher);
+      }
+
+      case 'hasflag': {
+        const flags = test.variables ?
+          Sieve.splitFlags(test.variables.map(name => run.variables[name] || '')) :
+          run.flags;
+        return Sieve.match(run, flags, test.keys, test.matcher);
+      }
+    }
+    return false;
+  }
+
+  static headerValues(run, name) {
+    const key = name.toLowerCase();
+    return run.message.headers.filter(h => h.key === key).map(h => Sieve.decodeWords(h.value));
+  }
+
+  /**
+   * True when any value matches any key; a successful :matches sets the
+   * match variables ${0}..${n}
+   */
+  static match(run, values, keys, matcher) {
+    const expandedKeys = keys.map(key => Sieve.expand(run, key));
+
+    if (matcher.type === 'count') {
+      const count = String(values.length);
+      return expandedKeys.some(key => Sieve.relate(Sieve.compare(count, key, matcher.comparator), matcher.relation));
+    }
+
+    for (const value of values) {
+      for (const key of expandedKeys) {
+        switch (matcher.type) {
+          case 'is':
+            if (Sieve.compare(value, key, matcher.comparator) === 0) return true;
+            break;
+          case 'contains':
+            if (matcher.comparator === 'i;octet' ? value.includes(key) : Sieve.casemap(value).includes(Sieve.casemap(key))) return true;
+            break;
+          case 'matches': {
+            const result = Sieve.wildcard(key, matcher.comparator).exec(value);
+            if (result) {
+              if (run.variablesEnabled) run.matches = [...result];
+              return true;
+            }
+            break;
+          }
+          case 'value':
+            if (Sieve.relate(Sieve.compare(value, key, matcher.comparator), matcher.relation)) return true;
+            break;
+        }
+      }
+    }
+    return false;
+  }
+
+  static compare(a, b, comparator) {
+    if (comparator === 'i;ascii-numeric') {
+      // Strings without leading digits are positive infinity (RFC 4790 9.1)
+      const number = (s) => /^\d/.test(s) ? parseInt(s, 10) : Infinity;
+      const x = number(a);
+      const y = number(b);
+      return x === y ? 0 : x < y ? -1 : 1;
+    }
+    if (comparator === 'i;ascii-casemap') {
+      a = Sieve.casemap(a);
+      b = Sieve.casemap(b);
+    }
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  static relate(comparison, relation) {
+    switch (relation) {
+      case 'gt': return comparison > 0;
+      case 'ge': return comparison >= 0;
+      case 'lt': return comparison < 0;
+      case 'le': return comparison <= 0;
+      case 'eq': return comparison === 0;
+      case 'ne': return comparison !== 0;
+    }
+    return false;
+  }
+
+  static casemap(value) {
+    return value.replace(/[A-Z]/g, c => c.toLowerCase());
+  }
+
+  /**
+   * :matches pattern as a regular expression; each * and ? is a group
+   */
+  static wildcard(pattern, comparator) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const c = pattern[i];
+      if (c === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (c === '*') {
+        source += '(.*?)';
+      } else if (c === '?') {
+        source += '(.)';
+      } else {
+        source += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`, comparator === 'i;ascii-casemap' ? 'is' : 's');
+  }
+
+  /**
+   * Replace ${name} and ${n} in a string when the variables extension is in use
+   */
+  static expand(run, value) {
+    if (!run.variablesEnabled) return value;
+
+    return value.replace(/\$\{([^{}]*)\}/g, (whole, name) => {
+      if (/^\d+$/.test(name)) return run.matches[parseInt(name, 10)] || '';
+      if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return run.variables[name.toLowerCase()] || '';
+      return whole;
+    });
+  }
+
+  /**
+   * Apply set modifiers, highest precedence first (RFC 5229 4.1)
+   */
+  static modify(value, modifiers) {
+    if (modifiers.includes('lower')) value = value.toLowerCase();
+    if (modifiers.includes('upper')) value = value.toUpperCase();
+    if (modifiers.includes('lowerfirst')) value = value.charAt(0).toLowerCase() + value.slice(1);
+    if (modifiers.includes('upperfirst')) value = value.charAt(0).toUpperCase() + value.slice(1);
+    if (modifiers.includes('quotewildcard')) value = value.replace(/[*?\\]/g, '\\$&');
+    if (modifiers.includes('length')) value = String([...value].length);
+    return value;
+  }
+
+  /**
+   * Part of an address for the address and envelope tests, or null when
+   * the part does not exist (a :detail of an address without one)
+   */
+  static addressPart(address, part, delimiter) {
+    const index = address.lastIndexOf('@');
+    const localPart = index === -1 ? address : address.slice(0, index);
+    const domain = index === -1 ? '' : address.slice(index + 1);
+
+    if (part === 'localpart') return localPart;
+    if (part === 'domain') return domain;
+    if (part === 'user' || part === 'detail') {
+      const split = [...localPart].findIndex(c => (delimiter || '').includes(c));
+      if (split === -1) return part === 'user' ? localPart : null;
+      return part === 'user' ? localPart.slice(0, split) : localPart.slice(split + 1);
+    }
+    return address;
+  }
+
+  /**
+   * Addresses in an address-list header, without display names or comments
+   */
+  static parseAddressList(value) {
+    const items = [];
+    let current = '';
+    let quoted = false;
+    let angle = 0;
+    let comment = 0;
+
+    for (let i = 0; i < value.length; i++) {
+      const c = value[i];
+      if (c === '\\' && (quoted || comment)) {
+        current += c + (value[++i] || '');
+        continue;
+      }
+      if (c === '"' && !comment) quoted = !quoted;
+      else if (!quoted && c === '(') comment++;
+      else if (!quoted && c === ')' && comment) comment--;
+      else if (!quoted && !comment && c === '<') angle++;
+      else if (!quoted && !comment && c === '>' && angle) angle--;
+
+      if (!quoted && !comment && !angle && (c === ',' || c === ';')) {
+        items.push(current);
+        current = '';
+        continue;
+      }
+      // Group syntax: "Team: a@x, b@y;"
+      if (!quoted && !comment && !angle && c === ':') {
+        current = '';
+        continue;
+      }
+      current += c;
+    }
+    items.push(current);
+
+    return items.map(item => {
+      const angled = item.match(/<([^>]*)>/);
+      const address = angled ? angled[1] : item.replace(/\((?:\\.|[^()])*\)/g, '').replace(/"(?:\\.|[^"])*"/g, '');
+      return address.trim();
+    }).filter(Boolean);
+  }
+
+  /**
+   * Decode RFC 2047 encoded words so tests see the text a reader sees
+   */
+  static decodeWords(value) {
+    return value
+      .replace(/(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?)/g, '$1')
+      .replace(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g, (whole, charset, encoding, text) => {
+        const bytes = encoding.toUpperCase() === 'B' ?
+          Buffer.from(text, 'base64') :
+          Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        try {
+          return new TextDecoder(charset.split('*')[0]).decode(bytes);
+        } catch (error) {
+          return bytes.toString('latin1');
+        }
+      });
+  }
+
+  static error(message, line = null) {
+    const error = new Error(line ? `line ${line}: ${message}` : message);
+    error.line = line;
+    return error;
+  }
+}
+
+module.exports = Sieve;